@@ -0,0 +1,135 @@
+const express = require("express");
+const cors = require("cors");
+const swaggerUi = require("swagger-ui-express");
+const swaggerSpec = require("./config/swagger");
+const rateLimit = require("express-rate-limit");
+const helmet = require("helmet");
+const cookieParser = require("cookie-parser");
+const { loadTrustProxyHops } = require("./config/proxy");
+const { createAuthLimiters } = require("./middleware/rateLimit");
+const { requestContext } = require("./middleware/requestContext");
+const { registerAuditTrail } = require("./services/audit/auditTrail");
+const authRoutes = require("./routes/authRoutes");
+const companyRoutes = require("./routes/companyRoutes");
+const accountRoutes = require("./routes/accountRoutes");
+const journalRoutes = require("./routes/journalRoutes");
+const reportRoutes = require("./routes/reportRoutes");
+const fiscalYearRoutes = require("./routes/fiscalYearRoutes");
+const customerRoutes = require("./routes/customerRoutes");
+const invoiceSeriesRoutes = require("./routes/invoiceSeriesRoutes");
+const invoiceRoutes = require("./routes/invoiceRoutes");
+const vatRoutes = require("./routes/vatRoutes");
+const bankRoutes = require("./routes/bankRoutes");
+const supplierRoutes = require("./routes/supplierRoutes");
+const billRoutes = require("./routes/billRoutes");
+const auditRoutes = require("./routes/auditRoutes");
+const userRoutes = require("./routes/userRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+require("dotenv").config();
+
+// Record who changes what, see models/AuditEvent.js
+registerAuditTrail();
+
+/**
+ * Builds the Express app with its middleware and routes. It doesn't touch
+ * the database or listen, so tests can run it in-process; server.js does
+ * both. Pass `rateLimits: false` to leave out the per-IP rate limits, and
+ * `trustProxy` to override the proxy hop count from config/proxy.js.
+ */
+const createApp = ({
+  rateLimits = true,
+  trustProxy = loadTrustProxyHops(),
+} = {}) => {
+  const app = express();
+
+  // Client IPs come from X-Forwarded-For behind the proxy, otherwise every
+  // request would share the proxy's IP and its rate limits
+  app.set("trust proxy", trustProxy);
+
+  // Security Middleware
+  // 1. Helmet - Security headers
+  app.use(helmet());
+
+  // Cookie parser
+  app.use(cookieParser());
+
+  // 2. Rate limiting - Protect against brute force/DDoS attacks
+  const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // Limit each IP to 100 requests per windowMs
+    message: "Too many requests from this IP, please try again later",
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+
+  if (rateLimits) {
+    // Apply rate limiting to all routes
+    app.use(limiter);
+
+    // 3. Stricter rate limits for auth routes
+    const authLimiters = createAuthLimiters();
+
+    // Apply stricter rate limiting to auth routes ("/api/login" also covers
+    // the "/api/login/2fa" step)
+    app.use("/api/login", authLimiters.login);
+    app.use("/api/signup", authLimiters.signup);
+    app.use("/api/forgot-password", authLimiters.forgotPassword);
+    app.use("/api/reset-password", authLimiters.resetPassword);
+    app.use("/api/unlock-account", authLimiters.unlockAccount);
+  }
+
+  // CORS configuration
+  const corsOptions = {
+    origin:
+      process.env.NODE_ENV === "production"
+        ? ["https://frontend-uwih.onrender.com"] // Only allow your frontend domain
+        : ["http://localhost:5173"], // Local development
+    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS", "PATCH"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Request-Id"],
+    exposedHeaders: ["Content-Range", "X-Content-Range", "X-Request-Id"],
+    credentials: true,
+    optionsSuccessStatus: 200,
+  };
+
+  // Apply CORS
+  app.use(cors(corsOptions));
+
+  // Body parser middleware
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // Request ID and caller for the audit trail. Registered after the body
+  // parsers, whose stream callbacks would lose the context.
+  app.use(requestContext);
+
+  // API Routes
+  app.use("/api", authRoutes);
+  app.use("/api/company/:id/accounts", accountRoutes);
+  app.use("/api/company/:id/journal", journalRoutes);
+  app.use("/api/company/:id/reports", reportRoutes);
+  app.use("/api/company/:id/fiscal-years", fiscalYearRoutes);
+  app.use("/api/company/:id/customers", customerRoutes);
+  app.use("/api/company/:id/invoice-series", invoiceSeriesRoutes);
+  app.use("/api/company/:id/invoices", invoiceRoutes);
+  app.use("/api/company/:id/vat", vatRoutes);
+  app.use("/api/company/:id/bank", bankRoutes);
+  app.use("/api/company/:id/suppliers", supplierRoutes);
+  app.use("/api/company/:id/bills", billRoutes);
+  app.use("/api/company/:id/audit", auditRoutes);
+  app.use("/api/company", companyRoutes);
+  app.use("/api/user", userRoutes);
+  app.use("/api/admin", adminRoutes);
+
+  // Swagger documentation
+  app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    console.error(err.stack);
+    res.status(500).json({ error: "Something broke!" });
+  });
+
+  return app;
+};
+
+module.exports = { createApp };
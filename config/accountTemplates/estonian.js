@@ -0,0 +1,205 @@
+// Default chart of accounts seeded for every new company, following the
+// structure commonly used by Estonian small and medium companies. Parents
+// must come before their children.
+module.exports = [
+  // Varad
+  { code: "1000", name: "Käibevarad", type: "asset" },
+  { code: "1010", name: "Kassa", type: "asset", parentCode: "1000" },
+  { code: "1020", name: "Arvelduskonto", type: "asset", parentCode: "1000" },
+  {
+    code: "1200",
+    name: "Nõuded ostjate vastu",
+    type: "asset",
+    parentCode: "1000",
+  },
+  {
+    code: "1210",
+    name: "Ebatõenäoliselt laekuvad nõuded",
+    type: "asset",
+    parentCode: "1000",
+  },
+  {
+    code: "1300",
+    name: "Maksude ettemaksed ja tagasinõuded",
+    type: "asset",
+    parentCode: "1000",
+  },
+  { code: "1310", name: "Sisendkäibemaks", type: "asset", parentCode: "1300" },
+  { code: "1400", name: "Muud nõuded", type: "asset", parentCode: "1000" },
+  {
+    code: "1500",
+    name: "Ettemaksed tarnijatele",
+    type: "asset",
+    parentCode: "1000",
+  },
+  { code: "1600", name: "Varud", type: "asset", parentCode: "1000" },
+  { code: "1700", name: "Põhivarad", type: "asset" },
+  {
+    code: "1710",
+    name: "Materiaalne põhivara",
+    type: "asset",
+    parentCode: "1700",
+  },
+  {
+    code: "1720",
+    name: "Materiaalse põhivara akumuleeritud kulum",
+    type: "asset",
+    parentCode: "1700",
+  },
+  {
+    code: "1730",
+    name: "Immateriaalne põhivara",
+    type: "asset",
+    parentCode: "1700",
+  },
+
+  // Kohustised
+  { code: "2000", name: "Lühiajalised kohustised", type: "liability" },
+  {
+    code: "2010",
+    name: "Lühiajalised laenud",
+    type: "liability",
+    parentCode: "2000",
+  },
+  {
+    code: "2100",
+    name: "Võlad tarnijatele",
+    type: "liability",
+    parentCode: "2000",
+  },
+  {
+    code: "2200",
+    name: "Võlad töövõtjatele",
+    type: "liability",
+    parentCode: "2000",
+  },
+  { code: "2300", name: "Maksuvõlad", type: "liability", parentCode: "2000" },
+  { code: "2310", name: "Käibemaks", type: "liability", parentCode: "2300" },
+  {
+    code: "2320",
+    name: "Üksikisiku tulumaks",
+    type: "liability",
+    parentCode: "2300",
+  },
+  { code: "2330", name: "Sotsiaalmaks", type: "liability", parentCode: "2300" },
+  {
+    code: "2340",
+    name: "Töötuskindlustusmakse",
+    type: "liability",
+    parentCode: "2300",
+  },
+  {
+    code: "2350",
+    name: "Kohustuslik kogumispensioni makse",
+    type: "liability",
+    parentCode: "2300",
+  },
+  {
+    code: "2360",
+    name: "Ettevõtte tulumaks",
+    type: "liability",
+    parentCode: "2300",
+  },
+  {
+    code: "2400",
+    name: "Saadud ettemaksed",
+    type: "liability",
+    parentCode: "2000",
+  },
+  { code: "2500", name: "Pikaajalised kohustised", type: "liability" },
+  {
+    code: "2510",
+    name: "Pikaajalised laenud",
+    type: "liability",
+    parentCode: "2500",
+  },
+
+  // Omakapital
+  { code: "3000", name: "Omakapital", type: "equity" },
+  {
+    code: "3010",
+    name: "Osakapital nimiväärtuses",
+    type: "equity",
+    parentCode: "3000",
+  },
+  {
+    code: "3020",
+    name: "Kohustuslik reservkapital",
+    type: "equity",
+    parentCode: "3000",
+  },
+  {
+    code: "3030",
+    name: "Eelmiste perioodide jaotamata kasum (kahjum)",
+    type: "equity",
+    parentCode: "3000",
+  },
+  {
+    code: "3040",
+    name: "Aruandeaasta kasum (kahjum)",
+    type: "equity",
+    parentCode: "3000",
+  },
+
+  // Tulud
+  { code: "4000", name: "Müügitulu", type: "revenue" },
+  {
+    code: "4010",
+    name: "Müügitulu kaupade müügist",
+    type: "revenue",
+    parentCode: "4000",
+  },
+  {
+    code: "4020",
+    name: "Müügitulu teenuste müügist",
+    type: "revenue",
+    parentCode: "4000",
+  },
+  { code: "4500", name: "Muud äritulud", type: "revenue" },
+  { code: "4800", name: "Finantstulud", type: "revenue" },
+
+  // Kulud
+  {
+    code: "5000",
+    name: "Kaubad, toore, materjal ja teenused",
+    type: "expense",
+  },
+  { code: "5010", name: "Ostetud kaubad", type: "expense", parentCode: "5000" },
+  {
+    code: "5020",
+    name: "Ostetud teenused",
+    type: "expense",
+    parentCode: "5000",
+  },
+  { code: "6000", name: "Mitmesugused tegevuskulud", type: "expense" },
+  { code: "6010", name: "Rendikulud", type: "expense", parentCode: "6000" },
+  { code: "6020", name: "Kommunaalkulud", type: "expense", parentCode: "6000" },
+  { code: "6030", name: "Sidekulud", type: "expense", parentCode: "6000" },
+  { code: "6040", name: "Kontoritarbed", type: "expense", parentCode: "6000" },
+  {
+    code: "6050",
+    name: "Raamatupidamis- ja auditeerimisteenused",
+    type: "expense",
+    parentCode: "6000",
+  },
+  { code: "6060", name: "Pangateenused", type: "expense", parentCode: "6000" },
+  { code: "6500", name: "Tööjõukulud", type: "expense" },
+  { code: "6510", name: "Palgakulu", type: "expense", parentCode: "6500" },
+  {
+    code: "6520",
+    name: "Sotsiaalmaksu kulu",
+    type: "expense",
+    parentCode: "6500",
+  },
+  {
+    code: "6530",
+    name: "Töötuskindlustusmakse kulu",
+    type: "expense",
+    parentCode: "6500",
+  },
+  { code: "6800", name: "Põhivara kulum", type: "expense" },
+  { code: "6900", name: "Muud ärikulud", type: "expense" },
+  { code: "7000", name: "Finantskulud", type: "expense" },
+  { code: "7010", name: "Intressikulud", type: "expense", parentCode: "7000" },
+  { code: "8000", name: "Tulumaks", type: "expense" },
+];
@@ -0,0 +1,74 @@
+// CSV statement exports of the Estonian banks, in the banks' default
+// (Estonian or English) column names. A file is recognised by its header
+// row containing every column listed in `columns`; optional columns are in
+// `optionalColumns`.
+//
+// `debit` is the value of the direction column for outgoing payments.
+// Amounts are read as absolute values and signed by the direction column.
+module.exports = {
+  swedbank_csv: {
+    bank: "Swedbank",
+    delimiter: ";",
+    decimalComma: true,
+    dateFormat: "DD.MM.YYYY",
+    columns: {
+      iban: "Kliendi konto",
+      rowType: "Reatüüp",
+      bookingDate: "Kuupäev",
+      counterpartyName: "Saaja/Maksja",
+      description: "Selgitus",
+      amount: "Summa",
+      currency: "Valuuta",
+      direction: "Deebet/Kreedit",
+      externalId: "Arhiivitunnus",
+    },
+    optionalColumns: {
+      referenceNumber: "Viitenumber",
+    },
+    // Other row types are the opening balance, turnovers and closing balance
+    transactionRowType: "20",
+    debit: "D",
+  },
+  seb_csv: {
+    bank: "SEB",
+    delimiter: ";",
+    decimalComma: true,
+    dateFormat: "DD.MM.YYYY",
+    columns: {
+      iban: "Kliendi konto",
+      bookingDate: "Kuupäev",
+      counterpartyIban: "Saaja/maksja konto",
+      counterpartyName: "Saaja/maksja nimi",
+      direction: "Deebet/Kreedit (D/C)",
+      amount: "Summa",
+      externalId: "Arhiveerimistunnus",
+      currency: "Valuuta",
+    },
+    optionalColumns: {
+      referenceNumber: "Viitenumber",
+      description: "Selgitus",
+    },
+    debit: "D",
+  },
+  lhv_csv: {
+    bank: "LHV",
+    delimiter: ",",
+    decimalComma: false,
+    dateFormat: "YYYY-MM-DD",
+    columns: {
+      iban: "Customer account no",
+      bookingDate: "Date",
+      counterpartyIban: "Beneficiary's account",
+      counterpartyName: "Beneficiary's name",
+      direction: "Debit/Credit (D/C)",
+      amount: "Amount",
+      externalId: "Archiving code",
+      currency: "Currency",
+    },
+    optionalColumns: {
+      referenceNumber: "Reference number",
+      description: "Description",
+    },
+    debit: "D",
+  },
+};
@@ -1,15 +1,11 @@
 const { Sequelize } = require("sequelize");
 require("dotenv").config();
+const { loadDatabaseConfig } = require("./databaseConfig");
 
-const sequelize = new Sequelize(process.env.DATABASE_URL, {
-  dialect: "postgres",
-  ssl: true,
-  dialectOptions: {
-    ssl: {
-      require: true,
-      rejectUnauthorized: false,
-    },
-  },
-});
+// Fails at startup, before any query, when the settings are invalid. See
+// config/databaseConfig.js for the environment variables.
+const { url, options } = loadDatabaseConfig();
+
+const sequelize = url ? new Sequelize(url, options) : new Sequelize(options);
 
 module.exports = sequelize;
@@ -0,0 +1,227 @@
+const fs = require("fs");
+
+// Database connection settings, read from the environment:
+//
+//   DB_DIALECT              postgres (default) or sqlite; NODE_ENV=test
+//                           defaults to sqlite
+//   DATABASE_URL            postgres connection URL, required for postgres
+//   DB_STORAGE              sqlite file, defaults to an in-memory database
+//   DB_SSL                  disable, require (encrypted, certificate not
+//                           checked) or verify-full. Defaults to disable for
+//                           localhost and require elsewhere.
+//   DB_SSL_CA               PEM file of the CA to trust with verify-full
+//   DB_POOL_MAX, DB_POOL_MIN
+//                           postgres connection pool size, default 10 and 0
+//   DB_POOL_IDLE_MS         idle time before a connection is closed (10000)
+//   DB_POOL_ACQUIRE_MS      wait for a free connection before failing (30000)
+//   DB_STATEMENT_TIMEOUT_MS postgres statement timeout, none by default
+//   DB_LOGGING              true to log SQL, the default in development only
+
+const DIALECTS = ["postgres", "sqlite"];
+const SSL_MODES = ["disable", "require", "verify-full"];
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "::1", "[::1]"];
+const POSTGRES_ONLY = [
+  "DB_SSL",
+  "DB_SSL_CA",
+  "DB_STATEMENT_TIMEOUT_MS",
+  "DB_POOL_MAX",
+  "DB_POOL_MIN",
+  "DB_POOL_IDLE_MS",
+  "DB_POOL_ACQUIRE_MS",
+];
+
+// Thrown when the settings are invalid, listing every problem at once
+class DatabaseConfigError extends Error {
+  constructor(problems) {
+    super(
+      `Invalid database configuration:\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join("\n")}`
+    );
+    this.name = "DatabaseConfigError";
+    this.problems = problems;
+  }
+}
+
+const isSet = (value) => value !== undefined && value !== "";
+
+const readInteger = (env, name, fallback, { min = 0 } = {}, problems) => {
+  if (!isSet(env[name])) {
+    return fallback;
+  }
+  const value = Number(env[name]);
+  if (!Number.isInteger(value) || value < min) {
+    problems.push(
+      `${name} must be a whole number of at least ${min}, got "${env[name]}"`
+    );
+    return fallback;
+  }
+  return value;
+};
+
+const readBoolean = (env, name, fallback, problems) => {
+  if (!isSet(env[name])) {
+    return fallback;
+  }
+  if (!["true", "false"].includes(env[name])) {
+    problems.push(`${name} must be true or false, got "${env[name]}"`);
+    return fallback;
+  }
+  return env[name] === "true";
+};
+
+const parseUrl = (value, problems) => {
+  try {
+    const url = new URL(value);
+    if (!["postgres:", "postgresql:"].includes(url.protocol)) {
+      problems.push(
+        `DATABASE_URL must be a postgres:// URL, got "${url.protocol}//…"`
+      );
+      return null;
+    }
+    return url;
+  } catch (error) {
+    problems.push("DATABASE_URL isn't a valid URL");
+    return null;
+  }
+};
+
+// Options for node-postgres' `ssl`, or null without SSL
+const sslOptions = (env, url, problems) => {
+  const mode =
+    env.DB_SSL ||
+    (url && LOCAL_HOSTS.includes(url.hostname) ? "disable" : "require");
+
+  if (!SSL_MODES.includes(mode)) {
+    problems.push(
+      `DB_SSL must be one of ${SSL_MODES.join(", ")}, got "${mode}"`
+    );
+    return null;
+  }
+  if (isSet(env.DB_SSL_CA) && mode !== "verify-full") {
+    problems.push("DB_SSL_CA is only used with DB_SSL=verify-full");
+  }
+
+  if (mode === "disable") {
+    return null;
+  }
+  if (mode === "require") {
+    return { require: true, rejectUnauthorized: false };
+  }
+
+  const ssl = { require: true, rejectUnauthorized: true };
+  if (isSet(env.DB_SSL_CA)) {
+    try {
+      ssl.ca = fs.readFileSync(env.DB_SSL_CA, "utf8");
+    } catch (error) {
+      problems.push(`DB_SSL_CA can't be read: ${error.message}`);
+    }
+  }
+  return ssl;
+};
+
+/**
+ * Reads the database settings from `env` and returns the Sequelize
+ * constructor arguments: `{ dialect, url, options }`, where url is null for
+ * SQLite. Throws a DatabaseConfigError naming every invalid setting.
+ */
+const loadDatabaseConfig = (env = process.env) => {
+  const problems = [];
+  const nodeEnv = env.NODE_ENV || "development";
+
+  const dialect =
+    env.DB_DIALECT || (nodeEnv === "test" ? "sqlite" : "postgres");
+  if (!DIALECTS.includes(dialect)) {
+    throw new DatabaseConfigError([
+      `DB_DIALECT must be one of ${DIALECTS.join(", ")}, got "${dialect}"`,
+    ]);
+  }
+
+  const pool = {
+    max: readInteger(env, "DB_POOL_MAX", 10, { min: 1 }, problems),
+    min: readInteger(env, "DB_POOL_MIN", 0, {}, problems),
+    idle: readInteger(env, "DB_POOL_IDLE_MS", 10000, {}, problems),
+    acquire: readInteger(
+      env,
+      "DB_POOL_ACQUIRE_MS",
+      30000,
+      { min: 1 },
+      problems
+    ),
+  };
+  if (pool.min > pool.max) {
+    problems.push(
+      `DB_POOL_MIN (${pool.min}) can't be larger than DB_POOL_MAX (${pool.max})`
+    );
+  }
+
+  const logging = readBoolean(
+    env,
+    "DB_LOGGING",
+    nodeEnv === "development",
+    problems
+  )
+    ? console.log
+    : false;
+
+  if (dialect === "sqlite") {
+    for (const name of POSTGRES_ONLY) {
+      if (isSet(env[name])) {
+        problems.push(`${name} only applies to postgres`);
+      }
+    }
+    if (problems.length > 0) {
+      throw new DatabaseConfigError(problems);
+    }
+
+    return {
+      dialect,
+      url: null,
+      options: {
+        dialect,
+        storage: env.DB_STORAGE || ":memory:",
+        logging,
+      },
+    };
+  }
+
+  if (isSet(env.DB_STORAGE)) {
+    problems.push("DB_STORAGE only applies to sqlite");
+  }
+
+  let url = null;
+  if (!isSet(env.DATABASE_URL)) {
+    problems.push("DATABASE_URL is required for postgres");
+  } else {
+    url = parseUrl(env.DATABASE_URL, problems);
+  }
+
+  const ssl = sslOptions(env, url, problems);
+  const statementTimeout = readInteger(
+    env,
+    "DB_STATEMENT_TIMEOUT_MS",
+    0,
+    {},
+    problems
+  );
+
+  if (problems.length > 0) {
+    throw new DatabaseConfigError(problems);
+  }
+
+  const dialectOptions = {};
+  if (ssl) {
+    dialectOptions.ssl = ssl;
+  }
+  if (statementTimeout > 0) {
+    dialectOptions.statement_timeout = statementTimeout;
+  }
+
+  return {
+    dialect,
+    url: env.DATABASE_URL,
+    options: { dialect, dialectOptions, pool, logging },
+  };
+};
+
+module.exports = { loadDatabaseConfig, DatabaseConfigError };
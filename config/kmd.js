@@ -0,0 +1,39 @@
+// Rows of the KMD return this application fills in, with the element each
+// one is uploaded as (see config/schemas/kmd_inf.xsd). Boxes 3.1 and 3.2
+// are part of box 3 and box 3.1.1 of box 3.1. e-MTA calculates boxes 4, 12
+// and 13 itself, so they have no element and are only shown in the report.
+const BOXES = [
+  { box: "1", element: "transactions24", label: "Supplies taxable at 24%" },
+  { box: "1.1", element: "transactions22", label: "Supplies taxable at 22%" },
+  { box: "1.2", element: "transactions20", label: "Supplies taxable at 20%" },
+  { box: "2", element: "transactions9", label: "Supplies taxable at 9%" },
+  { box: "2.1", element: "transactions13", label: "Supplies taxable at 13%" },
+  { box: "2.2", element: "transactions5", label: "Supplies taxable at 5%" },
+  {
+    box: "3",
+    element: "transactionsZeroVat",
+    label: "Supplies taxable at 0%",
+  },
+  {
+    box: "3.1",
+    element: "euSupplyInclGoodsAndServicesZeroVat",
+    label: "Intra-community supply of goods and services",
+  },
+  {
+    box: "3.1.1",
+    element: "euSupplyGoodsZeroVat",
+    label: "Intra-community supply of goods",
+  },
+  { box: "3.2", element: "exportZeroVat", label: "Export of goods" },
+  { box: "4", element: null, label: "Output VAT total" },
+  { box: "5", element: "inputVatTotal", label: "Deductible input VAT" },
+  { box: "8", element: "supplyExemptFromTax", label: "Exempt supplies" },
+  { box: "12", element: null, label: "VAT payable" },
+  { box: "13", element: null, label: "VAT overpaid" },
+];
+
+// Partners whose invoices in the month add up to at least this much
+// (excluding VAT) are listed in the INF annex
+const INF_THRESHOLD_CENTS = 100000;
+
+module.exports = { BOXES, INF_THRESHOLD_CENTS };
@@ -0,0 +1,77 @@
+// What each company membership role is allowed to do. Permissions are
+// checked by the authorizeCompany middleware.
+const ROLE_PERMISSIONS = {
+  owner: [
+    "company:read",
+    "company:update",
+    "company:archive",
+    "company:delete",
+    "members:read",
+    "members:invite",
+    "accounts:read",
+    "accounts:manage",
+    "journal:read",
+    "journal:write",
+    "reports:read",
+    "periods:read",
+    "periods:manage",
+    "invoices:read",
+    "invoices:write",
+    "bank:read",
+    "bank:write",
+    "bills:read",
+    "bills:write",
+    "bills:approve",
+    "periods:reopen",
+    "audit:read",
+  ],
+  accountant: [
+    "company:read",
+    "company:update",
+    "company:archive",
+    "members:read",
+    "accounts:read",
+    "accounts:manage",
+    "journal:read",
+    "journal:write",
+    "reports:read",
+    "periods:read",
+    "periods:manage",
+    "invoices:read",
+    "invoices:write",
+    "bank:read",
+    "bank:write",
+    "bills:read",
+    "bills:write",
+    "bills:approve",
+    "audit:read",
+  ],
+  viewer: [
+    "company:read",
+    "members:read",
+    "accounts:read",
+    "journal:read",
+    "reports:read",
+    "periods:read",
+    "invoices:read",
+    "bank:read",
+    "bills:read",
+  ],
+  auditor: [
+    "company:read",
+    "members:read",
+    "accounts:read",
+    "journal:read",
+    "reports:read",
+    "periods:read",
+    "invoices:read",
+    "bank:read",
+    "bills:read",
+    "audit:read",
+  ],
+};
+
+const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+module.exports = { ROLE_PERMISSIONS, hasPermission };
@@ -0,0 +1,12 @@
+// Accounts of the default chart of accounts that documents are posted to,
+// by role. Companies that renumber their chart need to keep these codes.
+module.exports = {
+  bank: "1020",
+  receivables: "1200",
+  inputVat: "1310",
+  payables: "2100",
+  outputVat: "2310",
+  retainedEarnings: "3030",
+  sales: "4000",
+  purchases: "5000",
+};
@@ -0,0 +1,21 @@
+// Number of reverse proxies in front of the app, read from TRUST_PROXY_HOPS.
+// Express takes the client IP from that many X-Forwarded-For entries, which
+// the per-IP rate limits and the session list rely on. Render puts one proxy
+// in front of the service, so production defaults to 1 and everything else
+// to 0 (the socket address is the client).
+const loadTrustProxyHops = (env = process.env) => {
+  const value = env.TRUST_PROXY_HOPS;
+  if (value === undefined || value === "") {
+    return env.NODE_ENV === "production" ? 1 : 0;
+  }
+
+  const hops = Number(value);
+  if (!Number.isInteger(hops) || hops < 0) {
+    throw new Error(
+      `TRUST_PROXY_HOPS must be a whole number of at least 0, got "${value}"`
+    );
+  }
+  return hops;
+};
+
+module.exports = { loadTrustProxyHops };
@@ -39,6 +39,21 @@ const options = {
             },
           },
         },
+        Account: {
+          type: "object",
+          properties: {
+            id: { type: "integer" },
+            companyId: { type: "integer" },
+            code: { type: "string", example: "1020" },
+            name: { type: "string", example: "Arvelduskonto" },
+            type: {
+              type: "string",
+              enum: ["asset", "liability", "equity", "revenue", "expense"],
+            },
+            parentId: { type: "integer", nullable: true },
+            isActive: { type: "boolean" },
+          },
+        },
       },
     },
   },
@@ -0,0 +1,101 @@
+// Estonian VAT rates seeded into the VatRate table. A rate change is a new
+// row with the date it takes effect; the previous row gets a validTo date.
+// kmdBox is the row of the KMD return the taxable amount is reported in.
+module.exports = [
+  {
+    code: "standard",
+    rate: "20.00",
+    validFrom: "2009-07-01",
+    validTo: "2023-12-31",
+    kmdBox: "1.2",
+    description: "Standard rate",
+  },
+  {
+    code: "standard",
+    rate: "22.00",
+    validFrom: "2024-01-01",
+    validTo: "2025-06-30",
+    kmdBox: "1.1",
+    description: "Standard rate",
+  },
+  {
+    code: "standard",
+    rate: "24.00",
+    validFrom: "2025-07-01",
+    validTo: null,
+    kmdBox: "1",
+    description: "Standard rate",
+  },
+  {
+    code: "reduced",
+    rate: "9.00",
+    validFrom: "2009-01-01",
+    validTo: null,
+    kmdBox: "2",
+    description: "Books, learning materials and medicines",
+  },
+  {
+    code: "accommodation",
+    rate: "9.00",
+    validFrom: "2009-01-01",
+    validTo: "2024-12-31",
+    kmdBox: "2",
+    description: "Accommodation services",
+  },
+  {
+    code: "accommodation",
+    rate: "13.00",
+    validFrom: "2025-01-01",
+    validTo: null,
+    kmdBox: "2.1",
+    description: "Accommodation services",
+  },
+  {
+    code: "press",
+    rate: "9.00",
+    validFrom: "2009-01-01",
+    validTo: "2024-12-31",
+    kmdBox: "2",
+    description: "Press publications",
+  },
+  {
+    code: "press",
+    rate: "5.00",
+    validFrom: "2025-01-01",
+    validTo: null,
+    kmdBox: "2.2",
+    description: "Press publications",
+  },
+  {
+    code: "zero_eu_goods",
+    rate: "0.00",
+    validFrom: "2004-05-01",
+    validTo: null,
+    kmdBox: "3.1.1",
+    description: "Intra-community supply of goods",
+  },
+  {
+    code: "zero_eu_services",
+    rate: "0.00",
+    validFrom: "2004-05-01",
+    validTo: null,
+    kmdBox: "3.1",
+    description: "Services to taxable persons in other EU member states",
+  },
+  {
+    code: "zero_export",
+    rate: "0.00",
+    validFrom: "2004-05-01",
+    validTo: null,
+    kmdBox: "3.2",
+    description: "Export of goods",
+  },
+  {
+    code: "exempt",
+    rate: "0.00",
+    validFrom: "2004-05-01",
+    validTo: null,
+    kmdBox: "8",
+    description: "Supplies exempt from VAT",
+  },
+];
@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Company = require('../models/Company');
+const CompanyMembership = require('../models/CompanyMembership');
+const { hasPermission } = require('../config/permissions');
+const { setRequestActor } = require('./requestContext');
 
 const authenticateToken = async (req, res, next) => {
   try {
@@ -14,6 +18,15 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Purpose-bound tokens (e.g. the 2FA login challenge) are signed with the
+    // same secret but must never work as access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid access token'
+      });
+    }
     
     // Find user and attach to request
     const user = await User.findOne({ where: { id: decoded.userId } });
@@ -25,8 +38,9 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Attach user to request object
+    // Attach user to request object, and to the audit trail's context
     req.user = user;
+    setRequestActor(user.id);
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -43,4 +57,74 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticateToken };
+// Must run after authenticateToken
+const requireAdmin = (req, res, next) => {
+  if (!req.user || !req.user.isAdmin) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required'
+    });
+  }
+
+  next();
+};
+
+// What can still be done to an archived company besides reading it
+const ARCHIVED_COMPANY_PERMISSIONS = ['company:archive', 'company:delete'];
+const READ_METHODS = ['GET', 'HEAD'];
+
+const isRead = (permission, req) =>
+  permission.endsWith(':read') || READ_METHODS.includes(req.method);
+
+/**
+ * Loads the company named by a route param and checks that the caller's
+ * membership grants `permission`. Attaches `req.company` and
+ * `req.membership`. Must run after authenticateToken.
+ *
+ * Callers without any membership get the same 404 as for a missing company,
+ * so company ids can't be probed. Archived companies are read-only: only
+ * restoring and deleting them is allowed.
+ */
+const authorizeCompany = (permission, { param = 'id' } = {}) => async (req, res, next) => {
+  try {
+    const companyId = Number(req.params[param]);
+
+    const membership = Number.isInteger(companyId) && await CompanyMembership.findOne({
+      where: { companyId, userId: req.user.id }
+    });
+    const company = membership && await Company.findByPk(companyId);
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    if (!hasPermission(membership.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+
+    if (
+      company.isArchived() &&
+      !isRead(permission, req) &&
+      !ARCHIVED_COMPANY_PERMISSIONS.includes(permission)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Archived companies can't be modified, restore it first"
+      });
+    }
+
+    req.company = company;
+    req.membership = membership;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { authenticateToken, requireAdmin, authorizeCompany };
@@ -0,0 +1,53 @@
+const rateLimit = require("express-rate-limit");
+
+const createLimiter = ({ windowMs, max, message, ...options }) =>
+  rateLimit({
+    windowMs,
+    max,
+    message: {
+      success: false,
+      message,
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    ...options,
+  });
+
+// Per-IP limiters for the unauthenticated auth endpoints. Built by a factory
+// so every app instance gets its own counters.
+const createAuthLimiters = () => ({
+  login: createLimiter({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,
+    message:
+      "Too many failed login attempts from this IP, please try again after 15 minutes",
+    // Only failed logins count, so an office sharing one IP isn't blocked
+    skipSuccessfulRequests: true,
+  }),
+  signup: createLimiter({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5,
+    message:
+      "Too many accounts created from this IP, please try again after an hour",
+  }),
+  forgotPassword: createLimiter({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5,
+    message:
+      "Too many password reset requests from this IP, please try again after an hour",
+  }),
+  resetPassword: createLimiter({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10,
+    message:
+      "Too many password reset attempts from this IP, please try again after an hour",
+  }),
+  unlockAccount: createLimiter({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10,
+    message:
+      "Too many unlock attempts from this IP, please try again after an hour",
+  }),
+});
+
+module.exports = { createLimiter, createAuthLimiters };
@@ -0,0 +1,36 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Request ID, caller IP and, once authenticated, the user of the request
+// being served, for code that has no `req` at hand such as model hooks
+const storage = new AsyncLocalStorage();
+
+// Caller-supplied IDs are kept when they look like an ID, so a request can
+// be followed from a proxy or the frontend into the audit trail
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+const requestContext = (req, res, next) => {
+  const header = req.get("X-Request-Id");
+  const context = {
+    requestId:
+      header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID(),
+    ipAddress: req.ip,
+    userId: null,
+  };
+
+  res.set("X-Request-Id", context.requestId);
+  storage.run(context, next);
+};
+
+// Context of the current request, or null outside of one (startup, workers)
+const getRequestContext = () => storage.getStore() || null;
+
+// Records who the current request acts for
+const setRequestActor = (userId) => {
+  const context = storage.getStore();
+  if (context) {
+    context.userId = userId;
+  }
+};
+
+module.exports = { requestContext, getRequestContext, setRequestActor };
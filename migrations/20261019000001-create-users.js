@@ -0,0 +1,63 @@
+// Users as sequelize.sync() created them before migrations existed. Later
+// columns are added in 20261019000017.
+module.exports = {
+  baseline: ["Users"],
+
+  up: (queryInterface, Sequelize) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable(
+        "Users",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          name: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          surname: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          personalIdCode: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            unique: true,
+          },
+          email: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            unique: true,
+          },
+          password: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          isVerified: {
+            type: Sequelize.BOOLEAN,
+            defaultValue: false,
+          },
+          verificationToken: {
+            type: Sequelize.STRING,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+    }),
+
+  down: (queryInterface) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable("Users", { transaction });
+    }),
+};
@@ -0,0 +1,56 @@
+// Companies as sequelize.sync() created them. userId is the creator; access
+// goes through CompanyMemberships. Later columns are added in 20261019000018.
+module.exports = {
+  baseline: ["Companies"],
+
+  up: (queryInterface, Sequelize) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable(
+        "Companies",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          name: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          registrationNumber: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            unique: true,
+          },
+          email: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          address: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          userId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Users", key: "id" },
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+    }),
+
+  down: (queryInterface) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable("Companies", { transaction });
+    }),
+};
@@ -0,0 +1,51 @@
+// Refresh tokens as sequelize.sync() created them. The session columns are
+// added in 20261019000016.
+module.exports = {
+  baseline: ["RefreshTokens"],
+
+  up: (queryInterface, Sequelize) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable(
+        "RefreshTokens",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          token: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            unique: true,
+          },
+          userId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+          },
+          expiresAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          isRevoked: {
+            type: Sequelize.BOOLEAN,
+            defaultValue: false,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+    }),
+
+  down: (queryInterface) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable("RefreshTokens", { transaction });
+    }),
+};
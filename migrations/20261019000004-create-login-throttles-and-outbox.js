@@ -0,0 +1,122 @@
+// Failed login counters per IP and email, and the queue of outgoing emails.
+module.exports = {
+  baseline: ["LoginThrottles", "OutboxMessages"],
+
+  up: (queryInterface, Sequelize) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable(
+        "LoginThrottles",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          email: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            unique: true,
+          },
+          failedAttempts: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+          },
+          lastFailedAt: {
+            type: Sequelize.DATE,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.createTable(
+        "OutboxMessages",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          to: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          template: {
+            type: Sequelize.STRING,
+          },
+          subject: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          text: {
+            type: Sequelize.TEXT,
+            allowNull: false,
+          },
+          html: {
+            type: Sequelize.TEXT,
+            allowNull: false,
+          },
+          status: {
+            type: Sequelize.ENUM("pending", "sent", "dead"),
+            allowNull: false,
+            defaultValue: "pending",
+          },
+          attempts: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+          },
+          nextAttemptAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          lastError: {
+            type: Sequelize.TEXT,
+          },
+          providerMessageId: {
+            type: Sequelize.STRING,
+          },
+          sentAt: {
+            type: Sequelize.DATE,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex(
+        "OutboxMessages",
+        ["status", "nextAttemptAt"],
+        {
+          name: "outbox_messages_status_next_attempt_at",
+          transaction,
+        }
+      );
+    }),
+
+  down: (queryInterface) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable("OutboxMessages", { transaction });
+      await queryInterface.dropTable("LoginThrottles", { transaction });
+      if (queryInterface.sequelize.getDialect() === "postgres") {
+        await queryInterface.dropEnum("enum_OutboxMessages_status", {
+          transaction,
+        });
+      }
+    }),
+};
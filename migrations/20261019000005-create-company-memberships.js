@@ -0,0 +1,123 @@
+// Company roles and pending invitations.
+module.exports = {
+  baseline: ["CompanyMemberships", "CompanyInvitations"],
+
+  up: (queryInterface, Sequelize) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable(
+        "CompanyMemberships",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          companyId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Companies", key: "id" },
+          },
+          userId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Users", key: "id" },
+          },
+          role: {
+            type: Sequelize.ENUM("owner", "accountant", "viewer", "auditor"),
+            allowNull: false,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex(
+        "CompanyMemberships",
+        ["companyId", "userId"],
+        {
+          name: "company_memberships_company_id_user_id",
+          unique: true,
+          transaction,
+        }
+      );
+      await queryInterface.createTable(
+        "CompanyInvitations",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          companyId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Companies", key: "id" },
+          },
+          email: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          role: {
+            type: Sequelize.ENUM("owner", "accountant", "viewer", "auditor"),
+            allowNull: false,
+          },
+          tokenHash: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            unique: true,
+          },
+          status: {
+            type: Sequelize.ENUM("pending", "accepted", "declined", "revoked"),
+            allowNull: false,
+            defaultValue: "pending",
+          },
+          invitedById: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Users", key: "id" },
+          },
+          expiresAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          respondedAt: {
+            type: Sequelize.DATE,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+    }),
+
+  down: (queryInterface) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable("CompanyInvitations", { transaction });
+      await queryInterface.dropTable("CompanyMemberships", { transaction });
+      if (queryInterface.sequelize.getDialect() === "postgres") {
+        await queryInterface.dropEnum("enum_CompanyMemberships_role", {
+          transaction,
+        });
+        await queryInterface.dropEnum("enum_CompanyInvitations_role", {
+          transaction,
+        });
+        await queryInterface.dropEnum("enum_CompanyInvitations_status", {
+          transaction,
+        });
+      }
+    }),
+};
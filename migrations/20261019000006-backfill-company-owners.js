@@ -0,0 +1,17 @@
+// Companies created before memberships existed only have a userId. Their
+// creator becomes the owner.
+module.exports = {
+  up: (queryInterface) =>
+    queryInterface.sequelize.query(`
+      INSERT INTO "CompanyMemberships" ("companyId", "userId", "role", "createdAt", "updatedAt")
+      SELECT c."id", c."userId", 'owner', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+      FROM "Companies" c
+      WHERE NOT EXISTS (
+        SELECT 1 FROM "CompanyMemberships" m
+        WHERE m."companyId" = c."id" AND m."userId" = c."userId"
+      )
+    `),
+
+  // The added owners can't be told apart from ones created since
+  down: async () => {},
+};
@@ -0,0 +1,218 @@
+// Chart of accounts and the journal.
+module.exports = {
+  baseline: ["Accounts", "JournalEntries", "JournalLines"],
+
+  up: (queryInterface, Sequelize) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable(
+        "Accounts",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          companyId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Companies", key: "id" },
+          },
+          code: {
+            type: Sequelize.STRING(20),
+            allowNull: false,
+          },
+          name: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          type: {
+            type: Sequelize.ENUM(
+              "asset",
+              "liability",
+              "equity",
+              "revenue",
+              "expense"
+            ),
+            allowNull: false,
+          },
+          parentId: {
+            type: Sequelize.INTEGER,
+            references: { model: "Accounts", key: "id" },
+          },
+          isActive: {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: true,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex("Accounts", ["companyId", "code"], {
+        name: "accounts_company_id_code",
+        unique: true,
+        transaction,
+      });
+      await queryInterface.createTable(
+        "JournalEntries",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          companyId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Companies", key: "id" },
+          },
+          entryNumber: {
+            type: Sequelize.INTEGER,
+          },
+          date: {
+            type: Sequelize.DATEONLY,
+            allowNull: false,
+          },
+          description: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          documentReference: {
+            type: Sequelize.STRING,
+          },
+          status: {
+            type: Sequelize.ENUM("draft", "posted"),
+            allowNull: false,
+            defaultValue: "draft",
+          },
+          createdBy: {
+            type: Sequelize.INTEGER,
+            references: { model: "Users", key: "id" },
+          },
+          postedAt: {
+            type: Sequelize.DATE,
+          },
+          postedBy: {
+            type: Sequelize.INTEGER,
+            references: { model: "Users", key: "id" },
+          },
+          reversalOfId: {
+            type: Sequelize.INTEGER,
+            references: { model: "JournalEntries", key: "id" },
+          },
+          reversedById: {
+            type: Sequelize.INTEGER,
+            references: { model: "JournalEntries", key: "id" },
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex("JournalEntries", ["companyId", "date"], {
+        name: "journal_entries_company_id_date",
+        transaction,
+      });
+      await queryInterface.addIndex(
+        "JournalEntries",
+        ["companyId", "entryNumber"],
+        {
+          name: "journal_entries_company_id_entry_number",
+          unique: true,
+          transaction,
+        }
+      );
+      await queryInterface.createTable(
+        "JournalLines",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          journalEntryId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "JournalEntries", key: "id" },
+          },
+          companyId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Companies", key: "id" },
+          },
+          accountId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Accounts", key: "id" },
+          },
+          lineNumber: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+          },
+          description: {
+            type: Sequelize.STRING,
+          },
+          debit: {
+            type: Sequelize.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0,
+          },
+          credit: {
+            type: Sequelize.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex("JournalLines", ["journalEntryId"], {
+        name: "journal_lines_journal_entry_id",
+        transaction,
+      });
+      await queryInterface.addIndex(
+        "JournalLines",
+        ["companyId", "accountId"],
+        {
+          name: "journal_lines_company_id_account_id",
+          transaction,
+        }
+      );
+    }),
+
+  down: (queryInterface) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable("JournalLines", { transaction });
+      await queryInterface.dropTable("JournalEntries", { transaction });
+      await queryInterface.dropTable("Accounts", { transaction });
+      if (queryInterface.sequelize.getDialect() === "postgres") {
+        await queryInterface.dropEnum("enum_Accounts_type", { transaction });
+        await queryInterface.dropEnum("enum_JournalEntries_status", {
+          transaction,
+        });
+      }
+    }),
+};
@@ -0,0 +1,191 @@
+// Fiscal years, their monthly periods and the close / re-open history.
+module.exports = {
+  baseline: ["FiscalYears", "AccountingPeriods", "PeriodStatusChanges"],
+
+  up: (queryInterface, Sequelize) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable(
+        "FiscalYears",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          companyId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Companies", key: "id" },
+          },
+          startDate: {
+            type: Sequelize.DATEONLY,
+            allowNull: false,
+          },
+          endDate: {
+            type: Sequelize.DATEONLY,
+            allowNull: false,
+          },
+          status: {
+            type: Sequelize.ENUM("open", "closed"),
+            allowNull: false,
+            defaultValue: "open",
+          },
+          closedAt: {
+            type: Sequelize.DATE,
+          },
+          closedBy: {
+            type: Sequelize.INTEGER,
+            references: { model: "Users", key: "id" },
+          },
+          closingEntryId: {
+            type: Sequelize.INTEGER,
+            references: { model: "JournalEntries", key: "id" },
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex("FiscalYears", ["companyId", "startDate"], {
+        name: "fiscal_years_company_id_start_date",
+        unique: true,
+        transaction,
+      });
+      await queryInterface.createTable(
+        "AccountingPeriods",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          companyId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Companies", key: "id" },
+          },
+          fiscalYearId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "FiscalYears", key: "id" },
+          },
+          startDate: {
+            type: Sequelize.DATEONLY,
+            allowNull: false,
+          },
+          endDate: {
+            type: Sequelize.DATEONLY,
+            allowNull: false,
+          },
+          status: {
+            type: Sequelize.ENUM("open", "closed"),
+            allowNull: false,
+            defaultValue: "open",
+          },
+          closedAt: {
+            type: Sequelize.DATE,
+          },
+          closedBy: {
+            type: Sequelize.INTEGER,
+            references: { model: "Users", key: "id" },
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex("AccountingPeriods", ["fiscalYearId"], {
+        name: "accounting_periods_fiscal_year_id",
+        transaction,
+      });
+      await queryInterface.addIndex(
+        "AccountingPeriods",
+        ["companyId", "startDate", "endDate"],
+        {
+          name: "accounting_periods_company_id_start_date_end_date",
+          transaction,
+        }
+      );
+      await queryInterface.createTable(
+        "PeriodStatusChanges",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          companyId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Companies", key: "id" },
+          },
+          fiscalYearId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "FiscalYears", key: "id" },
+          },
+          accountingPeriodId: {
+            type: Sequelize.INTEGER,
+            references: { model: "AccountingPeriods", key: "id" },
+          },
+          action: {
+            type: Sequelize.ENUM("closed", "reopened"),
+            allowNull: false,
+          },
+          reason: {
+            type: Sequelize.TEXT,
+          },
+          userId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Users", key: "id" },
+          },
+          ipAddress: {
+            type: Sequelize.STRING,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex("PeriodStatusChanges", ["fiscalYearId"], {
+        name: "period_status_changes_fiscal_year_id",
+        transaction,
+      });
+    }),
+
+  down: (queryInterface) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable("PeriodStatusChanges", { transaction });
+      await queryInterface.dropTable("AccountingPeriods", { transaction });
+      await queryInterface.dropTable("FiscalYears", { transaction });
+      if (queryInterface.sequelize.getDialect() === "postgres") {
+        await queryInterface.dropEnum("enum_FiscalYears_status", {
+          transaction,
+        });
+        await queryInterface.dropEnum("enum_AccountingPeriods_status", {
+          transaction,
+        });
+        await queryInterface.dropEnum("enum_PeriodStatusChanges_action", {
+          transaction,
+        });
+      }
+    }),
+};
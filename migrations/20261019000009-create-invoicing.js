@@ -0,0 +1,345 @@
+// Customers, numbering series and sales invoices. Invoice payment entries
+// and line VAT codes are added in 20261019000019.
+module.exports = {
+  baseline: ["Customers", "InvoiceSeries", "Invoices", "InvoiceLines"],
+
+  up: (queryInterface, Sequelize) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable(
+        "Customers",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          companyId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Companies", key: "id" },
+          },
+          name: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          registrationNumber: {
+            type: Sequelize.STRING,
+          },
+          vatNumber: {
+            type: Sequelize.STRING,
+          },
+          email: {
+            type: Sequelize.STRING,
+          },
+          address: {
+            type: Sequelize.STRING,
+          },
+          countryCode: {
+            type: Sequelize.STRING(2),
+            allowNull: false,
+            defaultValue: "EE",
+          },
+          paymentTermDays: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 14,
+          },
+          isActive: {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: true,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex("Customers", ["companyId", "name"], {
+        name: "customers_company_id_name",
+        transaction,
+      });
+      await queryInterface.createTable(
+        "InvoiceSeries",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          companyId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Companies", key: "id" },
+          },
+          name: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          documentType: {
+            type: Sequelize.ENUM("invoice", "credit_note"),
+            allowNull: false,
+            defaultValue: "invoice",
+          },
+          prefix: {
+            type: Sequelize.STRING(20),
+            allowNull: false,
+            defaultValue: "",
+          },
+          padding: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 4,
+          },
+          nextNumber: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 1,
+          },
+          isDefault: {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex("InvoiceSeries", ["companyId", "prefix"], {
+        name: "invoice_series_company_id_prefix",
+        unique: true,
+        transaction,
+      });
+      await queryInterface.createTable(
+        "Invoices",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          companyId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Companies", key: "id" },
+          },
+          type: {
+            type: Sequelize.ENUM("invoice", "credit_note"),
+            allowNull: false,
+            defaultValue: "invoice",
+          },
+          status: {
+            type: Sequelize.ENUM("draft", "issued", "paid", "credited"),
+            allowNull: false,
+            defaultValue: "draft",
+          },
+          customerId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Customers", key: "id" },
+          },
+          seriesId: {
+            type: Sequelize.INTEGER,
+            references: { model: "InvoiceSeries", key: "id" },
+          },
+          number: {
+            type: Sequelize.STRING,
+          },
+          issueDate: {
+            type: Sequelize.DATEONLY,
+            allowNull: false,
+          },
+          dueDate: {
+            type: Sequelize.DATEONLY,
+            allowNull: false,
+          },
+          currency: {
+            type: Sequelize.STRING(3),
+            allowNull: false,
+            defaultValue: "EUR",
+          },
+          referenceNumber: {
+            type: Sequelize.STRING,
+          },
+          notes: {
+            type: Sequelize.TEXT,
+          },
+          customerName: {
+            type: Sequelize.STRING,
+          },
+          customerAddress: {
+            type: Sequelize.STRING,
+          },
+          customerRegistrationNumber: {
+            type: Sequelize.STRING,
+          },
+          customerVatNumber: {
+            type: Sequelize.STRING,
+          },
+          netTotal: {
+            type: Sequelize.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0,
+          },
+          vatTotal: {
+            type: Sequelize.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0,
+          },
+          total: {
+            type: Sequelize.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0,
+          },
+          creditedInvoiceId: {
+            type: Sequelize.INTEGER,
+            references: { model: "Invoices", key: "id" },
+          },
+          journalEntryId: {
+            type: Sequelize.INTEGER,
+            references: { model: "JournalEntries", key: "id" },
+          },
+          createdBy: {
+            type: Sequelize.INTEGER,
+            references: { model: "Users", key: "id" },
+          },
+          issuedAt: {
+            type: Sequelize.DATE,
+          },
+          issuedBy: {
+            type: Sequelize.INTEGER,
+            references: { model: "Users", key: "id" },
+          },
+          paidAt: {
+            type: Sequelize.DATEONLY,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex("Invoices", ["companyId", "issueDate"], {
+        name: "invoices_company_id_issue_date",
+        transaction,
+      });
+      await queryInterface.addIndex("Invoices", ["customerId"], {
+        name: "invoices_customer_id",
+        transaction,
+      });
+      await queryInterface.addIndex("Invoices", ["companyId", "number"], {
+        name: "invoices_company_id_number",
+        unique: true,
+        transaction,
+      });
+      await queryInterface.createTable(
+        "InvoiceLines",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          invoiceId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Invoices", key: "id" },
+          },
+          companyId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Companies", key: "id" },
+          },
+          lineNumber: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+          },
+          description: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          quantity: {
+            type: Sequelize.DECIMAL(15, 3),
+            allowNull: false,
+          },
+          unit: {
+            type: Sequelize.STRING(20),
+          },
+          unitPrice: {
+            type: Sequelize.DECIMAL(15, 2),
+            allowNull: false,
+          },
+          vatRate: {
+            type: Sequelize.DECIMAL(5, 2),
+            allowNull: false,
+          },
+          accountId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Accounts", key: "id" },
+          },
+          netAmount: {
+            type: Sequelize.DECIMAL(15, 2),
+            allowNull: false,
+          },
+          vatAmount: {
+            type: Sequelize.DECIMAL(15, 2),
+            allowNull: false,
+          },
+          totalAmount: {
+            type: Sequelize.DECIMAL(15, 2),
+            allowNull: false,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex("InvoiceLines", ["invoiceId"], {
+        name: "invoice_lines_invoice_id",
+        transaction,
+      });
+    }),
+
+  down: (queryInterface) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable("InvoiceLines", { transaction });
+      await queryInterface.dropTable("Invoices", { transaction });
+      await queryInterface.dropTable("InvoiceSeries", { transaction });
+      await queryInterface.dropTable("Customers", { transaction });
+      if (queryInterface.sequelize.getDialect() === "postgres") {
+        await queryInterface.dropEnum("enum_InvoiceSeries_documentType", {
+          transaction,
+        });
+        await queryInterface.dropEnum("enum_Invoices_type", { transaction });
+        await queryInterface.dropEnum("enum_Invoices_status", { transaction });
+      }
+    }),
+};
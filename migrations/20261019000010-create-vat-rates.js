@@ -0,0 +1,60 @@
+// VAT rates. Rows come from config/vatRates.js, see VatRate.seedDefaults.
+module.exports = {
+  baseline: ["VatRates"],
+
+  up: (queryInterface, Sequelize) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable(
+        "VatRates",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          code: {
+            type: Sequelize.STRING(30),
+            allowNull: false,
+          },
+          rate: {
+            type: Sequelize.DECIMAL(5, 2),
+            allowNull: false,
+          },
+          validFrom: {
+            type: Sequelize.DATEONLY,
+            allowNull: false,
+          },
+          validTo: {
+            type: Sequelize.DATEONLY,
+          },
+          kmdBox: {
+            type: Sequelize.STRING(10),
+            allowNull: false,
+          },
+          description: {
+            type: Sequelize.STRING,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex("VatRates", ["code", "validFrom"], {
+        name: "vat_rates_code_valid_from",
+        unique: true,
+        transaction,
+      });
+    }),
+
+  down: (queryInterface) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable("VatRates", { transaction });
+    }),
+};
@@ -0,0 +1,215 @@
+// Imported bank statements and their transactions.
+module.exports = {
+  baseline: ["BankStatements", "BankTransactions"],
+
+  up: (queryInterface, Sequelize) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable(
+        "BankStatements",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          companyId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Companies", key: "id" },
+          },
+          accountId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Accounts", key: "id" },
+          },
+          format: {
+            type: Sequelize.ENUM(
+              "camt053",
+              "swedbank_csv",
+              "seb_csv",
+              "lhv_csv"
+            ),
+            allowNull: false,
+          },
+          fileName: {
+            type: Sequelize.STRING,
+          },
+          iban: {
+            type: Sequelize.STRING(34),
+          },
+          fromDate: {
+            type: Sequelize.DATEONLY,
+          },
+          toDate: {
+            type: Sequelize.DATEONLY,
+          },
+          openingBalance: {
+            type: Sequelize.DECIMAL(15, 2),
+          },
+          closingBalance: {
+            type: Sequelize.DECIMAL(15, 2),
+          },
+          transactionCount: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+          },
+          importedCount: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+          },
+          importedBy: {
+            type: Sequelize.INTEGER,
+            references: { model: "Users", key: "id" },
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex(
+        "BankStatements",
+        ["companyId", "createdAt"],
+        {
+          name: "bank_statements_company_id_created_at",
+          transaction,
+        }
+      );
+      await queryInterface.createTable(
+        "BankTransactions",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          companyId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Companies", key: "id" },
+          },
+          statementId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "BankStatements", key: "id" },
+          },
+          accountId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Accounts", key: "id" },
+          },
+          iban: {
+            type: Sequelize.STRING(34),
+          },
+          externalId: {
+            type: Sequelize.STRING(100),
+            allowNull: false,
+          },
+          bookingDate: {
+            type: Sequelize.DATEONLY,
+            allowNull: false,
+          },
+          amount: {
+            type: Sequelize.DECIMAL(15, 2),
+            allowNull: false,
+          },
+          currency: {
+            type: Sequelize.STRING(3),
+            allowNull: false,
+            defaultValue: "EUR",
+          },
+          counterpartyName: {
+            type: Sequelize.STRING,
+          },
+          counterpartyIban: {
+            type: Sequelize.STRING(34),
+          },
+          referenceNumber: {
+            type: Sequelize.STRING(20),
+          },
+          description: {
+            type: Sequelize.TEXT,
+          },
+          status: {
+            type: Sequelize.ENUM("unmatched", "matched"),
+            allowNull: false,
+            defaultValue: "unmatched",
+          },
+          invoiceId: {
+            type: Sequelize.INTEGER,
+            references: { model: "Invoices", key: "id" },
+          },
+          journalEntryId: {
+            type: Sequelize.INTEGER,
+            references: { model: "JournalEntries", key: "id" },
+          },
+          matchType: {
+            type: Sequelize.ENUM("auto", "manual"),
+          },
+          matchedAt: {
+            type: Sequelize.DATE,
+          },
+          matchedBy: {
+            type: Sequelize.INTEGER,
+            references: { model: "Users", key: "id" },
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex(
+        "BankTransactions",
+        ["companyId", "bookingDate"],
+        {
+          name: "bank_transactions_company_id_booking_date",
+          transaction,
+        }
+      );
+      await queryInterface.addIndex("BankTransactions", ["statementId"], {
+        name: "bank_transactions_statement_id",
+        transaction,
+      });
+      await queryInterface.addIndex(
+        "BankTransactions",
+        ["companyId", "accountId", "externalId"],
+        {
+          name: "bank_transactions_company_id_account_id_external_id",
+          unique: true,
+          transaction,
+        }
+      );
+    }),
+
+  down: (queryInterface) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable("BankTransactions", { transaction });
+      await queryInterface.dropTable("BankStatements", { transaction });
+      if (queryInterface.sequelize.getDialect() === "postgres") {
+        await queryInterface.dropEnum("enum_BankStatements_format", {
+          transaction,
+        });
+        await queryInterface.dropEnum("enum_BankTransactions_status", {
+          transaction,
+        });
+        await queryInterface.dropEnum("enum_BankTransactions_matchType", {
+          transaction,
+        });
+      }
+    }),
+};
@@ -0,0 +1,363 @@
+// Suppliers and purchase bills with lines and attachments.
+module.exports = {
+  baseline: ["Suppliers", "Bills", "BillLines", "BillAttachments"],
+
+  up: (queryInterface, Sequelize) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable(
+        "Suppliers",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          companyId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Companies", key: "id" },
+          },
+          name: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          registrationNumber: {
+            type: Sequelize.STRING,
+          },
+          vatNumber: {
+            type: Sequelize.STRING,
+          },
+          email: {
+            type: Sequelize.STRING,
+          },
+          address: {
+            type: Sequelize.STRING,
+          },
+          countryCode: {
+            type: Sequelize.STRING(2),
+            allowNull: false,
+            defaultValue: "EE",
+          },
+          iban: {
+            type: Sequelize.STRING(34),
+          },
+          paymentTermDays: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 14,
+          },
+          isActive: {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: true,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex("Suppliers", ["companyId", "name"], {
+        name: "suppliers_company_id_name",
+        transaction,
+      });
+      await queryInterface.createTable(
+        "Bills",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          companyId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Companies", key: "id" },
+          },
+          type: {
+            type: Sequelize.ENUM("bill", "credit_note"),
+            allowNull: false,
+            defaultValue: "bill",
+          },
+          status: {
+            type: Sequelize.ENUM("draft", "approved", "rejected", "paid"),
+            allowNull: false,
+            defaultValue: "draft",
+          },
+          source: {
+            type: Sequelize.ENUM("manual", "e_invoice", "ubl"),
+            allowNull: false,
+            defaultValue: "manual",
+          },
+          supplierId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Suppliers", key: "id" },
+          },
+          number: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          issueDate: {
+            type: Sequelize.DATEONLY,
+            allowNull: false,
+          },
+          dueDate: {
+            type: Sequelize.DATEONLY,
+            allowNull: false,
+          },
+          currency: {
+            type: Sequelize.STRING(3),
+            allowNull: false,
+            defaultValue: "EUR",
+          },
+          referenceNumber: {
+            type: Sequelize.STRING,
+          },
+          payToIban: {
+            type: Sequelize.STRING(34),
+          },
+          notes: {
+            type: Sequelize.TEXT,
+          },
+          supplierName: {
+            type: Sequelize.STRING,
+          },
+          supplierRegistrationNumber: {
+            type: Sequelize.STRING,
+          },
+          supplierVatNumber: {
+            type: Sequelize.STRING,
+          },
+          netTotal: {
+            type: Sequelize.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0,
+          },
+          vatTotal: {
+            type: Sequelize.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0,
+          },
+          total: {
+            type: Sequelize.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0,
+          },
+          journalEntryId: {
+            type: Sequelize.INTEGER,
+            references: { model: "JournalEntries", key: "id" },
+          },
+          createdBy: {
+            type: Sequelize.INTEGER,
+            references: { model: "Users", key: "id" },
+          },
+          approvedAt: {
+            type: Sequelize.DATE,
+          },
+          approvedBy: {
+            type: Sequelize.INTEGER,
+            references: { model: "Users", key: "id" },
+          },
+          rejectedAt: {
+            type: Sequelize.DATE,
+          },
+          rejectedBy: {
+            type: Sequelize.INTEGER,
+            references: { model: "Users", key: "id" },
+          },
+          rejectionReason: {
+            type: Sequelize.TEXT,
+          },
+          paidAt: {
+            type: Sequelize.DATEONLY,
+          },
+          paymentEntryId: {
+            type: Sequelize.INTEGER,
+            references: { model: "JournalEntries", key: "id" },
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex("Bills", ["companyId", "issueDate"], {
+        name: "bills_company_id_issue_date",
+        transaction,
+      });
+      await queryInterface.addIndex(
+        "Bills",
+        ["companyId", "status", "dueDate"],
+        {
+          name: "bills_company_id_status_due_date",
+          transaction,
+        }
+      );
+      await queryInterface.addIndex(
+        "Bills",
+        ["companyId", "supplierId", "number"],
+        {
+          name: "bills_company_id_supplier_id_number",
+          unique: true,
+          transaction,
+        }
+      );
+      await queryInterface.createTable(
+        "BillLines",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          billId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Bills", key: "id" },
+          },
+          companyId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Companies", key: "id" },
+          },
+          lineNumber: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+          },
+          description: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          quantity: {
+            type: Sequelize.DECIMAL(15, 3),
+            allowNull: false,
+          },
+          unit: {
+            type: Sequelize.STRING(20),
+          },
+          unitPrice: {
+            type: Sequelize.DECIMAL(15, 4),
+            allowNull: false,
+          },
+          vatCode: {
+            type: Sequelize.STRING(30),
+          },
+          vatRate: {
+            type: Sequelize.DECIMAL(5, 2),
+            allowNull: false,
+          },
+          accountId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Accounts", key: "id" },
+          },
+          netAmount: {
+            type: Sequelize.DECIMAL(15, 2),
+            allowNull: false,
+          },
+          vatAmount: {
+            type: Sequelize.DECIMAL(15, 2),
+            allowNull: false,
+          },
+          totalAmount: {
+            type: Sequelize.DECIMAL(15, 2),
+            allowNull: false,
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex("BillLines", ["billId"], {
+        name: "bill_lines_bill_id",
+        transaction,
+      });
+      await queryInterface.createTable(
+        "BillAttachments",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          billId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Bills", key: "id" },
+          },
+          companyId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: "Companies", key: "id" },
+          },
+          fileName: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          contentType: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          size: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+          },
+          content: {
+            type: Sequelize.BLOB,
+            allowNull: false,
+          },
+          uploadedBy: {
+            type: Sequelize.INTEGER,
+            references: { model: "Users", key: "id" },
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex("BillAttachments", ["billId"], {
+        name: "bill_attachments_bill_id",
+        transaction,
+      });
+    }),
+
+  down: (queryInterface) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable("BillAttachments", { transaction });
+      await queryInterface.dropTable("BillLines", { transaction });
+      await queryInterface.dropTable("Bills", { transaction });
+      await queryInterface.dropTable("Suppliers", { transaction });
+      if (queryInterface.sequelize.getDialect() === "postgres") {
+        await queryInterface.dropEnum("enum_Bills_type", { transaction });
+        await queryInterface.dropEnum("enum_Bills_status", { transaction });
+        await queryInterface.dropEnum("enum_Bills_source", { transaction });
+      }
+    }),
+};
@@ -0,0 +1,74 @@
+// The audit trail, see models/AuditEvent.js.
+module.exports = {
+  baseline: ["AuditEvents"],
+
+  up: (queryInterface, Sequelize) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable(
+        "AuditEvents",
+        {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+            allowNull: false,
+          },
+          companyId: {
+            type: Sequelize.INTEGER,
+          },
+          actorId: {
+            type: Sequelize.INTEGER,
+          },
+          action: {
+            type: Sequelize.ENUM("create", "update", "delete"),
+            allowNull: false,
+          },
+          entityType: {
+            type: Sequelize.STRING,
+            allowNull: false,
+          },
+          entityId: {
+            type: Sequelize.STRING,
+          },
+          changes: {
+            type: Sequelize.JSON,
+            allowNull: false,
+            defaultValue: {},
+          },
+          ipAddress: {
+            type: Sequelize.STRING,
+          },
+          requestId: {
+            type: Sequelize.STRING(100),
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+          },
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex("AuditEvents", ["companyId", "createdAt"], {
+        name: "audit_events_company_id_created_at",
+        transaction,
+      });
+      await queryInterface.addIndex("AuditEvents", ["entityType", "entityId"], {
+        name: "audit_events_entity_type_entity_id",
+        transaction,
+      });
+      await queryInterface.addIndex("AuditEvents", ["requestId"], {
+        name: "audit_events_request_id",
+        transaction,
+      });
+    }),
+
+  down: (queryInterface) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable("AuditEvents", { transaction });
+      if (queryInterface.sequelize.getDialect() === "postgres") {
+        await queryInterface.dropEnum("enum_AuditEvents_action", {
+          transaction,
+        });
+      }
+    }),
+};
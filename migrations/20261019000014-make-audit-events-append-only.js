@@ -0,0 +1,43 @@
+// The AuditEvent model refuses updates and deletes; on Postgres the table
+// refuses them too, so the trail can't be edited with plain SQL either.
+module.exports = {
+  up: async (queryInterface) => {
+    if (queryInterface.sequelize.getDialect() !== "postgres") {
+      return;
+    }
+
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.sequelize.query(
+        `CREATE FUNCTION audit_events_refuse_change() RETURNS trigger AS $$
+        BEGIN
+          RAISE EXCEPTION 'Audit events can''t be modified';
+        END;
+        $$ LANGUAGE plpgsql`,
+        { transaction }
+      );
+      await queryInterface.sequelize.query(
+        `CREATE TRIGGER audit_events_append_only
+        BEFORE UPDATE OR DELETE OR TRUNCATE ON "AuditEvents"
+        FOR EACH STATEMENT EXECUTE FUNCTION audit_events_refuse_change()`,
+        { transaction }
+      );
+    });
+  },
+
+  down: async (queryInterface) => {
+    if (queryInterface.sequelize.getDialect() !== "postgres") {
+      return;
+    }
+
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.sequelize.query(
+        `DROP TRIGGER audit_events_append_only ON "AuditEvents"`,
+        { transaction }
+      );
+      await queryInterface.sequelize.query(
+        "DROP FUNCTION audit_events_refuse_change()",
+        { transaction }
+      );
+    });
+  },
+};
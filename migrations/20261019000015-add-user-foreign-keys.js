@@ -0,0 +1,111 @@
+// Refresh tokens get a foreign key to their user, and both tokens and
+// company memberships are deleted with the user. See models/index.js.
+const usersKey = (onDelete) => ({
+  type: "foreign key",
+  references: { table: "Users", field: "id" },
+  onDelete,
+  onUpdate: "CASCADE",
+});
+
+// Postgres: the key declared in 20261019000005 has Postgres' default
+// constraint name. SQLite can't alter a foreign key; the table is rebuilt.
+const setMembershipUserKey = async (queryInterface, Sequelize, onDelete) =>
+  queryInterface.sequelize.transaction(async (transaction) => {
+    if (queryInterface.sequelize.getDialect() === "postgres") {
+      await queryInterface.removeConstraint(
+        "CompanyMemberships",
+        "CompanyMemberships_userId_fkey",
+        { transaction }
+      );
+      await queryInterface.addConstraint("CompanyMemberships", {
+        fields: ["userId"],
+        name: "CompanyMemberships_userId_fkey",
+        ...usersKey(onDelete),
+        transaction,
+      });
+      return;
+    }
+
+    await queryInterface.createTable(
+      "CompanyMemberships_new",
+      {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+        },
+        companyId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: "Companies", key: "id" },
+        },
+        userId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: "Users", key: "id" },
+          onDelete,
+          onUpdate: "CASCADE",
+        },
+        role: {
+          type: Sequelize.ENUM("owner", "accountant", "viewer", "auditor"),
+          allowNull: false,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      },
+      { transaction }
+    );
+    await queryInterface.sequelize.query(
+      `INSERT INTO "CompanyMemberships_new"
+      SELECT "id", "companyId", "userId", "role", "createdAt", "updatedAt"
+      FROM "CompanyMemberships"`,
+      { transaction }
+    );
+    await queryInterface.dropTable("CompanyMemberships", { transaction });
+    await queryInterface.renameTable(
+      "CompanyMemberships_new",
+      "CompanyMemberships",
+      { transaction }
+    );
+    await queryInterface.addIndex(
+      "CompanyMemberships",
+      ["companyId", "userId"],
+      {
+        name: "company_memberships_company_id_user_id",
+        unique: true,
+        transaction,
+      }
+    );
+  });
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Tokens of users deleted before there was a key to stop it
+    await queryInterface.sequelize.query(
+      `DELETE FROM "RefreshTokens"
+      WHERE "userId" NOT IN (SELECT "id" FROM "Users")`
+    );
+    await queryInterface.addConstraint("RefreshTokens", {
+      fields: ["userId"],
+      name: "RefreshTokens_userId_fkey",
+      ...usersKey("CASCADE"),
+    });
+
+    await setMembershipUserKey(queryInterface, Sequelize, "CASCADE");
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await setMembershipUserKey(queryInterface, Sequelize, "NO ACTION");
+    await queryInterface.removeConstraint(
+      "RefreshTokens",
+      "RefreshTokens_userId_fkey"
+    );
+  },
+};
@@ -0,0 +1,92 @@
+const crypto = require("crypto");
+const {
+  addMissingColumns,
+  removeColumns,
+} = require("../utils/migrationColumns");
+
+// Session metadata and token families of refresh tokens. Existing tokens
+// become sessions of their own, signed in when they were issued.
+const COLUMNS = [
+  "familyId",
+  "userAgent",
+  "ipAddress",
+  "deviceLabel",
+  "signedInAt",
+  "lastUsedAt",
+];
+
+module.exports = {
+  up: (queryInterface, Sequelize) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      const added = await addMissingColumns(
+        queryInterface,
+        "RefreshTokens",
+        {
+          familyId: {
+            type: Sequelize.UUID,
+          },
+          userAgent: {
+            type: Sequelize.STRING(512),
+          },
+          ipAddress: {
+            type: Sequelize.STRING,
+          },
+          deviceLabel: {
+            type: Sequelize.STRING,
+          },
+          signedInAt: {
+            type: Sequelize.DATE,
+          },
+          lastUsedAt: {
+            type: Sequelize.DATE,
+          },
+        },
+        { transaction }
+      );
+      if (added.length === 0) {
+        return;
+      }
+
+      await queryInterface.sequelize.query(
+        `UPDATE "RefreshTokens"
+        SET "signedInAt" = "createdAt", "lastUsedAt" = "updatedAt"
+        WHERE "signedInAt" IS NULL`,
+        { transaction }
+      );
+      const [tokens] = await queryInterface.sequelize.query(
+        `SELECT "id" FROM "RefreshTokens" WHERE "familyId" IS NULL`,
+        { transaction }
+      );
+      for (const { id } of tokens) {
+        await queryInterface.bulkUpdate(
+          "RefreshTokens",
+          { familyId: crypto.randomUUID() },
+          { id },
+          { transaction }
+        );
+      }
+
+      // SQLite can only add a NOT NULL column with a constant default; the
+      // model requires the values there
+      if (queryInterface.sequelize.getDialect() !== "postgres") {
+        return;
+      }
+      for (const [name, type] of [
+        ["familyId", Sequelize.UUID],
+        ["signedInAt", Sequelize.DATE],
+        ["lastUsedAt", Sequelize.DATE],
+      ]) {
+        await queryInterface.changeColumn(
+          "RefreshTokens",
+          name,
+          { type, allowNull: false },
+          { transaction }
+        );
+      }
+    }),
+
+  down: (queryInterface) =>
+    queryInterface.sequelize.transaction((transaction) =>
+      removeColumns(queryInterface, "RefreshTokens", COLUMNS, { transaction })
+    ),
+};
@@ -0,0 +1,74 @@
+const {
+  addMissingColumns,
+  removeColumns,
+} = require("../utils/migrationColumns");
+
+// Two-factor authentication, login lockout, email language and the admin
+// flag of users.
+const COLUMNS = [
+  "twoFactorEnabled",
+  "twoFactorSecret",
+  "twoFactorLastStep",
+  "twoFactorRecoveryCodes",
+  "failedLoginAttempts",
+  "lastFailedLoginAt",
+  "lockedUntil",
+  "unlockToken",
+  "locale",
+  "isAdmin",
+];
+
+module.exports = {
+  up: (queryInterface, Sequelize) =>
+    queryInterface.sequelize.transaction((transaction) =>
+      addMissingColumns(
+        queryInterface,
+        "Users",
+        {
+          twoFactorEnabled: {
+            type: Sequelize.BOOLEAN,
+            defaultValue: false,
+          },
+          twoFactorSecret: {
+            type: Sequelize.STRING,
+          },
+          twoFactorLastStep: {
+            type: Sequelize.BIGINT,
+          },
+          twoFactorRecoveryCodes: {
+            type: Sequelize.JSON,
+          },
+          failedLoginAttempts: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+          },
+          lastFailedLoginAt: {
+            type: Sequelize.DATE,
+          },
+          lockedUntil: {
+            type: Sequelize.DATE,
+          },
+          unlockToken: {
+            type: Sequelize.STRING,
+          },
+          locale: {
+            type: Sequelize.STRING(2),
+            allowNull: false,
+            defaultValue: "et",
+          },
+          isAdmin: {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+          },
+        },
+        { transaction }
+      )
+    ),
+
+  down: (queryInterface) =>
+    queryInterface.sequelize.transaction((transaction) =>
+      removeColumns(queryInterface, "Users", COLUMNS, { transaction })
+    ),
+};
@@ -0,0 +1,37 @@
+const {
+  addMissingColumns,
+  removeColumns,
+} = require("../utils/migrationColumns");
+
+// Archiving and the fiscal year start of companies.
+const COLUMNS = ["archivedAt", "archivedBy", "fiscalYearStartMonth"];
+
+module.exports = {
+  up: (queryInterface, Sequelize) =>
+    queryInterface.sequelize.transaction((transaction) =>
+      addMissingColumns(
+        queryInterface,
+        "Companies",
+        {
+          archivedAt: {
+            type: Sequelize.DATE,
+          },
+          archivedBy: {
+            type: Sequelize.INTEGER,
+            references: { model: "Users", key: "id" },
+          },
+          fiscalYearStartMonth: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 1,
+          },
+        },
+        { transaction }
+      )
+    ),
+
+  down: (queryInterface) =>
+    queryInterface.sequelize.transaction((transaction) =>
+      removeColumns(queryInterface, "Companies", COLUMNS, { transaction })
+    ),
+};
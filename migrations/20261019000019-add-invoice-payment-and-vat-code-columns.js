@@ -0,0 +1,43 @@
+const {
+  addMissingColumns,
+  removeColumns,
+} = require("../utils/migrationColumns");
+
+// VAT codes of invoice lines, which decide their KMD box, and the journal
+// entry of an invoice's payment.
+module.exports = {
+  up: (queryInterface, Sequelize) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await addMissingColumns(
+        queryInterface,
+        "InvoiceLines",
+        {
+          vatCode: {
+            type: Sequelize.STRING(30),
+          },
+        },
+        { transaction }
+      );
+      await addMissingColumns(
+        queryInterface,
+        "Invoices",
+        {
+          paymentEntryId: {
+            type: Sequelize.INTEGER,
+            references: { model: "JournalEntries", key: "id" },
+          },
+        },
+        { transaction }
+      );
+    }),
+
+  down: (queryInterface) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await removeColumns(queryInterface, "Invoices", ["paymentEntryId"], {
+        transaction,
+      });
+      await removeColumns(queryInterface, "InvoiceLines", ["vatCode"], {
+        transaction,
+      });
+    }),
+};
@@ -0,0 +1,29 @@
+const {
+  addMissingColumns,
+  removeColumns,
+} = require("../utils/migrationColumns");
+
+// Claims of outbox messages by the worker delivering them, see
+// services/mail/outboxWorker.js.
+module.exports = {
+  up: (queryInterface, Sequelize) =>
+    queryInterface.sequelize.transaction((transaction) =>
+      addMissingColumns(
+        queryInterface,
+        "OutboxMessages",
+        {
+          lockedUntil: {
+            type: Sequelize.DATE,
+          },
+        },
+        { transaction }
+      )
+    ),
+
+  down: (queryInterface) =>
+    queryInterface.sequelize.transaction((transaction) =>
+      removeColumns(queryInterface, "OutboxMessages", ["lockedUntil"], {
+        transaction,
+      })
+    ),
+};
@@ -0,0 +1,33 @@
+// At most one default numbering series per company and document type. Two
+// invoices issued at once used to be able to create a default series each;
+// the extra ones are demoted before the index is added.
+module.exports = {
+  up: (queryInterface) =>
+    queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.sequelize.query(
+        `UPDATE "InvoiceSeries" SET "isDefault" = false
+        WHERE "isDefault" = true AND "id" NOT IN (
+          SELECT MIN("id") FROM "InvoiceSeries"
+          WHERE "isDefault" = true
+          GROUP BY "companyId", "documentType"
+        )`,
+        { transaction }
+      );
+      await queryInterface.addIndex(
+        "InvoiceSeries",
+        ["companyId", "documentType"],
+        {
+          name: "invoice_series_company_id_document_type_default",
+          unique: true,
+          where: { isDefault: true },
+          transaction,
+        }
+      );
+    }),
+
+  down: (queryInterface) =>
+    queryInterface.removeIndex(
+      "InvoiceSeries",
+      "invoice_series_company_id_document_type_default"
+    ),
+};
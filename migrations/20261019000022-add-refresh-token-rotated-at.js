@@ -0,0 +1,29 @@
+const {
+  addMissingColumns,
+  removeColumns,
+} = require("../utils/migrationColumns");
+
+// When a refresh token was rotated, so a concurrent refresh presenting it
+// right after isn't taken for reuse. See POST /api/refresh-token.
+module.exports = {
+  up: (queryInterface, Sequelize) =>
+    queryInterface.sequelize.transaction((transaction) =>
+      addMissingColumns(
+        queryInterface,
+        "RefreshTokens",
+        {
+          rotatedAt: {
+            type: Sequelize.DATE,
+          },
+        },
+        { transaction }
+      )
+    ),
+
+  down: (queryInterface) =>
+    queryInterface.sequelize.transaction((transaction) =>
+      removeColumns(queryInterface, "RefreshTokens", ["rotatedAt"], {
+        transaction,
+      })
+    ),
+};
@@ -0,0 +1,26 @@
+// Refresh tokens are stored as the signed JWT, which carries the user's
+// email and a jti and so outgrows the VARCHAR(255) that sequelize.sync()
+// gave the column. SQLite doesn't enforce the length, so only Postgres
+// needs the change.
+module.exports = {
+  up: async (queryInterface) => {
+    if (queryInterface.sequelize.getDialect() !== "postgres") {
+      return;
+    }
+
+    await queryInterface.sequelize.query(
+      `ALTER TABLE "RefreshTokens" ALTER COLUMN "token" TYPE TEXT`
+    );
+  },
+
+  // Fails while a stored token is longer than 255 characters
+  down: async (queryInterface) => {
+    if (queryInterface.sequelize.getDialect() !== "postgres") {
+      return;
+    }
+
+    await queryInterface.sequelize.query(
+      `ALTER TABLE "RefreshTokens" ALTER COLUMN "token" TYPE VARCHAR(255)`
+    );
+  },
+};
@@ -0,0 +1,26 @@
+// Users.verificationToken holds the signed email verification and password
+// reset JWTs. Both carry the user's email, and verification tokens a jti,
+// so they outgrow the VARCHAR(255) that sequelize.sync() gave the column.
+// SQLite doesn't enforce the length, so only Postgres needs the change.
+module.exports = {
+  up: async (queryInterface) => {
+    if (queryInterface.sequelize.getDialect() !== "postgres") {
+      return;
+    }
+
+    await queryInterface.sequelize.query(
+      `ALTER TABLE "Users" ALTER COLUMN "verificationToken" TYPE TEXT`
+    );
+  },
+
+  // Fails while a stored token is longer than 255 characters
+  down: async (queryInterface) => {
+    if (queryInterface.sequelize.getDialect() !== "postgres") {
+      return;
+    }
+
+    await queryInterface.sequelize.query(
+      `ALTER TABLE "Users" ALTER COLUMN "verificationToken" TYPE VARCHAR(255)`
+    );
+  },
+};
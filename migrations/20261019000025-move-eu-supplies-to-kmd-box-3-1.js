@@ -0,0 +1,30 @@
+// Intra-community supplies are reported in box 3.1 of the KMD return, goods
+// also in its part 3.1.1. Rates seeded before config/vatRates.js said so
+// are moved to those boxes; VatRate.seedDefaults doesn't change rows that
+// already exist.
+const MOVES = [
+  { code: "zero_eu_goods", from: "3.1", to: "3.1.1" },
+  { code: "zero_eu_services", from: "3", to: "3.1" },
+];
+
+const moveBoxes = (queryInterface, moves) =>
+  queryInterface.sequelize.transaction(async (transaction) => {
+    for (const { code, from, to } of moves) {
+      await queryInterface.bulkUpdate(
+        "VatRates",
+        { kmdBox: to },
+        { code, kmdBox: from },
+        { transaction }
+      );
+    }
+  });
+
+module.exports = {
+  up: (queryInterface) => moveBoxes(queryInterface, MOVES),
+
+  down: (queryInterface) =>
+    moveBoxes(
+      queryInterface,
+      MOVES.map(({ code, from, to }) => ({ code, from: to, to: from }))
+    ),
+};
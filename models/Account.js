@@ -0,0 +1,96 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+const estonianTemplate = require("../config/accountTemplates/estonian");
+
+const TYPES = ["asset", "liability", "equity", "revenue", "expense"];
+
+// Ledger account in a company's chart of accounts
+class Account extends Model {
+  // Creates the default chart of accounts for a new company
+  static async seedDefaultChart(
+    companyId,
+    { transaction, template = estonianTemplate } = {}
+  ) {
+    const idsByCode = new Map();
+
+    for (const { parentCode, ...account } of template) {
+      const created = await Account.create(
+        {
+          ...account,
+          companyId,
+          parentId: parentCode ? idsByCode.get(parentCode) : null,
+        },
+        { transaction }
+      );
+      idsByCode.set(created.code, created.id);
+    }
+  }
+}
+
+Account.TYPES = TYPES;
+
+Account.init(
+  {
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Companies",
+        key: "id",
+      },
+    },
+    code: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: "Account code is required",
+        },
+        is: {
+          args: /^[0-9A-Za-z.-]+$/,
+          msg: "Account code may only contain letters, digits, dots and dashes",
+        },
+      },
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: "Account name is required",
+        },
+      },
+    },
+    type: {
+      type: DataTypes.ENUM(...TYPES),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [TYPES],
+          msg: `Account type must be one of: ${TYPES.join(", ")}`,
+        },
+      },
+    },
+    parentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "Accounts",
+        key: "id",
+      },
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "Account",
+    timestamps: true,
+    indexes: [{ unique: true, fields: ["companyId", "code"] }],
+  }
+);
+
+module.exports = Account;
@@ -0,0 +1,67 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// Month of a fiscal year. Nothing can be posted, edited or deleted with a
+// date inside a closed period.
+class AccountingPeriod extends Model {
+  isClosed() {
+    return this.status === "closed";
+  }
+}
+
+AccountingPeriod.init(
+  {
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Companies",
+        key: "id",
+      },
+    },
+    fiscalYearId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "FiscalYears",
+        key: "id",
+      },
+    },
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    endDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM("open", "closed"),
+      allowNull: false,
+      defaultValue: "open",
+    },
+    closedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    closedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "Users",
+        key: "id",
+      },
+    },
+  },
+  {
+    sequelize,
+    modelName: "AccountingPeriod",
+    timestamps: true,
+    indexes: [
+      { fields: ["fiscalYearId"] },
+      { fields: ["companyId", "startDate", "endDate"] },
+    ],
+  }
+);
+
+module.exports = AccountingPeriod;
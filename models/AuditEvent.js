@@ -0,0 +1,76 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// Who changed what: one row per created, updated or deleted record, written
+// by the hooks in services/audit/auditTrail.js. Rows are never updated or
+// deleted. companyId and actorId aren't foreign keys so the trail outlives
+// deleted companies and users.
+class AuditEvent extends Model {}
+
+AuditEvent.ACTIONS = ["create", "update", "delete"];
+
+const refuseChange = () => {
+  throw new Error("Audit events can't be modified");
+};
+
+AuditEvent.init(
+  {
+    // Null for records that don't belong to a company, e.g. users
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    // Null for changes made outside an authenticated request
+    actorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    action: {
+      type: DataTypes.ENUM(...AuditEvent.ACTIONS),
+      allowNull: false,
+    },
+    // Model name, e.g. "Company" or "Bill"
+    entityType: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    // Null for bulk updates and deletes, whose changes hold the condition
+    entityId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    // { field: { from, to } }; secrets show as "[redacted]"
+    changes: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {},
+    },
+    ipAddress: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    requestId: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "AuditEvent",
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { fields: ["companyId", "createdAt"] },
+      { fields: ["entityType", "entityId"] },
+      { fields: ["requestId"] },
+    ],
+    hooks: {
+      beforeUpdate: refuseChange,
+      beforeDestroy: refuseChange,
+      beforeBulkUpdate: refuseChange,
+      beforeBulkDestroy: refuseChange,
+    },
+  }
+);
+
+module.exports = AuditEvent;
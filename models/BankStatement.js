@@ -0,0 +1,88 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+const FORMATS = ["camt053", "swedbank_csv", "seb_csv", "lhv_csv"];
+
+// Uploaded bank statement file. Its transactions are stored as
+// BankTransaction rows; the file itself isn't kept.
+class BankStatement extends Model {}
+
+BankStatement.FORMATS = FORMATS;
+
+BankStatement.init(
+  {
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Companies",
+        key: "id",
+      },
+    },
+    // Ledger account the statement's bank account is kept in
+    accountId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Accounts",
+        key: "id",
+      },
+    },
+    format: {
+      type: DataTypes.ENUM(...FORMATS),
+      allowNull: false,
+    },
+    fileName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    iban: {
+      type: DataTypes.STRING(34),
+      allowNull: true,
+    },
+    fromDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    toDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    // Balances as given in the file, camt.053 only
+    openingBalance: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: true,
+    },
+    closingBalance: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: true,
+    },
+    // Transactions in the file, including ones already imported earlier
+    transactionCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    importedCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    importedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "Users",
+        key: "id",
+      },
+    },
+  },
+  {
+    sequelize,
+    modelName: "BankStatement",
+    timestamps: true,
+    indexes: [{ fields: ["companyId", "createdAt"] }],
+  }
+);
+
+module.exports = BankStatement;
@@ -0,0 +1,138 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+const STATUSES = ["unmatched", "matched"];
+
+// One booking on a bank statement. Incoming payments have a positive
+// amount, outgoing ones negative. Matching a transaction posts its journal
+// entry: the payment of an invoice, or the bank account against another
+// account.
+class BankTransaction extends Model {
+  isMatched() {
+    return this.status === "matched";
+  }
+}
+
+BankTransaction.STATUSES = STATUSES;
+
+BankTransaction.init(
+  {
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Companies",
+        key: "id",
+      },
+    },
+    statementId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "BankStatements",
+        key: "id",
+      },
+    },
+    // Ledger account of the bank account, copied from the statement
+    accountId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Accounts",
+        key: "id",
+      },
+    },
+    iban: {
+      type: DataTypes.STRING(34),
+      allowNull: true,
+    },
+    // The bank's own ID of the booking (archive code), or a hash of the
+    // booking's details when the file doesn't give one. Keeps a transaction
+    // from being imported twice.
+    externalId: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+    },
+    bookingDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    amount: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: false,
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: "EUR",
+    },
+    counterpartyName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    counterpartyIban: {
+      type: DataTypes.STRING(34),
+      allowNull: true,
+    },
+    referenceNumber: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.ENUM(...STATUSES),
+      allowNull: false,
+      defaultValue: "unmatched",
+    },
+    // Invoice paid by the transaction
+    invoiceId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "Invoices",
+        key: "id",
+      },
+    },
+    // Entry posted when the transaction was matched
+    journalEntryId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "JournalEntries",
+        key: "id",
+      },
+    },
+    // "auto" when matched on import, "manual" when matched by a user
+    matchType: {
+      type: DataTypes.ENUM("auto", "manual"),
+      allowNull: true,
+    },
+    matchedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    matchedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "Users",
+        key: "id",
+      },
+    },
+  },
+  {
+    sequelize,
+    modelName: "BankTransaction",
+    timestamps: true,
+    indexes: [
+      { fields: ["companyId", "bookingDate"] },
+      { fields: ["statementId"] },
+      { unique: true, fields: ["companyId", "accountId", "externalId"] },
+    ],
+  }
+);
+
+module.exports = BankTransaction;
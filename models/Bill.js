@@ -0,0 +1,233 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+const STATUSES = ["draft", "approved", "rejected", "paid"];
+const SOURCES = ["manual", "e_invoice", "ubl"];
+
+// Fields that may still change once a bill is approved or rejected
+const MUTABLE_WHEN_DECIDED = [
+  "status",
+  "paidAt",
+  "paymentEntryId",
+  "updatedAt",
+];
+
+// Purchase invoice (or credit note) a company received from a supplier.
+// Bills arrive as drafts, entered by hand or read from an e-invoice, and
+// are either approved, which posts them to the journal, or rejected.
+class Bill extends Model {
+  isDraft() {
+    return this.status === "draft";
+  }
+
+  isCreditNote() {
+    return this.type === "credit_note";
+  }
+}
+
+Bill.STATUSES = STATUSES;
+Bill.SOURCES = SOURCES;
+
+Bill.init(
+  {
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Companies",
+        key: "id",
+      },
+    },
+    type: {
+      type: DataTypes.ENUM("bill", "credit_note"),
+      allowNull: false,
+      defaultValue: "bill",
+    },
+    status: {
+      type: DataTypes.ENUM(...STATUSES),
+      allowNull: false,
+      defaultValue: "draft",
+    },
+    source: {
+      type: DataTypes.ENUM(...SOURCES),
+      allowNull: false,
+      defaultValue: "manual",
+    },
+    supplierId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Suppliers",
+        key: "id",
+      },
+    },
+    // The supplier's invoice number
+    number: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: "Bill number is required",
+        },
+      },
+    },
+    issueDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      validate: {
+        isDate: {
+          msg: "Issue date must be a valid date",
+        },
+      },
+    },
+    dueDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      validate: {
+        isDate: {
+          msg: "Due date must be a valid date",
+        },
+        notBeforeIssueDate(value) {
+          if (value < this.issueDate) {
+            throw new Error("Due date can't be before the issue date");
+          }
+        },
+      },
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: "EUR",
+    },
+    // Reference number (viitenumber) to pay the bill with
+    referenceNumber: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    // Supplier's account to pay to, from the document or the supplier
+    payToIban: {
+      type: DataTypes.STRING(34),
+      allowNull: true,
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // Supplier details as given on the bill
+    supplierName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    supplierRegistrationNumber: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    supplierVatNumber: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    netTotal: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    vatTotal: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    total: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    // Entry posted when the bill was approved
+    journalEntryId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "JournalEntries",
+        key: "id",
+      },
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "Users",
+        key: "id",
+      },
+    },
+    approvedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    approvedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "Users",
+        key: "id",
+      },
+    },
+    rejectedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    rejectedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "Users",
+        key: "id",
+      },
+    },
+    rejectionReason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    paidAt: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    paymentEntryId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "JournalEntries",
+        key: "id",
+      },
+    },
+  },
+  {
+    sequelize,
+    modelName: "Bill",
+    timestamps: true,
+    indexes: [
+      { fields: ["companyId", "issueDate"] },
+      { fields: ["companyId", "status", "dueDate"] },
+      { unique: true, fields: ["companyId", "supplierId", "number"] },
+    ],
+    hooks: {
+      beforeUpdate: (bill) => {
+        if (bill.previous("status") === "draft") {
+          return;
+        }
+
+        const changed = (bill.changed() || []).filter(
+          (field) => !MUTABLE_WHEN_DECIDED.includes(field)
+        );
+        if (changed.length > 0) {
+          throw new Error("Approved or rejected bills can't be modified");
+        }
+      },
+      beforeDestroy: (bill) => {
+        if (!["draft", "rejected"].includes(bill.status)) {
+          throw new Error("Approved bills can't be deleted");
+        }
+      },
+    },
+  }
+);
+
+module.exports = Bill;
@@ -0,0 +1,59 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// File attached to a bill: the e-invoice XML it was read from, a scan or
+// PDF of a paper bill. Contents are kept in the database.
+class BillAttachment extends Model {}
+
+BillAttachment.init(
+  {
+    billId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Bills",
+        key: "id",
+      },
+    },
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Companies",
+        key: "id",
+      },
+    },
+    fileName: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    contentType: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    size: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    content: {
+      type: DataTypes.BLOB,
+      allowNull: false,
+    },
+    uploadedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "Users",
+        key: "id",
+      },
+    },
+  },
+  {
+    sequelize,
+    modelName: "BillAttachment",
+    timestamps: true,
+    indexes: [{ fields: ["billId"] }],
+  }
+);
+
+module.exports = BillAttachment;
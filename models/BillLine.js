@@ -0,0 +1,88 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// Row of a bill. Amounts are checked by the bill service; lines read from
+// an e-invoice keep the VAT the supplier charged. Credit notes keep them
+// positive and post them the other way round.
+class BillLine extends Model {}
+
+BillLine.init(
+  {
+    billId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Bills",
+        key: "id",
+      },
+    },
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Companies",
+        key: "id",
+      },
+    },
+    lineNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    quantity: {
+      type: DataTypes.DECIMAL(15, 3),
+      allowNull: false,
+    },
+    unit: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+    },
+    // Suppliers often price in fractions of a cent
+    unitPrice: {
+      type: DataTypes.DECIMAL(15, 4),
+      allowNull: false,
+    },
+    // VatRate code of the rate, null for lines without VAT
+    vatCode: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+    },
+    // Percentage, e.g. 22.00
+    vatRate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+    },
+    // Expense or asset account the net amount is posted to
+    accountId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Accounts",
+        key: "id",
+      },
+    },
+    netAmount: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: false,
+    },
+    vatAmount: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: false,
+    },
+    totalAmount: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: false,
+    },
+  },
+  {
+    sequelize,
+    modelName: "BillLine",
+    timestamps: true,
+    indexes: [{ fields: ["billId"] }],
+  }
+);
+
+module.exports = BillLine;
@@ -1,7 +1,12 @@
 const { Model, DataTypes } = require("sequelize");
 const sequelize = require("../config/database");
+const registryCodeValidator = require("../utils/registryCodeValidator");
 
-class Company extends Model {}
+class Company extends Model {
+  isArchived() {
+    return Boolean(this.archivedAt);
+  }
+}
 
 Company.init(
   {
@@ -22,6 +27,12 @@ Company.init(
         notEmpty: {
           msg: "Registration number is required",
         },
+        customValidator(value) {
+          const validation = registryCodeValidator(value);
+          if (!validation.isValid) {
+            throw new Error(validation.errors.join(", "));
+          }
+        },
       },
     },
     email: {
@@ -50,6 +61,35 @@ Company.init(
         key: "id",
       },
     },
+    // Month (1-12) the company's fiscal year starts in
+    fiscalYearStartMonth: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: {
+          args: [1],
+          msg: "Fiscal year start month must be between 1 and 12",
+        },
+        max: {
+          args: [12],
+          msg: "Fiscal year start month must be between 1 and 12",
+        },
+      },
+    },
+    // Set when the company is archived (soft-deleted)
+    archivedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    archivedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "Users",
+        key: "id",
+      },
+    },
   },
   {
     sequelize,
@@ -0,0 +1,88 @@
+const { Model, DataTypes } = require("sequelize");
+const crypto = require("crypto");
+const sequelize = require("../config/database");
+const CompanyMembership = require("./CompanyMembership");
+
+// Invitation for an email address to join a company with a role. Only a
+// hash of the token from the invitation email is stored.
+class CompanyInvitation extends Model {
+  static hashToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+  }
+
+  isExpired() {
+    return new Date() > this.expiresAt;
+  }
+}
+
+CompanyInvitation.init(
+  {
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Companies",
+        key: "id",
+      },
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isEmail: {
+          msg: "Please enter a valid email address",
+        },
+      },
+    },
+    role: {
+      type: DataTypes.ENUM(...CompanyMembership.ROLES),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [CompanyMembership.ROLES],
+          msg: `Role must be one of: ${CompanyMembership.ROLES.join(", ")}`,
+        },
+      },
+    },
+    tokenHash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    status: {
+      type: DataTypes.ENUM("pending", "accepted", "declined", "revoked"),
+      allowNull: false,
+      defaultValue: "pending",
+    },
+    invitedById: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Users",
+        key: "id",
+      },
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    respondedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "CompanyInvitation",
+    timestamps: true,
+  }
+);
+
+// Instance method to keep the token hash out of API responses
+CompanyInvitation.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  delete values.tokenHash;
+  return values;
+};
+
+module.exports = CompanyInvitation;
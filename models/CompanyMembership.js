@@ -0,0 +1,48 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+const ROLES = ["owner", "accountant", "viewer", "auditor"];
+
+// Grants a user access to a company with a role
+class CompanyMembership extends Model {}
+
+CompanyMembership.ROLES = ROLES;
+
+CompanyMembership.init(
+  {
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Companies",
+        key: "id",
+      },
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Users",
+        key: "id",
+      },
+    },
+    role: {
+      type: DataTypes.ENUM(...ROLES),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [ROLES],
+          msg: `Role must be one of: ${ROLES.join(", ")}`,
+        },
+      },
+    },
+  },
+  {
+    sequelize,
+    modelName: "CompanyMembership",
+    timestamps: true,
+    indexes: [{ unique: true, fields: ["companyId", "userId"] }],
+  }
+);
+
+module.exports = CompanyMembership;
@@ -0,0 +1,91 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// Buyer a company sends sales invoices to
+class Customer extends Model {}
+
+Customer.init(
+  {
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Companies",
+        key: "id",
+      },
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: "Customer name is required",
+        },
+      },
+    },
+    // Registry code for companies, personal ID code for private persons
+    registrationNumber: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    vatNumber: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        is: {
+          args: /^[A-Z]{2}[0-9A-Z]{2,13}$/,
+          msg: "VAT number must start with a country code, e.g. EE100000000",
+        },
+      },
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isEmail: {
+          msg: "Email must be valid",
+        },
+      },
+    },
+    address: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    countryCode: {
+      type: DataTypes.STRING(2),
+      allowNull: false,
+      defaultValue: "EE",
+      validate: {
+        is: {
+          args: /^[A-Z]{2}$/,
+          msg: "Country code must be a two-letter ISO code",
+        },
+      },
+    },
+    // Days from the issue date to the due date of new invoices
+    paymentTermDays: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 14,
+      validate: {
+        min: {
+          args: [0],
+          msg: "Payment term can't be negative",
+        },
+      },
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "Customer",
+    timestamps: true,
+    indexes: [{ fields: ["companyId", "name"] }],
+  }
+);
+
+module.exports = Customer;
@@ -0,0 +1,66 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// Financial year of a company, split into monthly accounting periods.
+// Closing the year posts the closing entry that moves the year's result
+// into equity.
+class FiscalYear extends Model {
+  isClosed() {
+    return this.status === "closed";
+  }
+}
+
+FiscalYear.init(
+  {
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Companies",
+        key: "id",
+      },
+    },
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    endDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM("open", "closed"),
+      allowNull: false,
+      defaultValue: "open",
+    },
+    closedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    closedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "Users",
+        key: "id",
+      },
+    },
+    // Entry moving revenue and expense balances into retained earnings
+    closingEntryId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "JournalEntries",
+        key: "id",
+      },
+    },
+  },
+  {
+    sequelize,
+    modelName: "FiscalYear",
+    timestamps: true,
+    indexes: [{ unique: true, fields: ["companyId", "startDate"] }],
+  }
+);
+
+module.exports = FiscalYear;
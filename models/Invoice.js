@@ -0,0 +1,217 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+const STATUSES = ["draft", "issued", "paid", "credited"];
+
+// Fields that may still change once an invoice is issued
+const MUTABLE_WHEN_ISSUED = ["status", "paidAt", "paymentEntryId", "updatedAt"];
+
+// Sales invoice or credit note of a company. Drafts can be edited freely.
+// Issuing assigns the number from the series, copies the customer's
+// details onto the invoice and posts the journal entry; after that only
+// the status can change.
+class Invoice extends Model {
+  isDraft() {
+    return this.status === "draft";
+  }
+
+  isCreditNote() {
+    return this.type === "credit_note";
+  }
+}
+
+Invoice.STATUSES = STATUSES;
+
+Invoice.init(
+  {
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Companies",
+        key: "id",
+      },
+    },
+    type: {
+      type: DataTypes.ENUM("invoice", "credit_note"),
+      allowNull: false,
+      defaultValue: "invoice",
+    },
+    status: {
+      type: DataTypes.ENUM(...STATUSES),
+      allowNull: false,
+      defaultValue: "draft",
+    },
+    customerId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Customers",
+        key: "id",
+      },
+    },
+    seriesId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "InvoiceSeries",
+        key: "id",
+      },
+    },
+    // Assigned from the series when the invoice is issued
+    number: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    issueDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      validate: {
+        isDate: {
+          msg: "Issue date must be a valid date",
+        },
+      },
+    },
+    dueDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      validate: {
+        isDate: {
+          msg: "Due date must be a valid date",
+        },
+        notBeforeIssueDate(value) {
+          if (value < this.issueDate) {
+            throw new Error("Due date can't be before the issue date");
+          }
+        },
+      },
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: "EUR",
+    },
+    // Reference number (viitenumber) the customer pays with
+    referenceNumber: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // Customer details as they were when the invoice was issued
+    customerName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    customerAddress: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    customerRegistrationNumber: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    customerVatNumber: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    netTotal: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    vatTotal: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    total: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    // Set on a credit note: the invoice it cancels
+    creditedInvoiceId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "Invoices",
+        key: "id",
+      },
+    },
+    journalEntryId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "JournalEntries",
+        key: "id",
+      },
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "Users",
+        key: "id",
+      },
+    },
+    issuedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    issuedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "Users",
+        key: "id",
+      },
+    },
+    paidAt: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    // Journal entry of the payment, reversed if the payment is undone
+    paymentEntryId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "JournalEntries",
+        key: "id",
+      },
+    },
+  },
+  {
+    sequelize,
+    modelName: "Invoice",
+    timestamps: true,
+    indexes: [
+      { fields: ["companyId", "issueDate"] },
+      { fields: ["customerId"] },
+      { unique: true, fields: ["companyId", "number"] },
+    ],
+    hooks: {
+      beforeUpdate: (invoice) => {
+        if (invoice.previous("status") === "draft") {
+          return;
+        }
+
+        const changed = (invoice.changed() || []).filter(
+          (field) => !MUTABLE_WHEN_ISSUED.includes(field)
+        );
+        if (changed.length > 0) {
+          throw new Error("Issued invoices can't be modified");
+        }
+      },
+      beforeDestroy: (invoice) => {
+        if (!invoice.isDraft()) {
+          throw new Error("Issued invoices can't be deleted");
+        }
+      },
+    },
+  }
+);
+
+module.exports = Invoice;
@@ -0,0 +1,88 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// Row of an invoice. Amounts are computed by the invoice service from the
+// quantity, unit price and VAT rate; credit notes keep them positive and
+// post them the other way round.
+class InvoiceLine extends Model {}
+
+InvoiceLine.init(
+  {
+    invoiceId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Invoices",
+        key: "id",
+      },
+    },
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Companies",
+        key: "id",
+      },
+    },
+    lineNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    quantity: {
+      type: DataTypes.DECIMAL(15, 3),
+      allowNull: false,
+    },
+    unit: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+    },
+    unitPrice: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: false,
+    },
+    // VatRate code the rate was taken from, e.g. "standard". Decides the
+    // KMD box the line is reported in.
+    vatCode: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+    },
+    // Percentage, e.g. 22.00
+    vatRate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+    },
+    // Revenue account the net amount is posted to
+    accountId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Accounts",
+        key: "id",
+      },
+    },
+    netAmount: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: false,
+    },
+    vatAmount: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: false,
+    },
+    totalAmount: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: false,
+    },
+  },
+  {
+    sequelize,
+    modelName: "InvoiceLine",
+    timestamps: true,
+    indexes: [{ fields: ["invoiceId"] }],
+  }
+);
+
+module.exports = InvoiceLine;
@@ -0,0 +1,97 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+const DOCUMENT_TYPES = ["invoice", "credit_note"];
+
+// Numbering series for invoices or credit notes, e.g. "ARV-0001". Numbers
+// are taken when a document is issued, in the same transaction, so a
+// series never has gaps.
+class InvoiceSeries extends Model {
+  formatNumber(number) {
+    return `${this.prefix}${String(number).padStart(this.padding, "0")}`;
+  }
+}
+
+InvoiceSeries.DOCUMENT_TYPES = DOCUMENT_TYPES;
+
+InvoiceSeries.init(
+  {
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Companies",
+        key: "id",
+      },
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: "Series name is required",
+        },
+      },
+    },
+    documentType: {
+      type: DataTypes.ENUM(...DOCUMENT_TYPES),
+      allowNull: false,
+      defaultValue: "invoice",
+    },
+    prefix: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "",
+    },
+    // Zero-padded length of the number part
+    padding: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 4,
+      validate: {
+        min: {
+          args: [1],
+          msg: "Padding must be between 1 and 10",
+        },
+        max: {
+          args: [10],
+          msg: "Padding must be between 1 and 10",
+        },
+      },
+    },
+    nextNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: {
+          args: [1],
+          msg: "Next number must be positive",
+        },
+      },
+    },
+    // Used when a document is issued without naming a series
+    isDefault: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+  },
+  {
+    sequelize,
+    modelName: "InvoiceSeries",
+    tableName: "InvoiceSeries",
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ["companyId", "prefix"] },
+      // At most one default series per document type
+      {
+        unique: true,
+        fields: ["companyId", "documentType"],
+        where: { isDefault: true },
+      },
+    ],
+  }
+);
+
+module.exports = InvoiceSeries;
@@ -0,0 +1,127 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// Fields that may still change once an entry is posted
+const MUTABLE_WHEN_POSTED = ["reversedById", "updatedAt"];
+
+// Bookkeeping entry of a company. Drafts can be edited freely; posting
+// checks that the lines balance and freezes the entry for good. Posted
+// entries are corrected with a reversal entry.
+class JournalEntry extends Model {
+  isPosted() {
+    return this.status === "posted";
+  }
+}
+
+JournalEntry.init(
+  {
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Companies",
+        key: "id",
+      },
+    },
+    // Sequential per company, assigned when the entry is posted
+    entryNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      validate: {
+        isDate: {
+          msg: "Entry date must be a valid date",
+        },
+      },
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: "Description is required",
+        },
+      },
+    },
+    documentReference: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.ENUM("draft", "posted"),
+      allowNull: false,
+      defaultValue: "draft",
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "Users",
+        key: "id",
+      },
+    },
+    postedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    postedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "Users",
+        key: "id",
+      },
+    },
+    // Set on a reversal entry: the entry it cancels out
+    reversalOfId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "JournalEntries",
+        key: "id",
+      },
+    },
+    // Set on a reversed entry: the reversal that cancelled it out
+    reversedById: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "JournalEntries",
+        key: "id",
+      },
+    },
+  },
+  {
+    sequelize,
+    modelName: "JournalEntry",
+    timestamps: true,
+    indexes: [
+      { fields: ["companyId", "date"] },
+      { unique: true, fields: ["companyId", "entryNumber"] },
+    ],
+    hooks: {
+      beforeUpdate: (entry) => {
+        if (entry.previous("status") !== "posted") {
+          return;
+        }
+
+        const changed = (entry.changed() || []).filter(
+          (field) => !MUTABLE_WHEN_POSTED.includes(field)
+        );
+        if (changed.length > 0) {
+          throw new Error("Posted journal entries can't be modified");
+        }
+      },
+      beforeDestroy: (entry) => {
+        if (entry.isPosted()) {
+          throw new Error("Posted journal entries can't be deleted");
+        }
+      },
+    },
+  }
+);
+
+module.exports = JournalEntry;
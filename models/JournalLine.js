@@ -0,0 +1,81 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+const JournalEntry = require("./JournalEntry");
+
+// Refuses changes to lines of a posted entry
+const assertEntryIsDraft = async (line, options) => {
+  const entry = await JournalEntry.findByPk(line.journalEntryId, {
+    transaction: options.transaction,
+  });
+
+  if (entry && entry.isPosted()) {
+    throw new Error("Lines of posted journal entries can't be modified");
+  }
+};
+
+// One debit or credit of a journal entry. companyId is copied from the
+// entry so reports can aggregate lines without joining entries.
+class JournalLine extends Model {}
+
+JournalLine.init(
+  {
+    journalEntryId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "JournalEntries",
+        key: "id",
+      },
+    },
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Companies",
+        key: "id",
+      },
+    },
+    accountId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Accounts",
+        key: "id",
+      },
+    },
+    lineNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    debit: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    credit: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+  },
+  {
+    sequelize,
+    modelName: "JournalLine",
+    timestamps: true,
+    indexes: [
+      { fields: ["journalEntryId"] },
+      { fields: ["companyId", "accountId"] },
+    ],
+    hooks: {
+      beforeCreate: assertEntryIsDraft,
+      beforeUpdate: assertEntryIsDraft,
+      beforeDestroy: assertEntryIsDraft,
+    },
+  }
+);
+
+module.exports = JournalLine;
@@ -0,0 +1,66 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+const {
+  normalizeEmail,
+  retryAfter,
+  isAttemptWindowExpired,
+} = require("../utils/loginThrottle");
+
+// Failed login attempts per email address. Tracked separately from the User
+// row so that guessing against unknown emails is slowed down as well.
+class LoginThrottle extends Model {
+  // Milliseconds the caller has to wait before trying this email again
+  static async retryAfter(email) {
+    const throttle = await LoginThrottle.findOne({
+      where: { email: normalizeEmail(email) },
+    });
+
+    if (!throttle || isAttemptWindowExpired(throttle.lastFailedAt)) {
+      return 0;
+    }
+
+    return retryAfter(throttle.failedAttempts, throttle.lastFailedAt);
+  }
+
+  static async registerFailure(email) {
+    const [throttle] = await LoginThrottle.findOrCreate({
+      where: { email: normalizeEmail(email) },
+    });
+
+    const failedAttempts = isAttemptWindowExpired(throttle.lastFailedAt)
+      ? 1
+      : throttle.failedAttempts + 1;
+
+    await throttle.update({ failedAttempts, lastFailedAt: new Date() });
+  }
+
+  static async clear(email) {
+    await LoginThrottle.destroy({ where: { email: normalizeEmail(email) } });
+  }
+}
+
+LoginThrottle.init(
+  {
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    failedAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    lastFailedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "LoginThrottle",
+    timestamps: true,
+  }
+);
+
+module.exports = LoginThrottle;
@@ -0,0 +1,72 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// Outgoing email waiting to be delivered by the outbox worker. Rows are
+// written in the same transaction as the change that triggers the email, so
+// a message is never lost or sent for a change that was rolled back.
+class OutboxMessage extends Model {}
+
+OutboxMessage.init(
+  {
+    to: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    template: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    subject: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    text: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    html: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM("pending", "sent", "dead"),
+      allowNull: false,
+      defaultValue: "pending",
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    providerMessageId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    // Set while a worker is delivering the message
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "OutboxMessage",
+    timestamps: true,
+    indexes: [{ fields: ["status", "nextAttemptAt"] }],
+  }
+);
+
+module.exports = OutboxMessage;
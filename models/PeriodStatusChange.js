@@ -0,0 +1,74 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// History of closing and re-opening periods and fiscal years, kept so it
+// can be shown when and by whom a filed month was changed. Rows are never
+// updated or deleted, only removed together with the company.
+class PeriodStatusChange extends Model {}
+
+const refuseChange = () => {
+  throw new Error("Period status history can't be modified");
+};
+
+PeriodStatusChange.init(
+  {
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Companies",
+        key: "id",
+      },
+    },
+    fiscalYearId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "FiscalYears",
+        key: "id",
+      },
+    },
+    // Null when the fiscal year itself was closed or re-opened
+    accountingPeriodId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "AccountingPeriods",
+        key: "id",
+      },
+    },
+    action: {
+      type: DataTypes.ENUM("closed", "reopened"),
+      allowNull: false,
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Users",
+        key: "id",
+      },
+    },
+    ipAddress: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "PeriodStatusChange",
+    timestamps: true,
+    updatedAt: false,
+    indexes: [{ fields: ["fiscalYearId"] }],
+    hooks: {
+      beforeUpdate: refuseChange,
+      beforeDestroy: refuseChange,
+    },
+  }
+);
+
+module.exports = PeriodStatusChange;
@@ -5,8 +5,9 @@ class RefreshToken extends Model {}
 
 RefreshToken.init(
   {
+    // The signed JWT, longer than 255 characters for long emails
     token: {
-      type: DataTypes.STRING,
+      type: DataTypes.TEXT,
       allowNull: false,
       unique: true,
     },
@@ -22,6 +23,43 @@ RefreshToken.init(
       type: DataTypes.BOOLEAN,
       defaultValue: false,
     },
+    // Set when the token was revoked by being exchanged for a new one, as
+    // opposed to a logout or a revoked session
+    rotatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    // Every token minted by rotating another one shares its family, so a
+    // stolen token can be traced back to the whole session
+    familyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      defaultValue: DataTypes.UUIDV4,
+    },
+    userAgent: {
+      type: DataTypes.STRING(512),
+      allowNull: true,
+    },
+    ipAddress: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    deviceLabel: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    // When the session was first signed in. Carried over on every rotation,
+    // unlike createdAt which belongs to the individual token row.
+    signedInAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
   },
   {
     sequelize,
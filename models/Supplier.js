@@ -0,0 +1,101 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// Seller a company receives bills (purchase invoices) from
+class Supplier extends Model {}
+
+Supplier.init(
+  {
+    companyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "Companies",
+        key: "id",
+      },
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: "Supplier name is required",
+        },
+      },
+    },
+    // Registry code for companies, personal ID code for private persons
+    registrationNumber: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    vatNumber: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        is: {
+          args: /^[A-Z]{2}[0-9A-Z]{2,13}$/,
+          msg: "VAT number must start with a country code, e.g. EE100000000",
+        },
+      },
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isEmail: {
+          msg: "Email must be valid",
+        },
+      },
+    },
+    address: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    countryCode: {
+      type: DataTypes.STRING(2),
+      allowNull: false,
+      defaultValue: "EE",
+      validate: {
+        is: {
+          args: /^[A-Z]{2}$/,
+          msg: "Country code must be a two-letter ISO code",
+        },
+      },
+    },
+    iban: {
+      type: DataTypes.STRING(34),
+      allowNull: true,
+      validate: {
+        is: {
+          args: /^[A-Z]{2}[0-9]{2}[0-9A-Z]{10,30}$/,
+          msg: "IBAN must be a country code, check digits and account number",
+        },
+      },
+    },
+    // Days from the issue date to the due date of bills that don't give one
+    paymentTermDays: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 14,
+      validate: {
+        min: {
+          args: [0],
+          msg: "Payment term can't be negative",
+        },
+      },
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "Supplier",
+    timestamps: true,
+    indexes: [{ fields: ["companyId", "name"] }],
+  }
+);
+
+module.exports = Supplier;
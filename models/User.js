@@ -1,8 +1,15 @@
 const { Model, DataTypes } = require("sequelize");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
 const sequelize = require("../config/database");
 const passwordValidator = require("../utils/passwordValidator");
-const Company = require("./Company");
+const personalIdCodeValidator = require("../utils/personalIdCodeValidator");
+const { generateSecret, verifyTotp, otpauthUri } = require("../utils/totp");
+const {
+  LOCKOUT_THRESHOLD,
+  LOCKOUT_DURATION_MS,
+  isAttemptWindowExpired,
+} = require("../utils/loginThrottle");
 
 class User extends Model {}
 
@@ -21,12 +28,13 @@ User.init(
       unique: true,
       allowNull: false,
       validate: {
-        isNumeric: {
-          msg: "Personal ID code must be a number",
-        },
-        len: {
-          args: [11, 11],
-          msg: "Personal ID code must be 11 digits long",
+        customValidator(value) {
+          const validation = personalIdCodeValidator(value);
+          if (!validation.isValid) {
+            throw new Error(
+              validation.errors.map((error) => error.message).join(", ")
+            );
+          }
         },
       },
     },
@@ -52,14 +60,70 @@ User.init(
         },
       },
     },
+    // Language used for emails sent to the user
+    locale: {
+      type: DataTypes.STRING(2),
+      allowNull: false,
+      defaultValue: "et",
+      validate: {
+        isIn: {
+          args: [["et", "en"]],
+          msg: "Locale must be one of: et, en",
+        },
+      },
+    },
+    // Operators of the application itself, not of any company
+    isAdmin: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
     isVerified: {
       type: DataTypes.BOOLEAN,
       defaultValue: false,
     },
+    // Signed verification or password reset JWT, can exceed 255 characters
     verificationToken: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    failedLoginAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    lastFailedLoginAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    // Single-use token from the unlock email sent when the account is locked
+    unlockToken: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    twoFactorEnabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+    },
+    // Base32 TOTP secret. Set during enrollment, before 2FA is enabled.
+    twoFactorSecret: {
       type: DataTypes.STRING,
       allowNull: true,
     },
+    // Last accepted TOTP time step, so a code can't be replayed
+    twoFactorLastStep: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+    },
+    // SHA-256 hashes of the unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
   },
   {
     sequelize,
@@ -75,11 +139,145 @@ User.init(
   }
 );
 
-// Instance method to remove password when converting to JSON
+const TWO_FACTOR_ISSUER = "RPK";
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are long random strings, so a fast hash is enough
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+// Instance method to remove password and 2FA secrets when converting to JSON
 User.prototype.toJSON = function () {
   const values = { ...this.get() };
   delete values.password;
+  delete values.twoFactorSecret;
+  delete values.twoFactorLastStep;
+  delete values.twoFactorRecoveryCodes;
+  delete values.unlockToken;
   return values;
 };
 
+User.prototype.isLocked = function () {
+  return Boolean(this.lockedUntil) && new Date(this.lockedUntil) > new Date();
+};
+
+// Counts a failed password or 2FA attempt. Locks the account once the
+// threshold is reached and returns true if this attempt caused the lock.
+User.prototype.registerFailedLogin = async function () {
+  const now = new Date();
+  const failedLoginAttempts = isAttemptWindowExpired(this.lastFailedLoginAt, now)
+    ? 1
+    : this.failedLoginAttempts + 1;
+
+  if (failedLoginAttempts < LOCKOUT_THRESHOLD) {
+    await this.update({ failedLoginAttempts, lastFailedLoginAt: now });
+    return false;
+  }
+
+  await this.update({
+    failedLoginAttempts,
+    lastFailedLoginAt: now,
+    lockedUntil: new Date(now.getTime() + LOCKOUT_DURATION_MS),
+  });
+  return true;
+};
+
+User.prototype.resetFailedLogins = async function () {
+  if (this.failedLoginAttempts === 0 && !this.lockedUntil) {
+    return;
+  }
+
+  await this.update({
+    failedLoginAttempts: 0,
+    lastFailedLoginAt: null,
+    lockedUntil: null,
+    unlockToken: null,
+  });
+};
+
+// Starts 2FA enrollment with a fresh secret. 2FA stays disabled until the
+// user confirms it with a first code.
+User.prototype.startTwoFactorEnrollment = async function () {
+  const secret = generateSecret();
+
+  await this.update({
+    twoFactorEnabled: false,
+    twoFactorSecret: secret,
+    twoFactorLastStep: null,
+    twoFactorRecoveryCodes: null,
+  });
+
+  return {
+    secret,
+    otpauthUri: otpauthUri(secret, this.email, TWO_FACTOR_ISSUER),
+  };
+};
+
+// Replaces the recovery codes and returns the plain codes, which are only
+// ever shown once
+User.prototype.generateRecoveryCodes = async function () {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto.randomBytes(5).toString("hex").replace(/(.{5})/, "$1-")
+  );
+
+  await this.update({ twoFactorRecoveryCodes: codes.map(hashRecoveryCode) });
+
+  return codes;
+};
+
+// Accepts a TOTP code from the authenticator app. Each time step can only be
+// used once.
+User.prototype.verifyTotpCode = async function (code) {
+  if (!this.twoFactorSecret) {
+    return false;
+  }
+
+  const step = verifyTotp(String(code), this.twoFactorSecret);
+  if (step === null) {
+    return false;
+  }
+
+  if (this.twoFactorLastStep !== null && step <= Number(this.twoFactorLastStep)) {
+    return false;
+  }
+
+  await this.update({ twoFactorLastStep: step });
+  return true;
+};
+
+// Accepts either a TOTP code or an unused recovery code, consuming the
+// recovery code on success
+User.prototype.verifyTwoFactorCode = async function (code) {
+  if (!code) {
+    return false;
+  }
+
+  if (await this.verifyTotpCode(code)) {
+    return true;
+  }
+
+  const hashes = this.twoFactorRecoveryCodes || [];
+  const hash = hashRecoveryCode(String(code));
+  if (!hashes.includes(hash)) {
+    return false;
+  }
+
+  await this.update({
+    twoFactorRecoveryCodes: hashes.filter((stored) => stored !== hash),
+  });
+  return true;
+};
+
+User.prototype.disableTwoFactor = async function () {
+  await this.update({
+    twoFactorEnabled: false,
+    twoFactorSecret: null,
+    twoFactorLastStep: null,
+    twoFactorRecoveryCodes: null,
+  });
+};
+
 module.exports = User;
@@ -0,0 +1,84 @@
+const { Model, DataTypes, Op } = require("sequelize");
+const sequelize = require("../config/database");
+const defaultRates = require("../config/vatRates");
+
+// VAT rate with the dates it applies to. Rates are shared by all companies
+// and looked up by code and date, so a rate change only needs a new row.
+class VatRate extends Model {
+  // Rates in effect on the given date (YYYY-MM-DD)
+  static findAllOn(date, { transaction } = {}) {
+    return VatRate.findAll({
+      where: {
+        validFrom: { [Op.lte]: date },
+        [Op.or]: [{ validTo: null }, { validTo: { [Op.gte]: date } }],
+      },
+      order: [["code", "ASC"]],
+      transaction,
+    });
+  }
+
+  // Adds the rates from config/vatRates.js that aren't in the table yet
+  static async seedDefaults() {
+    for (const { code, validFrom, ...fields } of defaultRates) {
+      await VatRate.findOrCreate({
+        where: { code, validFrom },
+        defaults: fields,
+      });
+    }
+  }
+}
+
+VatRate.init(
+  {
+    code: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      validate: {
+        is: {
+          args: /^[a-z0-9_]+$/,
+          msg: "Code may only contain lowercase letters, digits and underscores",
+        },
+      },
+    },
+    // Percentage, e.g. 24.00
+    rate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      validate: {
+        min: {
+          args: [0],
+          msg: "Rate must be between 0 and 100",
+        },
+        max: {
+          args: [100],
+          msg: "Rate must be between 0 and 100",
+        },
+      },
+    },
+    validFrom: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    // Last day the rate applies, null while it's current
+    validTo: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    kmdBox: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "VatRate",
+    timestamps: true,
+    indexes: [{ unique: true, fields: ["code", "validFrom"] }],
+  }
+);
+
+module.exports = VatRate;
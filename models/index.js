@@ -0,0 +1,67 @@
+const sequelize = require("../config/database");
+const User = require("./User");
+const Company = require("./Company");
+const CompanyMembership = require("./CompanyMembership");
+const CompanyInvitation = require("./CompanyInvitation");
+const RefreshToken = require("./RefreshToken");
+
+// Associations between users, their sessions and companies. The foreign keys
+// themselves are created by the migrations and onDelete here only documents
+// them: 20261019000002-create-companies.js (a company's creator),
+// 20261019000005-create-company-memberships.js (memberships and invitations)
+// and 20261019000015-add-user-foreign-keys.js (sessions, and memberships
+// deleted with their user).
+//
+// Deleting a user removes their sessions and memberships. A user who created
+// companies can't be deleted, the company keeps its creator. Deleting a
+// company removes its records explicitly, see destroyCompany in
+// routes/companyRoutes.js.
+User.hasMany(RefreshToken, {
+  as: "refreshTokens",
+  foreignKey: { name: "userId", allowNull: false },
+  onDelete: "CASCADE",
+});
+RefreshToken.belongsTo(User, { as: "user", foreignKey: "userId" });
+
+User.hasMany(CompanyMembership, {
+  as: "memberships",
+  foreignKey: { name: "userId", allowNull: false },
+  onDelete: "CASCADE",
+});
+CompanyMembership.belongsTo(User, { as: "user", foreignKey: "userId" });
+
+Company.hasMany(CompanyMembership, {
+  as: "memberships",
+  foreignKey: { name: "companyId", allowNull: false },
+  onDelete: "NO ACTION",
+});
+CompanyMembership.belongsTo(Company, {
+  as: "company",
+  foreignKey: "companyId",
+});
+
+User.hasMany(Company, {
+  as: "createdCompanies",
+  foreignKey: { name: "userId", allowNull: false },
+  onDelete: "RESTRICT",
+});
+Company.belongsTo(User, { as: "creator", foreignKey: "userId" });
+
+Company.hasMany(CompanyInvitation, {
+  as: "invitations",
+  foreignKey: { name: "companyId", allowNull: false },
+  onDelete: "NO ACTION",
+});
+CompanyInvitation.belongsTo(Company, {
+  as: "company",
+  foreignKey: "companyId",
+});
+
+module.exports = {
+  sequelize,
+  User,
+  Company,
+  CompanyMembership,
+  CompanyInvitation,
+  RefreshToken,
+};
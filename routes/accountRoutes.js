@@ -0,0 +1,510 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const Account = require("../models/Account");
+const JournalLine = require("../models/JournalLine");
+const InvoiceLine = require("../models/InvoiceLine");
+const BillLine = require("../models/BillLine");
+const BankStatement = require("../models/BankStatement");
+const { authenticateToken, authorizeCompany } = require("../middleware/auth");
+const { sendValidationError } = require("../utils/validationErrors");
+
+// Mounted under /api/company/:id/accounts
+router.use(authenticateToken);
+
+// Checks that a parent account exists in the same company and that using it
+// doesn't create a cycle. Returns an error message, or null if it's fine.
+const validateParent = async (companyId, parentId, accountId = null) => {
+  if (parentId === null || parentId === undefined) {
+    return null;
+  }
+
+  let current = await Account.findOne({ where: { id: parentId, companyId } });
+  if (!current) {
+    return "Parent account not found";
+  }
+
+  while (current) {
+    if (accountId !== null && current.id === accountId) {
+      return "An account can't be its own ancestor";
+    }
+    current = current.parentId && (await Account.findByPk(current.parentId));
+  }
+
+  return null;
+};
+
+// Loads the account named by :accountId within req.company
+const loadAccount = async (req, res, next) => {
+  try {
+    if (!/^\d+$/.test(req.params.accountId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: [{ field: "accountId", message: "Must be an account id" }],
+      });
+    }
+
+    const account = await Account.findOne({
+      where: { id: req.params.accountId, companyId: req.company.id },
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: "Account not found",
+      });
+    }
+
+    req.account = account;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /company/{id}/accounts:
+ *   get:
+ *     summary: List the company's chart of accounts
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [asset, liability, equity, revenue, expense]
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Accounts ordered by code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 accounts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Account'
+ *       400:
+ *         description: Unknown type
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/", authorizeCompany("accounts:read"), async (req, res) => {
+  try {
+    const where = { companyId: req.company.id };
+
+    if (req.query.type) {
+      // Unknown enum values would fail the query on PostgreSQL
+      if (!Account.TYPES.includes(req.query.type)) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: [
+            {
+              field: "type",
+              message: `Must be one of ${Account.TYPES.join(", ")}`,
+            },
+          ],
+        });
+      }
+      where.type = req.query.type;
+    }
+    if (req.query.active !== undefined) {
+      where.isActive = req.query.active === "true";
+    }
+
+    const accounts = await Account.findAll({
+      where,
+      order: [["code", "ASC"]],
+    });
+
+    res.status(200).json({
+      success: true,
+      accounts,
+    });
+  } catch (error) {
+    console.error("Error fetching accounts:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching accounts",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/{id}/accounts/{accountId}:
+ *   get:
+ *     summary: Get an account
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The account
+ *       400:
+ *         description: Invalid account id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company or account not found
+ */
+router.get(
+  "/:accountId",
+  authorizeCompany("accounts:read"),
+  loadAccount,
+  (req, res) => {
+    res.status(200).json({
+      success: true,
+      account: req.account,
+    });
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/accounts:
+ *   post:
+ *     summary: Create an account
+ *     description: Requires the owner or accountant role.
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - name
+ *               - type
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "1030"
+ *               name:
+ *                 type: string
+ *                 example: "Teine arvelduskonto"
+ *               type:
+ *                 type: string
+ *                 enum: [asset, liability, equity, revenue, expense]
+ *               parentId:
+ *                 type: integer
+ *                 nullable: true
+ *               isActive:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Account created
+ *       400:
+ *         description: Invalid input or duplicate code
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage accounts
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/", authorizeCompany("accounts:manage"), async (req, res) => {
+  try {
+    const { code, name, type, parentId = null, isActive } = req.body;
+    const companyId = req.company.id;
+
+    const parentError = await validateParent(companyId, parentId);
+    if (parentError) {
+      return res.status(400).json({
+        success: false,
+        message: parentError,
+      });
+    }
+
+    const account = await Account.create({
+      companyId,
+      code,
+      name,
+      type,
+      parentId,
+      isActive,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Account created successfully",
+      account,
+    });
+  } catch (error) {
+    if (sendValidationError(res, error)) {
+      return;
+    }
+    if (error.name === "SequelizeUniqueConstraintError") {
+      return res.status(400).json({
+        success: false,
+        message: "An account with this code already exists",
+      });
+    }
+
+    console.error("Error creating account:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating account",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/{id}/accounts/{accountId}:
+ *   put:
+ *     summary: Update an account
+ *     description: |
+ *       Only the given fields are changed. Use `isActive: false` to retire an
+ *       account that is still referenced. Requires the owner or accountant
+ *       role.
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [asset, liability, equity, revenue, expense]
+ *               parentId:
+ *                 type: integer
+ *                 nullable: true
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Account updated
+ *       400:
+ *         description: Invalid input or duplicate code
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage accounts
+ *       404:
+ *         description: Company or account not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  "/:accountId",
+  authorizeCompany("accounts:manage"),
+  loadAccount,
+  async (req, res) => {
+    try {
+      const account = req.account;
+      const changes = {};
+
+      for (const field of ["code", "name", "type", "parentId", "isActive"]) {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field];
+        }
+      }
+
+      if (changes.parentId !== undefined) {
+        const parentError = await validateParent(
+          req.company.id,
+          changes.parentId,
+          account.id
+        );
+        if (parentError) {
+          return res.status(400).json({
+            success: false,
+            message: parentError,
+          });
+        }
+      }
+
+      await account.update(changes);
+
+      res.status(200).json({
+        success: true,
+        message: "Account updated successfully",
+        account,
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+      if (error.name === "SequelizeUniqueConstraintError") {
+        return res.status(400).json({
+          success: false,
+          message: "An account with this code already exists",
+        });
+      }
+
+      console.error("Error updating account:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating account",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/accounts/{accountId}:
+ *   delete:
+ *     summary: Delete an account
+ *     description: |
+ *       Only accounts without sub-accounts, journal lines, invoice or bill
+ *       lines and bank statements can be deleted. Deactivate accounts that
+ *       are still in use instead. Requires the owner or
+ *       accountant role.
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Account deleted
+ *       400:
+ *         description: Account is still in use
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage accounts
+ *       404:
+ *         description: Company or account not found
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  "/:accountId",
+  authorizeCompany("accounts:manage"),
+  loadAccount,
+  async (req, res) => {
+    try {
+      const account = req.account;
+
+      const childCount = await Account.count({
+        where: { parentId: account.id },
+      });
+      if (childCount > 0) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Account has sub-accounts, move or delete them first or deactivate the account",
+        });
+      }
+
+      const lineCount = await JournalLine.count({
+        where: { accountId: account.id },
+      });
+      if (lineCount > 0) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Account has journal entries and can't be deleted, deactivate it instead",
+        });
+      }
+
+      // Documents that aren't posted yet point at the account as well
+      const uses = [
+        ["invoices", InvoiceLine],
+        ["bills", BillLine],
+        ["bank statements", BankStatement],
+      ];
+      for (const [documents, model] of uses) {
+        if ((await model.count({ where: { accountId: account.id } })) > 0) {
+          return res.status(400).json({
+            success: false,
+            message: `Account is used on ${documents} and can't be deleted, deactivate it instead`,
+          });
+        }
+      }
+
+      await account.destroy();
+
+      res.status(200).json({
+        success: true,
+        message: "Account deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting account:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error deleting account",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
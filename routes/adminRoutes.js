@@ -0,0 +1,315 @@
+const express = require("express");
+const router = express.Router();
+const OutboxMessage = require("../models/OutboxMessage");
+const VatRate = require("../models/VatRate");
+const { addRate } = require("../services/vat/vatService");
+const { resolvePaging } = require("../services/accounting/reportPeriods");
+const { authenticateToken, requireAdmin } = require("../middleware/auth");
+const { sendValidationError } = require("../utils/validationErrors");
+
+router.use(authenticateToken, requireAdmin);
+
+/**
+ * @swagger
+ * /admin/outbox:
+ *   get:
+ *     summary: List outgoing emails
+ *     description: |
+ *       Lists messages from the email outbox, newest first. Defaults to
+ *       messages that were given up on (`dead`). Requires an admin user.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sent, dead]
+ *           default: dead
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           minimum: 1
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *     responses:
+ *       200:
+ *         description: Outbox messages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       to:
+ *                         type: string
+ *                       template:
+ *                         type: string
+ *                       subject:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                       attempts:
+ *                         type: integer
+ *                       lastError:
+ *                         type: string
+ *                       nextAttemptAt:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         description: Invalid status or paging
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+router.get("/outbox", async (req, res) => {
+  try {
+    const status = req.query.status || "dead";
+    const { limit, offset } = resolvePaging(req.query, {
+      defaultLimit: 50,
+      maxLimit: 200,
+    });
+
+    if (!OutboxMessage.getAttributes().status.values.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid status",
+      });
+    }
+
+    const { count, rows } = await OutboxMessage.findAndCountAll({
+      where: { status },
+      // The rendered bodies may contain sign-in links, keep them out of the list
+      attributes: { exclude: ["text", "html"] },
+      order: [["createdAt", "DESC"]],
+      limit,
+      offset,
+    });
+
+    res.status(200).json({
+      success: true,
+      total: count,
+      messages: rows,
+    });
+  } catch (error) {
+    if (sendValidationError(res, error)) {
+      return;
+    }
+    console.error("Error fetching outbox:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching outbox",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/outbox/{id}/retry:
+ *   post:
+ *     summary: Retry a failed email
+ *     description: Puts a dead outbox message back in the queue for immediate delivery.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Message queued again
+ *       400:
+ *         description: Invalid message id
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/outbox/:id/retry", async (req, res) => {
+  try {
+    // Non-integers would fail the query on PostgreSQL
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: [{ field: "id", message: "Must be a message id" }],
+      });
+    }
+
+    const message = await OutboxMessage.findOne({
+      where: { id: req.params.id, status: "dead" },
+    });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "Message not found",
+      });
+    }
+
+    await message.update({
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: new Date(),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Message queued for delivery",
+    });
+  } catch (error) {
+    console.error("Error retrying outbox message:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error retrying message",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/vat-rates:
+ *   get:
+ *     summary: List all VAT rates
+ *     description: Every rate with the dates it applies to. Requires an admin user.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The rates, by code and date
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not an admin
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Add a VAT rate
+ *     description: |
+ *       Adds a rate that takes effect on `validFrom`, e.g. a change of the
+ *       standard rate. The current rate of the same code ends the day
+ *       before. Requires an admin user.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - rate
+ *               - validFrom
+ *               - kmdBox
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: standard
+ *               rate:
+ *                 type: string
+ *                 example: "24.00"
+ *               validFrom:
+ *                 type: string
+ *                 format: date
+ *               kmdBox:
+ *                 type: string
+ *                 description: KMD box the taxable amount is reported in
+ *                 example: "1"
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Rate added
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not an admin
+ *       500:
+ *         description: Server error
+ */
+router.get("/vat-rates", async (req, res) => {
+  try {
+    const rates = await VatRate.findAll({
+      order: [
+        ["code", "ASC"],
+        ["validFrom", "ASC"],
+      ],
+    });
+
+    res.status(200).json({ success: true, rates });
+  } catch (error) {
+    console.error("Error listing VAT rates:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error listing VAT rates",
+      error: error.message,
+    });
+  }
+});
+
+router.post("/vat-rates", async (req, res) => {
+  try {
+    const { code, rate, validFrom, kmdBox, description } = req.body;
+    const vatRate = await addRate({
+      code,
+      rate,
+      validFrom,
+      kmdBox,
+      description,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "VAT rate added",
+      rate: vatRate,
+    });
+  } catch (error) {
+    if (sendValidationError(res, error)) {
+      return;
+    }
+
+    console.error("Error adding VAT rate:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error adding VAT rate",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,271 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const { Op } = require("sequelize");
+const AuditEvent = require("../models/AuditEvent");
+const User = require("../models/User");
+const { authenticateToken, authorizeCompany } = require("../middleware/auth");
+const { resolvePaging } = require("../services/accounting/reportPeriods");
+const { sendValidationError } = require("../utils/validationErrors");
+
+// Mounted under /api/company/:id/audit
+router.use(authenticateToken);
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parses a from/to filter. A plain date as `to` covers that whole day.
+const parseBound = (value, { endOfDay = false } = {}) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  if (endOfDay && DATE_ONLY.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         companyId:
+ *           type: integer
+ *         actorId:
+ *           type: integer
+ *           nullable: true
+ *           description: Null for changes made outside an authenticated request
+ *         actor:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *             surname:
+ *               type: string
+ *             email:
+ *               type: string
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete]
+ *         entityType:
+ *           type: string
+ *           example: Company
+ *         entityId:
+ *           type: string
+ *           nullable: true
+ *           description: Null for bulk updates and deletes
+ *         changes:
+ *           type: object
+ *           description: >
+ *             Changed fields as { from, to }. Bulk updates and deletes hold
+ *             the `where` condition and, for updates, the values `set`.
+ *             Secrets show as "[redacted]".
+ *           example:
+ *             name:
+ *               from: Old OÜ
+ *               to: New OÜ
+ *         ipAddress:
+ *           type: string
+ *           nullable: true
+ *         requestId:
+ *           type: string
+ *           nullable: true
+ *           description: X-Request-Id of the request that made the change
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /company/{id}/audit:
+ *   get:
+ *     summary: List the company's audit trail
+ *     description: Every create, update and delete of the company's records, newest first. The trail can't be changed.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           example: Bill
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete]
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: A date without time includes that whole day
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           minimum: 1
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *     responses:
+ *       200:
+ *         description: Audit events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEvent'
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/", authorizeCompany("audit:read"), async (req, res) => {
+  try {
+    const { entityType, entityId, actorId, action, requestId, from, to } =
+      req.query;
+    const { limit, offset } = resolvePaging(req.query, {
+      defaultLimit: 50,
+      maxLimit: 200,
+    });
+    const where = { companyId: req.company.id };
+    const errors = [];
+
+    if (entityType) {
+      where.entityType = entityType;
+    }
+    if (entityId) {
+      where.entityId = String(entityId);
+    }
+    if (actorId) {
+      // Non-integers would fail the query on PostgreSQL
+      if (!/^\d+$/.test(actorId)) {
+        errors.push({ field: "actorId", message: "Must be a user id" });
+      }
+      where.actorId = actorId;
+    }
+    if (action) {
+      if (!AuditEvent.ACTIONS.includes(action)) {
+        errors.push({
+          field: "action",
+          message: `Action must be one of ${AuditEvent.ACTIONS.join(", ")}`,
+        });
+      }
+      where.action = action;
+    }
+    if (requestId) {
+      where.requestId = requestId;
+    }
+    if (from || to) {
+      const fromDate = from && parseBound(from);
+      const toDate = to && parseBound(to, { endOfDay: true });
+      if (from && !fromDate) {
+        errors.push({ field: "from", message: "Invalid date" });
+      }
+      if (to && !toDate) {
+        errors.push({ field: "to", message: "Invalid date" });
+      }
+      where.createdAt = {
+        ...(fromDate && { [Op.gte]: fromDate }),
+        ...(toDate && { [Op.lt]: toDate }),
+      };
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors,
+      });
+    }
+
+    const { count, rows } = await AuditEvent.findAndCountAll({
+      where,
+      order: [
+        ["createdAt", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit,
+      offset,
+    });
+
+    const actorIds = [...new Set(rows.map((row) => row.actorId))].filter(
+      (id) => id !== null
+    );
+    const actors = await User.findAll({
+      attributes: ["id", "name", "surname", "email"],
+      where: { id: actorIds },
+    });
+    const actorsById = new Map(actors.map((actor) => [actor.id, actor]));
+
+    res.status(200).json({
+      success: true,
+      total: count,
+      events: rows.map((row) => ({
+        ...row.toJSON(),
+        actor: actorsById.get(row.actorId) || null,
+      })),
+    });
+  } catch (error) {
+    if (sendValidationError(res, error)) {
+      return;
+    }
+    console.error("Error fetching audit events:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching audit events",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -2,15 +2,49 @@ const express = require("express");
 const router = express.Router();
 const User = require("../models/User");
 const RefreshToken = require("../models/RefreshToken");
+const LoginThrottle = require("../models/LoginThrottle");
 const jwt = require("jsonwebtoken");
-const { Resend } = require("resend");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const { authenticateToken } = require("../middleware/auth");
+const { setRequestActor } = require("../middleware/requestContext");
+const deviceLabel = require("../utils/deviceLabel");
+const personalIdCodeValidator = require("../utils/personalIdCodeValidator");
+const { logSecurityEvent } = require("../utils/securityLogger");
+const sequelize = require("../config/database");
+const { enqueueTemplate } = require("../services/mail/outbox");
+const { SUPPORTED_LOCALES } = require("../services/mail/templates");
+const { LOCKOUT_DURATION_MS } = require("../utils/loginThrottle");
+
+const TWO_FACTOR_CHALLENGE_PURPOSE = "2fa_challenge";
+const UNLOCK_ACCOUNT_PURPOSE = "unlock_account";
+
+// How long a rotated refresh token may still be exchanged. Two tabs
+// refreshing at once present the same token; the slower one must not be
+// taken for a stolen copy and sign the user out everywhere.
+const REFRESH_TOKEN_GRACE_MS = 10 * 1000;
+
+// Whether a revoked refresh token comes from a refresh racing the one that
+// rotated it: rotated moments ago, with the session still signed in
+const isConcurrentRefresh = async (token, now) =>
+  Boolean(token.rotatedAt) &&
+  now - token.rotatedAt <= REFRESH_TOKEN_GRACE_MS &&
+  (await RefreshToken.count({
+    where: { familyId: token.familyId, isRevoked: false },
+  })) > 0;
+
+// Options shared by every place that sets or clears the refresh token cookie
+const refreshTokenCookieOptions = {
+  httpOnly: true,
+  secure: true,
+  path: "/",
+  sameSite: "Strict",
+};
 
-// Initialize Resend
-const resend = new Resend(process.env.RESEND_API_KEY);
-
-// Helper function to generate tokens
-const generateTokens = async (user) => {
+// Helper function to generate tokens. The request is used to record where
+// the session lives; when rotating, the previous token keeps the session's
+// sign-in time and token family.
+const generateTokens = async (user, req, previousToken = null) => {
   // Generate access token (15 minutes)
   const accessToken = jwt.sign(
     { userId: user.id, email: user.email },
@@ -18,27 +52,131 @@ const generateTokens = async (user) => {
     { expiresIn: "15m" }
   );
 
-  // Generate refresh token (7 days)
+  // Generate refresh token (7 days). The jwtid keeps tokens rotated within
+  // the same second unique.
   const refreshToken = jwt.sign(
     { userId: user.id, email: user.email },
     process.env.REFRESH_TOKEN_SECRET,
-    { expiresIn: "7d" }
+    { expiresIn: "7d", jwtid: crypto.randomUUID() }
   );
 
   // Calculate expiration date for refresh token
   const expiresAt = new Date();
   expiresAt.setDate(expiresAt.getDate() + 7);
 
+  const userAgent = req.get("User-Agent") || null;
+  const now = new Date();
+
   // Save refresh token in database
   await RefreshToken.create({
     token: refreshToken,
     userId: user.id,
     expiresAt,
+    familyId: previousToken ? previousToken.familyId : crypto.randomUUID(),
+    userAgent: userAgent && userAgent.slice(0, 512),
+    ipAddress: req.ip,
+    deviceLabel: deviceLabel(userAgent),
+    signedInAt: previousToken ? previousToken.signedInAt : now,
+    lastUsedAt: now,
   });
 
   return { accessToken, refreshToken };
 };
 
+// Issues the session tokens and sends the successful login response
+const completeLogin = async (user, req, res) => {
+  await LoginThrottle.clear(user.email);
+  await user.resetFailedLogins();
+
+  // Generate tokens
+  const { accessToken, refreshToken } = await generateTokens(user, req);
+
+  res.cookie("refreshToken", refreshToken, refreshTokenCookieOptions);
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: "Login successful",
+    accessToken,
+    user: {
+      name: user.name,
+      surname: user.surname,
+      personalIdCode: user.personalIdCode,
+      email: user.email,
+      isVerified: user.isVerified,
+    },
+  });
+};
+
+// Records a failed login for the email and, when the account exists, for the
+// user. Sends the unlock email when this attempt locked the account.
+const registerFailedLogin = async (email, user, req) => {
+  await LoginThrottle.registerFailure(email);
+
+  if (!user || !(await user.registerFailedLogin())) {
+    return;
+  }
+
+  const unlockToken = jwt.sign(
+    { userId: user.id, purpose: UNLOCK_ACCOUNT_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: "24h" }
+  );
+  const unlockUrl = `${process.env.FRONTEND_URL}/unlock-account?token=${unlockToken}`;
+
+  // Queue the unlock email together with the token it carries
+  await sequelize.transaction(async (transaction) => {
+    await user.update({ unlockToken }, { transaction });
+    await enqueueTemplate(
+      "accountLocked",
+      {
+        to: user.email,
+        locale: user.locale,
+        data: { unlockUrl, lockMinutes: LOCKOUT_DURATION_MS / 60000 },
+      },
+      { transaction }
+    );
+  });
+
+  logSecurityEvent("account_locked", {
+    userId: user.id,
+    failedLoginAttempts: user.failedLoginAttempts,
+    ipAddress: req.ip,
+    userAgent: req.get("User-Agent"),
+  });
+};
+
+// Sends 429 when the email is still in its backoff period
+const rejectIfThrottled = async (email, res) => {
+  const waitMs = await LoginThrottle.retryAfter(email);
+  if (waitMs === 0) {
+    return false;
+  }
+
+  const waitSeconds = Math.ceil(waitMs / 1000);
+  res.set("Retry-After", String(waitSeconds));
+  res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts, please try again in ${waitSeconds} seconds`,
+    retryAfter: waitSeconds,
+  });
+  return true;
+};
+
+// Sends 423 when the account is locked
+const rejectIfLocked = (user, res) => {
+  if (!user.isLocked()) {
+    return false;
+  }
+
+  res.status(423).json({
+    success: false,
+    message:
+      "Account is temporarily locked due to too many failed login attempts. Check your email for an unlock link.",
+  });
+  return true;
+};
+
 /**
  * @swagger
  * /signup:
@@ -69,6 +207,15 @@ const generateTokens = async (user) => {
  *                 type: string
  *               personalIdCode:
  *                 type: string
+ *                 description: |
+ *                   Estonian personal ID code (isikukood). The century and
+ *                   gender digit, birth date and check digit are validated.
+ *               locale:
+ *                 type: string
+ *                 enum: [et, en]
+ *                 description: |
+ *                   Language for emails. Defaults to the Accept-Language
+ *                   header, then Estonian.
  *     responses:
  *       200:
  *         description: Verification email sent successfully
@@ -79,7 +226,22 @@ const generateTokens = async (user) => {
  */
 router.post("/signup", async (req, res) => {
   try {
-    const { email, password, name, surname, personalIdCode } = req.body;
+    const { email, password, name, surname, personalIdCode, locale } =
+      req.body;
+
+    // Reject fake personal ID codes up front with the exact reason
+    const idCodeValidation = personalIdCodeValidator(personalIdCode);
+    if (!idCodeValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: idCodeValidation.errors.map((err) => ({
+          field: "personalIdCode",
+          code: err.code,
+          message: err.message,
+        })),
+      });
+    }
 
     // Check if user already exists
     const existingUser = await User.findOne({ where: { email } });
@@ -92,36 +254,34 @@ router.post("/signup", async (req, res) => {
         });
       }
 
-      // Create new verification token
+      // Create new verification token. The jwtid makes it differ from the
+      // one it supersedes even when both are signed in the same second.
       const verificationToken = jwt.sign({ email }, process.env.JWT_SECRET, {
         expiresIn: "1h",
+        jwtid: crypto.randomUUID(),
       });
 
-      // Update existing user with new verification token
-      await existingUser.update({ verificationToken });
-
       // Generate verification URL
       const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
 
-      // Send verification email using Resend
-      const emailResponse = await resend.emails.send({
-        from: process.env.RESEND_FROM_EMAIL,
-        to: email,
-        subject: "Verify your email",
-        html: `
-          <h1>Email Verification</h1>
-          <p>Please click the link below to verify your email address:</p>
-          <a href="${verificationUrl}">Verify Email</a>
-          <p>This link will expire in 1 hour.</p>
-        `,
+      // Update existing user with new verification token and queue the
+      // verification email in the same transaction
+      await sequelize.transaction(async (transaction) => {
+        await existingUser.update({ verificationToken }, { transaction });
+        await enqueueTemplate(
+          "verifyEmail",
+          {
+            to: email,
+            locale: existingUser.locale,
+            data: { verificationUrl },
+          },
+          { transaction }
+        );
       });
 
-      console.log("Resend API Response:", emailResponse);
-
       return res.status(200).json({
         success: true,
         message: "Verification email sent successfully",
-        emailId: emailResponse.id,
         user: {
           email: existingUser.email,
           name: existingUser.name,
@@ -135,40 +295,47 @@ router.post("/signup", async (req, res) => {
     // Generate verification token for new user
     const verificationToken = jwt.sign({ email }, process.env.JWT_SECRET, {
       expiresIn: "1h",
-    });
-
-    // Create new user with all fields
-    const user = await User.create({
-      email,
-      password,
-      name,
-      surname,
-      personalIdCode,
-      verificationToken,
+      jwtid: crypto.randomUUID(),
     });
 
     // Generate verification URL
     const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
 
-    // Send verification email using Resend
-    const emailResponse = await resend.emails.send({
-      from: process.env.RESEND_FROM_EMAIL,
-      to: email,
-      subject: "Verify your email",
-      html: `
-        <h1>Email Verification</h1>
-        <p>Please click the link below to verify your email address:</p>
-        <a href="${verificationUrl}">Verify Email</a>
-        <p>This link will expire in 1 hour.</p>
-      `,
-    });
+    // Create new user with all fields and queue the verification email in
+    // the same transaction
+    const user = await sequelize.transaction(async (transaction) => {
+      const createdUser = await User.create(
+        {
+          email,
+          password,
+          name,
+          surname,
+          personalIdCode,
+          verificationToken,
+          // Explicit choice first, then the browser's language preference
+          locale: SUPPORTED_LOCALES.includes(locale)
+            ? locale
+            : req.acceptsLanguages(...SUPPORTED_LOCALES) || undefined,
+        },
+        { transaction }
+      );
+
+      await enqueueTemplate(
+        "verifyEmail",
+        {
+          to: email,
+          locale: createdUser.locale,
+          data: { verificationUrl },
+        },
+        { transaction }
+      );
 
-    console.log("Resend API Response:", emailResponse);
+      return createdUser;
+    });
 
     res.status(200).json({
       success: true,
       message: "User registered and verification email sent successfully",
-      emailId: emailResponse.id,
       user: {
         email: user.email,
         name: user.name,
@@ -323,7 +490,10 @@ router.post("/verify-email", async (req, res) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: |
+ *           Login successful. For users with two-factor authentication enabled
+ *           the response carries `twoFactorRequired: true` and a
+ *           `challengeToken` for `/login/2fa` instead of the access token.
  *         content:
  *           application/json:
  *             schema:
@@ -344,6 +514,10 @@ router.post("/verify-email", async (req, res) => {
  *                       type: boolean
  *       400:
  *         description: Invalid credentials or email not verified
+ *       423:
+ *         description: Account locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts, retry after the `Retry-After` header
  *       500:
  *         description: Server error
  */
@@ -351,11 +525,16 @@ router.post("/login", async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    if (await rejectIfThrottled(email, res)) {
+      return;
+    }
+
     // Find user
     const user = await User.findOne({ where: { email } });
 
     // Check if user exists
     if (!user) {
+      await registerFailedLogin(email, null, req);
       return res.status(400).json({
         success: false,
         message: "Invalid email or password",
@@ -370,46 +549,229 @@ router.post("/login", async (req, res) => {
       });
     }
 
+    if (rejectIfLocked(user, res)) {
+      return;
+    }
+
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
+      await registerFailedLogin(email, user, req);
       return res.status(400).json({
         success: false,
         message: "Invalid email or password",
       });
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = await generateTokens(user);
+    // With 2FA on, the password only earns a short-lived challenge token
+    // that has to be exchanged through /login/2fa
+    if (user.twoFactorEnabled) {
+      const challengeToken = jwt.sign(
+        { userId: user.id, purpose: TWO_FACTOR_CHALLENGE_PURPOSE },
+        process.env.JWT_SECRET,
+        { expiresIn: "5m" }
+      );
 
-    res.cookie(
-      "refreshToken", refreshToken,
-      {
-        httpOnly: true,
-        secure: true,
-        path: "/",
-        sameSite: "Strict",
-      }
-    );
+      return res.status(200).json({
+        success: true,
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken,
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error during login",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /login/2fa:
+ *   post:
+ *     summary: Complete login with a two-factor authentication code
+ *     description: |
+ *       Exchanges the `challengeToken` returned by `/login` for users with
+ *       two-factor authentication enabled, together with a code from the
+ *       authenticator app or an unused recovery code, for the access token
+ *       and refresh token cookie. The challenge token expires after 5 minutes.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Authenticator code or recovery code
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Invalid or expired challenge, or invalid code
+ *       423:
+ *         description: Account locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts, retry after the `Retry-After` header
+ *       500:
+ *         description: Server error
+ */
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: "Challenge token and code are required",
+      });
+    }
+
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    if (decoded.purpose !== TWO_FACTOR_CHALLENGE_PURPOSE) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid challenge token",
+      });
+    }
+
+    const user = await User.findOne({ where: { id: decoded.userId } });
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid challenge token",
+      });
+    }
+
+    // Wrong codes count as failed logins, so guessing them is slowed down
+    // the same way as guessing passwords
+    if (await rejectIfThrottled(user.email, res)) {
+      return;
+    }
+
+    if (rejectIfLocked(user, res)) {
+      return;
+    }
+
+    if (!(await user.verifyTwoFactorCode(code))) {
+      await registerFailedLogin(user.email, user, req);
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      return res.status(400).json({
+        success: false,
+        message: "Login challenge has expired, please log in again",
+      });
+    }
+    if (error.name === "JsonWebTokenError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid challenge token",
+      });
+    }
+
+    console.error("2FA login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error during login",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /unlock-account:
+ *   post:
+ *     summary: Unlock an account locked after failed logins
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: The unlock token received via email
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       400:
+ *         description: Invalid or expired token
+ *       500:
+ *         description: Server error
+ */
+router.post("/unlock-account", async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: "Unlock token is required",
+      });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const user =
+      decoded.purpose === UNLOCK_ACCOUNT_PURPOSE &&
+      (await User.findOne({
+        where: { id: decoded.userId, unlockToken: token },
+      }));
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired unlock link",
+      });
+    }
+
+    await user.resetFailedLogins();
+    await LoginThrottle.clear(user.email);
 
-    // Send response
     res.status(200).json({
       success: true,
-      message: "Login successful",
-      accessToken,
-      user: {
-        name: user.name,
-        surname: user.surname,
-        personalIdCode: user.personalIdCode,
-        email: user.email,
-        isVerified: user.isVerified,
-      },
+      message: "Account unlocked successfully",
     });
   } catch (error) {
-    console.error("Login error:", error);
+    if (
+      error.name === "TokenExpiredError" ||
+      error.name === "JsonWebTokenError"
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired unlock link",
+      });
+    }
+
+    console.error("Account unlock error:", error);
     res.status(500).json({
       success: false,
-      message: "Error during login",
+      message: "Error unlocking account",
       error: error.message,
     });
   }
@@ -463,28 +825,23 @@ router.post("/forgot-password", async (req, res) => {
       { expiresIn: "1h" }
     );
 
-    // Update user with reset token
-    await user.update({ verificationToken: resetToken });
-
     // Generate reset URL
     const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
 
-    // Send reset email
-    const emailResponse = await resend.emails.send({
-      from: process.env.RESEND_FROM_EMAIL,
-      to: email,
-      subject: "Reset Your Password",
-      html: `
-        <h1>Password Reset Request</h1>
-        <p>You requested to reset your password. Click the link below to set a new password:</p>
-        <a href="${resetUrl}">Reset Password</a>
-        <p>This link will expire in 1 hour.</p>
-        <p>If you didn't request this, you can safely ignore this email.</p>
-      `,
+    // Update user with reset token and queue the reset email
+    await sequelize.transaction(async (transaction) => {
+      await user.update({ verificationToken: resetToken }, { transaction });
+      await enqueueTemplate(
+        "passwordReset",
+        {
+          to: email,
+          locale: user.locale,
+          data: { resetUrl },
+        },
+        { transaction }
+      );
     });
 
-    console.log("Reset email sent:", emailResponse);
-
     // Send success response (same message whether user exists or not for security)
     res.status(200).json({
       success: true,
@@ -565,25 +922,27 @@ router.post("/reset-password", async (req, res) => {
       });
     }
 
-    // Update password and clear reset token
-    await user.update({
-      password: password, // bcrypt hash is handled by User model hooks
-      verificationToken: null,
-    });
-
-    // Send reset email
-    const emailResponse = await resend.emails.send({
-      from: process.env.RESEND_FROM_EMAIL,
-      to: decoded.email,
-      subject: "Password Reset Success",
-      html: `
-        <h1>Password Reset Success</h1>
-        <p>Your password has been reset successfully. If you did not request this, please contact support.</p>
-      `,
+    // Update password, clear reset token and queue the confirmation email.
+    // The reset is the user's own change in the audit trail.
+    setRequestActor(user.id);
+    await sequelize.transaction(async (transaction) => {
+      await user.update(
+        {
+          password: password, // bcrypt hash is handled by User model hooks
+          verificationToken: null,
+        },
+        { transaction }
+      );
+      await enqueueTemplate(
+        "passwordResetSuccess",
+        {
+          to: decoded.email,
+          locale: user.locale,
+        },
+        { transaction }
+      );
     });
 
-    console.log("Reset email sent:", emailResponse);
-
     res.status(200).json({
       success: true,
       message: "Password has been reset successfully",
@@ -595,6 +954,22 @@ router.post("/reset-password", async (req, res) => {
         message: "Password reset link has expired",
       });
     }
+    if (error.name === "JsonWebTokenError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired password reset link",
+      });
+    }
+    if (error.name === "SequelizeValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: error.errors.map((err) => ({
+          field: err.path,
+          message: err.message,
+        })),
+      });
+    }
 
     console.error("Password reset error:", error);
     res.status(500).json({
@@ -610,6 +985,12 @@ router.post("/reset-password", async (req, res) => {
  * /refresh-token:
  *   post:
  *     summary: Get new access token using refresh token
+ *     description: |
+ *       Exchanges the refresh token for a new one. A token presented again
+ *       after it was exchanged signs the whole session out, unless it comes
+ *       within 10 seconds of the exchange while the session is still signed
+ *       in: that is a second tab refreshing at the same time, and it gets
+ *       tokens of its own.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -643,10 +1024,7 @@ router.post("/refresh-token", async (req, res) => {
 
     // Find refresh token in database
     const savedToken = await RefreshToken.findOne({
-      where: {
-        token: refreshToken,
-        isRevoked: false,
-      },
+      where: { token: refreshToken },
     });
 
     if (!savedToken) {
@@ -656,8 +1034,54 @@ router.post("/refresh-token", async (req, res) => {
       });
     }
 
+    // Revoke the token in the same statement that checks it is still valid,
+    // so of two requests presenting it only one can rotate it
+    const now = new Date();
+    let rotated = 0;
+    if (!savedToken.isRevoked && now <= savedToken.expiresAt) {
+      [rotated] = await RefreshToken.update(
+        { isRevoked: true, rotatedAt: now, lastUsedAt: now },
+        { where: { id: savedToken.id, isRevoked: false } }
+      );
+      if (rotated === 0) {
+        await savedToken.reload();
+      }
+    }
+
+    // A rotated token being presented again means it was copied before it
+    // was rotated. Shut down the whole family so neither copy keeps working.
+    // A refresh racing the rotation gets tokens of its own in the family.
+    // Tokens revoked by logout or a session revocation are just refused.
+    if (
+      !rotated &&
+      savedToken.isRevoked &&
+      !(await isConcurrentRefresh(savedToken, now))
+    ) {
+      if (savedToken.rotatedAt && now <= savedToken.expiresAt) {
+        const [revokedCount] = await RefreshToken.update(
+          { isRevoked: true },
+          { where: { familyId: savedToken.familyId, isRevoked: false } }
+        );
+
+        logSecurityEvent("refresh_token_reuse", {
+          userId: savedToken.userId,
+          familyId: savedToken.familyId,
+          tokenId: savedToken.id,
+          revokedCount,
+          ipAddress: req.ip,
+          userAgent: req.get("User-Agent"),
+        });
+      }
+
+      res.clearCookie("refreshToken", refreshTokenCookieOptions);
+      return res.status(400).json({
+        success: false,
+        message: "Invalid refresh token",
+      });
+    }
+
     // Check if token is expired
-    if (new Date() > savedToken.expiresAt) {
+    if (now > savedToken.expiresAt) {
       await savedToken.update({ isRevoked: true });
       return res.status(400).json({
         success: false,
@@ -678,18 +1102,10 @@ router.post("/refresh-token", async (req, res) => {
     }
 
     // Generate new tokens
-    const tokens = await generateTokens(user);
-
-    // Revoke old refresh token
-    await savedToken.update({ isRevoked: true });
+    const tokens = await generateTokens(user, req, savedToken);
 
     // Set the new refresh token in cookie
-    res.cookie("refreshToken", tokens.refreshToken, {
-      httpOnly: true,
-      secure: true,
-      path: "/",
-      sameSite: "Strict",
-    });
+    res.cookie("refreshToken", tokens.refreshToken, refreshTokenCookieOptions);
 
     // Only send access token in response body
     res.status(200).json({
@@ -714,4 +1130,102 @@ router.post("/refresh-token", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /logout:
+ *   post:
+ *     summary: Log out of the current session
+ *     description: |
+ *       Revokes the refresh token stored in the `refreshToken` cookie and
+ *       clears the cookie. Succeeds even if the cookie is missing or the
+ *       token was already revoked.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       500:
+ *         description: Server error
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    const refreshToken = req.cookies.refreshToken;
+
+    if (refreshToken) {
+      await RefreshToken.update(
+        { isRevoked: true },
+        { where: { token: refreshToken, isRevoked: false } }
+      );
+    }
+
+    res.clearCookie("refreshToken", refreshTokenCookieOptions);
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error during logout",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /logout-all:
+ *   post:
+ *     summary: Log out of every session
+ *     description: |
+ *       Revokes all active refresh tokens belonging to the authenticated
+ *       user and clears the refresh token cookie of the current browser.
+ *       Access tokens already issued stay valid until they expire.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 revokedCount:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post("/logout-all", authenticateToken, async (req, res) => {
+  try {
+    const [revokedCount] = await RefreshToken.update(
+      { isRevoked: true },
+      { where: { userId: req.user.id, isRevoked: false } }
+    );
+
+    res.clearCookie("refreshToken", refreshTokenCookieOptions);
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out of all sessions successfully",
+      revokedCount,
+    });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error logging out of all sessions",
+      error: error.message,
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,519 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const multer = require("multer");
+const { Op } = require("sequelize");
+const BankStatement = require("../models/BankStatement");
+const BankTransaction = require("../models/BankTransaction");
+const Invoice = require("../models/Invoice");
+const { authenticateToken, authorizeCompany } = require("../middleware/auth");
+const { sendValidationError } = require("../utils/validationErrors");
+const bankService = require("../services/bank/bankService");
+
+// Mounted under /api/company/:id/bank
+router.use(authenticateToken);
+
+// Statement files are parsed from memory and not kept
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+});
+
+// Reads the `file` field of a multipart upload, answering 400 when the
+// upload itself fails (e.g. the file is too large)
+const receiveFile = (req, res, next) =>
+  upload.single("file")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Upload failed",
+        errors: [{ field: "file", message: error.message }],
+      });
+    }
+    next();
+  });
+
+// Loads the transaction named by :transactionId within req.company
+const loadTransaction = async (req, res, next) => {
+  try {
+    const bankTransaction = await BankTransaction.findOne({
+      where: { id: req.params.transactionId, companyId: req.company.id },
+    });
+
+    if (!bankTransaction) {
+      return res.status(404).json({
+        success: false,
+        message: "Transaction not found",
+      });
+    }
+
+    req.bankTransaction = bankTransaction;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /company/{id}/bank/statements:
+ *   post:
+ *     summary: Import a bank statement
+ *     description: |
+ *       Reads an ISO 20022 camt.053 XML statement, or a CSV statement export
+ *       of Swedbank, SEB or LHV, and stores its booked transactions.
+ *       Transactions already imported for the same account are skipped.
+ *       Incoming payments whose reference number and amount match an issued
+ *       invoice are matched to it right away, posting the payment.
+ *     tags: [Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               accountId:
+ *                 type: integer
+ *                 description: Asset account the bank account is kept in, defaults to the bank account
+ *     responses:
+ *       201:
+ *         description: Statement imported, with counts of new, skipped and matched transactions
+ *       400:
+ *         description: Missing or unreadable file
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/statements",
+  authorizeCompany("bank:write"),
+  receiveFile,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: [{ field: "file", message: "A statement file is required" }],
+        });
+      }
+
+      const result = await bankService.importStatement(
+        req.company.id,
+        {
+          buffer: req.file.buffer,
+          fileName: req.file.originalname,
+          accountId: req.body.accountId,
+        },
+        req.user.id
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Statement imported successfully",
+        ...result,
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error importing bank statement:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error importing bank statement",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/bank/statements:
+ *   get:
+ *     summary: List imported bank statements
+ *     tags: [Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Statements, newest import first
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/statements", authorizeCompany("bank:read"), async (req, res) => {
+  try {
+    const statements = await BankStatement.findAll({
+      where: { companyId: req.company.id },
+      order: [["createdAt", "DESC"]],
+    });
+
+    res.status(200).json({ success: true, statements });
+  } catch (error) {
+    console.error("Error fetching bank statements:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching bank statements",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/{id}/bank/transactions:
+ *   get:
+ *     summary: List bank transactions
+ *     tags: [Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [unmatched, matched]
+ *       - in: query
+ *         name: statementId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Transactions, newest booking first
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/transactions", authorizeCompany("bank:read"), async (req, res) => {
+  try {
+    const { status, statementId, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const where = { companyId: req.company.id };
+
+    if (status) {
+      where.status = status;
+    }
+    if (statementId) {
+      where.statementId = statementId;
+    }
+    if (from || to) {
+      where.bookingDate = {
+        ...(from && { [Op.gte]: from }),
+        ...(to && { [Op.lte]: to }),
+      };
+    }
+
+    const { count, rows } = await BankTransaction.findAndCountAll({
+      where,
+      order: [
+        ["bookingDate", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit,
+      offset,
+    });
+
+    res.status(200).json({
+      success: true,
+      total: count,
+      transactions: rows,
+    });
+  } catch (error) {
+    console.error("Error fetching bank transactions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching bank transactions",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/{id}/bank/transactions/auto-match:
+ *   post:
+ *     summary: Match unmatched payments to invoices
+ *     description: |
+ *       Runs the reference number and amount matching of the import again
+ *       over all unmatched incoming payments, e.g. after the invoices they
+ *       pay have been issued.
+ *     tags: [Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Number of transactions matched
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/transactions/auto-match",
+  authorizeCompany("bank:write"),
+  async (req, res) => {
+    try {
+      const matched = await bankService.autoMatch(req.company.id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: `${matched.length} transaction(s) matched`,
+        matched: matched.length,
+      });
+    } catch (error) {
+      console.error("Error matching bank transactions:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error matching bank transactions",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/bank/transactions/{transactionId}/match:
+ *   post:
+ *     summary: Match a transaction manually
+ *     description: |
+ *       Matches the transaction to an issued invoice of the same amount
+ *       (`invoiceId`), posting the payment, or books it against another
+ *       account (`accountId`), e.g. bank fees or a payment to a supplier.
+ *     tags: [Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               invoiceId:
+ *                 type: integer
+ *               accountId:
+ *                 type: integer
+ *               description:
+ *                 type: string
+ *                 description: Description of the journal entry when booking to an account
+ *     responses:
+ *       200:
+ *         description: Transaction matched
+ *       400:
+ *         description: Validation error or transaction already matched
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company or transaction not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/transactions/:transactionId/match",
+  authorizeCompany("bank:write"),
+  loadTransaction,
+  async (req, res) => {
+    try {
+      const { invoiceId, accountId, description } = req.body;
+      if (!invoiceId === !accountId) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: [
+            {
+              field: "invoiceId",
+              message: "Give either an invoiceId or an accountId",
+            },
+          ],
+        });
+      }
+
+      let bankTransaction;
+      if (invoiceId) {
+        const invoice = await Invoice.findOne({
+          where: { id: invoiceId, companyId: req.company.id },
+        });
+        if (!invoice) {
+          return res.status(400).json({
+            success: false,
+            message: "Validation error",
+            errors: [{ field: "invoiceId", message: "Invoice not found" }],
+          });
+        }
+        bankTransaction = await bankService.matchToInvoice(
+          req.bankTransaction,
+          invoice,
+          req.user.id
+        );
+      } else {
+        bankTransaction = await bankService.matchToAccount(
+          req.bankTransaction,
+          accountId,
+          req.user.id,
+          { description }
+        );
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Transaction matched",
+        transaction: bankTransaction,
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error matching bank transaction:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error matching bank transaction",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/bank/transactions/{transactionId}/unmatch:
+ *   post:
+ *     summary: Undo the match of a transaction
+ *     description: |
+ *       Reverses the journal entry the match posted. An invoice the
+ *       transaction paid becomes unpaid again.
+ *     tags: [Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Transaction unmatched
+ *       400:
+ *         description: Transaction isn't matched, or its entry can't be reversed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company or transaction not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/transactions/:transactionId/unmatch",
+  authorizeCompany("bank:write"),
+  loadTransaction,
+  async (req, res) => {
+    try {
+      const bankTransaction = await bankService.unmatch(
+        req.bankTransaction,
+        req.user.id
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Transaction unmatched",
+        transaction: bankTransaction,
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error unmatching bank transaction:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error unmatching bank transaction",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,1080 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const multer = require("multer");
+const { Op } = require("sequelize");
+const Bill = require("../models/Bill");
+const BillAttachment = require("../models/BillAttachment");
+const BillLine = require("../models/BillLine");
+const { authenticateToken, authorizeCompany } = require("../middleware/auth");
+const { sendValidationError } = require("../utils/validationErrors");
+const billService = require("../services/purchases/billService");
+
+// Mounted under /api/company/:id/bills
+router.use(authenticateToken);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 },
+});
+
+// Reads the `file` field of a multipart upload, answering 400 when the
+// upload itself fails (e.g. the file is too large)
+const receiveFile = (req, res, next) =>
+  upload.single("file")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Upload failed",
+        errors: [{ field: "file", message: error.message }],
+      });
+    }
+    next();
+  });
+
+const requireFile = (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      errors: [{ field: "file", message: "A file is required" }],
+    });
+  }
+  next();
+};
+
+// Attachments are listed without their contents
+const ATTACHMENT_ATTRIBUTES = { exclude: ["content"] };
+
+const serializeBill = async (bill) => ({
+  ...bill.toJSON(),
+  lines: await BillLine.findAll({
+    where: { billId: bill.id },
+    order: [["lineNumber", "ASC"]],
+  }),
+  attachments: await BillAttachment.findAll({
+    where: { billId: bill.id },
+    attributes: ATTACHMENT_ATTRIBUTES,
+    order: [["id", "ASC"]],
+  }),
+});
+
+// Loads the bill named by :billId within req.company
+const loadBill = async (req, res, next) => {
+  try {
+    const bill = await Bill.findOne({
+      where: { id: req.params.billId, companyId: req.company.id },
+    });
+
+    if (!bill) {
+      return res.status(404).json({
+        success: false,
+        message: "Bill not found",
+      });
+    }
+
+    req.bill = bill;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BillLineInput:
+ *       type: object
+ *       required:
+ *         - description
+ *         - quantity
+ *         - unitPrice
+ *       properties:
+ *         description:
+ *           type: string
+ *         quantity:
+ *           type: string
+ *           example: "2"
+ *         unit:
+ *           type: string
+ *           example: pcs
+ *         unitPrice:
+ *           type: string
+ *           example: "12.4500"
+ *           description: Up to 4 decimals, negative for discounts
+ *         vatCode:
+ *           type: string
+ *           example: standard
+ *           description: VAT rate code, see GET /company/{id}/vat/rates
+ *         vatRate:
+ *           type: string
+ *           example: "24"
+ *           description: Percentage, matched to a code in effect on the issue date when no code is given. 0 needs no code.
+ *         accountId:
+ *           type: integer
+ *           description: Expense or asset account, defaults to the purchases account
+ *     BillInput:
+ *       type: object
+ *       properties:
+ *         supplierId:
+ *           type: integer
+ *         type:
+ *           type: string
+ *           enum: [bill, credit_note]
+ *           default: bill
+ *           description: Only when creating
+ *         number:
+ *           type: string
+ *           description: The supplier's invoice number
+ *         issueDate:
+ *           type: string
+ *           format: date
+ *           description: Defaults to today
+ *         dueDate:
+ *           type: string
+ *           format: date
+ *           description: Defaults to the supplier's payment term after the issue date
+ *         referenceNumber:
+ *           type: string
+ *         payToIban:
+ *           type: string
+ *           description: Defaults to the supplier's IBAN
+ *         notes:
+ *           type: string
+ *         lines:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/BillLineInput'
+ *     DocumentValidationReport:
+ *       type: object
+ *       properties:
+ *         valid:
+ *           type: boolean
+ *         format:
+ *           type: string
+ *           enum: [ubl, e_invoice]
+ *           nullable: true
+ *         errors:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DocumentValidationIssue'
+ *         warnings:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DocumentValidationIssue'
+ *     DocumentValidationIssue:
+ *       type: object
+ *       properties:
+ *         rule:
+ *           type: string
+ *           example: BR-CO-15
+ *           description: EN 16931 business rule, or BILL-* for checks against the company
+ *         path:
+ *           type: string
+ *           nullable: true
+ *           example: /Invoice/LegalMonetaryTotal/TaxInclusiveAmount
+ *         message:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /company/{id}/bills:
+ *   get:
+ *     summary: List bills and supplier credit notes
+ *     tags: [Bills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, approved, rejected, paid]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [bill, credit_note]
+ *       - in: query
+ *         name: supplierId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dueBy
+ *         description: Only bills due on or before the date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Bills, newest first, without lines
+ *       400:
+ *         description: Unknown status or type
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/", authorizeCompany("bills:read"), async (req, res) => {
+  try {
+    const { status, type, supplierId, from, to, dueBy } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const where = { companyId: req.company.id };
+
+    // Unknown enum values would fail the query on PostgreSQL
+    const errors = [
+      ["status", status, Bill.STATUSES],
+      ["type", type, Bill.getAttributes().type.values],
+    ]
+      .filter(([, value, values]) => value && !values.includes(value))
+      .map(([field, , values]) => ({
+        field,
+        message: `Must be one of ${values.join(", ")}`,
+      }));
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors,
+      });
+    }
+
+    if (status) {
+      where.status = status;
+    }
+    if (type) {
+      where.type = type;
+    }
+    if (supplierId) {
+      where.supplierId = supplierId;
+    }
+    if (from || to) {
+      where.issueDate = {
+        ...(from && { [Op.gte]: from }),
+        ...(to && { [Op.lte]: to }),
+      };
+    }
+    if (dueBy) {
+      where.dueDate = { [Op.lte]: dueBy };
+    }
+
+    const { count, rows } = await Bill.findAndCountAll({
+      where,
+      order: [
+        ["issueDate", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit,
+      offset,
+    });
+
+    res.status(200).json({
+      success: true,
+      total: count,
+      bills: rows,
+    });
+  } catch (error) {
+    console.error("Error fetching bills:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching bills",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/{id}/bills/ingest:
+ *   post:
+ *     summary: Import an e-invoice as a draft bill
+ *     description: |
+ *       Reads a UBL 2.1 invoice or credit note (Peppol BIS Billing 3.0) or an
+ *       Estonian e-invoice (e-arve 1.1 to 1.2) and checks it against the
+ *       EN 16931 business rules: required fields, line and VAT breakdown
+ *       totals. The bill must be in euros, addressed to the company, at
+ *       Estonian VAT rates and not imported before. A valid document becomes
+ *       a draft bill with its lines on the purchases account; the supplier is
+ *       found by registry code or VAT number, or created. The file is kept as
+ *       an attachment. Requires the owner or accountant role.
+ *     tags: [Bills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Draft bill created, with the report's warnings
+ *       400:
+ *         description: Missing file, or the document failed validation; the body has the report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 report:
+ *                   $ref: '#/components/schemas/DocumentValidationReport'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage bills
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/ingest",
+  authorizeCompany("bills:write"),
+  receiveFile,
+  requireFile,
+  async (req, res) => {
+    try {
+      const { report, bill } = await billService.ingestDocument(
+        req.company.id,
+        { buffer: req.file.buffer, fileName: req.file.originalname },
+        req.user.id
+      );
+
+      if (!bill) {
+        return res.status(400).json({
+          success: false,
+          message: "Document failed validation",
+          report,
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Bill imported as draft",
+        report,
+        bill: await serializeBill(bill),
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error importing bill:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error importing bill",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/bills/{billId}:
+ *   get:
+ *     summary: Get a bill with its lines and attachments
+ *     tags: [Bills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: billId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The bill
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company or bill not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/:billId",
+  authorizeCompany("bills:read"),
+  loadBill,
+  async (req, res) => {
+    try {
+      res.status(200).json({
+        success: true,
+        bill: await serializeBill(req.bill),
+      });
+    } catch (error) {
+      console.error("Error fetching bill:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching bill",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/bills:
+ *   post:
+ *     summary: Enter a draft bill by hand
+ *     description: |
+ *       Requires the owner or accountant role.
+ *     tags: [Bills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BillInput'
+ *     responses:
+ *       201:
+ *         description: Draft bill created
+ *       400:
+ *         description: Invalid input, or the supplier's bill number is already entered
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage bills
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/", authorizeCompany("bills:write"), async (req, res) => {
+  try {
+    const {
+      supplierId,
+      type,
+      number,
+      issueDate,
+      dueDate,
+      referenceNumber,
+      payToIban,
+      notes,
+      lines,
+    } = req.body;
+
+    const bill = await billService.createBill(
+      req.company.id,
+      {
+        supplierId,
+        type,
+        number,
+        issueDate,
+        dueDate,
+        referenceNumber,
+        payToIban,
+        notes,
+        lines,
+      },
+      req.user.id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Bill saved as draft",
+      bill: await serializeBill(bill),
+    });
+  } catch (error) {
+    if (sendValidationError(res, error)) {
+      return;
+    }
+
+    console.error("Error creating bill:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating bill",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/{id}/bills/{billId}:
+ *   put:
+ *     summary: Update a draft bill
+ *     description: |
+ *       Replaces the given fields, and all lines when `lines` is given.
+ *       Approved and rejected bills can't be changed. Requires the owner or
+ *       accountant role.
+ *     tags: [Bills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: billId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BillInput'
+ *     responses:
+ *       200:
+ *         description: Bill updated
+ *       400:
+ *         description: Invalid input or bill is no longer a draft
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage bills
+ *       404:
+ *         description: Company or bill not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  "/:billId",
+  authorizeCompany("bills:write"),
+  loadBill,
+  async (req, res) => {
+    try {
+      const {
+        supplierId,
+        number,
+        issueDate,
+        dueDate,
+        referenceNumber,
+        payToIban,
+        notes,
+        lines,
+      } = req.body;
+
+      const bill = await billService.updateDraftBill(req.bill, {
+        supplierId,
+        number,
+        issueDate,
+        dueDate,
+        referenceNumber,
+        payToIban,
+        notes,
+        lines,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Bill updated successfully",
+        bill: await serializeBill(bill),
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error updating bill:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating bill",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/bills/{billId}:
+ *   delete:
+ *     summary: Delete a draft or rejected bill
+ *     description: |
+ *       Deletes the bill with its lines and attachments. Approved bills can't
+ *       be deleted. Requires the owner or accountant role.
+ *     tags: [Bills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: billId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Bill deleted
+ *       400:
+ *         description: Bill is approved
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage bills
+ *       404:
+ *         description: Company or bill not found
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  "/:billId",
+  authorizeCompany("bills:write"),
+  loadBill,
+  async (req, res) => {
+    try {
+      await billService.deleteBill(req.bill);
+
+      res.status(200).json({
+        success: true,
+        message: "Bill deleted successfully",
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error deleting bill:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error deleting bill",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/bills/{billId}/approve:
+ *   post:
+ *     summary: Approve a draft bill
+ *     description: |
+ *       Posts the bill to the journal on its issue date: the lines' net
+ *       amounts to their accounts and the VAT to input VAT, against payables.
+ *       Credit notes post the other way. Requires the owner or accountant
+ *       role.
+ *     tags: [Bills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: billId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Bill approved
+ *       400:
+ *         description: Bill isn't a draft, is empty or falls in a closed period
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to approve bills
+ *       404:
+ *         description: Company or bill not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:billId/approve",
+  authorizeCompany("bills:approve"),
+  loadBill,
+  async (req, res) => {
+    try {
+      const bill = await billService.approveBill(req.bill, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Bill approved",
+        bill: await serializeBill(bill),
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error approving bill:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error approving bill",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/bills/{billId}/reject:
+ *   post:
+ *     summary: Reject a draft bill
+ *     description: |
+ *       Nothing is posted; a rejected bill can be deleted. Requires the owner
+ *       or accountant role.
+ *     tags: [Bills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: billId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Bill rejected
+ *       400:
+ *         description: Bill isn't a draft
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to approve bills
+ *       404:
+ *         description: Company or bill not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:billId/reject",
+  authorizeCompany("bills:approve"),
+  loadBill,
+  async (req, res) => {
+    try {
+      const bill = await billService.rejectBill(req.bill, req.user.id, {
+        reason: req.body.reason,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Bill rejected",
+        bill: await serializeBill(bill),
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error rejecting bill:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error rejecting bill",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/bills/{billId}/pay:
+ *   post:
+ *     summary: Mark a bill paid
+ *     description: |
+ *       Posts the payment from the bank account, or from the given asset
+ *       account, against payables. Requires the owner or accountant role.
+ *     tags: [Bills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: billId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *               accountId:
+ *                 type: integer
+ *                 description: Asset account the money was paid from, defaults to the bank account
+ *     responses:
+ *       200:
+ *         description: Bill marked paid
+ *       400:
+ *         description: Bill isn't approved
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage bills
+ *       404:
+ *         description: Company or bill not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:billId/pay",
+  authorizeCompany("bills:write"),
+  loadBill,
+  async (req, res) => {
+    try {
+      const { date, accountId } = req.body;
+
+      const bill = await billService.markPaid(
+        req.bill,
+        { date, accountId },
+        req.user.id
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Bill marked paid",
+        bill: await serializeBill(bill),
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error marking bill paid:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error marking bill paid",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/bills/{billId}/attachments:
+ *   post:
+ *     summary: Attach a file to a bill
+ *     description: |
+ *       E.g. a scan or PDF of a paper bill, up to 10 MB. Requires the owner or
+ *       accountant role.
+ *     tags: [Bills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: billId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: File attached
+ *       400:
+ *         description: Missing file or upload failed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage bills
+ *       404:
+ *         description: Company or bill not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:billId/attachments",
+  authorizeCompany("bills:write"),
+  loadBill,
+  receiveFile,
+  requireFile,
+  async (req, res) => {
+    try {
+      const attachment = await billService.addAttachment(
+        req.bill,
+        {
+          buffer: req.file.buffer,
+          fileName: req.file.originalname,
+          contentType: req.file.mimetype,
+        },
+        req.user.id
+      );
+      const { content, ...fields } = attachment.toJSON();
+
+      res.status(201).json({
+        success: true,
+        message: "File attached",
+        attachment: fields,
+      });
+    } catch (error) {
+      console.error("Error attaching file to bill:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error attaching file to bill",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/bills/{billId}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Download an attachment of a bill
+ *     tags: [Bills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: billId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The file, with its original content type
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company, bill or attachment not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/:billId/attachments/:attachmentId",
+  authorizeCompany("bills:read"),
+  loadBill,
+  async (req, res) => {
+    try {
+      const attachment = await BillAttachment.findOne({
+        where: { id: req.params.attachmentId, billId: req.bill.id },
+      });
+      if (!attachment) {
+        return res.status(404).json({
+          success: false,
+          message: "Attachment not found",
+        });
+      }
+
+      res.setHeader("Content-Type", attachment.contentType);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${attachment.fileName.replace(/["\\\r\n]/g, "_")}"`
+      );
+      res.status(200).send(attachment.content);
+    } catch (error) {
+      console.error("Error downloading bill attachment:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error downloading bill attachment",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
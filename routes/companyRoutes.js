@@ -1,7 +1,67 @@
 const express = require("express");
 const router = express.Router();
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const sequelize = require("../config/database");
 const Company = require("../models/Company");
-const { authenticateToken } = require('../middleware/auth');
+const CompanyMembership = require("../models/CompanyMembership");
+const CompanyInvitation = require("../models/CompanyInvitation");
+const Account = require("../models/Account");
+const AccountingPeriod = require("../models/AccountingPeriod");
+const BankStatement = require("../models/BankStatement");
+const BankTransaction = require("../models/BankTransaction");
+const Bill = require("../models/Bill");
+const BillAttachment = require("../models/BillAttachment");
+const BillLine = require("../models/BillLine");
+const Customer = require("../models/Customer");
+const FiscalYear = require("../models/FiscalYear");
+const Invoice = require("../models/Invoice");
+const InvoiceLine = require("../models/InvoiceLine");
+const InvoiceSeries = require("../models/InvoiceSeries");
+const JournalEntry = require("../models/JournalEntry");
+const JournalLine = require("../models/JournalLine");
+const PeriodStatusChange = require("../models/PeriodStatusChange");
+const Supplier = require("../models/Supplier");
+const User = require("../models/User");
+const { authenticateToken, authorizeCompany } = require('../middleware/auth');
+const { enqueueTemplate } = require("../services/mail/outbox");
+const { getRegistryProvider } = require("../services/registry");
+const registryCodeValidator = require("../utils/registryCodeValidator");
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Removes a company and everything that belongs to it. Models holding
+// company data must be added here, children before parents.
+const destroyCompany = async (company, transaction) => {
+  const where = { companyId: company.id };
+
+  await BankTransaction.destroy({ where, transaction });
+  await BankStatement.destroy({ where, transaction });
+  await BillAttachment.destroy({ where, transaction });
+  await BillLine.destroy({ where, transaction });
+  await Bill.destroy({ where, transaction });
+  await Supplier.destroy({ where, transaction });
+  await InvoiceLine.destroy({ where, transaction });
+  // Credit notes point at the invoices they credit
+  await Invoice.update({ creditedInvoiceId: null }, { where, transaction });
+  await Invoice.destroy({ where, transaction });
+  await InvoiceSeries.destroy({ where, transaction });
+  await Customer.destroy({ where, transaction });
+  await PeriodStatusChange.destroy({ where, transaction });
+  await AccountingPeriod.destroy({ where, transaction });
+  await FiscalYear.destroy({ where, transaction });
+  await JournalLine.destroy({ where, transaction });
+  // Reversal links point between entries of the same company
+  await JournalEntry.update(
+    { reversalOfId: null, reversedById: null },
+    { where, transaction }
+  );
+  await JournalEntry.destroy({ where, transaction });
+  await Account.destroy({ where, transaction });
+  await CompanyInvitation.destroy({ where, transaction });
+  await CompanyMembership.destroy({ where, transaction });
+  await company.destroy({ transaction });
+};
 
 /**
  * @swagger
@@ -30,16 +90,29 @@ const { authenticateToken } = require('../middleware/auth');
  *                 format: email
  *               address:
  *                 type: string
+ *               fiscalYearStartMonth:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 12
+ *                 default: 1
+ *     description: |
+ *       The creating user becomes the company's owner. The registration
+ *       number must be a valid 8-digit Estonian registry code; use
+ *       `/company/lookup/{registrationNumber}` to prefill the other fields.
+ *     security:
+ *       - bearerAuth: []
  */
 
-router.post("/create", async (req, res) => {
+router.post("/create", authenticateToken, async (req, res) => {
   try {
-    const { name, address, registrationNumber, email } = req.body;
+    const { name, address, registrationNumber, email, fiscalYearStartMonth } =
+      req.body;
 
     const userId = req.user.id;
 
+    // Registration numbers are unique across all companies
     const existingCompany = await Company.findOne({
-      where: { registrationNumber, userId: userId },
+      where: { registrationNumber },
     });
 
     if (existingCompany) {
@@ -49,12 +122,29 @@ router.post("/create", async (req, res) => {
       });
     }
 
-    const company = await Company.create({
-      name,
-      registrationNumber,
-      email,
-      address,
-      managerId,
+    // The creator becomes the first owner and the company starts out with
+    // the default chart of accounts
+    const company = await sequelize.transaction(async (transaction) => {
+      const createdCompany = await Company.create(
+        {
+          name,
+          registrationNumber,
+          email,
+          address,
+          fiscalYearStartMonth,
+          userId,
+        },
+        { transaction }
+      );
+
+      await CompanyMembership.create(
+        { companyId: createdCompany.id, userId, role: "owner" },
+        { transaction }
+      );
+
+      await Account.seedDefaultChart(createdCompany.id, { transaction });
+
+      return createdCompany;
     });
 
     res.status(201).json({
@@ -63,6 +153,17 @@ router.post("/create", async (req, res) => {
       company,
     });
   } catch (error) {
+    if (error.name === "SequelizeValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: error.errors.map((err) => ({
+          field: err.path,
+          message: err.message,
+        })),
+      });
+    }
+
     console.error("Company creation error:", error);
     res.status(500).json({
       success: false,
@@ -72,17 +173,119 @@ router.post("/create", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /company/lookup/{registrationNumber}:
+ *   get:
+ *     summary: Look a company up in the business register
+ *     description: |
+ *       Fetches the company's name and address from the Estonian e-Business
+ *       Register to prefill the company creation form.
+ *     tags: [Company]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: registrationNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "10234957"
+ *     responses:
+ *       200:
+ *         description: Company found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 company:
+ *                   type: object
+ *                   properties:
+ *                     registrationNumber:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     address:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [active, inactive]
+ *       400:
+ *         description: Invalid registration number
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found in the register
+ *       502:
+ *         description: Register unavailable
+ */
+router.get(
+  "/lookup/:registrationNumber",
+  authenticateToken,
+  async (req, res) => {
+    const { registrationNumber } = req.params;
+
+    const validation = registryCodeValidator(registrationNumber);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: validation.errors.map((message) => ({
+          field: "registrationNumber",
+          message,
+        })),
+      });
+    }
+
+    let company;
+    try {
+      company = await getRegistryProvider().lookup(registrationNumber);
+    } catch (error) {
+      console.error("Business register lookup error:", error);
+      return res.status(502).json({
+        success: false,
+        message:
+          "Business register is unavailable, please fill in the details manually",
+        error: error.message,
+      });
+    }
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: "Company not found in the business register",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      company,
+    });
+  }
+);
+
 /**
  * @swagger
  * /company/list:
  *   get:
- *     summary: Get all companies managed by the authenticated user
+ *     summary: Get all companies the authenticated user is a member of
  *     description: |
- *       Retrieves all companies associated with the authenticated user.
+ *       Retrieves all companies the authenticated user has a membership in,
+ *       together with the user's role in each. Archived companies are left
+ *       out unless `archived=true` is given, which lists only archived ones.
  *       Requires a valid JWT access token in the Authorization header.
  *     tags: [Company]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: archived
+ *         schema:
+ *           type: boolean
+ *           default: false
  *     responses:
  *       200:
  *         description: List of companies retrieved successfully
@@ -114,6 +317,10 @@ router.post("/create", async (req, res) => {
  *                       userId:
  *                         type: integer
  *                         example: 1
+ *                       role:
+ *                         type: string
+ *                         enum: [owner, accountant, viewer, auditor]
+ *                         example: "owner"
  *       401:
  *         description: User not authenticated
  *         content:
@@ -151,14 +358,29 @@ router.get("/list", authenticateToken, async (req, res) => {
       });
     }
 
-    const companies = await Company.findAll({
+    const memberships = await CompanyMembership.findAll({
       where: { userId },
+    });
+    const roles = new Map(
+      memberships.map((membership) => [membership.companyId, membership.role])
+    );
+
+    const archived = req.query.archived === "true";
+
+    const companies = await Company.findAll({
+      where: {
+        id: { [Op.in]: [...roles.keys()] },
+        archivedAt: archived ? { [Op.ne]: null } : null,
+      },
       order: [["createdAt", "DESC"]],
     });
 
     res.status(200).json({
       success: true,
-      companies,
+      companies: companies.map((company) => ({
+        ...company.toJSON(),
+        role: roles.get(company.id),
+      })),
     });
   } catch (error) {
     console.error("Error fetching user companies:", error);
@@ -183,45 +405,36 @@ router.get("/list", authenticateToken, async (req, res) => {
  *         schema:
  *           type: integer
  */
-router.get("/:id", authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const userId = req.user.id; // Will be set by auth middleware
-
-    const company = await Company.findOne({
-      where: {
-        id,
-        userId, // Ensure user can only access their own companies
-      },
-    });
-
-    if (!company) {
-      return res.status(404).json({
+router.get(
+  "/:id",
+  authenticateToken,
+  authorizeCompany("company:read"),
+  async (req, res) => {
+    try {
+      res.status(200).json({
+        success: true,
+        company: { ...req.company.toJSON(), role: req.membership.role },
+      });
+    } catch (error) {
+      console.error("Error fetching company:", error);
+      res.status(500).json({
         success: false,
-        message: "Company not found",
+        message: "Error fetching company details",
+        error: error.message,
       });
     }
-
-    res.status(200).json({
-      success: true,
-      company,
-    });
-  } catch (error) {
-    console.error("Error fetching company:", error);
-    res.status(500).json({
-      success: false,
-      message: "Error fetching company details",
-      error: error.message,
-    });
   }
-});
+);
 
 /**
  * @swagger
  * /company/{id}:
  *   put:
  *     summary: Update company details
+ *     description: Requires the owner or accountant role.
  *     tags: [Company]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -241,44 +454,665 @@ router.get("/:id", authenticateToken, async (req, res) => {
  *                 type: string
  *               address:
  *                 type: string
+ *               fiscalYearStartMonth:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 12
+ *                 default: 1
  */
-router.put("/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const userId = req.user.id; // Will be set by auth middleware
-    const { name, email, address } = req.body;
+router.put(
+  "/:id",
+  authenticateToken,
+  authorizeCompany("company:update"),
+  async (req, res) => {
+    try {
+      const company = req.company;
+      const { name, email, address, fiscalYearStartMonth } = req.body;
 
-    const company = await Company.findOne({
-      where: {
-        id,
-        userId, // Ensure user can only update their own companies
-      },
-    });
+      // Update company details
+      await company.update({
+        name,
+        email,
+        address,
+        fiscalYearStartMonth,
+      });
 
-    if (!company) {
-      return res.status(404).json({
+      res.status(200).json({
+        success: true,
+        message: "Company updated successfully",
+        company,
+      });
+    } catch (error) {
+      if (error.name === "SequelizeValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.errors.map((err) => ({
+            field: err.path,
+            message: err.message,
+          })),
+        });
+      }
+
+      console.error("Error updating company:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating company",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/archive:
+ *   post:
+ *     summary: Archive a company
+ *     description: |
+ *       Hides the company from the default company list and blocks updates.
+ *       All data is kept and the company can be restored. Requires the owner
+ *       or accountant role.
+ *     tags: [Company]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Company archived
+ *       400:
+ *         description: Company is already archived
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to archive
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:id/archive",
+  authenticateToken,
+  authorizeCompany("company:archive"),
+  async (req, res) => {
+    try {
+      const company = req.company;
+
+      if (company.isArchived()) {
+        return res.status(400).json({
+          success: false,
+          message: "Company is already archived",
+        });
+      }
+
+      await company.update({
+        archivedAt: new Date(),
+        archivedBy: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Company archived successfully",
+        company,
+      });
+    } catch (error) {
+      console.error("Error archiving company:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error archiving company",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/restore:
+ *   post:
+ *     summary: Restore an archived company
+ *     description: Requires the owner or accountant role.
+ *     tags: [Company]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Company restored
+ *       400:
+ *         description: Company is not archived
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to restore
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:id/restore",
+  authenticateToken,
+  authorizeCompany("company:archive"),
+  async (req, res) => {
+    try {
+      const company = req.company;
+
+      if (!company.isArchived()) {
+        return res.status(400).json({
+          success: false,
+          message: "Company is not archived",
+        });
+      }
+
+      await company.update({ archivedAt: null, archivedBy: null });
+
+      res.status(200).json({
+        success: true,
+        message: "Company restored successfully",
+        company,
+      });
+    } catch (error) {
+      console.error("Error restoring company:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error restoring company",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}:
+ *   delete:
+ *     summary: Permanently delete a company
+ *     description: |
+ *       Deletes the company together with all its data. This can't be undone.
+ *       Only owners can delete, and the company has to be archived first.
+ *     tags: [Company]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Company deleted
+ *       400:
+ *         description: Company is not archived
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only owners can delete
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  "/:id",
+  authenticateToken,
+  authorizeCompany("company:delete"),
+  async (req, res) => {
+    try {
+      const company = req.company;
+
+      // Archiving first keeps a single request from wiping out a company
+      if (!company.isArchived()) {
+        return res.status(400).json({
+          success: false,
+          message: "Archive the company before deleting it",
+        });
+      }
+
+      await sequelize.transaction((transaction) =>
+        destroyCompany(company, transaction)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Company deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting company:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error deleting company",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/members:
+ *   get:
+ *     summary: List company members
+ *     tags: [Company]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Members with their roles
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/:id/members",
+  authenticateToken,
+  authorizeCompany("members:read"),
+  async (req, res) => {
+    try {
+      const memberships = await CompanyMembership.findAll({
+        where: { companyId: req.company.id },
+        order: [["createdAt", "ASC"]],
+      });
+      const users = await User.findAll({
+        where: { id: { [Op.in]: memberships.map((m) => m.userId) } },
+        attributes: ["id", "name", "surname", "email"],
+      });
+      const usersById = new Map(users.map((user) => [user.id, user]));
+
+      res.status(200).json({
+        success: true,
+        members: memberships.map((membership) => ({
+          userId: membership.userId,
+          role: membership.role,
+          joinedAt: membership.createdAt,
+          user: usersById.get(membership.userId),
+        })),
+      });
+    } catch (error) {
+      console.error("Error fetching company members:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching company members",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/invitations:
+ *   post:
+ *     summary: Invite someone to the company by email
+ *     description: |
+ *       Sends an invitation email with a link to accept or decline. Only
+ *       owners can invite. The invitation expires after 7 days.
+ *     tags: [Company]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [owner, accountant, viewer, auditor]
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Invalid input or user is already a member
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only owners can invite
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:id/invitations",
+  authenticateToken,
+  authorizeCompany("members:invite"),
+  async (req, res) => {
+    try {
+      const { email, role } = req.body;
+      const company = req.company;
+      const id = company.id;
+
+      const invitedUser = await User.findOne({ where: { email } });
+      if (
+        invitedUser &&
+        (await CompanyMembership.findOne({
+          where: { companyId: id, userId: invitedUser.id },
+        }))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "User is already a member of this company",
+        });
+      }
+
+      const token = crypto.randomBytes(32).toString("hex");
+      const invitationUrl = `${process.env.FRONTEND_URL}/invitations?token=${token}`;
+
+      const invitation = await sequelize.transaction(async (transaction) => {
+        // A new invitation replaces any earlier pending one for the same email
+        await CompanyInvitation.update(
+          { status: "revoked" },
+          { where: { companyId: id, email, status: "pending" }, transaction }
+        );
+
+        const createdInvitation = await CompanyInvitation.create(
+          {
+            companyId: id,
+            email,
+            role,
+            tokenHash: CompanyInvitation.hashToken(token),
+            invitedById: req.user.id,
+            expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+          },
+          { transaction }
+        );
+
+        await enqueueTemplate(
+          "companyInvitation",
+          {
+            to: email,
+            locale: invitedUser ? invitedUser.locale : req.user.locale,
+            data: {
+              companyName: company.name,
+              inviterName: `${req.user.name} ${req.user.surname}`,
+              role,
+              invitationUrl,
+            },
+          },
+          { transaction }
+        );
+
+        return createdInvitation;
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Invitation sent successfully",
+        invitation,
+      });
+    } catch (error) {
+      if (error.name === "SequelizeValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.errors.map((err) => ({
+            field: err.path,
+            message: err.message,
+          })),
+        });
+      }
+
+      console.error("Error inviting company member:", error);
+      res.status(500).json({
         success: false,
-        message: "Company not found",
+        message: "Error sending invitation",
+        error: error.message,
       });
     }
+  }
+);
 
-    // Update company details
-    await company.update({
-      name,
-      email,
-      address,
+/**
+ * @swagger
+ * /company/{id}/invitations:
+ *   get:
+ *     summary: List pending invitations of a company
+ *     tags: [Company]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Pending invitations
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only owners can see invitations
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/:id/invitations",
+  authenticateToken,
+  authorizeCompany("members:invite"),
+  async (req, res) => {
+    try {
+      const invitations = await CompanyInvitation.findAll({
+        where: {
+          companyId: req.company.id,
+          status: "pending",
+          expiresAt: { [Op.gt]: new Date() },
+        },
+        order: [["createdAt", "DESC"]],
+      });
+
+      res.status(200).json({
+        success: true,
+        invitations,
+      });
+    } catch (error) {
+      console.error("Error fetching invitations:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching invitations",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Finds the pending invitation for a token that was sent to the caller's
+// email, or sends the error response and returns null
+const findInvitationForUser = async (token, user, res) => {
+  const invitation =
+    token &&
+    (await CompanyInvitation.findOne({
+      where: { tokenHash: CompanyInvitation.hashToken(token) },
+    }));
+
+  if (
+    !invitation ||
+    invitation.email.toLowerCase() !== user.email.toLowerCase()
+  ) {
+    res.status(404).json({
+      success: false,
+      message: "Invitation not found",
+    });
+    return null;
+  }
+
+  if (invitation.status !== "pending" || invitation.isExpired()) {
+    res.status(400).json({
+      success: false,
+      message: "Invitation is no longer valid",
+    });
+    return null;
+  }
+
+  return invitation;
+};
+
+/**
+ * @swagger
+ * /company/invitations/accept:
+ *   post:
+ *     summary: Accept a company invitation
+ *     description: |
+ *       Joins the company with the invited role. The invitation must have been
+ *       sent to the authenticated user's email address.
+ *     tags: [Company]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: The invitation token received via email
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *       400:
+ *         description: Invitation expired or already answered
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invitation not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/invitations/accept", authenticateToken, async (req, res) => {
+  try {
+    const invitation = await findInvitationForUser(
+      req.body.token,
+      req.user,
+      res
+    );
+    if (!invitation) {
+      return;
+    }
+
+    const membership = await sequelize.transaction(async (transaction) => {
+      const [createdMembership] = await CompanyMembership.findOrCreate({
+        where: { companyId: invitation.companyId, userId: req.user.id },
+        defaults: { role: invitation.role },
+        transaction,
+      });
+
+      await invitation.update(
+        { status: "accepted", respondedAt: new Date() },
+        { transaction }
+      );
+
+      return createdMembership;
     });
 
     res.status(200).json({
       success: true,
-      message: "Company updated successfully",
-      company,
+      message: "Invitation accepted",
+      membership,
+    });
+  } catch (error) {
+    console.error("Error accepting invitation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error accepting invitation",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/invitations/decline:
+ *   post:
+ *     summary: Decline a company invitation
+ *     tags: [Company]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       400:
+ *         description: Invitation expired or already answered
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invitation not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/invitations/decline", authenticateToken, async (req, res) => {
+  try {
+    const invitation = await findInvitationForUser(
+      req.body.token,
+      req.user,
+      res
+    );
+    if (!invitation) {
+      return;
+    }
+
+    await invitation.update({ status: "declined", respondedAt: new Date() });
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation declined",
     });
   } catch (error) {
-    console.error("Error updating company:", error);
+    console.error("Error declining invitation:", error);
     res.status(500).json({
       success: false,
-      message: "Error updating company",
+      message: "Error declining invitation",
       error: error.message,
     });
   }
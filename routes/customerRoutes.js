@@ -0,0 +1,399 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const { Op, fn, col, where: sqlWhere } = require("sequelize");
+const Customer = require("../models/Customer");
+const Invoice = require("../models/Invoice");
+const { authenticateToken, authorizeCompany } = require("../middleware/auth");
+const { sendValidationError } = require("../utils/validationErrors");
+
+// Mounted under /api/company/:id/customers
+router.use(authenticateToken);
+
+const CUSTOMER_FIELDS = [
+  "name",
+  "registrationNumber",
+  "vatNumber",
+  "email",
+  "address",
+  "countryCode",
+  "paymentTermDays",
+  "isActive",
+];
+
+// Loads the customer named by :customerId within req.company
+const loadCustomer = async (req, res, next) => {
+  try {
+    const customer = await Customer.findOne({
+      where: { id: req.params.customerId, companyId: req.company.id },
+    });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: "Customer not found",
+      });
+    }
+
+    req.customer = customer;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Customer:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         registrationNumber:
+ *           type: string
+ *           nullable: true
+ *         vatNumber:
+ *           type: string
+ *           nullable: true
+ *           example: EE100000000
+ *         email:
+ *           type: string
+ *           nullable: true
+ *         address:
+ *           type: string
+ *           nullable: true
+ *         countryCode:
+ *           type: string
+ *           example: EE
+ *         paymentTermDays:
+ *           type: integer
+ *           example: 14
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /company/{id}/customers:
+ *   get:
+ *     summary: List customers
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: search
+ *         description: Matches the start of the name or registration number
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Customers ordered by name
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/", authorizeCompany("invoices:read"), async (req, res) => {
+  try {
+    const where = { companyId: req.company.id };
+
+    if (req.query.search) {
+      const prefix = `${String(req.query.search).toLowerCase()}%`;
+      where[Op.or] = [
+        sqlWhere(fn("LOWER", col("name")), { [Op.like]: prefix }),
+        { registrationNumber: { [Op.like]: prefix } },
+      ];
+    }
+    if (req.query.active !== undefined) {
+      where.isActive = req.query.active === "true";
+    }
+
+    const customers = await Customer.findAll({
+      where,
+      order: [["name", "ASC"]],
+    });
+
+    res.status(200).json({
+      success: true,
+      customers,
+    });
+  } catch (error) {
+    console.error("Error fetching customers:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching customers",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/{id}/customers/{customerId}:
+ *   get:
+ *     summary: Get a customer
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The customer
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company or customer not found
+ */
+router.get(
+  "/:customerId",
+  authorizeCompany("invoices:read"),
+  loadCustomer,
+  (req, res) => {
+    res.status(200).json({
+      success: true,
+      customer: req.customer,
+    });
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/customers:
+ *   post:
+ *     summary: Create a customer
+ *     description: Requires the owner or accountant role.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Customer'
+ *     responses:
+ *       201:
+ *         description: Customer created
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage invoices
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/", authorizeCompany("invoices:write"), async (req, res) => {
+  try {
+    const fields = {};
+    for (const field of CUSTOMER_FIELDS) {
+      if (req.body[field] !== undefined) {
+        fields[field] = req.body[field];
+      }
+    }
+
+    const customer = await Customer.create({
+      ...fields,
+      companyId: req.company.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Customer created successfully",
+      customer,
+    });
+  } catch (error) {
+    if (sendValidationError(res, error)) {
+      return;
+    }
+
+    console.error("Error creating customer:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating customer",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/{id}/customers/{customerId}:
+ *   put:
+ *     summary: Update a customer
+ *     description: |
+ *       Only the given fields are changed. Invoices already issued keep the
+ *       details they were issued with. Requires the owner or accountant role.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Customer'
+ *     responses:
+ *       200:
+ *         description: Customer updated
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage invoices
+ *       404:
+ *         description: Company or customer not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  "/:customerId",
+  authorizeCompany("invoices:write"),
+  loadCustomer,
+  async (req, res) => {
+    try {
+      const changes = {};
+      for (const field of CUSTOMER_FIELDS) {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field];
+        }
+      }
+
+      await req.customer.update(changes);
+
+      res.status(200).json({
+        success: true,
+        message: "Customer updated successfully",
+        customer: req.customer,
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error updating customer:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating customer",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/customers/{customerId}:
+ *   delete:
+ *     summary: Delete a customer
+ *     description: |
+ *       Only customers without invoices can be deleted. Deactivate the others
+ *       instead. Requires the owner or accountant role.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Customer deleted
+ *       400:
+ *         description: Customer has invoices
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage invoices
+ *       404:
+ *         description: Company or customer not found
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  "/:customerId",
+  authorizeCompany("invoices:write"),
+  loadCustomer,
+  async (req, res) => {
+    try {
+      const invoiceCount = await Invoice.count({
+        where: { customerId: req.customer.id },
+      });
+      if (invoiceCount > 0) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Customer has invoices and can't be deleted, deactivate it instead",
+        });
+      }
+
+      await req.customer.destroy();
+
+      res.status(200).json({
+        success: true,
+        message: "Customer deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting customer:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error deleting customer",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,563 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const AccountingPeriod = require("../models/AccountingPeriod");
+const FiscalYear = require("../models/FiscalYear");
+const PeriodStatusChange = require("../models/PeriodStatusChange");
+const { authenticateToken, authorizeCompany } = require("../middleware/auth");
+const { sendValidationError } = require("../utils/validationErrors");
+const periodService = require("../services/accounting/periodService");
+
+// Mounted under /api/company/:id/fiscal-years
+router.use(authenticateToken);
+
+// Who is making a change, for the period status history
+const actorOf = (req) => ({ userId: req.user.id, ipAddress: req.ip });
+
+// Loads the fiscal year named by :yearId within req.company
+const loadYear = async (req, res, next) => {
+  try {
+    const year = await FiscalYear.findOne({
+      where: { id: req.params.yearId, companyId: req.company.id },
+    });
+
+    if (!year) {
+      return res.status(404).json({
+        success: false,
+        message: "Fiscal year not found",
+      });
+    }
+
+    req.fiscalYear = year;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Loads the period named by :periodId within req.fiscalYear
+const loadPeriod = async (req, res, next) => {
+  try {
+    const period = await AccountingPeriod.findOne({
+      where: { id: req.params.periodId, fiscalYearId: req.fiscalYear.id },
+    });
+
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        message: "Accounting period not found",
+      });
+    }
+
+    req.period = period;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const periodsOf = (year) =>
+  AccountingPeriod.findAll({
+    where: { fiscalYearId: year.id },
+    order: [["startDate", "ASC"]],
+  });
+
+/**
+ * @swagger
+ * /company/{id}/fiscal-years:
+ *   get:
+ *     summary: List fiscal years with their periods
+ *     tags: [Fiscal years]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Fiscal years, latest first
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/", authorizeCompany("periods:read"), async (req, res) => {
+  try {
+    const years = await FiscalYear.findAll({
+      where: { companyId: req.company.id },
+      order: [["startDate", "DESC"]],
+    });
+    const periods = await AccountingPeriod.findAll({
+      where: { companyId: req.company.id },
+      order: [["startDate", "ASC"]],
+    });
+
+    res.status(200).json({
+      success: true,
+      fiscalYears: years.map((year) => ({
+        ...year.toJSON(),
+        periods: periods.filter((period) => period.fiscalYearId === year.id),
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching fiscal years:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching fiscal years",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/{id}/fiscal-years:
+ *   post:
+ *     summary: Create the next fiscal year
+ *     description: |
+ *       Creates a fiscal year split into monthly periods. Without dates the year
+ *       follows the previous one, or for a company's first year is the one
+ *       containing today according to the company's fiscal year start month. A
+ *       year may be up to 18 months long. Requires the owner or accountant role.
+ *     tags: [Fiscal years]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to a year after the start date
+ *     responses:
+ *       201:
+ *         description: Fiscal year created
+ *       400:
+ *         description: Invalid dates or a gap after the previous year
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage periods
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/", authorizeCompany("periods:manage"), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.body;
+    const year = await periodService.createFiscalYear(req.company, {
+      startDate,
+      endDate,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Fiscal year created successfully",
+      fiscalYear: { ...year.toJSON(), periods: await periodsOf(year) },
+    });
+  } catch (error) {
+    if (sendValidationError(res, error)) {
+      return;
+    }
+
+    console.error("Error creating fiscal year:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating fiscal year",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/{id}/fiscal-years/{yearId}:
+ *   get:
+ *     summary: Get a fiscal year
+ *     description: |
+ *       Returns the year with its periods and the history of closing and
+ *       re-opening them.
+ *     tags: [Fiscal years]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: yearId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The fiscal year
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company or fiscal year not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/:yearId",
+  authorizeCompany("periods:read"),
+  loadYear,
+  async (req, res) => {
+    try {
+      const history = await PeriodStatusChange.findAll({
+        where: { fiscalYearId: req.fiscalYear.id },
+        order: [["createdAt", "DESC"]],
+      });
+
+      res.status(200).json({
+        success: true,
+        fiscalYear: {
+          ...req.fiscalYear.toJSON(),
+          periods: await periodsOf(req.fiscalYear),
+          history,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching fiscal year:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching fiscal year",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/fiscal-years/{yearId}/periods/{periodId}/close:
+ *   post:
+ *     summary: Close an accounting period
+ *     description: |
+ *       Blocks posting, editing and deleting entries dated inside the period.
+ *       Periods are closed in order and can't have draft entries left. Requires
+ *       the owner or accountant role.
+ *     tags: [Fiscal years]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: yearId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: periodId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Period closed
+ *       400:
+ *         description: Period already closed, earlier periods open or drafts left
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage periods
+ *       404:
+ *         description: Company, fiscal year or period not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:yearId/periods/:periodId/close",
+  authorizeCompany("periods:manage"),
+  loadYear,
+  loadPeriod,
+  async (req, res) => {
+    try {
+      const period = await periodService.closePeriod(req.period, actorOf(req));
+
+      res.status(200).json({
+        success: true,
+        message: "Accounting period closed successfully",
+        period,
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error closing accounting period:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error closing accounting period",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/fiscal-years/{yearId}/periods/{periodId}/reopen:
+ *   post:
+ *     summary: Re-open an accounting period
+ *     description: |
+ *       Only the latest closed period of an open fiscal year can be re-opened.
+ *       The reason is kept in the period history. Requires the owner role.
+ *     tags: [Fiscal years]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: yearId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: periodId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Period re-opened
+ *       400:
+ *         description: Reason missing, period not closed or later periods closed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to re-open periods
+ *       404:
+ *         description: Company, fiscal year or period not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:yearId/periods/:periodId/reopen",
+  authorizeCompany("periods:reopen"),
+  loadYear,
+  loadPeriod,
+  async (req, res) => {
+    try {
+      const period = await periodService.reopenPeriod(req.period, {
+        ...actorOf(req),
+        reason: req.body.reason,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Accounting period re-opened successfully",
+        period,
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error re-opening accounting period:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error re-opening accounting period",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/fiscal-years/{yearId}/close:
+ *   post:
+ *     summary: Close a fiscal year
+ *     description: |
+ *       Posts a closing entry on the last day of the year that moves revenue
+ *       and expense balances into retained earnings, then closes the year. All
+ *       periods of the year must be closed. Requires the owner or accountant
+ *       role.
+ *     tags: [Fiscal years]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: yearId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               retainedEarningsAccountId:
+ *                 type: integer
+ *                 description: Equity account for the result, defaults to account 3030
+ *     responses:
+ *       200:
+ *         description: Fiscal year closed
+ *       400:
+ *         description: Year already closed or periods still open
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage periods
+ *       404:
+ *         description: Company or fiscal year not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:yearId/close",
+  authorizeCompany("periods:manage"),
+  loadYear,
+  async (req, res) => {
+    try {
+      const year = await periodService.closeFiscalYear(req.fiscalYear, {
+        ...actorOf(req),
+        retainedEarningsAccountId: req.body.retainedEarningsAccountId,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Fiscal year closed successfully",
+        fiscalYear: year,
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error closing fiscal year:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error closing fiscal year",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/fiscal-years/{yearId}/reopen:
+ *   post:
+ *     summary: Re-open a fiscal year
+ *     description: |
+ *       Reverses the closing entry and re-opens the year. Its periods stay
+ *       closed. The reason is kept in the period history. Requires the owner
+ *       role.
+ *     tags: [Fiscal years]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: yearId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Fiscal year re-opened
+ *       400:
+ *         description: Reason missing, year not closed or later years closed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to re-open periods
+ *       404:
+ *         description: Company or fiscal year not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:yearId/reopen",
+  authorizeCompany("periods:reopen"),
+  loadYear,
+  async (req, res) => {
+    try {
+      const year = await periodService.reopenFiscalYear(req.fiscalYear, {
+        ...actorOf(req),
+        reason: req.body.reason,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Fiscal year re-opened successfully",
+        fiscalYear: year,
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error re-opening fiscal year:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error re-opening fiscal year",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,784 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const { Op } = require("sequelize");
+const Customer = require("../models/Customer");
+const Invoice = require("../models/Invoice");
+const InvoiceLine = require("../models/InvoiceLine");
+const { authenticateToken, authorizeCompany } = require("../middleware/auth");
+const { sendValidationError } = require("../utils/validationErrors");
+const invoiceService = require("../services/invoicing/invoiceService");
+const { renderInvoicePdf } = require("../services/invoicing/invoicePdf");
+
+// Mounted under /api/company/:id/invoices
+router.use(authenticateToken);
+
+const linesOf = (invoice) =>
+  InvoiceLine.findAll({
+    where: { invoiceId: invoice.id },
+    order: [["lineNumber", "ASC"]],
+  });
+
+const serializeInvoice = async (invoice) => ({
+  ...invoice.toJSON(),
+  lines: await linesOf(invoice),
+});
+
+// Loads the invoice named by :invoiceId within req.company
+const loadInvoice = async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findOne({
+      where: { id: req.params.invoiceId, companyId: req.company.id },
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    req.invoice = invoice;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InvoiceLineInput:
+ *       type: object
+ *       required:
+ *         - description
+ *         - quantity
+ *         - unitPrice
+ *       properties:
+ *         description:
+ *           type: string
+ *         quantity:
+ *           type: string
+ *           example: "1.5"
+ *         unit:
+ *           type: string
+ *           example: h
+ *         unitPrice:
+ *           type: string
+ *           example: "80.00"
+ *         vatCode:
+ *           type: string
+ *           example: standard
+ *           description: VAT rate code, see GET /company/{id}/vat/rates. Required for 0% lines.
+ *         vatRate:
+ *           type: string
+ *           example: "24"
+ *           description: Percentage, matched to a code in effect on the issue date when no code is given
+ *         accountId:
+ *           type: integer
+ *           description: Revenue account, defaults to the sales account
+ *     InvoiceInput:
+ *       type: object
+ *       properties:
+ *         customerId:
+ *           type: integer
+ *         issueDate:
+ *           type: string
+ *           format: date
+ *           description: Defaults to today
+ *         dueDate:
+ *           type: string
+ *           format: date
+ *           description: Defaults to the customer's payment term after the issue date
+ *         notes:
+ *           type: string
+ *         lines:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/InvoiceLineInput'
+ */
+
+/**
+ * @swagger
+ * /company/{id}/invoices:
+ *   get:
+ *     summary: List invoices and credit notes
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, issued, paid, credited]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [invoice, credit_note]
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Invoices, newest first, without lines
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/", authorizeCompany("invoices:read"), async (req, res) => {
+  try {
+    const { status, type, customerId, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const where = { companyId: req.company.id };
+
+    if (status) {
+      where.status = status;
+    }
+    if (type) {
+      where.type = type;
+    }
+    if (customerId) {
+      where.customerId = customerId;
+    }
+    if (from || to) {
+      where.issueDate = {
+        ...(from && { [Op.gte]: from }),
+        ...(to && { [Op.lte]: to }),
+      };
+    }
+
+    const { count, rows } = await Invoice.findAndCountAll({
+      where,
+      order: [
+        ["issueDate", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit,
+      offset,
+    });
+
+    res.status(200).json({
+      success: true,
+      total: count,
+      invoices: rows,
+    });
+  } catch (error) {
+    console.error("Error fetching invoices:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching invoices",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/{id}/invoices/{invoiceId}:
+ *   get:
+ *     summary: Get an invoice with its lines
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The invoice
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company or invoice not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/:invoiceId",
+  authorizeCompany("invoices:read"),
+  loadInvoice,
+  async (req, res) => {
+    try {
+      res.status(200).json({
+        success: true,
+        invoice: await serializeInvoice(req.invoice),
+      });
+    } catch (error) {
+      console.error("Error fetching invoice:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching invoice",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/invoices/{invoiceId}/pdf:
+ *   get:
+ *     summary: Download an invoice as PDF
+ *     description: |
+ *       Rendered on the server with the company's name, address and registry
+ *       code. Drafts are marked as such instead of a number.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           enum: [et, en]
+ *           default: et
+ *     responses:
+ *       200:
+ *         description: PDF document
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company or invoice not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/:invoiceId/pdf",
+  authorizeCompany("invoices:read"),
+  loadInvoice,
+  async (req, res) => {
+    try {
+      const invoice = req.invoice;
+      const customer = await Customer.findByPk(invoice.customerId);
+      const creditedInvoice = invoice.creditedInvoiceId
+        ? await Invoice.findByPk(invoice.creditedInvoiceId)
+        : null;
+
+      const pdf = await renderInvoicePdf({
+        invoice,
+        lines: await linesOf(invoice),
+        company: req.company,
+        customer,
+        creditedInvoice,
+        locale: req.query.locale === "en" ? "en" : "et",
+      });
+
+      const filename = invoice.number || `draft-${invoice.id}`;
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `inline; filename="${filename}.pdf"`
+      );
+      res.status(200).send(pdf);
+    } catch (error) {
+      console.error("Error rendering invoice PDF:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error rendering invoice PDF",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/invoices:
+ *   post:
+ *     summary: Create a draft invoice
+ *     description: |
+ *       Requires the owner or accountant role.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvoiceInput'
+ *     responses:
+ *       201:
+ *         description: Draft invoice created
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage invoices
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/", authorizeCompany("invoices:write"), async (req, res) => {
+  try {
+    const { customerId, issueDate, dueDate, notes, lines } = req.body;
+
+    const invoice = await invoiceService.createInvoice(
+      req.company.id,
+      { customerId, issueDate, dueDate, notes, lines },
+      req.user.id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Invoice saved as draft",
+      invoice: await serializeInvoice(invoice),
+    });
+  } catch (error) {
+    if (sendValidationError(res, error)) {
+      return;
+    }
+
+    console.error("Error creating invoice:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating invoice",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/{id}/invoices/{invoiceId}:
+ *   put:
+ *     summary: Update a draft invoice
+ *     description: |
+ *       Replaces the given fields, and all lines when `lines` is given. Issued
+ *       invoices can't be changed. Requires the owner or accountant role.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvoiceInput'
+ *     responses:
+ *       200:
+ *         description: Invoice updated
+ *       400:
+ *         description: Invalid input or invoice is issued
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage invoices
+ *       404:
+ *         description: Company or invoice not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  "/:invoiceId",
+  authorizeCompany("invoices:write"),
+  loadInvoice,
+  async (req, res) => {
+    try {
+      const { customerId, issueDate, dueDate, notes, lines } = req.body;
+
+      const invoice = await invoiceService.updateDraftInvoice(req.invoice, {
+        customerId,
+        issueDate,
+        dueDate,
+        notes,
+        lines,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Invoice updated successfully",
+        invoice: await serializeInvoice(invoice),
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error updating invoice:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating invoice",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/invoices/{invoiceId}:
+ *   delete:
+ *     summary: Delete a draft invoice
+ *     description: |
+ *       Issued invoices can't be deleted, only credited. Requires the owner or
+ *       accountant role.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invoice deleted
+ *       400:
+ *         description: Invoice is issued
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage invoices
+ *       404:
+ *         description: Company or invoice not found
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  "/:invoiceId",
+  authorizeCompany("invoices:write"),
+  loadInvoice,
+  async (req, res) => {
+    try {
+      await invoiceService.deleteDraftInvoice(req.invoice);
+
+      res.status(200).json({
+        success: true,
+        message: "Invoice deleted successfully",
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error deleting invoice:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error deleting invoice",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/invoices/{invoiceId}/issue:
+ *   post:
+ *     summary: Issue a draft invoice
+ *     description: |
+ *       Assigns the next number from the numbering series, freezes the
+ *       invoice and posts it to the journal: receivables against revenue and
+ *       output VAT. Requires the owner or accountant role.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               seriesId:
+ *                 type: integer
+ *                 description: Defaults to the company's default invoice series
+ *     responses:
+ *       200:
+ *         description: Invoice issued
+ *       400:
+ *         description: Invoice already issued, empty or in a closed period
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage invoices
+ *       404:
+ *         description: Company or invoice not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:invoiceId/issue",
+  authorizeCompany("invoices:write"),
+  loadInvoice,
+  async (req, res) => {
+    try {
+      const invoice = await invoiceService.issueInvoice(
+        req.invoice,
+        req.user.id,
+        { seriesId: req.body.seriesId }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Invoice issued successfully",
+        invoice: await serializeInvoice(invoice),
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error issuing invoice:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error issuing invoice",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/invoices/{invoiceId}/pay:
+ *   post:
+ *     summary: Mark an invoice paid
+ *     description: |
+ *       Posts the payment from receivables to the bank account, or to the given
+ *       asset account. Requires the owner or accountant role.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *               accountId:
+ *                 type: integer
+ *                 description: Asset account the money went to, defaults to the bank account
+ *     responses:
+ *       200:
+ *         description: Invoice marked paid
+ *       400:
+ *         description: Invoice is not issued
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage invoices
+ *       404:
+ *         description: Company or invoice not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:invoiceId/pay",
+  authorizeCompany("invoices:write"),
+  loadInvoice,
+  async (req, res) => {
+    try {
+      const { date, accountId } = req.body;
+
+      const invoice = await invoiceService.markPaid(
+        req.invoice,
+        { date, accountId },
+        req.user.id
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Invoice marked paid",
+        invoice: await serializeInvoice(invoice),
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error marking invoice paid:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error marking invoice paid",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/invoices/{invoiceId}/credit:
+ *   post:
+ *     summary: Credit an invoice
+ *     description: |
+ *       Issues a credit note for the full amount of an issued or paid invoice
+ *       and marks the invoice credited. Requires the owner or accountant role.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Credit note issued
+ *       400:
+ *         description: Invoice can't be credited
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage invoices
+ *       404:
+ *         description: Company or invoice not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:invoiceId/credit",
+  authorizeCompany("invoices:write"),
+  loadInvoice,
+  async (req, res) => {
+    try {
+      const { date, notes } = req.body;
+
+      const creditNote = await invoiceService.creditInvoice(
+        req.invoice,
+        req.user.id,
+        { date, notes }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Credit note issued successfully",
+        invoice: await serializeInvoice(creditNote),
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error crediting invoice:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error crediting invoice",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,306 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const sequelize = require("../config/database");
+const Company = require("../models/Company");
+const Invoice = require("../models/Invoice");
+const InvoiceSeries = require("../models/InvoiceSeries");
+const { authenticateToken, authorizeCompany } = require("../middleware/auth");
+const { sendValidationError } = require("../utils/validationErrors");
+
+// Mounted under /api/company/:id/invoice-series
+router.use(authenticateToken);
+
+// Makes series the only default series of its document type. The company
+// row is locked like when a default series is created on first use.
+const makeDefault = async (series, transaction) => {
+  await Company.findByPk(series.companyId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE,
+  });
+  await InvoiceSeries.update(
+    { isDefault: false },
+    {
+      where: {
+        companyId: series.companyId,
+        documentType: series.documentType,
+        isDefault: true,
+      },
+      transaction,
+    }
+  );
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InvoiceSeries:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         documentType:
+ *           type: string
+ *           enum: [invoice, credit_note]
+ *         prefix:
+ *           type: string
+ *           example: ARV-
+ *         padding:
+ *           type: integer
+ *           example: 4
+ *         nextNumber:
+ *           type: integer
+ *         isDefault:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /company/{id}/invoice-series:
+ *   get:
+ *     summary: List invoice numbering series
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Numbering series
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/", authorizeCompany("invoices:read"), async (req, res) => {
+  try {
+    const series = await InvoiceSeries.findAll({
+      where: { companyId: req.company.id },
+      order: [
+        ["documentType", "ASC"],
+        ["name", "ASC"],
+      ],
+    });
+
+    res.status(200).json({
+      success: true,
+      series,
+    });
+  } catch (error) {
+    console.error("Error fetching invoice series:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching invoice series",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/{id}/invoice-series:
+ *   post:
+ *     summary: Create a numbering series
+ *     description: |
+ *       Numbers are taken from the series when invoices are issued, without
+ *       gaps. A series created with `isDefault: true` replaces the previous
+ *       default series of its document type. Requires the owner or
+ *       accountant role.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvoiceSeries'
+ *     responses:
+ *       201:
+ *         description: Series created
+ *       400:
+ *         description: Invalid input or prefix already in use
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage invoices
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/", authorizeCompany("invoices:write"), async (req, res) => {
+  try {
+    const { name, documentType, prefix, padding, nextNumber, isDefault } =
+      req.body;
+
+    const series = await sequelize.transaction(async (transaction) => {
+      const created = InvoiceSeries.build({
+        companyId: req.company.id,
+        name,
+        documentType,
+        prefix,
+        padding,
+        nextNumber,
+        isDefault: isDefault === true,
+      });
+      if (created.isDefault) {
+        await makeDefault(created, transaction);
+      }
+      return created.save({ transaction });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Numbering series created successfully",
+      series,
+    });
+  } catch (error) {
+    if (sendValidationError(res, error)) {
+      return;
+    }
+    if (error.name === "SequelizeUniqueConstraintError") {
+      return res.status(400).json({
+        success: false,
+        message: "A numbering series with this prefix already exists",
+      });
+    }
+
+    console.error("Error creating invoice series:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating invoice series",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/{id}/invoice-series/{seriesId}:
+ *   put:
+ *     summary: Update a numbering series
+ *     description: |
+ *       The prefix, padding and next number can only be changed until the
+ *       first document is issued from the series, so issued numbers never
+ *       repeat or skip. Requires the owner or accountant role.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvoiceSeries'
+ *     responses:
+ *       200:
+ *         description: Series updated
+ *       400:
+ *         description: Invalid input or series already in use
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage invoices
+ *       404:
+ *         description: Company or series not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  "/:seriesId",
+  authorizeCompany("invoices:write"),
+  async (req, res) => {
+    try {
+      const series = await InvoiceSeries.findOne({
+        where: { id: req.params.seriesId, companyId: req.company.id },
+      });
+
+      if (!series) {
+        return res.status(404).json({
+          success: false,
+          message: "Numbering series not found",
+        });
+      }
+
+      const changes = {};
+      for (const field of ["name", "prefix", "padding", "nextNumber"]) {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field];
+        }
+      }
+
+      const numberingChanged = ["prefix", "padding", "nextNumber"].some(
+        (field) => field in changes
+      );
+      if (numberingChanged) {
+        const issued = await Invoice.count({ where: { seriesId: series.id } });
+        if (issued > 0) {
+          return res.status(400).json({
+            success: false,
+            message:
+              "Documents have been issued from this series, its numbering can't be changed",
+          });
+        }
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        if (req.body.isDefault === true && !series.isDefault) {
+          await makeDefault(series, transaction);
+          changes.isDefault = true;
+        }
+        await series.update(changes, { transaction });
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Numbering series updated successfully",
+        series,
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+      if (error.name === "SequelizeUniqueConstraintError") {
+        return res.status(400).json({
+          success: false,
+          message: "A numbering series with this prefix already exists",
+        });
+      }
+
+      console.error("Error updating invoice series:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating invoice series",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
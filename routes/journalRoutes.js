@@ -0,0 +1,595 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const { Op } = require("sequelize");
+const JournalEntry = require("../models/JournalEntry");
+const JournalLine = require("../models/JournalLine");
+const { authenticateToken, authorizeCompany } = require("../middleware/auth");
+const { sendValidationError } = require("../utils/validationErrors");
+const journalService = require("../services/accounting/journalService");
+const { fromCents } = require("../utils/money");
+
+// Mounted under /api/company/:id/journal
+router.use(authenticateToken);
+
+// Entry with its lines and totals, as returned by the API
+const serializeEntry = async (entry) => {
+  const lines = await JournalLine.findAll({
+    where: { journalEntryId: entry.id },
+    order: [["lineNumber", "ASC"]],
+  });
+  const { debit, credit } = journalService.totals(lines);
+
+  return {
+    ...entry.toJSON(),
+    lines,
+    totalDebit: fromCents(debit),
+    totalCredit: fromCents(credit),
+  };
+};
+
+// Loads the entry named by :entryId within req.company
+const loadEntry = async (req, res, next) => {
+  try {
+    const entry = await JournalEntry.findOne({
+      where: { id: req.params.entryId, companyId: req.company.id },
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Journal entry not found",
+      });
+    }
+
+    req.entry = entry;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     JournalLineInput:
+ *       type: object
+ *       required:
+ *         - accountId
+ *       properties:
+ *         accountId:
+ *           type: integer
+ *         description:
+ *           type: string
+ *         debit:
+ *           type: string
+ *           example: "100.00"
+ *         credit:
+ *           type: string
+ *           example: "0"
+ *     JournalEntryInput:
+ *       type: object
+ *       required:
+ *         - date
+ *         - description
+ *         - lines
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *         description:
+ *           type: string
+ *         documentReference:
+ *           type: string
+ *           description: Invoice, receipt or contract number the entry is based on
+ *         lines:
+ *           type: array
+ *           minItems: 2
+ *           items:
+ *             $ref: '#/components/schemas/JournalLineInput'
+ */
+
+/**
+ * @swagger
+ * /company/{id}/journal:
+ *   get:
+ *     summary: List journal entries
+ *     tags: [Journal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, posted]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Entries, newest first, without lines
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/", authorizeCompany("journal:read"), async (req, res) => {
+  try {
+    const { from, to, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const where = { companyId: req.company.id };
+
+    if (from || to) {
+      where.date = {
+        ...(from && { [Op.gte]: from }),
+        ...(to && { [Op.lte]: to }),
+      };
+    }
+    if (status) {
+      where.status = status;
+    }
+
+    const { count, rows } = await JournalEntry.findAndCountAll({
+      where,
+      order: [
+        ["date", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit,
+      offset,
+    });
+
+    res.status(200).json({
+      success: true,
+      total: count,
+      entries: rows,
+    });
+  } catch (error) {
+    console.error("Error fetching journal entries:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching journal entries",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/{id}/journal/{entryId}:
+ *   get:
+ *     summary: Get a journal entry with its lines
+ *     tags: [Journal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The entry
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company or entry not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/:entryId",
+  authorizeCompany("journal:read"),
+  loadEntry,
+  async (req, res) => {
+    try {
+      res.status(200).json({
+        success: true,
+        entry: await serializeEntry(req.entry),
+      });
+    } catch (error) {
+      console.error("Error fetching journal entry:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching journal entry",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/journal:
+ *   post:
+ *     summary: Create a journal entry
+ *     description: |
+ *       Creates the entry as a draft, or posts it right away with
+ *       `post: true`. Posting refuses entries whose debits and credits don't
+ *       balance. Requires the owner or accountant role.
+ *     tags: [Journal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/JournalEntryInput'
+ *               - type: object
+ *                 properties:
+ *                   post:
+ *                     type: boolean
+ *                     default: false
+ *     responses:
+ *       201:
+ *         description: Entry created
+ *       400:
+ *         description: Invalid or unbalanced entry
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to write journal entries
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/", authorizeCompany("journal:write"), async (req, res) => {
+  try {
+    const { date, description, documentReference, lines, post } = req.body;
+
+    const entry = await journalService.createEntry(
+      req.company.id,
+      { date, description, documentReference, lines },
+      req.user.id,
+      { post: post === true }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: entry.isPosted()
+        ? "Journal entry posted successfully"
+        : "Journal entry saved as draft",
+      entry: await serializeEntry(entry),
+    });
+  } catch (error) {
+    if (sendValidationError(res, error)) {
+      return;
+    }
+
+    console.error("Error creating journal entry:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating journal entry",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/{id}/journal/{entryId}:
+ *   put:
+ *     summary: Update a draft journal entry
+ *     description: |
+ *       Replaces the given fields, and all lines when `lines` is given. Posted
+ *       entries can't be changed. Requires the owner or accountant role.
+ *     tags: [Journal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/JournalEntryInput'
+ *     responses:
+ *       200:
+ *         description: Entry updated
+ *       400:
+ *         description: Invalid input or entry is posted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to write journal entries
+ *       404:
+ *         description: Company or entry not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  "/:entryId",
+  authorizeCompany("journal:write"),
+  loadEntry,
+  async (req, res) => {
+    try {
+      const { date, description, documentReference, lines } = req.body;
+
+      const entry = await journalService.updateDraftEntry(req.entry, {
+        date,
+        description,
+        documentReference,
+        lines,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Journal entry updated successfully",
+        entry: await serializeEntry(entry),
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error updating journal entry:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating journal entry",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/journal/{entryId}:
+ *   delete:
+ *     summary: Delete a draft journal entry
+ *     description: Posted entries can't be deleted, only reversed.
+ *     tags: [Journal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Entry deleted
+ *       400:
+ *         description: Entry is posted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to write journal entries
+ *       404:
+ *         description: Company or entry not found
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  "/:entryId",
+  authorizeCompany("journal:write"),
+  loadEntry,
+  async (req, res) => {
+    try {
+      await journalService.deleteDraftEntry(req.entry);
+
+      res.status(200).json({
+        success: true,
+        message: "Journal entry deleted successfully",
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error deleting journal entry:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error deleting journal entry",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/journal/{entryId}/post:
+ *   post:
+ *     summary: Post a draft journal entry
+ *     description: |
+ *       Checks that debits and credits balance, assigns the next entry number
+ *       and makes the entry immutable. Requires the owner or accountant role.
+ *     tags: [Journal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Entry posted
+ *       400:
+ *         description: Entry is unbalanced or already posted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to write journal entries
+ *       404:
+ *         description: Company or entry not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:entryId/post",
+  authorizeCompany("journal:write"),
+  loadEntry,
+  async (req, res) => {
+    try {
+      const entry = await journalService.postEntry(req.entry, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Journal entry posted successfully",
+        entry: await serializeEntry(entry),
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error posting journal entry:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error posting journal entry",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/journal/{entryId}/reverse:
+ *   post:
+ *     summary: Reverse a posted journal entry
+ *     description: |
+ *       Posts a new entry with debits and credits swapped, which cancels the
+ *       original out. This is the only way to correct a posted entry.
+ *       Requires the owner or accountant role.
+ *     tags: [Journal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to the original entry's date
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Reversal entry posted
+ *       400:
+ *         description: Entry is a draft or already reversed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to write journal entries
+ *       404:
+ *         description: Company or entry not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:entryId/reverse",
+  authorizeCompany("journal:write"),
+  loadEntry,
+  async (req, res) => {
+    try {
+      const { date, description } = req.body;
+
+      const reversal = await journalService.reverseEntry(
+        req.entry,
+        req.user.id,
+        { date, description }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Journal entry reversed successfully",
+        entry: await serializeEntry(reversal),
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error reversing journal entry:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error reversing journal entry",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,344 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const Account = require("../models/Account");
+const { authenticateToken, authorizeCompany } = require("../middleware/auth");
+const { sendValidationError } = require("../utils/validationErrors");
+const reportService = require("../services/accounting/reportService");
+const {
+  resolvePeriods,
+  resolvePaging,
+} = require("../services/accounting/reportPeriods");
+
+// Mounted under /api/company/:id/reports
+router.use(authenticateToken);
+
+// Report periods default to the company's current fiscal year
+const periodsOf = (req) =>
+  resolvePeriods(req.query, {
+    fiscalYearStartMonth: req.company.fiscalYearStartMonth,
+  });
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ReportFrom:
+ *       in: query
+ *       name: from
+ *       description: |
+ *         Start of the period, defaults to the start of the company's fiscal
+ *         year containing `to`
+ *       schema:
+ *         type: string
+ *         format: date
+ *     ReportTo:
+ *       in: query
+ *       name: to
+ *       description: End of the period, defaults to today
+ *       schema:
+ *         type: string
+ *         format: date
+ *     ReportCompare:
+ *       in: query
+ *       name: compare
+ *       description: |
+ *         Adds a comparison period: the same number of days right before the
+ *         period, or the same dates a year earlier
+ *       schema:
+ *         type: string
+ *         enum: [previous-period, previous-year]
+ *     ReportCompareFrom:
+ *       in: query
+ *       name: compareFrom
+ *       description: Start of an explicit comparison period, given with compareTo
+ *       schema:
+ *         type: string
+ *         format: date
+ *     ReportCompareTo:
+ *       in: query
+ *       name: compareTo
+ *       schema:
+ *         type: string
+ *         format: date
+ */
+
+/**
+ * @swagger
+ * /company/{id}/reports/trial-balance:
+ *   get:
+ *     summary: Trial balance
+ *     description: |
+ *       Opening balance, debits, credits and closing balance of every account
+ *       with posted entries. Balances are debit minus credit.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportCompare'
+ *       - $ref: '#/components/parameters/ReportCompareFrom'
+ *       - $ref: '#/components/parameters/ReportCompareTo'
+ *     responses:
+ *       200:
+ *         description: The report
+ *       400:
+ *         description: Invalid period
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/trial-balance",
+  authorizeCompany("reports:read"),
+  async (req, res) => {
+    try {
+      const periods = periodsOf(req);
+      const report = await reportService.trialBalance(req.company.id, periods);
+
+      res.status(200).json({ success: true, report });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error building trial balance:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error building trial balance",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/reports/general-ledger/{accountId}:
+ *   get:
+ *     summary: General ledger of an account
+ *     description: |
+ *       Posted lines of the account in the period with a running balance,
+ *       and the account's opening and closing balance for the period and the
+ *       comparison period.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportCompare'
+ *       - $ref: '#/components/parameters/ReportCompareFrom'
+ *       - $ref: '#/components/parameters/ReportCompareTo'
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 1000
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: The report
+ *       400:
+ *         description: Invalid period, account id or paging
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company or account not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/general-ledger/:accountId",
+  authorizeCompany("reports:read"),
+  async (req, res) => {
+    try {
+      if (!/^\d+$/.test(req.params.accountId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: [{ field: "accountId", message: "Must be an account id" }],
+        });
+      }
+      const periods = periodsOf(req);
+      const paging = resolvePaging(req.query, {
+        defaultLimit: 100,
+        maxLimit: 1000,
+      });
+      const account = await Account.findOne({
+        where: { id: req.params.accountId, companyId: req.company.id },
+      });
+
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          message: "Account not found",
+        });
+      }
+
+      const report = await reportService.generalLedger(
+        req.company.id,
+        account,
+        periods,
+        paging
+      );
+
+      res.status(200).json({ success: true, report });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error building general ledger:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error building general ledger",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/reports/income-statement:
+ *   get:
+ *     summary: Income statement
+ *     description: |
+ *       Revenue and expenses of the period by account and the net income.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportCompare'
+ *       - $ref: '#/components/parameters/ReportCompareFrom'
+ *       - $ref: '#/components/parameters/ReportCompareTo'
+ *     responses:
+ *       200:
+ *         description: The report
+ *       400:
+ *         description: Invalid period
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/income-statement",
+  authorizeCompany("reports:read"),
+  async (req, res) => {
+    try {
+      const periods = periodsOf(req);
+      const report = await reportService.incomeStatement(
+        req.company.id,
+        periods
+      );
+
+      res.status(200).json({ success: true, report });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error building income statement:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error building income statement",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/reports/balance-sheet:
+ *   get:
+ *     summary: Balance sheet
+ *     description: |
+ *       Assets, liabilities and equity as at the end of the period. Revenue
+ *       and expenses not yet closed are shown under equity as the result of
+ *       earlier periods and of the period itself.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportCompare'
+ *       - $ref: '#/components/parameters/ReportCompareFrom'
+ *       - $ref: '#/components/parameters/ReportCompareTo'
+ *     responses:
+ *       200:
+ *         description: The report
+ *       400:
+ *         description: Invalid period
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/balance-sheet",
+  authorizeCompany("reports:read"),
+  async (req, res) => {
+    try {
+      const periods = periodsOf(req);
+      const report = await reportService.balanceSheet(req.company.id, periods);
+
+      res.status(200).json({ success: true, report });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error building balance sheet:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error building balance sheet",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,404 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const { Op, fn, col, where: sqlWhere } = require("sequelize");
+const Supplier = require("../models/Supplier");
+const Bill = require("../models/Bill");
+const { authenticateToken, authorizeCompany } = require("../middleware/auth");
+const { sendValidationError } = require("../utils/validationErrors");
+
+// Mounted under /api/company/:id/suppliers
+router.use(authenticateToken);
+
+const SUPPLIER_FIELDS = [
+  "name",
+  "registrationNumber",
+  "vatNumber",
+  "email",
+  "address",
+  "countryCode",
+  "iban",
+  "paymentTermDays",
+  "isActive",
+];
+
+// Loads the supplier named by :supplierId within req.company
+const loadSupplier = async (req, res, next) => {
+  try {
+    const supplier = await Supplier.findOne({
+      where: { id: req.params.supplierId, companyId: req.company.id },
+    });
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: "Supplier not found",
+      });
+    }
+
+    req.supplier = supplier;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Supplier:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         registrationNumber:
+ *           type: string
+ *           nullable: true
+ *         vatNumber:
+ *           type: string
+ *           nullable: true
+ *           example: EE100000000
+ *         email:
+ *           type: string
+ *           nullable: true
+ *         address:
+ *           type: string
+ *           nullable: true
+ *         countryCode:
+ *           type: string
+ *           example: EE
+ *         iban:
+ *           type: string
+ *           nullable: true
+ *           description: Account bills of the supplier are paid to
+ *         paymentTermDays:
+ *           type: integer
+ *           example: 14
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /company/{id}/suppliers:
+ *   get:
+ *     summary: List suppliers
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: search
+ *         description: Matches the start of the name or registration number
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Suppliers ordered by name
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/", authorizeCompany("bills:read"), async (req, res) => {
+  try {
+    const where = { companyId: req.company.id };
+
+    if (req.query.search) {
+      const prefix = `${String(req.query.search).toLowerCase()}%`;
+      where[Op.or] = [
+        sqlWhere(fn("LOWER", col("name")), { [Op.like]: prefix }),
+        { registrationNumber: { [Op.like]: prefix } },
+      ];
+    }
+    if (req.query.active !== undefined) {
+      where.isActive = req.query.active === "true";
+    }
+
+    const suppliers = await Supplier.findAll({
+      where,
+      order: [["name", "ASC"]],
+    });
+
+    res.status(200).json({
+      success: true,
+      suppliers,
+    });
+  } catch (error) {
+    console.error("Error fetching suppliers:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching suppliers",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/{id}/suppliers/{supplierId}:
+ *   get:
+ *     summary: Get a supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: supplierId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The supplier
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company or supplier not found
+ */
+router.get(
+  "/:supplierId",
+  authorizeCompany("bills:read"),
+  loadSupplier,
+  (req, res) => {
+    res.status(200).json({
+      success: true,
+      supplier: req.supplier,
+    });
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/suppliers:
+ *   post:
+ *     summary: Create a supplier
+ *     description: Requires the owner or accountant role.
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Supplier'
+ *     responses:
+ *       201:
+ *         description: Supplier created
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage bills
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/", authorizeCompany("bills:write"), async (req, res) => {
+  try {
+    const fields = {};
+    for (const field of SUPPLIER_FIELDS) {
+      if (req.body[field] !== undefined) {
+        fields[field] = req.body[field];
+      }
+    }
+
+    const supplier = await Supplier.create({
+      ...fields,
+      companyId: req.company.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Supplier created successfully",
+      supplier,
+    });
+  } catch (error) {
+    if (sendValidationError(res, error)) {
+      return;
+    }
+
+    console.error("Error creating supplier:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating supplier",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/{id}/suppliers/{supplierId}:
+ *   put:
+ *     summary: Update a supplier
+ *     description: |
+ *       Only the given fields are changed. Bills keep the supplier details
+ *       they were entered with. Requires the owner or accountant role.
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: supplierId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Supplier'
+ *     responses:
+ *       200:
+ *         description: Supplier updated
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage bills
+ *       404:
+ *         description: Company or supplier not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  "/:supplierId",
+  authorizeCompany("bills:write"),
+  loadSupplier,
+  async (req, res) => {
+    try {
+      const changes = {};
+      for (const field of SUPPLIER_FIELDS) {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field];
+        }
+      }
+
+      await req.supplier.update(changes);
+
+      res.status(200).json({
+        success: true,
+        message: "Supplier updated successfully",
+        supplier: req.supplier,
+      });
+    } catch (error) {
+      if (sendValidationError(res, error)) {
+        return;
+      }
+
+      console.error("Error updating supplier:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating supplier",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /company/{id}/suppliers/{supplierId}:
+ *   delete:
+ *     summary: Delete a supplier
+ *     description: |
+ *       Only suppliers without bills can be deleted. Deactivate the others
+ *       instead. Requires the owner or accountant role.
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: supplierId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Supplier deleted
+ *       400:
+ *         description: Supplier has bills
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage bills
+ *       404:
+ *         description: Company or supplier not found
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  "/:supplierId",
+  authorizeCompany("bills:write"),
+  loadSupplier,
+  async (req, res) => {
+    try {
+      const billCount = await Bill.count({
+        where: { supplierId: req.supplier.id },
+      });
+      if (billCount > 0) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Supplier has bills and can't be deleted, deactivate it instead",
+        });
+      }
+
+      await req.supplier.destroy();
+
+      res.status(200).json({
+        success: true,
+        message: "Supplier deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting supplier:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error deleting supplier",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
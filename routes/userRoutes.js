@@ -1,16 +1,54 @@
 const express = require("express");
 const router = express.Router();
-const User = require("../models/User");
+const { Op } = require("sequelize");
+const bcrypt = require("bcryptjs");
+const {
+  User,
+  RefreshToken,
+  Company,
+  CompanyMembership,
+  CompanyInvitation,
+} = require("../models");
 const { authenticateToken } = require('../middleware/auth');
+const personalIdCodeValidator = require("../utils/personalIdCodeValidator");
+
+const activeSessionWhere = () => ({
+  isRevoked: false,
+  expiresAt: { [Op.gt]: new Date() },
+});
+
+// A refresh token as shown to its user; the token itself is never returned
+const toSession = (token, req) => ({
+  id: token.id,
+  deviceLabel: token.deviceLabel,
+  userAgent: token.userAgent,
+  ipAddress: token.ipAddress,
+  createdAt: token.signedInAt,
+  lastUsedAt: token.lastUsedAt,
+  current: token.token === req.cookies.refreshToken,
+});
+
+const byLastUsed = (a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt);
 
 /**
  * @swagger
  * /user/me:
  *   get:
  *     summary: Get user profile
+ *     description: |
+ *       `include` takes a comma-separated list of extras, left out by default:
+ *       `personalIdDetails` (birth date and gender derived from the personal
+ *       ID code), `companies` (companies the user is a member of, with their
+ *       role) and `sessions` (active sessions, as in GET /user/sessions).
  *     tags: [User]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *           example: companies,sessions
  *     responses:
  *       200:
  *         description: Successful response
@@ -35,6 +73,40 @@ const { authenticateToken } = require('../middleware/auth');
  *                 updatedAt:
  *                   type: string
  *                   format: date-time
+ *                 personalIdDetails:
+ *                   type: object
+ *                   description: Only with `include=personalIdDetails`
+ *                   properties:
+ *                     birthDate:
+ *                       type: string
+ *                       format: date
+ *                     gender:
+ *                       type: string
+ *                       enum: [male, female]
+ *                 companies:
+ *                   type: array
+ *                   description: Only with `include=companies`
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       registrationNumber:
+ *                         type: string
+ *                       archivedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       role:
+ *                         type: string
+ *                         enum: [owner, accountant, viewer, auditor]
+ *                 sessions:
+ *                   type: array
+ *                   description: Only with `include=sessions`
+ *                   items:
+ *                     type: object
  *       401:
  *         description: Unauthorized
  *       404:
@@ -50,13 +122,65 @@ router.get("/me", authenticateToken, async (req, res) => {
         message: "User not authenticated",
       });
     }
+    const include = String(req.query.include || "").split(",");
+    const associations = [];
+    if (include.includes("companies")) {
+      associations.push({
+        model: CompanyMembership,
+        as: "memberships",
+        attributes: ["role"],
+        include: [
+          {
+            model: Company,
+            as: "company",
+            attributes: ["id", "name", "registrationNumber", "archivedAt"],
+          },
+        ],
+      });
+    }
+    if (include.includes("sessions")) {
+      associations.push({
+        model: RefreshToken,
+        as: "refreshTokens",
+        where: activeSessionWhere(),
+        required: false,
+      });
+    }
+
     const user = await User.findOne({
       where: { id: userId },
+      include: associations,
     });
 
+    const { memberships, refreshTokens } = user;
+    const response = user.toJSON();
+    delete response.memberships;
+    delete response.refreshTokens;
+
+    if (include.includes("personalIdDetails")) {
+      const { isValid, birthDate, gender } = personalIdCodeValidator(
+        user.personalIdCode
+      );
+      // Codes stored before validation was tightened may not parse
+      response.personalIdDetails = isValid ? { birthDate, gender } : null;
+    }
+    if (memberships) {
+      response.companies = memberships
+        .map((membership) => ({
+          ...membership.company.toJSON(),
+          role: membership.role,
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    }
+    if (refreshTokens) {
+      response.sessions = refreshTokens
+        .map((token) => toSession(token, req))
+        .sort(byLastUsed);
+    }
+
     res.status(200).json({
       success: true,
-      user,
+      user: response,
     });
   } catch (error) {
     console.error("Error fetching user profile:", error);
@@ -68,4 +192,551 @@ router.get("/me", authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /user/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: |
+ *       Returns every device the authenticated user is currently signed in on,
+ *       most recently used first. The session belonging to the caller's
+ *       refresh token cookie is flagged with `current: true`.
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       deviceLabel:
+ *                         type: string
+ *                         example: "Chrome on Windows"
+ *                       userAgent:
+ *                         type: string
+ *                       ipAddress:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastUsedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const tokens = await RefreshToken.findAll({
+      where: { userId: req.user.id, ...activeSessionWhere() },
+      order: [["lastUsedAt", "DESC"]],
+    });
+
+    const sessions = tokens.map((token) => toSession(token, req));
+
+    res.status(200).json({
+      success: true,
+      sessions,
+    });
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching sessions",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /user/sessions:
+ *   delete:
+ *     summary: Revoke all other sessions
+ *     description: |
+ *       Signs out every device except the one making the request, identified
+ *       by its refresh token cookie. Without the cookie every session is
+ *       revoked, as with POST /logout-all.
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 revokedCount:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.delete("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const current = req.cookies.refreshToken
+      ? await RefreshToken.findOne({
+          where: { token: req.cookies.refreshToken, userId: req.user.id },
+        })
+      : null;
+
+    // The current session's whole family is kept, in case it is mid-rotation
+    const where = { userId: req.user.id, isRevoked: false };
+    if (current) {
+      where.familyId = { [Op.ne]: current.familyId };
+    }
+    const [revokedCount] = await RefreshToken.update(
+      { isRevoked: true },
+      { where }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Other sessions revoked successfully",
+      revokedCount,
+    });
+  } catch (error) {
+    console.error("Error revoking sessions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revoking sessions",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /user/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Signs the given device out by revoking its refresh token.
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       400:
+ *         description: Invalid session id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Server error
+ */
+router.delete("/sessions/:id", authenticateToken, async (req, res) => {
+  try {
+    // Non-integers would fail the query on PostgreSQL
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: [{ field: "id", message: "Must be a session id" }],
+      });
+    }
+
+    const session = await RefreshToken.findOne({
+      where: {
+        id: req.params.id,
+        userId: req.user.id, // Users can only revoke their own sessions
+        isRevoked: false,
+      },
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    // Revoke the whole token family in case a rotation is in flight
+    await RefreshToken.update(
+      { isRevoked: true },
+      { where: { familyId: session.familyId, isRevoked: false } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revoking session",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /user/invitations:
+ *   get:
+ *     summary: List company invitations sent to the user
+ *     description: |
+ *       Returns pending, unexpired invitations addressed to the authenticated
+ *       user's email. Accepting or declining needs the token from the
+ *       invitation email.
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending invitations
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get("/invitations", authenticateToken, async (req, res) => {
+  try {
+    const invitations = await CompanyInvitation.findAll({
+      where: {
+        email: req.user.email,
+        status: "pending",
+        expiresAt: { [Op.gt]: new Date() },
+      },
+      order: [["createdAt", "DESC"]],
+    });
+
+    const companies = await Company.findAll({
+      where: { id: { [Op.in]: invitations.map((i) => i.companyId) } },
+      attributes: ["id", "name", "registrationNumber"],
+    });
+    const companiesById = new Map(companies.map((c) => [c.id, c]));
+
+    res.status(200).json({
+      success: true,
+      invitations: invitations.map((invitation) => ({
+        ...invitation.toJSON(),
+        company: companiesById.get(invitation.companyId),
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching invitations:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching invitations",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /user/2fa/setup:
+ *   post:
+ *     summary: Start two-factor authentication enrollment
+ *     description: |
+ *       Generates a new TOTP secret and an `otpauth://` URI to render as a QR
+ *       code. Two-factor authentication is not enabled until the first code
+ *       is confirmed through `/user/2fa/confirm`.
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enrollment started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 secret:
+ *                   type: string
+ *                 otpauthUri:
+ *                   type: string
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post("/2fa/setup", authenticateToken, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const { secret, otpauthUri } = await req.user.startTwoFactorEnrollment();
+
+    res.status(200).json({
+      success: true,
+      secret,
+      otpauthUri,
+    });
+  } catch (error) {
+    console.error("Error starting 2FA enrollment:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error starting two-factor authentication setup",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /user/2fa/confirm:
+ *   post:
+ *     summary: Confirm two-factor authentication enrollment
+ *     description: |
+ *       Enables two-factor authentication once the first code from the
+ *       authenticator app checks out, and returns one-time recovery codes.
+ *       The recovery codes are shown only in this response.
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid code or enrollment not started
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post("/2fa/confirm", authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = req.user;
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication setup has not been started",
+      });
+    }
+
+    if (!(await user.verifyTotpCode(code))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    await user.update({ twoFactorEnabled: true });
+    const recoveryCodes = await user.generateRecoveryCodes();
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error("Error confirming 2FA enrollment:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error enabling two-factor authentication",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /user/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate two-factor recovery codes
+ *     description: Replaces all existing recovery codes with a new set.
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Invalid code or two-factor authentication not enabled
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post("/2fa/recovery-codes", authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (!(await user.verifyTotpCode(req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    const recoveryCodes = await user.generateRecoveryCodes();
+
+    res.status(200).json({
+      success: true,
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error("Error regenerating recovery codes:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error regenerating recovery codes",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /user/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Authenticator code or recovery code
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid password or code
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post("/2fa/disable", authenticateToken, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = req.user;
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    const isValidPassword = await bcrypt.compare(
+      password || "",
+      user.password
+    );
+    if (!isValidPassword || !(await user.verifyTwoFactorCode(code))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid password or authentication code",
+      });
+    }
+
+    await user.disableTwoFactor();
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    console.error("Error disabling 2FA:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error disabling two-factor authentication",
+      error: error.message,
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
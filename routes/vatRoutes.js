@@ -0,0 +1,243 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const VatRate = require("../models/VatRate");
+const { authenticateToken, authorizeCompany } = require("../middleware/auth");
+const { sendValidationError } = require("../utils/validationErrors");
+const { kmdReturn } = require("../services/vat/kmdService");
+const { renderKmdXml, validateKmdXml } = require("../services/vat/kmdXml");
+const { isValidDate, today } = require("../utils/dateOnly");
+const personalIdCodeValidator = require("../utils/personalIdCodeValidator");
+
+// Mounted under /api/company/:id/vat
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     KmdYear:
+ *       in: query
+ *       name: year
+ *       required: true
+ *       schema:
+ *         type: integer
+ *         example: 2025
+ *     KmdMonth:
+ *       in: query
+ *       name: month
+ *       required: true
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 12
+ */
+
+/**
+ * @swagger
+ * /company/{id}/vat/rates:
+ *   get:
+ *     summary: VAT rates in effect on a date
+ *     description: |
+ *       Rates invoice lines can use on the date, with the KMD box each one is
+ *       reported in. A line gives the rate's `code`, or a percentage that is
+ *       matched to a code.
+ *     tags: [VAT]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date
+ *         description: Defaults to today
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: The rates
+ *       400:
+ *         description: Invalid date
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/rates", authorizeCompany("company:read"), async (req, res) => {
+  try {
+    const date = req.query.date || today();
+    if (!isValidDate(date)) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: [
+          { field: "date", message: "Must be a date in YYYY-MM-DD format" },
+        ],
+      });
+    }
+
+    const rates = await VatRate.findAllOn(date);
+    res.status(200).json({ success: true, date, rates });
+  } catch (error) {
+    console.error("Error listing VAT rates:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error listing VAT rates",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/{id}/vat/kmd:
+ *   get:
+ *     summary: VAT return (KMD) for a month
+ *     description: |
+ *       Sales of the month's issued invoices and credit notes per KMD box,
+ *       deductible input VAT from the input VAT account, the resulting VAT
+ *       payable or overpaid, and the INF annex. Part A lists the invoices
+ *       of Estonian business customers whose taxable sales in the month are
+ *       at least 1000 euros. Lines whose VAT code doesn't map to a box are
+ *       returned in `unassigned`.
+ *     tags: [VAT]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/KmdYear'
+ *       - $ref: '#/components/parameters/KmdMonth'
+ *     responses:
+ *       200:
+ *         description: The return
+ *       400:
+ *         description: Invalid period
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/kmd", authorizeCompany("reports:read"), async (req, res) => {
+  try {
+    const report = await kmdReturn(req.company.id, req.query);
+    res.status(200).json({ success: true, report });
+  } catch (error) {
+    if (sendValidationError(res, error)) {
+      return;
+    }
+
+    console.error("Error building VAT return:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error building VAT return",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /company/{id}/vat/kmd/xml:
+ *   get:
+ *     summary: VAT return (KMD) with the INF annex as XML
+ *     description: |
+ *       The return in the XML format of the tax authority's upload, checked
+ *       against the KMD and INF schema before it is sent. KMD_XSD_PATH can
+ *       point at another schema file, e.g. a newer one from e-MTA.
+ *     tags: [VAT]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/KmdYear'
+ *       - $ref: '#/components/parameters/KmdMonth'
+ *       - in: query
+ *         name: submitterPersonCode
+ *         description: Personal ID code of the person filing the return
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The XML file
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid period or personal ID code
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: The export didn't pass schema validation, or server error
+ */
+router.get("/kmd/xml", authorizeCompany("reports:read"), async (req, res) => {
+  try {
+    const { submitterPersonCode } = req.query;
+    if (submitterPersonCode) {
+      const validation = personalIdCodeValidator(submitterPersonCode);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: validation.errors.map(({ message }) => ({
+            field: "submitterPersonCode",
+            message,
+          })),
+        });
+      }
+    }
+
+    const report = await kmdReturn(req.company.id, req.query);
+    const xml = renderKmdXml(req.company, report, {
+      submitterPersonCode: submitterPersonCode || null,
+    });
+
+    const validation = await validateKmdXml(xml);
+    if (!validation.valid) {
+      console.error("VAT return failed schema validation:", validation.errors);
+      return res.status(500).json({
+        success: false,
+        message: "VAT return failed schema validation",
+        errors: validation.errors,
+      });
+    }
+
+    const month = String(report.month).padStart(2, "0");
+    res.setHeader("Content-Type", "application/xml; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="KMD_${req.company.registrationNumber}_${report.year}-${month}.xml"`
+    );
+    res.status(200).send(xml);
+  } catch (error) {
+    if (sendValidationError(res, error)) {
+      return;
+    }
+
+    console.error("Error exporting VAT return:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error exporting VAT return",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+// Database migrations and development seed data.
+//
+//   node scripts/migrate.js up [name]    apply pending migrations, or up to name
+//   node scripts/migrate.js down [name]  revert the last migration, or down to name
+//   node scripts/migrate.js status       list executed and pending migrations
+//   node scripts/migrate.js seed         load pending development seeders
+//   node scripts/migrate.js seed:undo    remove all seeded data
+const sequelize = require("../config/database");
+const { migrator, seeder, migrate } = require("../utils/migrator");
+
+const refuseInProduction = () => {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error(
+      "Seeders hold development data and don't run in production"
+    );
+  }
+};
+
+const commands = {
+  up: (name) => migrate({ to: name }),
+  down: (name) => migrator.down(name ? { to: name } : {}),
+  status: async () => {
+    const executed = await migrator.executed();
+    const pending = await migrator.pending();
+    for (const migration of executed) {
+      console.log(`  up       ${migration.name}`);
+    }
+    for (const migration of pending) {
+      console.log(`  pending  ${migration.name}`);
+    }
+    console.log(`${executed.length} executed, ${pending.length} pending`);
+  },
+  seed: () => {
+    refuseInProduction();
+    return seeder.up();
+  },
+  "seed:undo": () => {
+    refuseInProduction();
+    return seeder.down({ to: 0 });
+  },
+};
+
+const run = async () => {
+  const [command, name] = process.argv.slice(2);
+  if (!commands[command]) {
+    console.error(
+      `Usage: node scripts/migrate.js <${Object.keys(commands).join("|")}> [name]`
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await commands[command](name);
+  } catch (error) {
+    console.error(`${command} failed:`, error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+run();
@@ -0,0 +1,87 @@
+// Development data: a verified demo user owning a company with the default
+// chart of accounts, one customer and one supplier. Sign in with
+// demo@example.com / Demo-Passw0rd!
+const sequelize = require("../config/database");
+const User = require("../models/User");
+const Company = require("../models/Company");
+const CompanyMembership = require("../models/CompanyMembership");
+const Account = require("../models/Account");
+const Customer = require("../models/Customer");
+const Supplier = require("../models/Supplier");
+
+const EMAIL = "demo@example.com";
+const REGISTRATION_NUMBER = "16000002";
+
+module.exports = {
+  up: () =>
+    sequelize.transaction(async (transaction) => {
+      const user = await User.create(
+        {
+          name: "Demo",
+          surname: "User",
+          personalIdCode: "49001010001",
+          email: EMAIL,
+          password: "Demo-Passw0rd!", // hashed by the User model hooks
+          locale: "en",
+          isVerified: true,
+        },
+        { transaction }
+      );
+
+      const company = await Company.create(
+        {
+          name: "Demo OÜ",
+          registrationNumber: REGISTRATION_NUMBER,
+          email: EMAIL,
+          address: "Narva mnt 5, 10117 Tallinn",
+          userId: user.id,
+        },
+        { transaction }
+      );
+      await CompanyMembership.create(
+        { companyId: company.id, userId: user.id, role: "owner" },
+        { transaction }
+      );
+      await Account.seedDefaultChart(company.id, { transaction });
+
+      await Customer.create(
+        {
+          companyId: company.id,
+          name: "Näidis Klient AS",
+          registrationNumber: "10234957",
+          email: "arved@example.com",
+          address: "Rüütli 1, 51007 Tartu",
+        },
+        { transaction }
+      );
+      await Supplier.create(
+        {
+          companyId: company.id,
+          name: "Näidis Tarnija OÜ",
+          registrationNumber: "12345678",
+          vatNumber: "EE100000000",
+          iban: "EE382200221020145685",
+        },
+        { transaction }
+      );
+    }),
+
+  // Removes what up() created. Fails if the demo company has been used for
+  // bookkeeping since; reset the database in that case.
+  down: () =>
+    sequelize.transaction(async (transaction) => {
+      const company = await Company.findOne({
+        where: { registrationNumber: REGISTRATION_NUMBER },
+        transaction,
+      });
+      if (company) {
+        const where = { companyId: company.id };
+        await Supplier.destroy({ where, transaction });
+        await Customer.destroy({ where, transaction });
+        await Account.destroy({ where, transaction });
+        await CompanyMembership.destroy({ where, transaction });
+        await company.destroy({ transaction });
+      }
+      await User.destroy({ where: { email: EMAIL }, transaction });
+    }),
+};
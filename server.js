@@ -1,96 +1,44 @@
-const express = require("express");
-const cors = require("cors");
-const swaggerUi = require("swagger-ui-express");
-const swaggerSpec = require("./config/swagger");
-const rateLimit = require("express-rate-limit");
-const helmet = require("helmet");
-const cookieParser = require("cookie-parser");
-const sequelize = require("./config/database");
+// Invalid database settings stop the server with the list of problems
+try {
+  require("./config/database");
+} catch (error) {
+  if (error.name !== "DatabaseConfigError") {
+    throw error;
+  }
+  console.error(error.message);
+  process.exit(1);
+}
+
+const { createApp } = require("./app");
+const { createOutboxWorker } = require("./services/mail/outboxWorker");
+const { migrate } = require("./utils/migrator");
+const VatRate = require("./models/VatRate");
 require("dotenv").config();
 
-const app = express();
 const PORT = process.env.PORT || 5005;
 
-// Security Middleware
-// 1. Helmet - Security headers
-app.use(helmet());
-
-// Cookie parser
-app.use(cookieParser());
-
-// 2. Rate limiting - Protect against brute force/DDoS attacks
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per windowMs
-  message: "Too many requests from this IP, please try again later",
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-// Apply rate limiting to all routes
-app.use(limiter);
-
-// 3. Stricter rate limit for auth routes
-const authLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour window
-  max: 5, // start blocking after 5 requests
-  message:
-    "Too many accounts created from this IP, please try again after an hour",
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-// Apply stricter rate limiting to auth routes
-app.use("/api/register", authLimiter);
-
-// CORS configuration
-const corsOptions = {
-  origin:
-    process.env.NODE_ENV === "production"
-      ? ["https://frontend-uwih.onrender.com"] // Only allow your frontend domain
-      : ["http://localhost:5173"], // Local development
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS", "PATCH"],
-  allowedHeaders: ["Content-Type", "Authorization"],
-  exposedHeaders: ["Content-Range", "X-Content-Range"],
-  credentials: true,
-  optionsSuccessStatus: 200,
-};
-
-// Apply CORS
-app.use(cors(corsOptions));
-
-// Body parser middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// API Routes
-const authRoutes = require("./routes/authRoutes");
-const companyRoutes = require("./routes/companyRoutes");
-const userRoutes = require("./routes/userRoutes");
-
-app.use("/api", authRoutes);
-app.use("/api/company", companyRoutes);
-app.use("/api/user", userRoutes);
-
-// Swagger documentation
-app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: "Something broke!" });
-});
-
-// Start server and sync database
+// Migrate the database, then serve requests
 const startServer = async () => {
   try {
-    // Sync database with alter option to update relationships
-    // await sequelize.sync({ alter: true });
-    await sequelize.sync();
-    console.log("Database synced and tables altered successfully");
+    // Apply pending migrations from migrations/. Set MIGRATE_ON_START=false
+    // where `npm run migrate` runs as a separate deploy step.
+    if (process.env.MIGRATE_ON_START !== "false") {
+      await migrate();
+      console.log("Database migrations applied");
+    }
+
+    // VAT rates from config/vatRates.js, including ones added since the
+    // last start
+    await VatRate.seedDefaults();
+
+    // Deliver queued emails in the background. Set OUTBOX_WORKER=false on
+    // instances that should only serve requests.
+    if (process.env.OUTBOX_WORKER !== "false") {
+      createOutboxWorker().start();
+    }
 
     // Start server
-    app.listen(PORT, () => {
+    createApp().listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
       console.log(
         `Swagger docs available at http://localhost:${PORT}/api-docs`
@@ -102,4 +50,8 @@ const startServer = async () => {
   }
 };
 
-startServer();
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { startServer };
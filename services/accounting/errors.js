@@ -0,0 +1,12 @@
+// Thrown when bookkeeping data breaks an accounting rule. Carries the same
+// `{ field, message }` error list routes already return for Sequelize
+// validation errors.
+class AccountingValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = "AccountingValidationError";
+    this.errors = errors;
+  }
+}
+
+module.exports = { AccountingValidationError };
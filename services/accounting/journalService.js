@@ -0,0 +1,392 @@
+const { Op } = require("sequelize");
+const sequelize = require("../../config/database");
+const Account = require("../../models/Account");
+const AccountingPeriod = require("../../models/AccountingPeriod");
+const Company = require("../../models/Company");
+const JournalEntry = require("../../models/JournalEntry");
+const JournalLine = require("../../models/JournalLine");
+const { toCents, fromCents } = require("../../utils/money");
+const { AccountingValidationError } = require("./errors");
+
+/**
+ * Checks journal lines against the company's chart of accounts and returns
+ * them normalized to `{ accountId, description, debit, credit }` with
+ * amounts as decimal strings. Each line must have exactly one positive side.
+ * Throws AccountingValidationError listing every problem found.
+ *
+ * Inactive accounts are refused unless `allowInactiveAccounts` is set, which
+ * reversals need to cancel out entries on accounts retired since.
+ */
+const normalizeLines = async (
+  companyId,
+  lines,
+  { transaction, allowInactiveAccounts = false } = {}
+) => {
+  if (!Array.isArray(lines) || lines.length < 2) {
+    throw new AccountingValidationError("Validation error", [
+      { field: "lines", message: "An entry needs at least two lines" },
+    ]);
+  }
+
+  const accountIds = [...new Set(lines.map((line) => Number(line.accountId)))];
+  const accounts = await Account.findAll({
+    where: { id: { [Op.in]: accountIds.filter(Number.isInteger) }, companyId },
+    transaction,
+  });
+  const accountsById = new Map(
+    accounts.map((account) => [account.id, account])
+  );
+
+  const errors = [];
+  const normalized = lines.map((line, index) => {
+    const field = `lines[${index}]`;
+    const accountId = Number(line.accountId);
+    const account = accountsById.get(accountId);
+    const debit = toCents(line.debit);
+    const credit = toCents(line.credit);
+
+    if (!account) {
+      errors.push({
+        field: `${field}.accountId`,
+        message: "Account not found",
+      });
+    } else if (!account.isActive && !allowInactiveAccounts) {
+      errors.push({
+        field: `${field}.accountId`,
+        message: `Account ${account.code} is inactive`,
+      });
+    }
+
+    if (debit === null || credit === null || debit < 0 || credit < 0) {
+      errors.push({
+        field,
+        message:
+          "Debit and credit must be non-negative amounts with at most 2 decimals",
+      });
+    } else if (debit > 0 === credit > 0) {
+      errors.push({
+        field,
+        message: "Each line must have either a debit or a credit amount",
+      });
+    }
+
+    return {
+      accountId,
+      description: line.description || null,
+      debit: debit || 0,
+      credit: credit || 0,
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new AccountingValidationError("Validation error", errors);
+  }
+
+  return normalized.map((line) => ({
+    ...line,
+    debit: fromCents(line.debit),
+    credit: fromCents(line.credit),
+  }));
+};
+
+// Sums debit and credit of lines in cents
+const totals = (lines) =>
+  lines.reduce(
+    (sum, line) => ({
+      debit: sum.debit + toCents(line.debit),
+      credit: sum.credit + toCents(line.credit),
+    }),
+    { debit: 0, credit: 0 }
+  );
+
+const assertBalanced = (lines) => {
+  const { debit, credit } = totals(lines);
+
+  if (debit !== credit) {
+    throw new AccountingValidationError(
+      "Entry is not balanced: debits and credits must be equal",
+      [
+        {
+          field: "lines",
+          message: `Debits total ${fromCents(debit)} but credits total ${fromCents(credit)}`,
+        },
+      ]
+    );
+  }
+
+  if (debit === 0) {
+    throw new AccountingValidationError("Entry total can't be zero", [
+      { field: "lines", message: "Entry total can't be zero" },
+    ]);
+  }
+};
+
+const replaceLines = async (entry, lines, transaction) => {
+  await JournalLine.destroy({
+    where: { journalEntryId: entry.id },
+    transaction,
+  });
+
+  for (const [index, line] of lines.entries()) {
+    await JournalLine.create(
+      {
+        ...line,
+        journalEntryId: entry.id,
+        companyId: entry.companyId,
+        lineNumber: index + 1,
+      },
+      { transaction }
+    );
+  }
+};
+
+// Refuses dates that fall inside a closed accounting period
+const assertPeriodsOpen = async (companyId, dates, { transaction } = {}) => {
+  for (const date of new Set(dates.filter(Boolean))) {
+    const period = await AccountingPeriod.findOne({
+      where: {
+        companyId,
+        status: "closed",
+        startDate: { [Op.lte]: date },
+        endDate: { [Op.gte]: date },
+      },
+      transaction,
+    });
+
+    if (period) {
+      throw new AccountingValidationError("Accounting period is closed", [
+        {
+          field: "date",
+          message: `The period ${period.startDate} to ${period.endDate} is closed`,
+        },
+      ]);
+    }
+  }
+};
+
+// Runs fn in the given transaction, or in a new one
+const inTransaction = (transaction, fn) =>
+  transaction ? fn(transaction) : sequelize.transaction(fn);
+
+/**
+ * Marks a draft entry posted after checking that it balances and that its
+ * period is open. The company row is locked while the next entry number is
+ * taken so numbers stay sequential under concurrent posting, and so a
+ * period can't be closed halfway through.
+ *
+ * `allowClosedPeriod` is only for closing entries, which are posted into
+ * the last period of a year after it has been closed.
+ */
+const postEntry = (
+  entry,
+  userId,
+  { allowClosedPeriod = false, transaction } = {}
+) =>
+  inTransaction(transaction, async (t) => {
+    await entry.reload({ transaction: t, lock: t.LOCK.UPDATE });
+
+    if (entry.isPosted()) {
+      throw new AccountingValidationError("Entry is already posted");
+    }
+
+    const lines = await JournalLine.findAll({
+      where: { journalEntryId: entry.id },
+      transaction: t,
+    });
+    assertBalanced(lines);
+
+    await Company.findByPk(entry.companyId, {
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    if (!allowClosedPeriod) {
+      await assertPeriodsOpen(entry.companyId, [entry.date], {
+        transaction: t,
+      });
+    }
+    const lastNumber = await JournalEntry.max("entryNumber", {
+      where: { companyId: entry.companyId },
+      transaction: t,
+    });
+
+    await entry.update(
+      {
+        status: "posted",
+        entryNumber: (lastNumber || 0) + 1,
+        postedAt: new Date(),
+        postedBy: userId,
+      },
+      { transaction: t }
+    );
+
+    return entry;
+  });
+
+/**
+ * Creates an entry with its lines as a draft, or posted right away when
+ * `post` is set. Everything happens in one transaction, so an unbalanced
+ * entry that fails to post isn't left behind either.
+ */
+const createEntry = (
+  companyId,
+  { date, description, documentReference, lines, reversalOfId },
+  userId,
+  {
+    post = false,
+    allowInactiveAccounts = false,
+    allowClosedPeriod = false,
+    transaction,
+  } = {}
+) =>
+  inTransaction(transaction, async (t) => {
+    if (!allowClosedPeriod) {
+      await assertPeriodsOpen(companyId, [date], { transaction: t });
+    }
+    const normalizedLines = await normalizeLines(companyId, lines, {
+      transaction: t,
+      allowInactiveAccounts,
+    });
+
+    const entry = await JournalEntry.create(
+      {
+        companyId,
+        date,
+        description,
+        documentReference,
+        reversalOfId,
+        createdBy: userId,
+      },
+      { transaction: t }
+    );
+    await replaceLines(entry, normalizedLines, t);
+
+    if (post) {
+      await postEntry(entry, userId, { allowClosedPeriod, transaction: t });
+    }
+
+    return entry;
+  });
+
+// Replaces the given header fields and lines of a draft entry. Fields left
+// undefined keep their current value. The entry is locked and reloaded
+// first, so it can't be posted by someone else in between.
+const updateDraftEntry = (entry, { lines, ...fields }) =>
+  sequelize.transaction(async (t) => {
+    await entry.reload({ transaction: t, lock: t.LOCK.UPDATE });
+
+    if (entry.isPosted()) {
+      throw new AccountingValidationError(
+        "Posted entries can't be changed, reverse the entry instead"
+      );
+    }
+    await assertPeriodsOpen(entry.companyId, [entry.date, fields.date], {
+      transaction: t,
+    });
+
+    const changes = {};
+    for (const field of ["date", "description", "documentReference"]) {
+      if (fields[field] !== undefined) {
+        changes[field] = fields[field];
+      }
+    }
+    await entry.update(changes, { transaction: t });
+
+    if (lines !== undefined) {
+      const normalizedLines = await normalizeLines(entry.companyId, lines, {
+        transaction: t,
+      });
+      await replaceLines(entry, normalizedLines, t);
+    }
+
+    return entry;
+  });
+
+const deleteDraftEntry = (entry) =>
+  sequelize.transaction(async (t) => {
+    await entry.reload({ transaction: t, lock: t.LOCK.UPDATE });
+
+    if (entry.isPosted()) {
+      throw new AccountingValidationError(
+        "Posted entries can't be deleted, reverse the entry instead"
+      );
+    }
+    await assertPeriodsOpen(entry.companyId, [entry.date], {
+      transaction: t,
+    });
+
+    await JournalLine.destroy({
+      where: { journalEntryId: entry.id },
+      transaction: t,
+    });
+    await entry.destroy({ transaction: t });
+  });
+
+/**
+ * Posts an entry with the debits and credits of a posted entry swapped,
+ * cancelling it out, and links the two entries.
+ */
+const reverseEntry = (
+  entry,
+  userId,
+  { date, description } = {},
+  { allowClosedPeriod = false, transaction } = {}
+) =>
+  inTransaction(transaction, async (t) => {
+    await entry.reload({ transaction: t, lock: t.LOCK.UPDATE });
+
+    if (!entry.isPosted()) {
+      throw new AccountingValidationError(
+        "Only posted entries can be reversed, drafts can be edited or deleted"
+      );
+    }
+    if (entry.reversedById) {
+      throw new AccountingValidationError("Entry has already been reversed");
+    }
+
+    const lines = await JournalLine.findAll({
+      where: { journalEntryId: entry.id },
+      order: [["lineNumber", "ASC"]],
+      transaction: t,
+    });
+
+    const reversal = await createEntry(
+      entry.companyId,
+      {
+        date: date || entry.date,
+        description:
+          description ||
+          `Reversal of entry #${entry.entryNumber}: ${entry.description}`,
+        documentReference: entry.documentReference,
+        reversalOfId: entry.id,
+        lines: lines.map((line) => ({
+          accountId: line.accountId,
+          description: line.description,
+          debit: line.credit,
+          credit: line.debit,
+        })),
+      },
+      userId,
+      {
+        post: true,
+        allowInactiveAccounts: true,
+        allowClosedPeriod,
+        transaction: t,
+      }
+    );
+
+    await entry.update({ reversedById: reversal.id }, { transaction: t });
+
+    return reversal;
+  });
+
+module.exports = {
+  normalizeLines,
+  totals,
+  assertPeriodsOpen,
+  inTransaction,
+  createEntry,
+  updateDraftEntry,
+  deleteDraftEntry,
+  postEntry,
+  reverseEntry,
+};
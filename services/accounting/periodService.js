@@ -0,0 +1,445 @@
+const { Op } = require("sequelize");
+const sequelize = require("../../config/database");
+const Account = require("../../models/Account");
+const AccountingPeriod = require("../../models/AccountingPeriod");
+const Company = require("../../models/Company");
+const FiscalYear = require("../../models/FiscalYear");
+const JournalEntry = require("../../models/JournalEntry");
+const PeriodStatusChange = require("../../models/PeriodStatusChange");
+const journalService = require("./journalService");
+const { aggregateBalances } = require("./reportService");
+const { AccountingValidationError } = require("./errors");
+const POSTING_ACCOUNTS = require("../../config/postingAccounts");
+const { fromCents } = require("../../utils/money");
+const { logSecurityEvent } = require("../../utils/securityLogger");
+const {
+  isValidDate,
+  today,
+  addDays,
+  addMonths,
+} = require("../../utils/dateOnly");
+
+// A fiscal year may be up to 18 months long, which a company's first year
+// often is
+const MAX_FISCAL_YEAR_MONTHS = 18;
+
+// Splits a date range into calendar months, the first and last one cut to
+// the range
+const monthlyPeriods = (startDate, endDate) => {
+  const periods = [];
+  let start = startDate;
+
+  while (start <= endDate) {
+    const monthEnd = addDays(addMonths(`${start.slice(0, 7)}-01`, 1), -1);
+    const end = monthEnd < endDate ? monthEnd : endDate;
+    periods.push({ startDate: start, endDate: end });
+    start = addDays(end, 1);
+  }
+
+  return periods;
+};
+
+// Next fiscal year of the company: the day after the latest year ends, or
+// for the first year the one containing today according to the company's
+// fiscal year start month
+const defaultRange = (company, latestYear) => {
+  let startDate;
+  if (latestYear) {
+    startDate = addDays(latestYear.endDate, 1);
+  } else {
+    const month = String(company.fiscalYearStartMonth).padStart(2, "0");
+    startDate = `${today().slice(0, 4)}-${month}-01`;
+    if (startDate > today()) {
+      startDate = addMonths(startDate, -12);
+    }
+  }
+
+  return { startDate, endDate: addDays(addMonths(startDate, 12), -1) };
+};
+
+const lockCompany = (companyId, transaction) =>
+  Company.findByPk(companyId, { transaction, lock: transaction.LOCK.UPDATE });
+
+/**
+ * Creates the company's next fiscal year with its monthly periods. Without
+ * dates the year follows the previous one, or for the first year contains
+ * today. Years follow each other without gaps, so once a company has a year
+ * the next one must start the day after it ends.
+ */
+const createFiscalYear = (company, { startDate, endDate } = {}) =>
+  sequelize.transaction(async (transaction) => {
+    await lockCompany(company.id, transaction);
+    const latestYear = await FiscalYear.findOne({
+      where: { companyId: company.id },
+      order: [["endDate", "DESC"]],
+      transaction,
+    });
+    const defaults = defaultRange(company, latestYear);
+    const range = { startDate: startDate || defaults.startDate, endDate };
+    if (!range.endDate && isValidDate(range.startDate)) {
+      range.endDate = addDays(addMonths(range.startDate, 12), -1);
+    }
+
+    const errors = [];
+    for (const field of ["startDate", "endDate"]) {
+      if (!isValidDate(range[field])) {
+        errors.push({ field, message: "Must be a date in YYYY-MM-DD format" });
+      }
+    }
+    if (errors.length === 0) {
+      if (range.endDate < range.startDate) {
+        errors.push({
+          field: "endDate",
+          message: "End date must be after start date",
+        });
+      } else if (
+        range.endDate >= addMonths(range.startDate, MAX_FISCAL_YEAR_MONTHS)
+      ) {
+        errors.push({
+          field: "endDate",
+          message: `A fiscal year can't be longer than ${MAX_FISCAL_YEAR_MONTHS} months`,
+        });
+      }
+      if (latestYear && range.startDate !== defaults.startDate) {
+        errors.push({
+          field: "startDate",
+          message: `The next fiscal year must start on ${defaults.startDate}`,
+        });
+      }
+    }
+    if (errors.length > 0) {
+      throw new AccountingValidationError("Validation error", errors);
+    }
+
+    const year = await FiscalYear.create(
+      { companyId: company.id, ...range },
+      { transaction }
+    );
+    await AccountingPeriod.bulkCreate(
+      monthlyPeriods(range.startDate, range.endDate).map((period) => ({
+        ...period,
+        companyId: company.id,
+        fiscalYearId: year.id,
+      })),
+      { transaction }
+    );
+
+    return year;
+  });
+
+// Adds a row to the period status history. `period` is null for changes
+// to the fiscal year itself.
+const recordChange = (
+  year,
+  period,
+  action,
+  { userId, reason = null, ipAddress = null },
+  transaction
+) =>
+  PeriodStatusChange.create(
+    {
+      companyId: year.companyId,
+      fiscalYearId: year.id,
+      accountingPeriodId: period ? period.id : null,
+      action,
+      reason,
+      userId,
+      ipAddress,
+    },
+    { transaction }
+  );
+
+const requireReason = (reason) => {
+  if (typeof reason !== "string" || reason.trim() === "") {
+    throw new AccountingValidationError("Validation error", [
+      { field: "reason", message: "A reason is required to re-open" },
+    ]);
+  }
+  return reason.trim();
+};
+
+/**
+ * Closes a period. Periods are closed in order, so the closed periods of a
+ * company always cover everything up to some date. Periods with draft
+ * entries can't be closed, the drafts would be stuck.
+ */
+const closePeriod = (period, actor) =>
+  sequelize.transaction(async (transaction) => {
+    await lockCompany(period.companyId, transaction);
+    await period.reload({ transaction });
+
+    if (period.isClosed()) {
+      throw new AccountingValidationError("Period is already closed");
+    }
+
+    const earlierOpen = await AccountingPeriod.count({
+      where: {
+        companyId: period.companyId,
+        status: "open",
+        startDate: { [Op.lt]: period.startDate },
+      },
+      transaction,
+    });
+    if (earlierOpen > 0) {
+      throw new AccountingValidationError("Close earlier periods first");
+    }
+
+    const drafts = await JournalEntry.count({
+      where: {
+        companyId: period.companyId,
+        status: "draft",
+        date: { [Op.between]: [period.startDate, period.endDate] },
+      },
+      transaction,
+    });
+    if (drafts > 0) {
+      throw new AccountingValidationError(
+        `Period has ${drafts} draft entries, post or delete them first`
+      );
+    }
+
+    await period.update(
+      { status: "closed", closedAt: new Date(), closedBy: actor.userId },
+      { transaction }
+    );
+    const year = await FiscalYear.findByPk(period.fiscalYearId, {
+      transaction,
+    });
+    await recordChange(year, period, "closed", actor, transaction);
+
+    return period;
+  });
+
+/**
+ * Re-opens a closed period. Only the latest closed period can be re-opened,
+ * and not while its fiscal year is closed. A reason is required and the
+ * change is kept in the period history and logged as a security event, so
+ * changes to filed months never go unnoticed.
+ */
+const reopenPeriod = (period, { reason, ...actor }) =>
+  sequelize.transaction(async (transaction) => {
+    const trimmedReason = requireReason(reason);
+    await lockCompany(period.companyId, transaction);
+    await period.reload({ transaction });
+
+    if (!period.isClosed()) {
+      throw new AccountingValidationError("Period is not closed");
+    }
+
+    const year = await FiscalYear.findByPk(period.fiscalYearId, {
+      transaction,
+    });
+    if (year.isClosed()) {
+      throw new AccountingValidationError(
+        "The fiscal year is closed, re-open the year first"
+      );
+    }
+
+    const laterClosed = await AccountingPeriod.count({
+      where: {
+        companyId: period.companyId,
+        status: "closed",
+        startDate: { [Op.gt]: period.startDate },
+      },
+      transaction,
+    });
+    if (laterClosed > 0) {
+      throw new AccountingValidationError("Re-open later periods first");
+    }
+
+    await period.update(
+      { status: "open", closedAt: null, closedBy: null },
+      { transaction }
+    );
+    await recordChange(
+      year,
+      period,
+      "reopened",
+      { ...actor, reason: trimmedReason },
+      transaction
+    );
+
+    logSecurityEvent("accounting_period_reopened", {
+      userId: actor.userId,
+      companyId: period.companyId,
+      periodId: period.id,
+      startDate: period.startDate,
+      endDate: period.endDate,
+      reason: trimmedReason,
+      ipAddress: actor.ipAddress,
+    });
+
+    return period;
+  });
+
+/**
+ * Closes a fiscal year whose periods are all closed. Revenue and expense
+ * balances of the year are moved into the retained earnings account with a
+ * closing entry dated the last day of the year, so the next year starts
+ * with those accounts at zero.
+ */
+const closeFiscalYear = (year, { retainedEarningsAccountId, ...actor }) =>
+  sequelize.transaction(async (transaction) => {
+    await lockCompany(year.companyId, transaction);
+    await year.reload({ transaction });
+
+    if (year.isClosed()) {
+      throw new AccountingValidationError("Fiscal year is already closed");
+    }
+
+    const openPeriods = await AccountingPeriod.count({
+      where: { fiscalYearId: year.id, status: "open" },
+      transaction,
+    });
+    if (openPeriods > 0) {
+      throw new AccountingValidationError(
+        "Close all periods of the year first"
+      );
+    }
+
+    const retainedEarnings = await Account.findOne({
+      where: {
+        companyId: year.companyId,
+        type: "equity",
+        ...(retainedEarningsAccountId
+          ? { id: retainedEarningsAccountId }
+          : { code: POSTING_ACCOUNTS.retainedEarnings }),
+      },
+      transaction,
+    });
+    if (!retainedEarnings) {
+      throw new AccountingValidationError("Validation error", [
+        {
+          field: "retainedEarningsAccountId",
+          message: "Retained earnings must be an equity account of the company",
+        },
+      ]);
+    }
+
+    const balances = await aggregateBalances(
+      year.companyId,
+      { from: year.startDate, to: year.endDate },
+      { types: ["revenue", "expense"], periodOnly: true, transaction }
+    );
+    const lines = balances
+      .filter((row) => row.closing !== 0)
+      .map((row) => ({
+        accountId: row.accountId,
+        debit: fromCents(Math.max(-row.closing, 0)),
+        credit: fromCents(Math.max(row.closing, 0)),
+      }));
+
+    let closingEntry = null;
+    if (lines.length > 0) {
+      // Positive is a debit balance, i.e. a loss
+      const result = balances.reduce((sum, row) => sum + row.closing, 0);
+      if (result !== 0) {
+        lines.push({
+          accountId: retainedEarnings.id,
+          debit: fromCents(Math.max(result, 0)),
+          credit: fromCents(Math.max(-result, 0)),
+        });
+      }
+
+      closingEntry = await journalService.createEntry(
+        year.companyId,
+        {
+          date: year.endDate,
+          description: `Closing entry for fiscal year ${year.startDate} to ${year.endDate}`,
+          lines,
+        },
+        actor.userId,
+        {
+          post: true,
+          allowInactiveAccounts: true,
+          allowClosedPeriod: true,
+          transaction,
+        }
+      );
+    }
+
+    await year.update(
+      {
+        status: "closed",
+        closedAt: new Date(),
+        closedBy: actor.userId,
+        closingEntryId: closingEntry ? closingEntry.id : null,
+      },
+      { transaction }
+    );
+    await recordChange(year, null, "closed", actor, transaction);
+
+    return year;
+  });
+
+/**
+ * Re-opens a closed fiscal year by reversing its closing entry. The year's
+ * periods stay closed and have to be re-opened one by one.
+ */
+const reopenFiscalYear = (year, { reason, ...actor }) =>
+  sequelize.transaction(async (transaction) => {
+    const trimmedReason = requireReason(reason);
+    await lockCompany(year.companyId, transaction);
+    await year.reload({ transaction });
+
+    if (!year.isClosed()) {
+      throw new AccountingValidationError("Fiscal year is not closed");
+    }
+
+    const laterClosed = await FiscalYear.count({
+      where: {
+        companyId: year.companyId,
+        status: "closed",
+        startDate: { [Op.gt]: year.startDate },
+      },
+      transaction,
+    });
+    if (laterClosed > 0) {
+      throw new AccountingValidationError("Re-open later fiscal years first");
+    }
+
+    if (year.closingEntryId) {
+      const closingEntry = await JournalEntry.findByPk(year.closingEntryId, {
+        transaction,
+      });
+      await journalService.reverseEntry(
+        closingEntry,
+        actor.userId,
+        {
+          description: `Re-opening of fiscal year ${year.startDate} to ${year.endDate}`,
+        },
+        { allowClosedPeriod: true, transaction }
+      );
+    }
+
+    await year.update(
+      { status: "open", closedAt: null, closedBy: null, closingEntryId: null },
+      { transaction }
+    );
+    await recordChange(
+      year,
+      null,
+      "reopened",
+      { ...actor, reason: trimmedReason },
+      transaction
+    );
+
+    logSecurityEvent("fiscal_year_reopened", {
+      userId: actor.userId,
+      companyId: year.companyId,
+      fiscalYearId: year.id,
+      reason: trimmedReason,
+      ipAddress: actor.ipAddress,
+    });
+
+    return year;
+  });
+
+module.exports = {
+  monthlyPeriods,
+  createFiscalYear,
+  closePeriod,
+  reopenPeriod,
+  closeFiscalYear,
+  reopenFiscalYear,
+};
@@ -0,0 +1,26 @@
+const Account = require("../../models/Account");
+const POSTING_ACCOUNTS = require("../../config/postingAccounts");
+const { AccountingValidationError } = require("./errors");
+
+/**
+ * Finds the company's account for a posting role from
+ * config/postingAccounts.js, such as `receivables` or `outputVat`. Throws
+ * AccountingValidationError when the company's chart doesn't have it.
+ */
+const findPostingAccount = async (companyId, role, { transaction } = {}) => {
+  const code = POSTING_ACCOUNTS[role];
+  const account = await Account.findOne({
+    where: { companyId, code },
+    transaction,
+  });
+
+  if (!account) {
+    throw new AccountingValidationError(
+      `Account ${code} is missing from the chart of accounts`
+    );
+  }
+
+  return account;
+};
+
+module.exports = { findPostingAccount };
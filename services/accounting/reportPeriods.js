@@ -0,0 +1,140 @@
+const { AccountingValidationError } = require("./errors");
+const {
+  isValidDate,
+  today,
+  addDays,
+  addMonths,
+  daysBetween,
+} = require("../../utils/dateOnly");
+
+const COMPARE_MODES = ["previous-period", "previous-year"];
+
+// First day of the fiscal year that contains `date`, for a fiscal year
+// starting on the first of `startMonth`
+const fiscalYearStart = (date, startMonth) => {
+  const start = `${date.slice(0, 4)}-${String(startMonth).padStart(2, "0")}-01`;
+  return start > date ? addMonths(start, -12) : start;
+};
+
+/**
+ * Resolves the report period and optional comparison period from query
+ * parameters. The period defaults to the start of the company's fiscal year
+ * containing `to` through `to`, and `to` to today. A comparison period is either given explicitly
+ * with `compareFrom` and `compareTo`, or derived with `compare`:
+ * `previous-period` is the same number of days right before the period,
+ * `previous-year` the same dates a year earlier.
+ *
+ * Throws AccountingValidationError for malformed or inverted ranges.
+ */
+const resolvePeriods = (
+  query,
+  { now = today(), fiscalYearStartMonth = 1 } = {}
+) => {
+  const errors = [];
+  const checkDate = (field) => {
+    if (query[field] !== undefined && !isValidDate(query[field])) {
+      errors.push({ field, message: "Must be a date in YYYY-MM-DD format" });
+    }
+  };
+  ["from", "to", "compareFrom", "compareTo"].forEach(checkDate);
+
+  if (query.compare !== undefined && !COMPARE_MODES.includes(query.compare)) {
+    errors.push({
+      field: "compare",
+      message: `Must be one of: ${COMPARE_MODES.join(", ")}`,
+    });
+  }
+  if (
+    query.compare !== undefined &&
+    (query.compareFrom !== undefined || query.compareTo !== undefined)
+  ) {
+    errors.push({
+      field: "compare",
+      message: "Use either compare or compareFrom and compareTo, not both",
+    });
+  }
+  if ((query.compareFrom === undefined) !== (query.compareTo === undefined)) {
+    errors.push({
+      field: "compareFrom",
+      message: "compareFrom and compareTo must be given together",
+    });
+  }
+  if (errors.length > 0) {
+    throw new AccountingValidationError("Validation error", errors);
+  }
+
+  const to = query.to || now;
+  const period = {
+    from: query.from || fiscalYearStart(to, fiscalYearStartMonth),
+    to,
+  };
+
+  let comparison = null;
+  if (query.compareFrom !== undefined) {
+    comparison = { from: query.compareFrom, to: query.compareTo };
+  } else if (query.compare === "previous-period") {
+    const days = daysBetween(period.from, period.to);
+    const comparisonTo = addDays(period.from, -1);
+    comparison = { from: addDays(comparisonTo, -days), to: comparisonTo };
+  } else if (query.compare === "previous-year") {
+    comparison = {
+      from: addMonths(period.from, -12),
+      to: addMonths(period.to, -12),
+    };
+  }
+
+  for (const [field, range] of [
+    ["from", period],
+    ["compareFrom", comparison],
+  ]) {
+    if (range && range.from > range.to) {
+      errors.push({ field, message: "Start date must not be after end date" });
+    }
+  }
+  if (errors.length > 0) {
+    throw new AccountingValidationError("Validation error", errors);
+  }
+
+  return { period, comparison };
+};
+
+/**
+ * Resolves `limit` and `offset` for paged reports. Both must be whole
+ * numbers, `limit` at most `maxLimit`. Throws AccountingValidationError
+ * otherwise.
+ */
+const resolvePaging = (query, { defaultLimit, maxLimit }) => {
+  const errors = [];
+  const read = (field, fallback, min, max, message) => {
+    const value = query[field];
+    if (value === undefined) {
+      return fallback;
+    }
+    if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) {
+      errors.push({ field, message });
+    }
+    return Number(value);
+  };
+
+  const limit = read(
+    "limit",
+    defaultLimit,
+    1,
+    maxLimit,
+    `Must be a whole number from 1 to ${maxLimit}`
+  );
+  const offset = read(
+    "offset",
+    0,
+    0,
+    Number.MAX_SAFE_INTEGER,
+    "Must be a whole number of at least 0"
+  );
+  if (errors.length > 0) {
+    throw new AccountingValidationError("Validation error", errors);
+  }
+
+  return { limit, offset };
+};
+
+module.exports = { resolvePeriods, resolvePaging, COMPARE_MODES };
@@ -0,0 +1,364 @@
+const { QueryTypes } = require("sequelize");
+const sequelize = require("../../config/database");
+const { toCents, fromCents } = require("../../utils/money");
+
+// Account types whose balance is normally on the debit side. Balances of the
+// other types are reported with the sign flipped so they read positive.
+const DEBIT_NORMAL_TYPES = ["asset", "expense"];
+
+const naturalBalance = (type, cents) =>
+  DEBIT_NORMAL_TYPES.includes(type) ? cents : -cents;
+
+/**
+ * Per-account sums of posted lines up to `to`, split into the balance
+ * before `from` and the debits and credits from `from` on. All the summing
+ * happens in the database; only one row per account comes back. Amounts are
+ * returned in cents, balances as debit minus credit.
+ *
+ * With `periodOnly` lines before `from` are left out entirely, which is all
+ * the income statement needs.
+ */
+const aggregateBalances = async (
+  companyId,
+  { from, to },
+  { accountId = null, types = null, periodOnly = false, transaction } = {}
+) => {
+  const conditions = [
+    `l."companyId" = :companyId`,
+    `e."status" = 'posted'`,
+    `e."date" <= :to`,
+  ];
+  if (periodOnly) {
+    conditions.push(`e."date" >= :from`);
+  }
+  if (accountId !== null) {
+    conditions.push(`l."accountId" = :accountId`);
+  }
+  if (types) {
+    conditions.push(`a."type" IN (:types)`);
+  }
+
+  const rows = await sequelize.query(
+    `SELECT a."id" AS "accountId", a."code", a."name", a."type",
+      SUM(CASE WHEN e."date" < :from THEN l."debit" - l."credit" ELSE 0 END) AS "opening",
+      SUM(CASE WHEN e."date" >= :from THEN l."debit" ELSE 0 END) AS "debit",
+      SUM(CASE WHEN e."date" >= :from THEN l."credit" ELSE 0 END) AS "credit"
+    FROM "JournalLines" l
+    JOIN "JournalEntries" e ON e."id" = l."journalEntryId"
+    JOIN "Accounts" a ON a."id" = l."accountId"
+    WHERE ${conditions.join(" AND ")}
+    GROUP BY a."id", a."code", a."name", a."type"
+    ORDER BY a."code"`,
+    {
+      replacements: { companyId, from, to, accountId, types },
+      type: QueryTypes.SELECT,
+      transaction,
+    }
+  );
+
+  return rows.map((row) => {
+    const opening = toCents(row.opening);
+    const debit = toCents(row.debit);
+    const credit = toCents(row.credit);
+
+    return {
+      accountId: row.accountId,
+      code: row.code,
+      name: row.name,
+      type: row.type,
+      opening,
+      debit,
+      credit,
+      closing: opening + debit - credit,
+    };
+  });
+};
+
+const ZERO = { opening: 0, debit: 0, credit: 0, closing: 0 };
+
+const amountsOf = ({ opening, debit, credit, closing }) => ({
+  opening,
+  debit,
+  credit,
+  closing,
+});
+
+// Loads per-account balances for the period and the comparison period and
+// merges them by account, keeping accounts that appear in either. Each row
+// gets `current` and `comparison` amounts, zero where the account had no
+// lines, and `comparison` null when no comparison period was asked for.
+const withComparison = async ({ period, comparison }, load) => {
+  const current = await load(period);
+  const previous = comparison ? await load(comparison) : [];
+
+  const byAccount = new Map();
+  const rowFor = ({ accountId, code, name, type }) => {
+    if (!byAccount.has(accountId)) {
+      byAccount.set(accountId, {
+        accountId,
+        code,
+        name,
+        type,
+        current: ZERO,
+        comparison: comparison ? ZERO : null,
+      });
+    }
+    return byAccount.get(accountId);
+  };
+
+  current.forEach((row) => {
+    rowFor(row).current = amountsOf(row);
+  });
+  previous.forEach((row) => {
+    rowFor(row).comparison = amountsOf(row);
+  });
+
+  return [...byAccount.values()].sort((a, b) => a.code.localeCompare(b.code));
+};
+
+const sumBy = (rows, pick) => rows.reduce((sum, row) => sum + pick(row), 0);
+
+const formatBalances = ({ opening, debit, credit, closing }) => ({
+  openingBalance: fromCents(opening),
+  debit: fromCents(debit),
+  credit: fromCents(credit),
+  closingBalance: fromCents(closing),
+});
+
+const accountFields = ({ accountId, code, name, type }) => ({
+  accountId,
+  code,
+  name,
+  type,
+});
+
+/**
+ * Opening balance, debits, credits and closing balance of every account
+ * with posted lines. Balances are debit minus credit, so the opening and
+ * closing totals are zero when the books are consistent.
+ */
+const trialBalance = async (companyId, periods) => {
+  const rows = await withComparison(periods, (range) =>
+    aggregateBalances(companyId, range)
+  );
+
+  const totalsOf = (key) =>
+    formatBalances({
+      opening: sumBy(rows, (row) => row[key].opening),
+      debit: sumBy(rows, (row) => row[key].debit),
+      credit: sumBy(rows, (row) => row[key].credit),
+      closing: sumBy(rows, (row) => row[key].closing),
+    });
+
+  return {
+    ...periods,
+    accounts: rows.map((row) => ({
+      ...accountFields(row),
+      ...formatBalances(row.current),
+      comparison: row.comparison && formatBalances(row.comparison),
+    })),
+    totals: totalsOf("current"),
+    comparisonTotals: periods.comparison ? totalsOf("comparison") : null,
+  };
+};
+
+/**
+ * Posted lines of one account in the period with a running balance, plus
+ * the account's opening and closing balance. The running balance is a
+ * window sum computed by the database, so it is right on every page.
+ */
+const generalLedger = async (
+  companyId,
+  account,
+  periods,
+  { limit = 100, offset = 0 } = {}
+) => {
+  const loadTotals = async (range) => {
+    const [row] = await aggregateBalances(companyId, range, {
+      accountId: account.id,
+    });
+    return row ? amountsOf(row) : ZERO;
+  };
+  const current = await loadTotals(periods.period);
+  const comparison = periods.comparison
+    ? await loadTotals(periods.comparison)
+    : null;
+
+  const replacements = {
+    companyId,
+    accountId: account.id,
+    from: periods.period.from,
+    to: periods.period.to,
+    limit,
+    offset,
+  };
+  const filter = `l."companyId" = :companyId
+      AND l."accountId" = :accountId
+      AND e."status" = 'posted'
+      AND e."date" BETWEEN :from AND :to`;
+  const ordering = `e."date", e."entryNumber", l."lineNumber", l."id"`;
+
+  const [{ count }] = await sequelize.query(
+    `SELECT COUNT(*) AS "count"
+    FROM "JournalLines" l
+    JOIN "JournalEntries" e ON e."id" = l."journalEntryId"
+    WHERE ${filter}`,
+    { replacements, type: QueryTypes.SELECT }
+  );
+
+  const lines = await sequelize.query(
+    `SELECT e."id" AS "journalEntryId", e."entryNumber", e."date",
+      e."description" AS "entryDescription", e."documentReference",
+      l."id" AS "lineId", l."description", l."debit", l."credit",
+      SUM(l."debit" - l."credit") OVER (ORDER BY ${ordering}) AS "movement"
+    FROM "JournalLines" l
+    JOIN "JournalEntries" e ON e."id" = l."journalEntryId"
+    WHERE ${filter}
+    ORDER BY ${ordering}
+    LIMIT :limit OFFSET :offset`,
+    { replacements, type: QueryTypes.SELECT }
+  );
+
+  return {
+    ...periods,
+    account: accountFields({ accountId: account.id, ...account.get() }),
+    ...formatBalances(current),
+    comparisonBalances: comparison && formatBalances(comparison),
+    total: Number(count),
+    lines: lines.map(({ movement, debit, credit, ...line }) => ({
+      ...line,
+      debit: fromCents(toCents(debit)),
+      credit: fromCents(toCents(credit)),
+      balance: fromCents(current.opening + toCents(movement)),
+    })),
+  };
+};
+
+/**
+ * Revenue and expense accounts with their movement in the period, shown
+ * with natural signs, and the net income (revenue minus expenses).
+ */
+const incomeStatement = async (companyId, periods) => {
+  const rows = await withComparison(periods, (range) =>
+    aggregateBalances(companyId, range, {
+      types: ["revenue", "expense"],
+      periodOnly: true,
+    })
+  );
+  const amountOf = (row, key) =>
+    naturalBalance(row.type, row[key].debit - row[key].credit);
+
+  const section = (type) => {
+    const accounts = rows.filter((row) => row.type === type);
+    const totalOf = (key) =>
+      fromCents(sumBy(accounts, (row) => amountOf(row, key)));
+
+    return {
+      accounts: accounts.map((row) => ({
+        ...accountFields(row),
+        amount: fromCents(amountOf(row, "current")),
+        comparisonAmount: row.comparison
+          ? fromCents(amountOf(row, "comparison"))
+          : null,
+      })),
+      total: totalOf("current"),
+      comparisonTotal: periods.comparison ? totalOf("comparison") : null,
+    };
+  };
+  // Net income is what revenue and expense accounts hold on the credit side
+  const netIncomeOf = (key) =>
+    fromCents(-sumBy(rows, (row) => row[key].debit - row[key].credit));
+
+  return {
+    ...periods,
+    revenue: section("revenue"),
+    expenses: section("expense"),
+    netIncome: netIncomeOf("current"),
+    comparisonNetIncome: periods.comparison ? netIncomeOf("comparison") : null,
+  };
+};
+
+/**
+ * Assets, liabilities and equity as at the end of the period. Revenue and
+ * expenses not yet closed into equity are shown on the equity side, split
+ * into the result before the period and the result of the period, so the
+ * sheet balances whether or not closing entries have been posted.
+ */
+const balanceSheet = async (companyId, periods) => {
+  const rows = await withComparison(periods, (range) =>
+    aggregateBalances(companyId, range)
+  );
+  const resultRows = rows.filter(
+    (row) => row.type === "revenue" || row.type === "expense"
+  );
+
+  const figures = (key) => {
+    const totalOf = (type) =>
+      sumBy(
+        rows.filter((row) => row.type === type),
+        (row) => naturalBalance(type, row[key].closing)
+      );
+    const previousResult = -sumBy(resultRows, (row) => row[key].opening);
+    const periodResult = -sumBy(
+      resultRows,
+      (row) => row[key].debit - row[key].credit
+    );
+    const assets = totalOf("asset");
+    const liabilities = totalOf("liability");
+    const equity = totalOf("equity") + previousResult + periodResult;
+
+    return {
+      previousResult,
+      periodResult,
+      assets,
+      liabilities,
+      equity,
+      liabilitiesAndEquity: liabilities + equity,
+    };
+  };
+  const current = figures("current");
+  const comparison = periods.comparison ? figures("comparison") : null;
+
+  const section = (type, field) => ({
+    accounts: rows
+      .filter((row) => row.type === type)
+      .map((row) => ({
+        ...accountFields(row),
+        amount: fromCents(naturalBalance(type, row.current.closing)),
+        comparisonAmount: row.comparison
+          ? fromCents(naturalBalance(type, row.comparison.closing))
+          : null,
+      })),
+    total: fromCents(current[field]),
+    comparisonTotal: comparison && fromCents(comparison[field]),
+  });
+
+  return {
+    ...periods,
+    assets: section("asset", "assets"),
+    liabilities: section("liability", "liabilities"),
+    equity: {
+      ...section("equity", "equity"),
+      unclosedResult: {
+        previousPeriods: fromCents(current.previousResult),
+        currentPeriod: fromCents(current.periodResult),
+        comparisonPreviousPeriods:
+          comparison && fromCents(comparison.previousResult),
+        comparisonCurrentPeriod:
+          comparison && fromCents(comparison.periodResult),
+      },
+    },
+    totalLiabilitiesAndEquity: fromCents(current.liabilitiesAndEquity),
+    comparisonTotalLiabilitiesAndEquity:
+      comparison && fromCents(comparison.liabilitiesAndEquity),
+    balanced: current.assets === current.liabilitiesAndEquity,
+  };
+};
+
+module.exports = {
+  aggregateBalances,
+  trialBalance,
+  generalLedger,
+  incomeStatement,
+  balanceSheet,
+};
@@ -0,0 +1,206 @@
+const { isDeepStrictEqual } = require("util");
+const sequelize = require("../../config/database");
+const AuditEvent = require("../../models/AuditEvent");
+const { getRequestContext } = require("../../middleware/requestContext");
+
+// Models left out of the trail: the trail itself, session, throttling and
+// mail queue bookkeeping that changes on every login or send, and the
+// records of executed migrations and seeders (see utils/migrator.js)
+const UNAUDITED = [
+  "AuditEvent",
+  "RefreshToken",
+  "LoginThrottle",
+  "OutboxMessage",
+  "SequelizeMeta",
+  "SequelizeData",
+];
+
+// Fields whose values never go into the trail, only that they changed
+const SECRET_FIELDS = [
+  "password",
+  "verificationToken",
+  "unlockToken",
+  "twoFactorSecret",
+  "twoFactorRecoveryCodes",
+];
+
+// Maintained by Sequelize, an update touching only these isn't recorded
+const IGNORED_FIELDS = ["createdAt", "updatedAt"];
+
+const isAudited = (model) => model && !UNAUDITED.includes(model.name);
+
+const valueOf = (field, value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (SECRET_FIELDS.includes(field)) {
+    return "[redacted]";
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[${value.length} bytes]`;
+  }
+  return value;
+};
+
+// Where conditions as JSON: operators are symbols, which JSON drops
+const serializeWhere = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(serializeWhere);
+  }
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Reflect.ownKeys(value).map((key) => [
+        typeof key === "symbol" ? `$${key.description}` : key,
+        serializeWhere(value[key]),
+      ])
+    );
+  }
+  return value;
+};
+
+const companyIdOf = (model, values) => {
+  if (model.name === "Company") {
+    return values.id ?? null;
+  }
+  return Number.isInteger(values.companyId) ? values.companyId : null;
+};
+
+const eventFor = (model, action, values, changes) => {
+  const context = getRequestContext();
+  const id = model.primaryKeyAttribute && values[model.primaryKeyAttribute];
+  return {
+    companyId: companyIdOf(model, values),
+    actorId: context ? context.userId : null,
+    action,
+    entityType: model.name,
+    entityId: id === undefined || id === null ? null : String(id),
+    changes,
+    ipAddress: context ? context.ipAddress : null,
+    requestId: context ? context.requestId : null,
+  };
+};
+
+// Every field of a created or deleted record, as changes from or to nothing
+const snapshot = (instance, side) => {
+  const changes = {};
+  for (const [field, value] of Object.entries(instance.get())) {
+    if (IGNORED_FIELDS.includes(field) || value === undefined) {
+      continue;
+    }
+    const shown = valueOf(field, value);
+    changes[field] =
+      side === "to" ? { from: null, to: shown } : { from: shown, to: null };
+  }
+  return changes;
+};
+
+// Called after the save, when the instance still knows its previous values
+const updatedFields = (instance) => {
+  const changes = {};
+  for (const field of instance.changed() || []) {
+    const from = instance.previous(field);
+    const to = instance.get(field);
+    if (IGNORED_FIELDS.includes(field) || isDeepStrictEqual(from, to)) {
+      continue;
+    }
+    changes[field] = { from: valueOf(field, from), to: valueOf(field, to) };
+  }
+  return changes;
+};
+
+const record = (events, options) =>
+  events.length === 0
+    ? null
+    : AuditEvent.bulkCreate(events, { transaction: options.transaction });
+
+const afterCreate = (instance, options) => {
+  const model = instance.constructor;
+  if (!isAudited(model)) {
+    return null;
+  }
+  return record(
+    [eventFor(model, "create", instance.get(), snapshot(instance, "to"))],
+    options
+  );
+};
+
+const afterBulkCreate = (instances, options) => {
+  const model = instances[0] && instances[0].constructor;
+  if (!isAudited(model)) {
+    return null;
+  }
+  return record(
+    instances.map((instance) =>
+      eventFor(model, "create", instance.get(), snapshot(instance, "to"))
+    ),
+    options
+  );
+};
+
+const afterUpdate = (instance, options) => {
+  const model = instance.constructor;
+  if (!isAudited(model)) {
+    return null;
+  }
+  const changes = updatedFields(instance);
+  if (Object.keys(changes).length === 0) {
+    return null;
+  }
+  return record([eventFor(model, "update", instance.get(), changes)], options);
+};
+
+const afterDestroy = (instance, options) => {
+  const model = instance.constructor;
+  if (!isAudited(model)) {
+    return null;
+  }
+  return record(
+    [eventFor(model, "delete", instance.get(), snapshot(instance, "from"))],
+    options
+  );
+};
+
+// Bulk updates and deletes don't load the affected rows, so they are
+// recorded as one event holding the condition (and the new values)
+const bulkEvent = (action) => (options) => {
+  const { model } = options;
+  if (!isAudited(model) || options.individualHooks) {
+    return null;
+  }
+  const where = serializeWhere(options.where || {});
+  const changes = { where };
+  if (action === "update") {
+    changes.set = Object.fromEntries(
+      Object.entries(options.attributes || {})
+        .filter(([field]) => !IGNORED_FIELDS.includes(field))
+        .map(([field, value]) => [field, valueOf(field, value)])
+    );
+  }
+  return record(
+    [{ ...eventFor(model, action, where, changes), entityId: null }],
+    options
+  );
+};
+
+let registered = false;
+
+/**
+ * Records every create, update and delete of the audited models as an
+ * AuditEvent, in the same transaction as the change. The actor, IP and
+ * request ID come from the requestContext middleware.
+ */
+const registerAuditTrail = () => {
+  if (registered) {
+    return;
+  }
+  registered = true;
+
+  sequelize.addHook("afterCreate", "auditTrail", afterCreate);
+  sequelize.addHook("afterBulkCreate", "auditTrail", afterBulkCreate);
+  sequelize.addHook("afterUpdate", "auditTrail", afterUpdate);
+  sequelize.addHook("afterDestroy", "auditTrail", afterDestroy);
+  sequelize.addHook("afterBulkUpdate", "auditTrail", bulkEvent("update"));
+  sequelize.addHook("afterBulkDestroy", "auditTrail", bulkEvent("delete"));
+};
+
+module.exports = { registerAuditTrail };
@@ -0,0 +1,393 @@
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const sequelize = require("../../config/database");
+const Account = require("../../models/Account");
+const BankStatement = require("../../models/BankStatement");
+const BankTransaction = require("../../models/BankTransaction");
+const Invoice = require("../../models/Invoice");
+const JournalEntry = require("../../models/JournalEntry");
+const journalService = require("../accounting/journalService");
+const invoiceService = require("../invoicing/invoiceService");
+const { findPostingAccount } = require("../accounting/postingAccounts");
+const { AccountingValidationError } = require("../accounting/errors");
+const { parseCamt053 } = require("./camt053");
+const { parseCsvStatement } = require("./csvStatement");
+const { toCents, fromCents } = require("../../utils/money");
+const { isValidReferenceNumber } = require("../../utils/referenceNumber");
+
+// camt.053 is XML; anything else is tried as one of the CSV exports
+const parseStatement = (buffer) => {
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+  return text.trimStart().startsWith("<")
+    ? parseCamt053(text)
+    : parseCsvStatement(text);
+};
+
+// Transactions without a bank reference get a hash of their details. Equal
+// bookings in one file are told apart by their position among the equals.
+const withExternalIds = (transactions) => {
+  const seen = new Map();
+  return transactions.map((transaction) => {
+    if (transaction.externalId) {
+      return transaction;
+    }
+
+    const details = [
+      transaction.bookingDate,
+      transaction.amount,
+      transaction.counterpartyIban,
+      transaction.counterpartyName,
+      transaction.referenceNumber,
+      transaction.description,
+    ].join("|");
+    const occurrence = (seen.get(details) || 0) + 1;
+    seen.set(details, occurrence);
+
+    const hash = crypto
+      .createHash("sha256")
+      .update(`${details}|${occurrence}`)
+      .digest("hex");
+    return { ...transaction, externalId: `sha256:${hash.slice(0, 40)}` };
+  });
+};
+
+// The ledger account a statement is booked to: the given asset account, or
+// the company's bank account
+const findBankAccount = async (companyId, accountId, transaction) => {
+  if (accountId === undefined || accountId === null || accountId === "") {
+    return findPostingAccount(companyId, "bank", { transaction });
+  }
+
+  const account = await Account.findOne({
+    where: { id: accountId, companyId, type: "asset", isActive: true },
+    transaction,
+  });
+  if (!account) {
+    throw new AccountingValidationError("Validation error", [
+      {
+        field: "accountId",
+        message: "Account must be an active asset account of the company",
+      },
+    ]);
+  }
+  return account;
+};
+
+// Reference number as invoices store it: digits only, no leading zeros
+const normalizeReference = (value) => {
+  const digits = String(value ?? "").replace(/\s/g, "");
+  return isValidReferenceNumber(digits) ? digits.replace(/^0+/, "") : null;
+};
+
+const lockUnmatched = async (bankTransaction, transaction) => {
+  await bankTransaction.reload({ transaction, lock: transaction.LOCK.UPDATE });
+  if (bankTransaction.isMatched()) {
+    throw new AccountingValidationError("Transaction is already matched");
+  }
+};
+
+/**
+ * Matches an incoming payment to an open invoice of the same amount and
+ * posts the payment from receivables to the statement's bank account.
+ */
+const matchToInvoice = (
+  bankTransaction,
+  invoice,
+  userId,
+  { matchType = "manual", transaction } = {}
+) =>
+  journalService.inTransaction(transaction, async (t) => {
+    await lockUnmatched(bankTransaction, t);
+
+    const amount = toCents(bankTransaction.amount);
+    if (amount <= 0) {
+      throw new AccountingValidationError(
+        "Only incoming payments can be matched to invoices"
+      );
+    }
+    if (invoice.companyId !== bankTransaction.companyId) {
+      throw new AccountingValidationError("Validation error", [
+        { field: "invoiceId", message: "Invoice not found" },
+      ]);
+    }
+    if (toCents(invoice.total) !== amount) {
+      throw new AccountingValidationError("Validation error", [
+        {
+          field: "invoiceId",
+          message: `Invoice total ${fromCents(toCents(invoice.total))} doesn't equal the payment of ${fromCents(amount)}`,
+        },
+      ]);
+    }
+
+    await invoiceService.markPaid(
+      invoice,
+      {
+        date: bankTransaction.bookingDate,
+        accountId: bankTransaction.accountId,
+      },
+      userId,
+      { transaction: t }
+    );
+    await bankTransaction.update(
+      {
+        status: "matched",
+        invoiceId: invoice.id,
+        journalEntryId: invoice.paymentEntryId,
+        matchType,
+        matchedAt: new Date(),
+        matchedBy: userId,
+      },
+      { transaction: t }
+    );
+
+    return bankTransaction;
+  });
+
+/**
+ * Books a transaction that isn't an invoice payment, e.g. a bank fee or a
+ * payment to a supplier, against another account of the company.
+ */
+const matchToAccount = (
+  bankTransaction,
+  accountId,
+  userId,
+  { description } = {}
+) =>
+  sequelize.transaction(async (transaction) => {
+    await lockUnmatched(bankTransaction, transaction);
+
+    const account = await Account.findOne({
+      where: { id: accountId ?? null, companyId: bankTransaction.companyId },
+      transaction,
+    });
+    if (!account || account.id === bankTransaction.accountId) {
+      throw new AccountingValidationError("Validation error", [
+        {
+          field: "accountId",
+          message: "Account must be another account of the company",
+        },
+      ]);
+    }
+
+    const amount = toCents(bankTransaction.amount);
+    const absolute = fromCents(Math.abs(amount));
+    const bankSide = amount > 0 ? "debit" : "credit";
+    const otherSide = amount > 0 ? "credit" : "debit";
+    const entry = await journalService.createEntry(
+      bankTransaction.companyId,
+      {
+        date: bankTransaction.bookingDate,
+        description:
+          description ||
+          bankTransaction.description ||
+          bankTransaction.counterpartyName ||
+          "Bank transaction",
+        documentReference: bankTransaction.externalId.slice(0, 50),
+        lines: [
+          { accountId: bankTransaction.accountId, [bankSide]: absolute },
+          { accountId: account.id, [otherSide]: absolute },
+        ],
+      },
+      userId,
+      { post: true, transaction }
+    );
+
+    await bankTransaction.update(
+      {
+        status: "matched",
+        journalEntryId: entry.id,
+        matchType: "manual",
+        matchedAt: new Date(),
+        matchedBy: userId,
+      },
+      { transaction }
+    );
+
+    return bankTransaction;
+  });
+
+/**
+ * Undoes a match: reverses the journal entry the match posted, and returns
+ * a paid invoice to issued.
+ */
+const unmatch = (bankTransaction, userId) =>
+  sequelize.transaction(async (transaction) => {
+    await bankTransaction.reload({
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!bankTransaction.isMatched()) {
+      throw new AccountingValidationError("Transaction isn't matched");
+    }
+
+    if (bankTransaction.invoiceId) {
+      const invoice = await Invoice.findByPk(bankTransaction.invoiceId, {
+        transaction,
+      });
+      if (invoice.status !== "paid") {
+        throw new AccountingValidationError(
+          "The invoice has been credited since, its payment can't be undone"
+        );
+      }
+      await invoiceService.markUnpaid(invoice, userId, { transaction });
+    } else {
+      const entry = await JournalEntry.findByPk(
+        bankTransaction.journalEntryId,
+        {
+          transaction,
+        }
+      );
+      await journalService.reverseEntry(entry, userId, {}, { transaction });
+    }
+
+    await bankTransaction.update(
+      {
+        status: "unmatched",
+        invoiceId: null,
+        journalEntryId: null,
+        matchType: null,
+        matchedAt: null,
+        matchedBy: null,
+      },
+      { transaction }
+    );
+
+    return bankTransaction;
+  });
+
+/**
+ * Matches unmatched incoming payments to issued invoices with the same
+ * reference number and total. Each match is its own transaction; payments
+ * that can't be booked, e.g. into a closed period, stay unmatched. Returns
+ * the matched transactions.
+ */
+const autoMatch = async (companyId, userId, { transactionIds } = {}) => {
+  const where = {
+    companyId,
+    status: "unmatched",
+    amount: { [Op.gt]: 0 },
+    referenceNumber: { [Op.ne]: null },
+  };
+  if (transactionIds) {
+    where.id = { [Op.in]: transactionIds };
+  }
+
+  const matched = [];
+  for (const bankTransaction of await BankTransaction.findAll({ where })) {
+    const referenceNumber = normalizeReference(bankTransaction.referenceNumber);
+    if (!referenceNumber) {
+      continue;
+    }
+
+    const invoice = await Invoice.findOne({
+      where: { companyId, type: "invoice", status: "issued", referenceNumber },
+    });
+    if (
+      !invoice ||
+      toCents(invoice.total) !== toCents(bankTransaction.amount)
+    ) {
+      continue;
+    }
+
+    try {
+      matched.push(
+        await matchToInvoice(bankTransaction, invoice, userId, {
+          matchType: "auto",
+        })
+      );
+    } catch (error) {
+      if (error.name !== "AccountingValidationError") {
+        throw error;
+      }
+    }
+  }
+
+  return matched;
+};
+
+/**
+ * Imports a camt.053 or CSV statement file. Transactions already imported
+ * from an earlier file of the same account are skipped. New incoming
+ * payments are then matched to open invoices. Returns the statement with
+ * counts of new, skipped and matched transactions.
+ */
+const importStatement = async (
+  companyId,
+  { buffer, fileName, accountId },
+  userId
+) => {
+  const parsed = parseStatement(buffer);
+  if (parsed.transactions.length === 0) {
+    throw new AccountingValidationError("Statement file could not be read", [
+      { field: "file", message: "The file has no booked transactions" },
+    ]);
+  }
+
+  const transactions = withExternalIds(parsed.transactions);
+  const { statement, created } = await sequelize.transaction(
+    async (transaction) => {
+      const account = await findBankAccount(companyId, accountId, transaction);
+
+      const existing = await BankTransaction.findAll({
+        attributes: ["externalId"],
+        where: {
+          companyId,
+          accountId: account.id,
+          externalId: { [Op.in]: transactions.map((t) => t.externalId) },
+        },
+        transaction,
+      });
+      const known = new Set(existing.map((row) => row.externalId));
+      const fresh = transactions.filter((t) => !known.has(t.externalId));
+
+      const statement = await BankStatement.create(
+        {
+          companyId,
+          accountId: account.id,
+          format: parsed.format,
+          fileName,
+          iban: parsed.iban,
+          fromDate: parsed.fromDate,
+          toDate: parsed.toDate,
+          openingBalance: parsed.openingBalance,
+          closingBalance: parsed.closingBalance,
+          transactionCount: transactions.length,
+          importedCount: fresh.length,
+          importedBy: userId,
+        },
+        { transaction }
+      );
+      const created = await BankTransaction.bulkCreate(
+        fresh.map((t) => ({
+          ...t,
+          companyId,
+          statementId: statement.id,
+          accountId: account.id,
+        })),
+        { transaction }
+      );
+
+      return { statement, created };
+    }
+  );
+
+  const matched = await autoMatch(companyId, userId, {
+    transactionIds: created.map((t) => t.id),
+  });
+
+  return {
+    statement,
+    imported: created.length,
+    skipped: transactions.length - created.length,
+    matched: matched.length,
+  };
+};
+
+module.exports = {
+  parseStatement,
+  importStatement,
+  autoMatch,
+  matchToInvoice,
+  matchToAccount,
+  unmatch,
+};
@@ -0,0 +1,182 @@
+const { XMLParser, XMLValidator } = require("fast-xml-parser");
+const { AccountingValidationError } = require("../accounting/errors");
+const { toCents, fromCents } = require("../../utils/money");
+const { isValidDate } = require("../../utils/dateOnly");
+
+// Elements that can repeat; always parsed as arrays so one and many look
+// the same
+const REPEATING = [
+  "Stmt",
+  "Bal",
+  "Ntry",
+  "NtryDtls",
+  "TxDtls",
+  "Strd",
+  "Ustrd",
+];
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@",
+  removeNSPrefix: true,
+  // Keep values as text: amounts are converted to cents and reference
+  // numbers may have leading zeros
+  parseTagValue: false,
+  parseAttributeValue: false,
+  isArray: (name) => REPEATING.includes(name),
+});
+
+const fileError = (message) =>
+  new AccountingValidationError("Statement file could not be read", [
+    { field: "file", message },
+  ]);
+
+const list = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+const text = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const content = typeof value === "object" ? value["#text"] : value;
+  return content === undefined ? null : String(content).trim() || null;
+};
+
+// Date of a <Dt> or <DtTm> holder
+const dateOf = (holder) => {
+  const value = text(holder && (holder.Dt || holder.DtTm));
+  return value ? value.slice(0, 10) : null;
+};
+
+// Signed cents of an <Amt> with its <CdtDbtInd> (DBIT is negative)
+const signedCents = (amount, indicator) => {
+  const cents = toCents(text(amount));
+  if (cents === null) {
+    return null;
+  }
+  return indicator === "DBIT" ? -cents : cents;
+};
+
+// Party name in both the 001.02 (<Nm>) and the newer (<Pty><Nm>) layout
+const partyName = (party) =>
+  party ? text(party.Nm) || text(party.Pty && party.Pty.Nm) : null;
+
+const balance = (balances, codes) => {
+  const found = balances.find((bal) =>
+    codes.includes(text(bal.Tp && bal.Tp.CdOrPrtry && bal.Tp.CdOrPrtry.Cd))
+  );
+  if (!found) {
+    return null;
+  }
+  const cents = signedCents(found.Amt, text(found.CdtDbtInd));
+  return cents === null ? null : fromCents(cents);
+};
+
+const transactionsOf = (entry, iban) => {
+  const status = text(entry.Sts && entry.Sts.Cd ? entry.Sts.Cd : entry.Sts);
+  // Pending and informational entries aren't on the account yet
+  if (status && status !== "BOOK") {
+    return [];
+  }
+
+  const indicator = text(entry.CdtDbtInd);
+  const bookingDate = dateOf(entry.BookgDt) || dateOf(entry.ValDt);
+  if (!isValidDate(bookingDate)) {
+    throw fileError(`Entry ${text(entry.AcctSvcrRef) || ""} has no valid date`);
+  }
+
+  const details = list(entry.NtryDtls).flatMap((group) => list(group.TxDtls));
+  // A batch booking lists its payments as separate details, each with its
+  // own amount; otherwise the entry's amount is the payment's
+  const parts = details.length > 0 ? details : [{}];
+
+  return parts.map((detail, index) => {
+    const amount =
+      parts.length > 1
+        ? (detail.AmtDtls &&
+            detail.AmtDtls.TxAmt &&
+            detail.AmtDtls.TxAmt.Amt) ||
+          detail.Amt
+        : entry.Amt;
+    const cents = signedCents(amount, indicator);
+    if (cents === null) {
+      throw fileError(`Entry on ${bookingDate} has an invalid amount`);
+    }
+
+    const parties = detail.RltdPties || {};
+    const counterparty = indicator === "DBIT" ? parties.Cdtr : parties.Dbtr;
+    const counterpartyAccount =
+      indicator === "DBIT" ? parties.CdtrAcct : parties.DbtrAcct;
+    const remittance = detail.RmtInf || {};
+    const reference = list(remittance.Strd)
+      .map((strd) => text(strd.CdtrRefInf && strd.CdtrRefInf.Ref))
+      .find(Boolean);
+    const entryRef = text(entry.AcctSvcrRef);
+
+    return {
+      iban,
+      externalId:
+        text(detail.Refs && detail.Refs.AcctSvcrRef) ||
+        (entryRef && parts.length > 1 ? `${entryRef}/${index + 1}` : entryRef),
+      bookingDate,
+      amount: fromCents(cents),
+      currency: (amount && amount["@Ccy"]) || "EUR",
+      counterpartyName: partyName(counterparty),
+      counterpartyIban: text(
+        counterpartyAccount &&
+          counterpartyAccount.Id &&
+          counterpartyAccount.Id.IBAN
+      ),
+      referenceNumber: reference || null,
+      description:
+        list(remittance.Ustrd).map(text).filter(Boolean).join(" ") ||
+        text(entry.AddtlNtryInf),
+    };
+  });
+};
+
+/**
+ * Reads an ISO 20022 camt.053 bank-to-customer statement (any version,
+ * namespaces are ignored). Returns `{ format, iban, fromDate, toDate,
+ * openingBalance, closingBalance, transactions }`; a file with several
+ * statements is returned as one, with the balances of the first and last.
+ */
+const parseCamt053 = (xml) => {
+  if (XMLValidator.validate(xml) !== true) {
+    throw fileError("The file is not well-formed XML");
+  }
+
+  const document = parser.parse(xml).Document;
+  const statements = list(
+    document && document.BkToCstmrStmt && document.BkToCstmrStmt.Stmt
+  );
+  if (statements.length === 0) {
+    throw fileError("No camt.053 statement found in the file");
+  }
+
+  const first = statements[0];
+  const last = statements[statements.length - 1];
+  const ibanOf = (statement) =>
+    text(statement.Acct && statement.Acct.Id && statement.Acct.Id.IBAN);
+  const transactions = statements.flatMap((statement) =>
+    list(statement.Ntry).flatMap((entry) =>
+      transactionsOf(entry, ibanOf(statement))
+    )
+  );
+  const dates = transactions.map(({ bookingDate }) => bookingDate).sort();
+
+  return {
+    format: "camt053",
+    iban: ibanOf(first),
+    fromDate:
+      dateOf({ DtTm: first.FrToDt && first.FrToDt.FrDtTm }) || dates[0] || null,
+    toDate:
+      dateOf({ DtTm: last.FrToDt && last.FrToDt.ToDtTm }) ||
+      dates[dates.length - 1] ||
+      null,
+    openingBalance: balance(list(first.Bal), ["OPBD", "PRCD"]),
+    closingBalance: balance(list(last.Bal), ["CLBD"]),
+    transactions,
+  };
+};
+
+module.exports = { parseCamt053 };
@@ -0,0 +1,119 @@
+const FORMATS = require("../../config/bankCsvFormats");
+const { AccountingValidationError } = require("../accounting/errors");
+const { parseCsv } = require("../../utils/csv");
+const { toCents, fromCents } = require("../../utils/money");
+const { isValidDate } = require("../../utils/dateOnly");
+
+const fileError = (message) =>
+  new AccountingValidationError("Statement file could not be read", [
+    { field: "file", message },
+  ]);
+
+const toIsoDate = (value, dateFormat) => {
+  const text = String(value).trim();
+  const date =
+    dateFormat === "DD.MM.YYYY"
+      ? text.replace(/^(\d{2})\.(\d{2})\.(\d{4})$/, "$3-$2-$1")
+      : text;
+  return isValidDate(date) ? date : null;
+};
+
+const toAmount = (value, decimalComma) => {
+  let text = String(value).replace(/\s/g, "");
+  if (decimalComma) {
+    text = text.replace(/\./g, "").replace(",", ".");
+  }
+  const cents = toCents(text.replace(/^-/, ""));
+  return text === "" ? null : cents;
+};
+
+// The format whose columns are all in the header row
+const detectFormat = (text) => {
+  for (const [format, definition] of Object.entries(FORMATS)) {
+    const [header] = parseCsv(text.split(/\r?\n/, 1)[0], definition.delimiter);
+    const names = (header || []).map((name) => name.trim());
+    if (
+      Object.values(definition.columns).every((name) => names.includes(name))
+    ) {
+      return format;
+    }
+  }
+  return null;
+};
+
+/**
+ * Reads a CSV statement export of Swedbank, SEB or LHV (see
+ * config/bankCsvFormats.js). Returns the statement in the same shape as
+ * parseCamt053, without balances.
+ */
+const parseCsvStatement = (text) => {
+  const format = detectFormat(text);
+  if (!format) {
+    throw fileError(
+      "Unrecognised CSV columns, expected a Swedbank, SEB or LHV statement export"
+    );
+  }
+
+  const definition = FORMATS[format];
+  const [header, ...rows] = parseCsv(text, definition.delimiter);
+  const columns = { ...definition.columns, ...definition.optionalColumns };
+  const indexes = Object.fromEntries(
+    Object.entries(columns).map(([field, name]) => [
+      field,
+      header.findIndex((cell) => cell.trim() === name),
+    ])
+  );
+  const cell = (row, field) =>
+    indexes[field] >= 0 ? (row[indexes[field]] || "").trim() : "";
+
+  const transactions = [];
+  rows.forEach((row, index) => {
+    if (
+      definition.transactionRowType &&
+      cell(row, "rowType") !== definition.transactionRowType
+    ) {
+      return;
+    }
+
+    const line = index + 2;
+    const bookingDate = toIsoDate(
+      cell(row, "bookingDate"),
+      definition.dateFormat
+    );
+    const cents = toAmount(cell(row, "amount"), definition.decimalComma);
+    if (!bookingDate) {
+      throw fileError(
+        `Line ${line}: invalid date "${cell(row, "bookingDate")}"`
+      );
+    }
+    if (cents === null) {
+      throw fileError(`Line ${line}: invalid amount "${cell(row, "amount")}"`);
+    }
+
+    const outgoing = cell(row, "direction").toUpperCase() === definition.debit;
+    transactions.push({
+      iban: cell(row, "iban") || null,
+      externalId: cell(row, "externalId") || null,
+      bookingDate,
+      amount: fromCents(outgoing ? -cents : cents),
+      currency: cell(row, "currency") || "EUR",
+      counterpartyName: cell(row, "counterpartyName") || null,
+      counterpartyIban: cell(row, "counterpartyIban") || null,
+      referenceNumber: cell(row, "referenceNumber") || null,
+      description: cell(row, "description") || null,
+    });
+  });
+
+  const dates = transactions.map(({ bookingDate }) => bookingDate).sort();
+  return {
+    format,
+    iban: transactions.length > 0 ? transactions[0].iban : null,
+    fromDate: dates[0] || null,
+    toDate: dates[dates.length - 1] || null,
+    openingBalance: null,
+    closingBalance: null,
+    transactions,
+  };
+};
+
+module.exports = { detectFormat, parseCsvStatement };
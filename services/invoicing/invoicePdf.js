@@ -0,0 +1,234 @@
+const PDFDocument = require("pdfkit");
+
+const LABELS = {
+  et: {
+    invoice: "Arve",
+    creditNote: "Kreeditarve",
+    draft: "Mustand",
+    registrationNumber: "Registrikood",
+    vatNumber: "KMKR nr",
+    billTo: "Maksja",
+    issueDate: "Kuupäev",
+    dueDate: "Maksetähtaeg",
+    referenceNumber: "Viitenumber",
+    creditedInvoice: "Krediteeritav arve",
+    description: "Kirjeldus",
+    quantity: "Kogus",
+    unitPrice: "Ühiku hind",
+    vatRate: "KM %",
+    net: "Summa",
+    netTotal: "Summa käibemaksuta",
+    vat: "Käibemaks",
+    total: "Kokku",
+  },
+  en: {
+    invoice: "Invoice",
+    creditNote: "Credit note",
+    draft: "Draft",
+    registrationNumber: "Registry code",
+    vatNumber: "VAT number",
+    billTo: "Bill to",
+    issueDate: "Date",
+    dueDate: "Due date",
+    referenceNumber: "Reference number",
+    creditedInvoice: "Credited invoice",
+    description: "Description",
+    quantity: "Quantity",
+    unitPrice: "Unit price",
+    vatRate: "VAT %",
+    net: "Amount",
+    netTotal: "Total excluding VAT",
+    vat: "VAT",
+    total: "Total",
+  },
+};
+
+const MARGIN = 50;
+const PAGE_WIDTH = 595.28; // A4
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+
+// Table columns as [label key, x offset, width, alignment]
+const COLUMNS = [
+  ["description", 0, 215, "left"],
+  ["quantity", 215, 55, "right"],
+  ["unitPrice", 270, 75, "right"],
+  ["vatRate", 345, 50, "right"],
+  ["net", 395, CONTENT_WIDTH - 395, "right"],
+];
+
+// 1234.5 -> "1 234.50", the way amounts are written on Estonian invoices
+const formatAmount = (value) => {
+  const [units, decimals] = Number(value).toFixed(2).split(".");
+  return `${units.replace(/\B(?=(\d{3})+(?!\d))/g, " ")}.${decimals}`;
+};
+
+const formatQuantity = (value) => String(Number(value));
+
+const textLines = (...values) => values.filter(Boolean).join("\n");
+
+/**
+ * Renders an invoice or credit note as an A4 PDF and resolves with its
+ * bytes. Issued invoices show the customer details copied onto them at
+ * issue; drafts show the customer's current details.
+ */
+const renderInvoicePdf = ({
+  invoice,
+  lines,
+  company,
+  customer,
+  creditedInvoice = null,
+  locale = "et",
+}) =>
+  new Promise((resolve, reject) => {
+    const t = LABELS[locale] || LABELS.et;
+    const doc = new PDFDocument({ size: "A4", margin: MARGIN });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const title = invoice.type === "credit_note" ? t.creditNote : t.invoice;
+    doc.info.Title = `${title} ${invoice.number || ""}`.trim();
+    doc.info.Author = company.name;
+
+    // Seller
+    doc.font("Helvetica-Bold").fontSize(16).text(company.name, MARGIN, MARGIN);
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .text(
+        textLines(
+          company.address,
+          `${t.registrationNumber}: ${company.registrationNumber}`,
+          company.email
+        )
+      );
+
+    // Title and document details
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(20)
+      .text(title, MARGIN, MARGIN, { width: CONTENT_WIDTH, align: "right" });
+    doc
+      .font("Helvetica")
+      .fontSize(11)
+      .text(invoice.number || t.draft, {
+        width: CONTENT_WIDTH,
+        align: "right",
+      });
+
+    const details = [
+      [t.issueDate, invoice.issueDate],
+      invoice.type === "credit_note" ? null : [t.dueDate, invoice.dueDate],
+      invoice.referenceNumber
+        ? [t.referenceNumber, invoice.referenceNumber]
+        : null,
+      creditedInvoice ? [t.creditedInvoice, creditedInvoice.number] : null,
+    ].filter(Boolean);
+
+    let y = 140;
+    doc.fontSize(9);
+    for (const [label, value] of details) {
+      doc.text(label, MARGIN + 300, y, { width: 100 });
+      doc.text(value, MARGIN + 400, y, {
+        width: CONTENT_WIDTH - 400,
+        align: "right",
+      });
+      y += 14;
+    }
+
+    // Buyer
+    doc
+      .font("Helvetica-Bold")
+      .text(t.billTo, MARGIN, 140)
+      .font("Helvetica")
+      .text(
+        textLines(
+          invoice.customerName || customer.name,
+          invoice.customerAddress || customer.address,
+          (invoice.customerRegistrationNumber || customer.registrationNumber) &&
+            `${t.registrationNumber}: ${invoice.customerRegistrationNumber || customer.registrationNumber}`,
+          (invoice.customerVatNumber || customer.vatNumber) &&
+            `${t.vatNumber}: ${invoice.customerVatNumber || customer.vatNumber}`
+        ),
+        { width: 250 }
+      );
+
+    // Lines
+    y = Math.max(y, doc.y) + 30;
+    doc.font("Helvetica-Bold");
+    for (const [key, x, width, align] of COLUMNS) {
+      doc.text(t[key], MARGIN + x, y, { width, align });
+    }
+    y += 16;
+    doc
+      .moveTo(MARGIN, y - 4)
+      .lineTo(MARGIN + CONTENT_WIDTH, y - 4)
+      .stroke();
+    doc.font("Helvetica");
+
+    for (const line of lines) {
+      const quantity = `${formatQuantity(line.quantity)}${line.unit ? ` ${line.unit}` : ""}`;
+      const cells = {
+        description: line.description,
+        quantity,
+        unitPrice: formatAmount(line.unitPrice),
+        vatRate: formatQuantity(line.vatRate),
+        net: formatAmount(line.netAmount),
+      };
+      const height = doc.heightOfString(line.description, {
+        width: COLUMNS[0][2] - 10,
+      });
+      if (y + height > doc.page.height - 150) {
+        doc.addPage();
+        y = MARGIN;
+      }
+      for (const [key, x, width, align] of COLUMNS) {
+        doc.text(cells[key], MARGIN + x, y, {
+          width: key === "description" ? width - 10 : width,
+          align,
+        });
+      }
+      y += height + 6;
+    }
+
+    // Totals, VAT broken down by rate
+    const vatByRate = new Map();
+    for (const line of lines) {
+      const rate = formatQuantity(line.vatRate);
+      vatByRate.set(rate, (vatByRate.get(rate) || 0) + Number(line.vatAmount));
+    }
+    const totals = [
+      [t.netTotal, invoice.netTotal],
+      ...[...vatByRate].map(([rate, amount]) => [`${t.vat} ${rate}%`, amount]),
+    ];
+
+    y += 10;
+    doc
+      .moveTo(MARGIN + 270, y - 4)
+      .lineTo(MARGIN + CONTENT_WIDTH, y - 4)
+      .stroke();
+    for (const [label, amount] of totals) {
+      doc.text(label, MARGIN + 270, y, { width: 150 });
+      doc.text(formatAmount(amount), MARGIN + 420, y, {
+        width: CONTENT_WIDTH - 420,
+        align: "right",
+      });
+      y += 14;
+    }
+    doc.font("Helvetica-Bold");
+    doc.text(`${t.total} ${invoice.currency}`, MARGIN + 270, y, { width: 150 });
+    doc.text(formatAmount(invoice.total), MARGIN + 420, y, {
+      width: CONTENT_WIDTH - 420,
+      align: "right",
+    });
+    doc.font("Helvetica");
+
+    if (invoice.notes) {
+      doc.text(invoice.notes, MARGIN, y + 40, { width: CONTENT_WIDTH });
+    }
+
+    doc.end();
+  });
+
+module.exports = { renderInvoicePdf, formatAmount };
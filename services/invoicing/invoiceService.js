@@ -0,0 +1,689 @@
+const { Op } = require("sequelize");
+const sequelize = require("../../config/database");
+const Account = require("../../models/Account");
+const Company = require("../../models/Company");
+const Customer = require("../../models/Customer");
+const Invoice = require("../../models/Invoice");
+const InvoiceLine = require("../../models/InvoiceLine");
+const InvoiceSeries = require("../../models/InvoiceSeries");
+const JournalEntry = require("../../models/JournalEntry");
+const VatRate = require("../../models/VatRate");
+const journalService = require("../accounting/journalService");
+const { findPostingAccount } = require("../accounting/postingAccounts");
+const { AccountingValidationError } = require("../accounting/errors");
+const { resolveLineRate } = require("../vat/vatService");
+const { toCents, fromCents } = require("../../utils/money");
+const { isValidDate, today, addDays } = require("../../utils/dateOnly");
+const { createReferenceNumber } = require("../../utils/referenceNumber");
+
+// Series created on first use when a company hasn't set one up
+const DEFAULT_SERIES = {
+  invoice: { name: "Invoices", prefix: "ARV-" },
+  credit_note: { name: "Credit notes", prefix: "KR-" },
+};
+
+// Quantity in thousandths, or null when it isn't a number with at most 3
+// decimals
+const toMilli = (value) => {
+  const match = /^(\d+)(?:\.(\d{1,3}))?$/.exec(String(value ?? "").trim());
+  if (!match) {
+    return null;
+  }
+  return Number(match[1]) * 1000 + Number((match[2] || "").padEnd(3, "0"));
+};
+
+// Net, VAT and total of a line in cents. VAT is rounded per line.
+const lineAmounts = (quantityMilli, unitPriceCents, vatRateHundredths) => {
+  const net = Math.round((quantityMilli * unitPriceCents) / 1000);
+  const vat = Math.round((net * vatRateHundredths) / 10000);
+  return { net, vat, total: net + vat };
+};
+
+/**
+ * Checks invoice lines and computes their amounts. Lines without an
+ * `accountId` are posted to the sales account; other accounts must be
+ * revenue accounts of the company. The VAT code and rate are resolved
+ * against the rates in effect on `date`, the issue date. Throws
+ * AccountingValidationError listing every problem found.
+ */
+const normalizeLines = async (companyId, lines, { date, transaction } = {}) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new AccountingValidationError("Validation error", [
+      { field: "lines", message: "An invoice needs at least one line" },
+    ]);
+  }
+
+  const accountIds = lines
+    .map((line) => line.accountId)
+    .filter((id) => id !== undefined && id !== null)
+    .map(Number);
+  const accounts = await Account.findAll({
+    where: { id: { [Op.in]: accountIds.filter(Number.isInteger) }, companyId },
+    transaction,
+  });
+  const accountsById = new Map(
+    accounts.map((account) => [account.id, account])
+  );
+  const salesAccount = lines.some((line) => line.accountId == null)
+    ? await findPostingAccount(companyId, "sales", { transaction })
+    : null;
+  const rates = await VatRate.findAllOn(date, { transaction });
+
+  const errors = [];
+  const normalized = lines.map((line, index) => {
+    const field = `lines[${index}]`;
+    const quantity = toMilli(line.quantity);
+    const unitPrice = toCents(line.unitPrice);
+    const vat = resolveLineRate(rates, line);
+    const account =
+      line.accountId == null
+        ? salesAccount
+        : accountsById.get(Number(line.accountId));
+
+    if (typeof line.description !== "string" || !line.description.trim()) {
+      errors.push({
+        field: `${field}.description`,
+        message: "Description is required",
+      });
+    }
+    if (quantity === null || quantity === 0) {
+      errors.push({
+        field: `${field}.quantity`,
+        message: "Quantity must be positive with at most 3 decimals",
+      });
+    }
+    if (unitPrice === null || line.unitPrice === undefined) {
+      errors.push({
+        field: `${field}.unitPrice`,
+        message: "Unit price must be an amount with at most 2 decimals",
+      });
+    }
+    if (vat.error) {
+      errors.push({ field: `${field}.${vat.field}`, message: vat.error });
+    }
+    if (!account || account.type !== "revenue") {
+      errors.push({
+        field: `${field}.accountId`,
+        message: "Account must be a revenue account of the company",
+      });
+    } else if (!account.isActive) {
+      errors.push({
+        field: `${field}.accountId`,
+        message: `Account ${account.code} is inactive`,
+      });
+    }
+
+    if (errors.length > 0) {
+      return null;
+    }
+
+    const amounts = lineAmounts(quantity, unitPrice, toCents(vat.rate.rate));
+    return {
+      description: line.description.trim(),
+      quantity: (quantity / 1000).toFixed(3),
+      unit: line.unit || null,
+      unitPrice: fromCents(unitPrice),
+      vatCode: vat.rate.code,
+      vatRate: fromCents(toCents(vat.rate.rate)),
+      accountId: account.id,
+      netAmount: fromCents(amounts.net),
+      vatAmount: fromCents(amounts.vat),
+      totalAmount: fromCents(amounts.total),
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new AccountingValidationError("Validation error", errors);
+  }
+
+  return normalized;
+};
+
+const sumLines = (lines) => {
+  const sum = (field) =>
+    lines.reduce((total, line) => total + toCents(line[field]), 0);
+
+  return {
+    netTotal: fromCents(sum("netAmount")),
+    vatTotal: fromCents(sum("vatAmount")),
+    total: fromCents(sum("totalAmount")),
+  };
+};
+
+const replaceLines = async (invoice, lines, transaction) => {
+  await InvoiceLine.destroy({
+    where: { invoiceId: invoice.id },
+    transaction,
+  });
+  await InvoiceLine.bulkCreate(
+    lines.map((line, index) => ({
+      ...line,
+      invoiceId: invoice.id,
+      companyId: invoice.companyId,
+      lineNumber: index + 1,
+    })),
+    { transaction }
+  );
+};
+
+const findCustomer = async (companyId, customerId, transaction) => {
+  const customer = await Customer.findOne({
+    where: { id: customerId ?? null, companyId },
+    transaction,
+  });
+
+  if (!customer) {
+    throw new AccountingValidationError("Validation error", [
+      { field: "customerId", message: "Customer not found" },
+    ]);
+  }
+  return customer;
+};
+
+const checkDates = (issueDate, dueDate) => {
+  const errors = [];
+  if (!isValidDate(issueDate)) {
+    errors.push({
+      field: "issueDate",
+      message: "Must be a date in YYYY-MM-DD format",
+    });
+  }
+  if (!isValidDate(dueDate)) {
+    errors.push({
+      field: "dueDate",
+      message: "Must be a date in YYYY-MM-DD format",
+    });
+  } else if (dueDate < issueDate) {
+    errors.push({
+      field: "dueDate",
+      message: "Due date can't be before the issue date",
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new AccountingValidationError("Validation error", errors);
+  }
+};
+
+/**
+ * Creates a draft invoice. The issue date defaults to today and the due
+ * date to the customer's payment term after it.
+ */
+const createInvoice = (
+  companyId,
+  { customerId, issueDate, dueDate, notes, lines },
+  userId
+) =>
+  sequelize.transaction(async (transaction) => {
+    const customer = await findCustomer(companyId, customerId, transaction);
+    if (!customer.isActive) {
+      throw new AccountingValidationError("Validation error", [
+        { field: "customerId", message: "Customer is inactive" },
+      ]);
+    }
+
+    const date = issueDate || today();
+    const due =
+      dueDate ||
+      (isValidDate(date) ? addDays(date, customer.paymentTermDays) : null);
+    checkDates(date, due);
+    const normalizedLines = await normalizeLines(companyId, lines, {
+      date,
+      transaction,
+    });
+
+    const invoice = await Invoice.create(
+      {
+        companyId,
+        customerId: customer.id,
+        issueDate: date,
+        dueDate: due,
+        notes,
+        createdBy: userId,
+        ...sumLines(normalizedLines),
+      },
+      { transaction }
+    );
+    await replaceLines(invoice, normalizedLines, transaction);
+
+    return invoice;
+  });
+
+const assertDraft = (invoice) => {
+  if (!invoice.isDraft()) {
+    throw new AccountingValidationError(
+      "Issued invoices can't be changed, issue a credit note instead"
+    );
+  }
+};
+
+// Replaces the given fields, and all lines when `lines` is given, of a
+// draft invoice. When only the issue date changes the lines are priced
+// again with the VAT rates of the new date, by their VAT code.
+const updateDraftInvoice = (
+  invoice,
+  { customerId, issueDate, dueDate, notes, lines }
+) =>
+  sequelize.transaction(async (transaction) => {
+    await invoice.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    assertDraft(invoice);
+
+    const changes = {};
+    if (customerId !== undefined) {
+      const customer = await findCustomer(
+        invoice.companyId,
+        customerId,
+        transaction
+      );
+      changes.customerId = customer.id;
+    }
+    if (notes !== undefined) {
+      changes.notes = notes;
+    }
+    const nextIssueDate = issueDate ?? invoice.issueDate;
+    const nextDueDate = dueDate ?? invoice.dueDate;
+    checkDates(nextIssueDate, nextDueDate);
+    changes.issueDate = nextIssueDate;
+    changes.dueDate = nextDueDate;
+
+    let nextLines = lines;
+    if (nextLines === undefined && nextIssueDate !== invoice.issueDate) {
+      const currentLines = await InvoiceLine.findAll({
+        where: { invoiceId: invoice.id },
+        order: [["lineNumber", "ASC"]],
+        transaction,
+      });
+      nextLines = currentLines.map((line) => ({
+        description: line.description,
+        quantity: line.quantity,
+        unit: line.unit,
+        unitPrice: line.unitPrice,
+        vatCode: line.vatCode,
+        accountId: line.accountId,
+      }));
+    }
+
+    if (nextLines !== undefined) {
+      const normalizedLines = await normalizeLines(
+        invoice.companyId,
+        nextLines,
+        { date: nextIssueDate, transaction }
+      );
+      await replaceLines(invoice, normalizedLines, transaction);
+      Object.assign(changes, sumLines(normalizedLines));
+    }
+
+    await invoice.update(changes, { transaction });
+    return invoice;
+  });
+
+const deleteDraftInvoice = (invoice) =>
+  sequelize.transaction(async (transaction) => {
+    await invoice.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    assertDraft(invoice);
+
+    await InvoiceLine.destroy({
+      where: { invoiceId: invoice.id },
+      transaction,
+    });
+    await invoice.destroy({ transaction });
+  });
+
+// The series to number a document with, locked for the rest of the
+// transaction. Without a seriesId the company's default series for the
+// document type is used, and created if there is none yet. The company row
+// is locked first so two documents issued at once can't both create one.
+const lockSeries = async (companyId, documentType, seriesId, transaction) => {
+  if (!seriesId) {
+    await Company.findByPk(companyId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+  }
+  const where = seriesId
+    ? { id: seriesId, companyId, documentType }
+    : { companyId, documentType, isDefault: true };
+  let series = await InvoiceSeries.findOne({
+    where,
+    transaction,
+    lock: transaction.LOCK.UPDATE,
+  });
+
+  if (!series && seriesId) {
+    throw new AccountingValidationError("Validation error", [
+      { field: "seriesId", message: "Numbering series not found" },
+    ]);
+  }
+  if (!series) {
+    series = await InvoiceSeries.create(
+      {
+        companyId,
+        documentType,
+        ...DEFAULT_SERIES[documentType],
+        isDefault: true,
+      },
+      { transaction }
+    );
+  }
+
+  return series;
+};
+
+// Journal lines of an issued document: receivables against revenue per
+// account and output VAT. Credit notes post the same lines the other way.
+const journalLinesFor = async (invoice, number, lines, transaction) => {
+  const receivables = await findPostingAccount(
+    invoice.companyId,
+    "receivables",
+    { transaction }
+  );
+  const outputVat = await findPostingAccount(invoice.companyId, "outputVat", {
+    transaction,
+  });
+
+  const netByAccount = new Map();
+  for (const line of lines) {
+    netByAccount.set(
+      line.accountId,
+      (netByAccount.get(line.accountId) || 0) + toCents(line.netAmount)
+    );
+  }
+
+  const entryLines = [
+    { accountId: receivables.id, side: "debit", cents: toCents(invoice.total) },
+    ...[...netByAccount].map(([accountId, cents]) => ({
+      accountId,
+      side: "credit",
+      cents,
+    })),
+    {
+      accountId: outputVat.id,
+      side: "credit",
+      cents: toCents(invoice.vatTotal),
+    },
+  ];
+
+  const flip = invoice.isCreditNote();
+  return entryLines
+    .filter(({ cents }) => cents !== 0)
+    .map(({ accountId, side, cents }) => {
+      let debit = side === "debit";
+      if (flip) {
+        debit = !debit;
+      }
+      // Negative amounts, e.g. a discount line, go to the other side
+      if (cents < 0) {
+        debit = !debit;
+      }
+      return {
+        accountId,
+        description: number,
+        debit: debit ? fromCents(Math.abs(cents)) : "0",
+        credit: debit ? "0" : fromCents(Math.abs(cents)),
+      };
+    });
+};
+
+// Lines were checked against the rates of the issue date they were saved
+// with; the date may have moved since, or a rate changed in between
+const assertRatesApply = async (invoice, lines, transaction) => {
+  const rates = await VatRate.findAllOn(invoice.issueDate, { transaction });
+  const errors = lines
+    .filter((line) => resolveLineRate(rates, line).error)
+    .map((line) => ({
+      field: `lines[${line.lineNumber - 1}].vatRate`,
+      message: `VAT rate ${line.vatRate}% doesn't apply on the issue date`,
+    }));
+
+  if (errors.length > 0) {
+    throw new AccountingValidationError("Validation error", errors);
+  }
+};
+
+/**
+ * Issues a draft invoice or credit note: takes the next number from the
+ * series, copies the customer's details onto it and posts the journal
+ * entry, all in one transaction so a failed posting leaves no gap in the
+ * numbering.
+ */
+const issueInvoice = (invoice, userId, { seriesId, transaction } = {}) =>
+  journalService.inTransaction(transaction, async (t) => {
+    await invoice.reload({ transaction: t, lock: t.LOCK.UPDATE });
+    if (!invoice.isDraft()) {
+      throw new AccountingValidationError("Invoice is already issued");
+    }
+
+    const lines = await InvoiceLine.findAll({
+      where: { invoiceId: invoice.id },
+      order: [["lineNumber", "ASC"]],
+      transaction: t,
+    });
+    if (lines.length === 0 || toCents(invoice.total) <= 0) {
+      throw new AccountingValidationError(
+        "Invoice total must be positive to issue it"
+      );
+    }
+    // Credit notes keep the rates of the invoice they cancel
+    if (!invoice.isCreditNote()) {
+      await assertRatesApply(invoice, lines, t);
+    }
+
+    const customer = await Customer.findByPk(invoice.customerId, {
+      transaction: t,
+    });
+    const series = await lockSeries(
+      invoice.companyId,
+      invoice.type,
+      seriesId,
+      t
+    );
+    const number = series.formatNumber(series.nextNumber);
+    await series.increment("nextNumber", { transaction: t });
+
+    const entry = await journalService.createEntry(
+      invoice.companyId,
+      {
+        date: invoice.issueDate,
+        description: `${invoice.isCreditNote() ? "Credit note" : "Invoice"} ${number} to ${customer.name}`,
+        documentReference: number,
+        lines: await journalLinesFor(invoice, number, lines, t),
+      },
+      userId,
+      { post: true, transaction: t }
+    );
+
+    await invoice.update(
+      {
+        seriesId: series.id,
+        number,
+        customerName: customer.name,
+        customerAddress: customer.address,
+        customerRegistrationNumber: customer.registrationNumber,
+        customerVatNumber: customer.vatNumber,
+        referenceNumber: invoice.isCreditNote()
+          ? null
+          : createReferenceNumber(invoice.id),
+        status: "issued",
+        journalEntryId: entry.id,
+        issuedAt: new Date(),
+        issuedBy: userId,
+      },
+      { transaction: t }
+    );
+
+    return invoice;
+  });
+
+/**
+ * Marks an issued invoice paid and posts the payment from receivables to
+ * the bank account, or to `accountId` when the money went elsewhere (e.g.
+ * the cash register).
+ */
+const markPaid = (
+  invoice,
+  { date, accountId } = {},
+  userId,
+  { transaction } = {}
+) =>
+  journalService.inTransaction(transaction, async (t) => {
+    await invoice.reload({ transaction: t, lock: t.LOCK.UPDATE });
+    if (invoice.isCreditNote() || invoice.status !== "issued") {
+      throw new AccountingValidationError(
+        "Only issued invoices can be marked paid"
+      );
+    }
+
+    const paidOn = date || today();
+    if (!isValidDate(paidOn)) {
+      throw new AccountingValidationError("Validation error", [
+        { field: "date", message: "Must be a date in YYYY-MM-DD format" },
+      ]);
+    }
+
+    const receivables = await findPostingAccount(
+      invoice.companyId,
+      "receivables",
+      { transaction: t }
+    );
+    let paymentAccount;
+    if (accountId) {
+      paymentAccount = await Account.findOne({
+        where: { id: accountId, companyId: invoice.companyId, type: "asset" },
+        transaction: t,
+      });
+      if (!paymentAccount) {
+        throw new AccountingValidationError("Validation error", [
+          {
+            field: "accountId",
+            message: "Account must be an asset account of the company",
+          },
+        ]);
+      }
+    } else {
+      paymentAccount = await findPostingAccount(invoice.companyId, "bank", {
+        transaction: t,
+      });
+    }
+
+    const entry = await journalService.createEntry(
+      invoice.companyId,
+      {
+        date: paidOn,
+        description: `Payment of invoice ${invoice.number}`,
+        documentReference: invoice.number,
+        lines: [
+          { accountId: paymentAccount.id, debit: invoice.total },
+          { accountId: receivables.id, credit: invoice.total },
+        ],
+      },
+      userId,
+      { post: true, transaction: t }
+    );
+
+    await invoice.update(
+      { status: "paid", paidAt: paidOn, paymentEntryId: entry.id },
+      { transaction: t }
+    );
+    return invoice;
+  });
+
+/**
+ * Undoes markPaid: reverses the payment entry and returns the invoice to
+ * issued. Credited invoices keep their payment, the credit note settled
+ * them.
+ */
+const markUnpaid = (invoice, userId, { transaction } = {}) =>
+  journalService.inTransaction(transaction, async (t) => {
+    await invoice.reload({ transaction: t, lock: t.LOCK.UPDATE });
+    if (invoice.status !== "paid") {
+      throw new AccountingValidationError(
+        "Only paid invoices can be marked unpaid"
+      );
+    }
+
+    if (invoice.paymentEntryId) {
+      const entry = await JournalEntry.findByPk(invoice.paymentEntryId, {
+        transaction: t,
+      });
+      await journalService.reverseEntry(
+        entry,
+        userId,
+        { description: `Payment of invoice ${invoice.number} undone` },
+        { transaction: t }
+      );
+    }
+
+    await invoice.update(
+      { status: "issued", paidAt: null, paymentEntryId: null },
+      { transaction: t }
+    );
+    return invoice;
+  });
+
+/**
+ * Cancels an issued or paid invoice with a credit note for its full amount.
+ * The credit note is issued right away from the credit note series and the
+ * invoice becomes credited.
+ */
+const creditInvoice = (invoice, userId, { date, notes } = {}) =>
+  sequelize.transaction(async (transaction) => {
+    await invoice.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    if (
+      invoice.isCreditNote() ||
+      !["issued", "paid"].includes(invoice.status)
+    ) {
+      throw new AccountingValidationError(
+        "Only issued or paid invoices can be credited"
+      );
+    }
+
+    const issueDate = date || today();
+    checkDates(issueDate, issueDate);
+
+    const creditNote = await Invoice.create(
+      {
+        companyId: invoice.companyId,
+        type: "credit_note",
+        customerId: invoice.customerId,
+        issueDate,
+        dueDate: issueDate,
+        notes: notes ?? `Credit note for invoice ${invoice.number}`,
+        creditedInvoiceId: invoice.id,
+        netTotal: invoice.netTotal,
+        vatTotal: invoice.vatTotal,
+        total: invoice.total,
+        createdBy: userId,
+      },
+      { transaction }
+    );
+    const lines = await InvoiceLine.findAll({
+      where: { invoiceId: invoice.id },
+      order: [["lineNumber", "ASC"]],
+      transaction,
+    });
+    await replaceLines(
+      creditNote,
+      lines.map((line) => {
+        const { id, invoiceId, lineNumber, createdAt, updatedAt, ...fields } =
+          line.get();
+        return fields;
+      }),
+      transaction
+    );
+
+    await issueInvoice(creditNote, userId, { transaction });
+    await invoice.update({ status: "credited" }, { transaction });
+
+    return creditNote;
+  });
+
+module.exports = {
+  lineAmounts,
+  createInvoice,
+  updateDraftInvoice,
+  deleteDraftInvoice,
+  issueInvoice,
+  markPaid,
+  markUnpaid,
+  creditInvoice,
+};
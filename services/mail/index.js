@@ -0,0 +1,44 @@
+const { createTransport } = require("./transports");
+const { renderTemplate } = require("./templates");
+
+/**
+ * Creates a mail service that renders templates and hands the messages to
+ * the given transport. Transports expose `send(message)` resolving to
+ * `{ id }`.
+ */
+const createMailService = ({
+  transport,
+  from = process.env.MAIL_FROM || process.env.RESEND_FROM_EMAIL,
+}) => ({
+  transport,
+
+  // Sends a raw { to, subject, text, html } message
+  send: (message) => transport.send({ from, ...message }),
+
+  // Renders and sends a named template in the recipient's locale
+  sendTemplate(template, { to, locale, data }) {
+    return this.send({ to, ...renderTemplate(template, locale, data) });
+  },
+});
+
+let defaultService = null;
+
+// The application wide mail service, using the transport named in
+// MAIL_TRANSPORT (defaults to "resend")
+const getMailService = () => {
+  if (!defaultService) {
+    defaultService = createMailService({
+      transport: createTransport(process.env.MAIL_TRANSPORT || "resend"),
+    });
+  }
+
+  return defaultService;
+};
+
+// Replaces the application wide mail service, e.g. with a memory transport
+// in tests
+const setMailService = (service) => {
+  defaultService = service;
+};
+
+module.exports = { createMailService, getMailService, setMailService };
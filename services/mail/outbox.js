@@ -0,0 +1,15 @@
+const OutboxMessage = require("../../models/OutboxMessage");
+const { renderTemplate } = require("./templates");
+
+/**
+ * Renders a template and stores it in the outbox instead of sending it.
+ * Pass the transaction of the change that triggers the email so both are
+ * committed together.
+ */
+const enqueueTemplate = (template, { to, locale, data }, { transaction } = {}) =>
+  OutboxMessage.create(
+    { to, template, ...renderTemplate(template, locale, data) },
+    { transaction }
+  );
+
+module.exports = { enqueueTemplate };
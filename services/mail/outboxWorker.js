@@ -0,0 +1,181 @@
+const { Op } = require("sequelize");
+const sequelize = require("../../config/database");
+const OutboxMessage = require("../../models/OutboxMessage");
+const { getMailService } = require(".");
+
+const DEFAULTS = {
+  intervalMs: 5000,
+  batchSize: 20,
+  // A send that takes longer counts as failed and is retried
+  sendTimeoutMs: 15 * 1000,
+  // Attempts before a message is marked dead
+  maxAttempts: 8,
+  // Delay before the first retry, doubled after every further failure
+  baseRetryDelayMs: 30 * 1000,
+  maxRetryDelayMs: 60 * 60 * 1000,
+};
+
+const retryDelay = (attempts, { baseRetryDelayMs, maxRetryDelayMs }) =>
+  Math.min(baseRetryDelayMs * 2 ** (attempts - 1), maxRetryDelayMs);
+
+// Rejects when `promise` hasn't settled after `ms`
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Send timed out after ${ms} ms`)),
+      ms
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Creates a worker that delivers pending outbox messages through the mail
+ * service, retrying failures with exponential backoff.
+ */
+const createOutboxWorker = (options = {}) => {
+  const config = { ...DEFAULTS, ...options };
+  const mailService = () => config.mailService || getMailService();
+  let timer = null;
+  let running = null;
+
+  // Claims due messages for this worker: rows are locked only while their
+  // lockedUntil is set, so several workers can run side by side without
+  // picking the same message. A message whose worker died is picked up
+  // again once the claim runs out.
+  const claimBatch = () =>
+    sequelize.transaction(async (transaction) => {
+      const now = new Date();
+      const messages = await OutboxMessage.findAll({
+        where: {
+          status: "pending",
+          nextAttemptAt: { [Op.lte]: now },
+          [Op.or]: [{ lockedUntil: null }, { lockedUntil: { [Op.lte]: now } }],
+        },
+        order: [["nextAttemptAt", "ASC"]],
+        limit: config.batchSize,
+        lock: true,
+        skipLocked: true,
+        transaction,
+      });
+
+      if (messages.length > 0) {
+        // Long enough to send the whole batch one by one
+        const lockedUntil = new Date(
+          now.getTime() + config.sendTimeoutMs * (messages.length + 1)
+        );
+        await OutboxMessage.update(
+          { lockedUntil },
+          {
+            where: { id: messages.map((message) => message.id) },
+            transaction,
+          }
+        );
+        for (const message of messages) {
+          message.setDataValue("lockedUntil", lockedUntil);
+        }
+      }
+
+      return messages;
+    });
+
+  // Sends one claimed message and records the outcome on its own, so a
+  // failure to record one message doesn't affect the others
+  const deliver = async (message) => {
+    const attempts = message.attempts + 1;
+    let result;
+
+    try {
+      const { id } = await withTimeout(
+        mailService().send({
+          to: message.to,
+          subject: message.subject,
+          text: message.text,
+          html: message.html,
+        }),
+        config.sendTimeoutMs
+      );
+
+      result = {
+        status: "sent",
+        attempts,
+        sentAt: new Date(),
+        providerMessageId: id || null,
+        lastError: null,
+        lockedUntil: null,
+      };
+    } catch (error) {
+      const isDead = attempts >= config.maxAttempts;
+
+      result = {
+        status: isDead ? "dead" : "pending",
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: new Date(Date.now() + retryDelay(attempts, config)),
+        lockedUntil: null,
+      };
+
+      if (isDead) {
+        console.error(
+          `Outbox message ${message.id} to ${message.to} is dead after ${attempts} attempts:`,
+          error.message
+        );
+      }
+    }
+
+    try {
+      await message.update(result);
+    } catch (error) {
+      // Left claimed; it's sent again once the claim runs out
+      console.error(
+        `Outbox message ${message.id}: recording the ${result.status} result failed:`,
+        error
+      );
+    }
+  };
+
+  // Delivers one batch of due messages and returns how many were processed.
+  // No transaction is held open while talking to the mail provider.
+  const processBatch = async () => {
+    const messages = await claimBatch();
+
+    for (const message of messages) {
+      await deliver(message);
+    }
+
+    return messages.length;
+  };
+
+  const tick = async () => {
+    try {
+      running = processBatch();
+      await running;
+    } catch (error) {
+      console.error("Outbox worker error:", error);
+    } finally {
+      running = null;
+      if (timer) {
+        timer = setTimeout(tick, config.intervalMs);
+        timer.unref();
+      }
+    }
+  };
+
+  return {
+    processBatch,
+    start() {
+      if (!timer) {
+        timer = setTimeout(tick, 0);
+        timer.unref();
+      }
+    },
+    async stop() {
+      clearTimeout(timer);
+      timer = null;
+      await running;
+    },
+  };
+};
+
+module.exports = { createOutboxWorker, retryDelay };
@@ -0,0 +1,26 @@
+module.exports = {
+  en: ({ unlockUrl, lockMinutes }) => ({
+    subject: "Your account has been locked",
+    heading: "Account Locked",
+    paragraphs: [
+      `We locked your account after too many failed login attempts. It will unlock automatically in ${lockMinutes} minutes.`,
+      "If this was you, click the link below to unlock it right away:",
+    ],
+    action: { label: "Unlock Account", url: unlockUrl },
+    notes: [
+      "If this wasn't you, someone may be trying to guess your password. Consider changing it.",
+    ],
+  }),
+  et: ({ unlockUrl, lockMinutes }) => ({
+    subject: "Teie konto on lukustatud",
+    heading: "Konto on lukustatud",
+    paragraphs: [
+      `Lukustasime teie konto liiga paljude ebaõnnestunud sisselogimiskatsete tõttu. Konto avaneb automaatselt ${lockMinutes} minuti pärast.`,
+      "Kui see olite teie, klõpsake konto kohe avamiseks alloleval lingil:",
+    ],
+    action: { label: "Ava konto", url: unlockUrl },
+    notes: [
+      "Kui see ei olnud teie, võib keegi proovida teie parooli ära arvata. Kaaluge parooli muutmist.",
+    ],
+  }),
+};
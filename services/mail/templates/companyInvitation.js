@@ -0,0 +1,37 @@
+const roleNames = {
+  en: {
+    owner: "owner",
+    accountant: "accountant",
+    viewer: "viewer",
+    auditor: "auditor",
+  },
+  et: {
+    owner: "omanik",
+    accountant: "raamatupidaja",
+    viewer: "vaataja",
+    auditor: "audiitor",
+  },
+};
+
+module.exports = {
+  en: ({ companyName, inviterName, role, invitationUrl }) => ({
+    subject: `You have been invited to ${companyName}`,
+    heading: "Company Invitation",
+    paragraphs: [
+      `${inviterName} invited you to join ${companyName} as ${roleNames.en[role]}.`,
+      "Click the link below to accept or decline the invitation:",
+    ],
+    action: { label: "View Invitation", url: invitationUrl },
+    notes: ["This invitation will expire in 7 days."],
+  }),
+  et: ({ companyName, inviterName, role, invitationUrl }) => ({
+    subject: `Teid on kutsutud ettevõttesse ${companyName}`,
+    heading: "Kutse ettevõttesse",
+    paragraphs: [
+      `${inviterName} kutsus teid ettevõttesse ${companyName} rollis ${roleNames.et[role]}.`,
+      "Kutse vastuvõtmiseks või tagasilükkamiseks klõpsake alloleval lingil:",
+    ],
+    action: { label: "Vaata kutset", url: invitationUrl },
+    notes: ["Kutse aegub 7 päeva pärast."],
+  }),
+};
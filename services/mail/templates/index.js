@@ -0,0 +1,36 @@
+const { renderLayout } = require("./layout");
+
+const templates = {
+  verifyEmail: require("./verifyEmail"),
+  passwordReset: require("./passwordReset"),
+  passwordResetSuccess: require("./passwordResetSuccess"),
+  accountLocked: require("./accountLocked"),
+  companyInvitation: require("./companyInvitation"),
+};
+
+const SUPPORTED_LOCALES = ["et", "en"];
+const DEFAULT_LOCALE = "et";
+
+// Picks a supported locale, falling back to the default
+const resolveLocale = (locale) =>
+  SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+
+// Renders a template to { subject, text, html } in the given locale
+const renderTemplate = (name, locale, data = {}) => {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown mail template "${name}"`);
+  }
+
+  const { subject, ...parts } = template[resolveLocale(locale)](data);
+
+  return { subject, ...renderLayout(parts) };
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  resolveLocale,
+  renderTemplate,
+};
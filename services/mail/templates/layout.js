@@ -0,0 +1,34 @@
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Renders the text and HTML bodies of a message from its localized parts:
+ * a heading, paragraphs before an optional call-to-action link and notes
+ * after it.
+ */
+const renderLayout = ({ heading, paragraphs = [], action, notes = [] }) => {
+  const text = [
+    heading,
+    ...paragraphs,
+    ...(action ? [`${action.label}: ${action.url}`] : []),
+    ...notes,
+  ].join("\n\n");
+
+  const html = [
+    `<h1>${escapeHtml(heading)}</h1>`,
+    ...paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`),
+    ...(action
+      ? [`<a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a>`]
+      : []),
+    ...notes.map((note) => `<p>${escapeHtml(note)}</p>`),
+  ].join("\n");
+
+  return { text, html };
+};
+
+module.exports = { escapeHtml, renderLayout };
@@ -0,0 +1,26 @@
+module.exports = {
+  en: ({ resetUrl }) => ({
+    subject: "Reset Your Password",
+    heading: "Password Reset Request",
+    paragraphs: [
+      "You requested to reset your password. Click the link below to set a new password:",
+    ],
+    action: { label: "Reset Password", url: resetUrl },
+    notes: [
+      "This link will expire in 1 hour.",
+      "If you didn't request this, you can safely ignore this email.",
+    ],
+  }),
+  et: ({ resetUrl }) => ({
+    subject: "Parooli lähtestamine",
+    heading: "Parooli lähtestamise taotlus",
+    paragraphs: [
+      "Saime taotluse teie parooli lähtestamiseks. Uue parooli määramiseks klõpsake alloleval lingil:",
+    ],
+    action: { label: "Lähtesta parool", url: resetUrl },
+    notes: [
+      "Link aegub 1 tunni pärast.",
+      "Kui te seda ei taotlenud, võite selle kirja tähelepanuta jätta.",
+    ],
+  }),
+};
@@ -0,0 +1,16 @@
+module.exports = {
+  en: () => ({
+    subject: "Password Reset Success",
+    heading: "Password Reset Success",
+    paragraphs: [
+      "Your password has been reset successfully. If you did not request this, please contact support.",
+    ],
+  }),
+  et: () => ({
+    subject: "Parool on lähtestatud",
+    heading: "Parool on edukalt lähtestatud",
+    paragraphs: [
+      "Teie parool on edukalt lähtestatud. Kui te seda ei teinud, võtke palun ühendust klienditoega.",
+    ],
+  }),
+};
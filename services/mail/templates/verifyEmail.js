@@ -0,0 +1,18 @@
+module.exports = {
+  en: ({ verificationUrl }) => ({
+    subject: "Verify your email",
+    heading: "Email Verification",
+    paragraphs: ["Please click the link below to verify your email address:"],
+    action: { label: "Verify Email", url: verificationUrl },
+    notes: ["This link will expire in 1 hour."],
+  }),
+  et: ({ verificationUrl }) => ({
+    subject: "Kinnitage oma e-posti aadress",
+    heading: "E-posti aadressi kinnitamine",
+    paragraphs: [
+      "Oma e-posti aadressi kinnitamiseks klõpsake alloleval lingil:",
+    ],
+    action: { label: "Kinnita e-post", url: verificationUrl },
+    notes: ["Link aegub 1 tunni pärast."],
+  }),
+};
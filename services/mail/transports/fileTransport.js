@@ -0,0 +1,23 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+// Writes every message as a JSON file instead of sending it. Meant for
+// local development, where the links in the emails can be copied by hand.
+const createFileTransport = ({
+  directory = process.env.MAIL_FILE_DIR || path.join(process.cwd(), "tmp", "mail"),
+} = {}) => ({
+  name: "file",
+  send: async (message) => {
+    const id = crypto.randomUUID();
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(
+      path.join(directory, `${Date.now()}-${id}.json`),
+      JSON.stringify({ id, ...message }, null, 2)
+    );
+
+    return { id };
+  },
+});
+
+module.exports = createFileTransport;
@@ -0,0 +1,31 @@
+const createResendTransport = require("./resendTransport");
+const createSmtpTransport = require("./smtpTransport");
+const createFileTransport = require("./fileTransport");
+const createMemoryTransport = require("./memoryTransport");
+
+const transports = {
+  resend: createResendTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport,
+};
+
+const createTransport = (name, options) => {
+  const factory = transports[name];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown mail transport "${name}". Expected one of: ${Object.keys(transports).join(", ")}`
+    );
+  }
+
+  return factory(options);
+};
+
+module.exports = {
+  createTransport,
+  createResendTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport,
+};
@@ -0,0 +1,21 @@
+const crypto = require("crypto");
+
+// Keeps sent messages in memory so tests can assert on them
+const createMemoryTransport = () => {
+  const messages = [];
+
+  return {
+    name: "memory",
+    messages,
+    send: async (message) => {
+      const id = crypto.randomUUID();
+      messages.push({ id, ...message });
+      return { id };
+    },
+    clear: () => {
+      messages.length = 0;
+    },
+  };
+};
+
+module.exports = createMemoryTransport;
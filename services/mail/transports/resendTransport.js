@@ -0,0 +1,21 @@
+const { Resend } = require("resend");
+
+// Sends through the Resend HTTP API
+const createResendTransport = ({ apiKey = process.env.RESEND_API_KEY } = {}) => {
+  const resend = new Resend(apiKey);
+
+  return {
+    name: "resend",
+    send: async (message) => {
+      const { data, error } = await resend.emails.send(message);
+
+      if (error) {
+        throw new Error(`Resend error: ${error.message}`);
+      }
+
+      return { id: data.id };
+    },
+  };
+};
+
+module.exports = createResendTransport;
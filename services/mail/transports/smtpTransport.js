@@ -0,0 +1,27 @@
+const nodemailer = require("nodemailer");
+
+// Sends through any SMTP server using nodemailer
+const createSmtpTransport = ({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT) || 587,
+  secure = process.env.SMTP_SECURE === "true",
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASSWORD,
+} = {}) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+  };
+};
+
+module.exports = createSmtpTransport;
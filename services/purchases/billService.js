@@ -0,0 +1,826 @@
+const { Op } = require("sequelize");
+const sequelize = require("../../config/database");
+const Account = require("../../models/Account");
+const Bill = require("../../models/Bill");
+const BillAttachment = require("../../models/BillAttachment");
+const BillLine = require("../../models/BillLine");
+const Company = require("../../models/Company");
+const Supplier = require("../../models/Supplier");
+const VatRate = require("../../models/VatRate");
+const journalService = require("../accounting/journalService");
+const { findPostingAccount } = require("../accounting/postingAccounts");
+const { AccountingValidationError } = require("../accounting/errors");
+const { resolveLineRate } = require("../vat/vatService");
+const { readDocument } = require("./documents");
+const { toScaled } = require("./documents/xml");
+const { toCents, fromCents } = require("../../utils/money");
+const { isValidDate, today, addDays } = require("../../utils/dateOnly");
+
+// Accounts bill lines can be posted to: costs, or assets such as equipment
+// and stock
+const LINE_ACCOUNT_TYPES = ["expense", "asset"];
+
+// VAT rate of a line: its code or percentage resolved against the rates in
+// effect, except that a line without VAT may leave out the code
+const lineRate = (rates, { vatCode, vatRate }) => {
+  const hasCode = vatCode !== undefined && vatCode !== null && vatCode !== "";
+  if (!hasCode && toCents(vatRate) === 0 && vatRate != null && vatRate !== "") {
+    return { rate: { code: null, rate: "0.00" } };
+  }
+  return resolveLineRate(rates, { vatCode, vatRate });
+};
+
+// Net, VAT and total in cents of a quantity in thousandths at a unit price
+// in ten-thousandths. VAT is rounded per line.
+const lineAmounts = (quantityMilli, unitPrice, vatRateHundredths) => {
+  const net = Math.round((quantityMilli * unitPrice) / 100000);
+  const vat = Math.round((net * vatRateHundredths) / 10000);
+  return { net, vat, total: net + vat };
+};
+
+/**
+ * Checks bill lines and computes their amounts. Unit prices may have four
+ * decimals and be negative, e.g. for a discount. Lines without an
+ * `accountId` are posted to the purchases account; other accounts must be
+ * expense or asset accounts of the company. Throws
+ * AccountingValidationError listing every problem found.
+ */
+const normalizeLines = async (companyId, lines, { date, transaction } = {}) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new AccountingValidationError("Validation error", [
+      { field: "lines", message: "A bill needs at least one line" },
+    ]);
+  }
+
+  const accountIds = lines
+    .map((line) => line.accountId)
+    .filter((id) => id !== undefined && id !== null)
+    .map(Number);
+  const accounts = await Account.findAll({
+    where: { id: { [Op.in]: accountIds.filter(Number.isInteger) }, companyId },
+    transaction,
+  });
+  const accountsById = new Map(
+    accounts.map((account) => [account.id, account])
+  );
+  const purchasesAccount = lines.some((line) => line.accountId == null)
+    ? await findPostingAccount(companyId, "purchases", { transaction })
+    : null;
+  const rates = await VatRate.findAllOn(date, { transaction });
+
+  const errors = [];
+  const normalized = lines.map((line, index) => {
+    const field = `lines[${index}]`;
+    const quantity = toScaled(line.quantity, 3);
+    const unitPrice = toScaled(line.unitPrice, 4);
+    const vat = lineRate(rates, line);
+    const account =
+      line.accountId == null
+        ? purchasesAccount
+        : accountsById.get(Number(line.accountId));
+
+    if (typeof line.description !== "string" || !line.description.trim()) {
+      errors.push({
+        field: `${field}.description`,
+        message: "Description is required",
+      });
+    }
+    if (quantity === null || quantity <= 0) {
+      errors.push({
+        field: `${field}.quantity`,
+        message: "Quantity must be positive with at most 3 decimals",
+      });
+    }
+    if (unitPrice === null) {
+      errors.push({
+        field: `${field}.unitPrice`,
+        message: "Unit price must be an amount with at most 4 decimals",
+      });
+    }
+    if (vat.error) {
+      errors.push({ field: `${field}.${vat.field}`, message: vat.error });
+    }
+    if (!account || !LINE_ACCOUNT_TYPES.includes(account.type)) {
+      errors.push({
+        field: `${field}.accountId`,
+        message: "Account must be an expense or asset account of the company",
+      });
+    } else if (!account.isActive) {
+      errors.push({
+        field: `${field}.accountId`,
+        message: `Account ${account.code} is inactive`,
+      });
+    }
+
+    if (errors.length > 0) {
+      return null;
+    }
+
+    const amounts = lineAmounts(quantity, unitPrice, toCents(vat.rate.rate));
+    return {
+      description: line.description.trim(),
+      quantity: (quantity / 1000).toFixed(3),
+      unit: line.unit || null,
+      unitPrice: (unitPrice / 10000).toFixed(4),
+      vatCode: vat.rate.code,
+      vatRate: fromCents(toCents(vat.rate.rate)),
+      accountId: account.id,
+      netAmount: fromCents(amounts.net),
+      vatAmount: fromCents(amounts.vat),
+      totalAmount: fromCents(amounts.total),
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new AccountingValidationError("Validation error", errors);
+  }
+
+  return normalized;
+};
+
+const sumLines = (lines) => {
+  const sum = (field) =>
+    lines.reduce((total, line) => total + toCents(line[field]), 0);
+
+  return {
+    netTotal: fromCents(sum("netAmount")),
+    vatTotal: fromCents(sum("vatAmount")),
+    total: fromCents(sum("totalAmount")),
+  };
+};
+
+const replaceLines = async (bill, lines, transaction) => {
+  await BillLine.destroy({ where: { billId: bill.id }, transaction });
+  await BillLine.bulkCreate(
+    lines.map((line, index) => ({
+      ...line,
+      billId: bill.id,
+      companyId: bill.companyId,
+      lineNumber: index + 1,
+    })),
+    { transaction }
+  );
+};
+
+const findSupplier = async (companyId, supplierId, transaction) => {
+  const supplier = await Supplier.findOne({
+    where: { id: supplierId ?? null, companyId },
+    transaction,
+  });
+
+  if (!supplier) {
+    throw new AccountingValidationError("Validation error", [
+      { field: "supplierId", message: "Supplier not found" },
+    ]);
+  }
+  return supplier;
+};
+
+// Supplier details copied onto the bill, as they were when it was entered
+const supplierDetails = (supplier) => ({
+  supplierId: supplier.id,
+  supplierName: supplier.name,
+  supplierRegistrationNumber: supplier.registrationNumber,
+  supplierVatNumber: supplier.vatNumber,
+});
+
+const checkDates = (issueDate, dueDate) => {
+  const errors = [];
+  if (!isValidDate(issueDate)) {
+    errors.push({
+      field: "issueDate",
+      message: "Must be a date in YYYY-MM-DD format",
+    });
+  }
+  if (!isValidDate(dueDate)) {
+    errors.push({
+      field: "dueDate",
+      message: "Must be a date in YYYY-MM-DD format",
+    });
+  } else if (dueDate < issueDate) {
+    errors.push({
+      field: "dueDate",
+      message: "Due date can't be before the issue date",
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new AccountingValidationError("Validation error", errors);
+  }
+};
+
+// A supplier's bill numbers are unique; the same bill entered twice would
+// be paid and deducted twice
+const assertNewNumber = async (
+  companyId,
+  supplierId,
+  number,
+  { billId, transaction } = {}
+) => {
+  if (typeof number !== "string" || !number.trim()) {
+    throw new AccountingValidationError("Validation error", [
+      { field: "number", message: "Bill number is required" },
+    ]);
+  }
+
+  const where = { companyId, supplierId, number: number.trim() };
+  if (billId) {
+    where.id = { [Op.ne]: billId };
+  }
+  if (await Bill.count({ where, transaction })) {
+    throw new AccountingValidationError("Validation error", [
+      {
+        field: "number",
+        message: `Bill ${number.trim()} of this supplier is already entered`,
+      },
+    ]);
+  }
+};
+
+/**
+ * Creates a draft bill entered by hand. The issue date defaults to today
+ * and the due date to the supplier's payment term after it.
+ */
+const createBill = (
+  companyId,
+  {
+    supplierId,
+    type = "bill",
+    number,
+    issueDate,
+    dueDate,
+    referenceNumber,
+    payToIban,
+    notes,
+    lines,
+  },
+  userId
+) =>
+  sequelize.transaction(async (transaction) => {
+    const supplier = await findSupplier(companyId, supplierId, transaction);
+    if (!supplier.isActive) {
+      throw new AccountingValidationError("Validation error", [
+        { field: "supplierId", message: "Supplier is inactive" },
+      ]);
+    }
+    if (!["bill", "credit_note"].includes(type)) {
+      throw new AccountingValidationError("Validation error", [
+        { field: "type", message: "Type must be bill or credit_note" },
+      ]);
+    }
+    await assertNewNumber(companyId, supplier.id, number, { transaction });
+
+    const date = issueDate || today();
+    const due =
+      dueDate ||
+      (isValidDate(date) ? addDays(date, supplier.paymentTermDays) : null);
+    checkDates(date, due);
+    const normalizedLines = await normalizeLines(companyId, lines, {
+      date,
+      transaction,
+    });
+
+    const bill = await Bill.create(
+      {
+        companyId,
+        type,
+        ...supplierDetails(supplier),
+        number: number.trim(),
+        issueDate: date,
+        dueDate: due,
+        referenceNumber,
+        payToIban: payToIban || supplier.iban,
+        notes,
+        createdBy: userId,
+        ...sumLines(normalizedLines),
+      },
+      { transaction }
+    );
+    await replaceLines(bill, normalizedLines, transaction);
+
+    return bill;
+  });
+
+const assertDraft = (bill) => {
+  if (!bill.isDraft()) {
+    throw new AccountingValidationError(
+      `Only draft bills can be changed, this one is ${bill.status}`
+    );
+  }
+};
+
+// Replaces the given fields, and all lines when `lines` is given, of a
+// draft bill
+const updateDraftBill = (
+  bill,
+  {
+    supplierId,
+    number,
+    issueDate,
+    dueDate,
+    referenceNumber,
+    payToIban,
+    notes,
+    lines,
+  }
+) =>
+  sequelize.transaction(async (transaction) => {
+    assertDraft(bill);
+
+    const changes = {};
+    if (supplierId !== undefined) {
+      const supplier = await findSupplier(
+        bill.companyId,
+        supplierId,
+        transaction
+      );
+      Object.assign(changes, supplierDetails(supplier));
+    }
+    if (supplierId !== undefined || number !== undefined) {
+      const nextNumber = number ?? bill.number;
+      await assertNewNumber(
+        bill.companyId,
+        changes.supplierId ?? bill.supplierId,
+        nextNumber,
+        { billId: bill.id, transaction }
+      );
+      changes.number = nextNumber.trim();
+    }
+    for (const [field, value] of Object.entries({
+      referenceNumber,
+      payToIban,
+      notes,
+    })) {
+      if (value !== undefined) {
+        changes[field] = value;
+      }
+    }
+    const nextIssueDate = issueDate ?? bill.issueDate;
+    const nextDueDate = dueDate ?? bill.dueDate;
+    checkDates(nextIssueDate, nextDueDate);
+    changes.issueDate = nextIssueDate;
+    changes.dueDate = nextDueDate;
+
+    if (lines !== undefined) {
+      const normalizedLines = await normalizeLines(bill.companyId, lines, {
+        date: nextIssueDate,
+        transaction,
+      });
+      await replaceLines(bill, normalizedLines, transaction);
+      Object.assign(changes, sumLines(normalizedLines));
+    }
+
+    await bill.update(changes, { transaction });
+    return bill;
+  });
+
+// Draft and rejected bills can be deleted with their lines and attachments
+const deleteBill = (bill) =>
+  sequelize.transaction(async (transaction) => {
+    if (!["draft", "rejected"].includes(bill.status)) {
+      throw new AccountingValidationError("Approved bills can't be deleted");
+    }
+
+    await BillAttachment.destroy({ where: { billId: bill.id }, transaction });
+    await BillLine.destroy({ where: { billId: bill.id }, transaction });
+    await bill.destroy({ transaction });
+  });
+
+// Journal lines of an approved bill: expense or asset per account and
+// input VAT against payables. Credit notes post the same lines the other
+// way.
+const journalLinesFor = async (bill, lines, transaction) => {
+  const payables = await findPostingAccount(bill.companyId, "payables", {
+    transaction,
+  });
+  const inputVat = await findPostingAccount(bill.companyId, "inputVat", {
+    transaction,
+  });
+
+  const netByAccount = new Map();
+  for (const line of lines) {
+    netByAccount.set(
+      line.accountId,
+      (netByAccount.get(line.accountId) || 0) + toCents(line.netAmount)
+    );
+  }
+
+  const entryLines = [
+    ...[...netByAccount].map(([accountId, cents]) => ({
+      accountId,
+      side: "debit",
+      cents,
+    })),
+    { accountId: inputVat.id, side: "debit", cents: toCents(bill.vatTotal) },
+    { accountId: payables.id, side: "credit", cents: toCents(bill.total) },
+  ];
+
+  const flip = bill.isCreditNote();
+  return entryLines
+    .filter(({ cents }) => cents !== 0)
+    .map(({ accountId, side, cents }) => {
+      let debit = side === "debit";
+      if (flip) {
+        debit = !debit;
+      }
+      // Negative amounts, e.g. a discount line, go to the other side
+      if (cents < 0) {
+        debit = !debit;
+      }
+      return {
+        accountId,
+        description: bill.number,
+        debit: debit ? fromCents(Math.abs(cents)) : "0",
+        credit: debit ? "0" : fromCents(Math.abs(cents)),
+      };
+    });
+};
+
+// Lines were checked against the rates of the issue date they were saved
+// with; the date may have moved since
+const assertRatesApply = async (bill, lines, transaction) => {
+  const rates = await VatRate.findAllOn(bill.issueDate, { transaction });
+  const errors = lines
+    .filter((line) => lineRate(rates, line).error)
+    .map((line) => ({
+      field: `lines[${line.lineNumber - 1}].vatRate`,
+      message: `VAT rate ${line.vatRate}% doesn't apply on the issue date`,
+    }));
+
+  if (errors.length > 0) {
+    throw new AccountingValidationError("Validation error", errors);
+  }
+};
+
+/**
+ * Approves a draft bill and posts it on its issue date: each line's net
+ * amount to its account and the VAT to input VAT, against payables.
+ */
+const approveBill = (bill, userId, { transaction } = {}) =>
+  journalService.inTransaction(transaction, async (t) => {
+    await bill.reload({ transaction: t, lock: t.LOCK.UPDATE });
+    if (!bill.isDraft()) {
+      throw new AccountingValidationError(`Bill is already ${bill.status}`);
+    }
+
+    const lines = await BillLine.findAll({
+      where: { billId: bill.id },
+      order: [["lineNumber", "ASC"]],
+      transaction: t,
+    });
+    if (lines.length === 0 || toCents(bill.total) <= 0) {
+      throw new AccountingValidationError(
+        "Bill total must be positive to approve it"
+      );
+    }
+    await assertRatesApply(bill, lines, t);
+
+    const entry = await journalService.createEntry(
+      bill.companyId,
+      {
+        date: bill.issueDate,
+        description: `${bill.isCreditNote() ? "Credit note" : "Bill"} ${bill.number} from ${bill.supplierName}`,
+        documentReference: bill.number,
+        lines: await journalLinesFor(bill, lines, t),
+      },
+      userId,
+      { post: true, transaction: t }
+    );
+
+    await bill.update(
+      {
+        status: "approved",
+        journalEntryId: entry.id,
+        approvedAt: new Date(),
+        approvedBy: userId,
+      },
+      { transaction: t }
+    );
+    return bill;
+  });
+
+// Rejects a draft bill, e.g. one sent by mistake; nothing is posted
+const rejectBill = (bill, userId, { reason } = {}) =>
+  sequelize.transaction(async (transaction) => {
+    await bill.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    if (!bill.isDraft()) {
+      throw new AccountingValidationError(`Bill is already ${bill.status}`);
+    }
+
+    await bill.update(
+      {
+        status: "rejected",
+        rejectedAt: new Date(),
+        rejectedBy: userId,
+        rejectionReason: reason || null,
+      },
+      { transaction }
+    );
+    return bill;
+  });
+
+/**
+ * Marks an approved bill paid and posts the payment from the bank account,
+ * or from `accountId` when it was paid otherwise, against payables.
+ */
+const markPaid = (
+  bill,
+  { date, accountId } = {},
+  userId,
+  { transaction } = {}
+) =>
+  journalService.inTransaction(transaction, async (t) => {
+    await bill.reload({ transaction: t, lock: t.LOCK.UPDATE });
+    if (bill.isCreditNote() || bill.status !== "approved") {
+      throw new AccountingValidationError(
+        "Only approved bills can be marked paid"
+      );
+    }
+
+    const paidOn = date || today();
+    if (!isValidDate(paidOn)) {
+      throw new AccountingValidationError("Validation error", [
+        { field: "date", message: "Must be a date in YYYY-MM-DD format" },
+      ]);
+    }
+
+    const payables = await findPostingAccount(bill.companyId, "payables", {
+      transaction: t,
+    });
+    let paymentAccount;
+    if (accountId) {
+      paymentAccount = await Account.findOne({
+        where: { id: accountId, companyId: bill.companyId, type: "asset" },
+        transaction: t,
+      });
+      if (!paymentAccount) {
+        throw new AccountingValidationError("Validation error", [
+          {
+            field: "accountId",
+            message: "Account must be an asset account of the company",
+          },
+        ]);
+      }
+    } else {
+      paymentAccount = await findPostingAccount(bill.companyId, "bank", {
+        transaction: t,
+      });
+    }
+
+    const entry = await journalService.createEntry(
+      bill.companyId,
+      {
+        date: paidOn,
+        description: `Payment of bill ${bill.number} to ${bill.supplierName}`,
+        documentReference: bill.number,
+        lines: [
+          { accountId: payables.id, debit: bill.total },
+          { accountId: paymentAccount.id, credit: bill.total },
+        ],
+      },
+      userId,
+      { post: true, transaction: t }
+    );
+
+    await bill.update(
+      { status: "paid", paidAt: paidOn, paymentEntryId: entry.id },
+      { transaction: t }
+    );
+    return bill;
+  });
+
+// Attaches a file, such as a scan of a paper bill, to a bill in any state
+const addAttachment = (bill, { buffer, fileName, contentType }, userId) =>
+  BillAttachment.create({
+    billId: bill.id,
+    companyId: bill.companyId,
+    fileName: fileName || "attachment",
+    contentType: contentType || "application/octet-stream",
+    size: buffer.length,
+    content: buffer,
+    uploadedBy: userId,
+  });
+
+// Values that fail the Supplier model's validation are left out rather
+// than failing the import
+const valid = (pattern, value) => {
+  const compact = value ? value.replace(/\s/g, "").toUpperCase() : null;
+  return compact && pattern.test(compact) ? compact : null;
+};
+
+// The supplier of a document, by registry code or else VAT number, created
+// from the seller's details when the company has no such supplier yet
+const findOrCreateSupplier = async (companyId, seller, transaction) => {
+  const vatNumber = valid(/^[A-Z]{2}[0-9A-Z]{2,13}$/, seller.vatNumber);
+  const identifiers = [];
+  if (seller.registrationNumber) {
+    identifiers.push({ registrationNumber: seller.registrationNumber });
+  }
+  if (vatNumber) {
+    identifiers.push({ vatNumber });
+  }
+
+  const existing = await Supplier.findOne({
+    where: { companyId, [Op.or]: identifiers },
+    order: [["id", "ASC"]],
+    transaction,
+  });
+  if (existing) {
+    return existing;
+  }
+
+  return Supplier.create(
+    {
+      companyId,
+      name: seller.name,
+      registrationNumber: seller.registrationNumber,
+      vatNumber,
+      address: seller.address,
+      countryCode: valid(/^[A-Z]{2}$/, seller.countryCode) || "EE",
+    },
+    { transaction }
+  );
+};
+
+// Checks of a readable document against the company: that the bill is
+// addressed to it, in euros, at Estonian VAT rates and not imported
+// before. Adds problems to the report; returns the VAT code of each line.
+const checkForCompany = async (companyId, document, report, transaction) => {
+  const { paths } = document;
+  const company = await Company.findByPk(companyId, { transaction });
+  const { buyer } = document;
+
+  if (document.currency !== "EUR") {
+    report.error(
+      "BILL-CURRENCY",
+      paths.currency,
+      `Bills must be in EUR, this one is in ${document.currency}`
+    );
+  }
+  if (!buyer.registrationNumber) {
+    report.warn(
+      "BILL-BUYER",
+      paths.buyer,
+      "Buyer has no registry code, check that the bill is addressed to the company"
+    );
+  } else if (
+    company.registrationNumber &&
+    buyer.registrationNumber !== company.registrationNumber
+  ) {
+    report.error(
+      "BILL-BUYER",
+      paths.buyer,
+      `Bill is addressed to ${buyer.name} (${buyer.registrationNumber}), not to ${company.name}`
+    );
+  }
+
+  const rates = await VatRate.findAllOn(document.issueDate, { transaction });
+  const vatCodes = document.lines.map((line) => {
+    if (line.vatRate === 0) {
+      return null;
+    }
+    const vat = resolveLineRate(rates, { vatRate: fromCents(line.vatRate) });
+    if (vat.error) {
+      report.error(
+        "BILL-VAT-RATE",
+        line.path,
+        `${fromCents(line.vatRate)}% isn't an Estonian VAT rate on the issue date, enter the bill by hand`
+      );
+      return null;
+    }
+    return vat.rate.code;
+  });
+
+  const supplierWhere = [];
+  if (document.seller.registrationNumber) {
+    supplierWhere.push({
+      supplierRegistrationNumber: document.seller.registrationNumber,
+    });
+  }
+  if (document.seller.vatNumber) {
+    supplierWhere.push({ supplierVatNumber: document.seller.vatNumber });
+  }
+  const duplicate = await Bill.findOne({
+    where: {
+      companyId,
+      number: document.number,
+      [Op.or]: supplierWhere,
+    },
+    transaction,
+  });
+  if (duplicate) {
+    report.error(
+      "BILL-DUPLICATE",
+      paths.number,
+      `Bill ${document.number} of ${document.seller.name} is already imported`
+    );
+  }
+
+  return vatCodes;
+};
+
+/**
+ * Reads an e-invoice file (UBL / Peppol BIS Billing 3.0 or Estonian
+ * e-invoice) into a draft bill, with its lines posted to the purchases
+ * account, the supplier found or created from the seller's details and
+ * the file attached. Returns `{ report }` with the validation report, and
+ * the `bill` when the document passed.
+ */
+const ingestDocument = (companyId, { buffer, fileName }, userId) =>
+  sequelize.transaction(async (transaction) => {
+    const { document, report } = readDocument(buffer);
+    if (!report.valid) {
+      return { report };
+    }
+
+    const vatCodes = await checkForCompany(
+      companyId,
+      document,
+      report,
+      transaction
+    );
+    if (!report.valid) {
+      return { report };
+    }
+
+    const supplier = await findOrCreateSupplier(
+      companyId,
+      document.seller,
+      transaction
+    );
+    const dueDate =
+      document.dueDate || addDays(document.issueDate, supplier.paymentTermDays);
+    if (dueDate < document.issueDate) {
+      report.error(
+        "BILL-DUE-DATE",
+        null,
+        "Due date can't be before the issue date"
+      );
+      return { report };
+    }
+
+    const purchases = await findPostingAccount(companyId, "purchases", {
+      transaction,
+    });
+    const lines = document.lines.map((line, index) => ({
+      description: line.description.slice(0, 255),
+      quantity: (line.quantity / 1000).toFixed(3),
+      unit: line.unit ? line.unit.slice(0, 20) : null,
+      unitPrice: (line.unitPrice / 10000).toFixed(4),
+      vatCode: vatCodes[index],
+      vatRate: fromCents(line.vatRate),
+      accountId: purchases.id,
+      netAmount: fromCents(line.net),
+      vatAmount: fromCents(line.vat),
+      totalAmount: fromCents(line.net + line.vat),
+    }));
+
+    const bill = await Bill.create(
+      {
+        companyId,
+        type: document.type,
+        source: document.format,
+        supplierId: supplier.id,
+        supplierName: document.seller.name,
+        supplierRegistrationNumber: document.seller.registrationNumber,
+        supplierVatNumber: document.seller.vatNumber,
+        number: document.number,
+        issueDate: document.issueDate,
+        dueDate,
+        referenceNumber: document.referenceNumber,
+        payToIban:
+          valid(/^[A-Z]{2}[0-9]{2}[0-9A-Z]{10,30}$/, document.payToIban) ||
+          supplier.iban,
+        notes: document.notes,
+        createdBy: userId,
+        ...sumLines(lines),
+      },
+      { transaction }
+    );
+    await replaceLines(bill, lines, transaction);
+    await BillAttachment.create(
+      {
+        billId: bill.id,
+        companyId,
+        fileName: fileName || `${document.number}.xml`,
+        contentType: "application/xml",
+        size: buffer.length,
+        content: buffer,
+        uploadedBy: userId,
+      },
+      { transaction }
+    );
+
+    return { report, bill };
+  });
+
+module.exports = {
+  createBill,
+  updateDraftBill,
+  deleteBill,
+  approveBill,
+  rejectBill,
+  markPaid,
+  addAttachment,
+  ingestDocument,
+};
@@ -0,0 +1,356 @@
+const { list, text, at, toScaled } = require("./xml");
+const { fromCents } = require("../../../utils/money");
+const { isValidDate } = require("../../../utils/dateOnly");
+
+// Versions of the Estonian e-invoice standard (e-arve) the reader knows
+const VERSIONS = ["1.1", "1.11", "1.2"];
+
+// e-arve marks VAT as taxable (TAX) or not (NOTTAX) with a rate; expressed
+// as the EN 16931 categories the UBL reader uses
+const categoryOf = (vat) => {
+  if (text(vat && vat["@vatId"]) === "NOTTAX") {
+    return "O";
+  }
+  return toScaled(text(at(vat, "VATRate")), 2) > 0 ? "S" : "Z";
+};
+
+/**
+ * Reads an Estonian e-invoice (E_Invoice, versions 1.1 to 1.2) into the
+ * document shape of ./index.js. The file must hold one invoice. Rules are
+ * named after their EN 16931 counterparts so both formats report alike.
+ */
+const parseEstonianEInvoice = (root, report) => {
+  const envelope = root.E_Invoice;
+  const invoices = list(envelope.Invoice);
+  if (invoices.length !== 1) {
+    report.error(
+      "E-INVOICE-COUNT",
+      "/E_Invoice/Invoice",
+      `File must hold exactly one invoice, it has ${invoices.length}`
+    );
+    return null;
+  }
+
+  const version = text(at(envelope, "Header", "Version"));
+  if (!VERSIONS.includes(version)) {
+    report.warn(
+      "E-INVOICE-VERSION",
+      "/E_Invoice/Header/Version",
+      `Unknown e-invoice version ${version || "(none)"}, read as 1.2`
+    );
+  }
+
+  const invoice = invoices[0];
+  const pathOf = (...names) => `/E_Invoice/Invoice/${names.join("/")}`;
+  const required = (rule, path, value, message) => {
+    if (!value) {
+      report.error(rule, path, message);
+    }
+    return value;
+  };
+  const amount = (rule, path, value, { optional = false } = {}) => {
+    const raw = text(value);
+    if (raw === null) {
+      if (!optional) {
+        report.error(rule, path, "Amount is missing");
+      }
+      return optional ? null : 0;
+    }
+    const cents = toScaled(raw, 2);
+    if (cents === null) {
+      report.error(
+        "BR-DEC",
+        path,
+        `"${raw}" isn't an amount with at most 2 decimals`
+      );
+    }
+    return cents;
+  };
+  const date = (path, value) => {
+    const raw = text(value);
+    if (raw !== null && !isValidDate(raw)) {
+      report.error(
+        "PEPPOL-EN16931-F001",
+        path,
+        `"${raw}" isn't a date in YYYY-MM-DD format`
+      );
+    }
+    return raw;
+  };
+
+  const information = invoice.InvoiceInformation || {};
+  const seller = at(invoice, "InvoiceParties", "SellerParty") || {};
+  const buyer = at(invoice, "InvoiceParties", "BuyerParty") || {};
+  const sumGroup = list(invoice.InvoiceSumGroup)[0] || {};
+  const payment = invoice.PaymentInfo || {};
+  const legalAddress = at(seller, "ContactData", "LegalAddress") || {};
+  const sellerVatNumber = text(seller.VATRegNumber);
+  const typeCode = text(at(information, "Type", "@type"));
+
+  if (!["DEB", "CRE"].includes(typeCode)) {
+    report.error(
+      "BR-04",
+      pathOf("InvoiceInformation", "Type", "@type"),
+      "Invoice type must be DEB or CRE"
+    );
+  }
+
+  const document = {
+    format: "e_invoice",
+    type: typeCode === "CRE" ? "credit_note" : "bill",
+    number: required(
+      "BR-02",
+      pathOf("InvoiceInformation", "InvoiceNumber"),
+      text(information.InvoiceNumber),
+      "Invoice number is missing"
+    ),
+    issueDate: required(
+      "BR-03",
+      pathOf("InvoiceInformation", "InvoiceDate"),
+      date(
+        pathOf("InvoiceInformation", "InvoiceDate"),
+        information.InvoiceDate
+      ),
+      "Invoice date is missing"
+    ),
+    dueDate: date(
+      pathOf("InvoiceInformation", "DueDate"),
+      information.DueDate || payment.PayDueDate
+    ),
+    currency: required(
+      "BR-05",
+      pathOf("InvoiceSumGroup", "Currency"),
+      text(sumGroup.Currency) || text(payment.Currency),
+      "Currency is missing"
+    ),
+    referenceNumber:
+      text(information.PaymentReferenceNumber) || text(payment.PaymentRefId),
+    payToIban:
+      text(payment.PayToAccount) ||
+      text(at(seller, "AccountInfo", "IBAN")) ||
+      text(at(seller, "AccountInfo", "AccountNumber")),
+    notes: text(payment.PaymentDescription),
+    seller: {
+      name: text(seller.Name),
+      registrationNumber:
+        text(seller.RegNumber) || text(invoice["@sellerRegnumber"]),
+      vatNumber: sellerVatNumber,
+      address:
+        [
+          legalAddress.PostalAddress1,
+          legalAddress.PostalAddress2,
+          legalAddress.City,
+          legalAddress.PostalCode,
+        ]
+          .map(text)
+          .filter(Boolean)
+          .join(", ") || null,
+      // e-arve has no country code; VAT numbers start with one
+      countryCode:
+        sellerVatNumber && /^[A-Z]{2}/.test(sellerVatNumber)
+          ? sellerVatNumber.slice(0, 2)
+          : "EE",
+    },
+    buyer: {
+      name: text(buyer.Name),
+      registrationNumber: text(buyer.RegNumber) || text(invoice["@regNumber"]),
+      vatNumber: text(buyer.VATRegNumber),
+    },
+    lines: [],
+    vatGroups: [],
+    totals: {},
+  };
+
+  const sellerPath = pathOf("InvoiceParties", "SellerParty");
+  required(
+    "BR-06",
+    `${sellerPath}/Name`,
+    document.seller.name,
+    "Seller name is missing"
+  );
+  required(
+    "BR-CO-26",
+    `${sellerPath}/RegNumber`,
+    document.seller.registrationNumber || document.seller.vatNumber,
+    "Seller registry code or VAT number is missing"
+  );
+  required(
+    "BR-07",
+    pathOf("InvoiceParties", "BuyerParty", "Name"),
+    document.buyer.name,
+    "Buyer name is missing"
+  );
+
+  // Rate and category of the invoice's VAT, for lines that don't give their
+  // own
+  const documentVats = list(sumGroup.VAT);
+  documentVats.forEach((vat, index) => {
+    const path = pathOf(`InvoiceSumGroup/VAT[${index + 1}]`);
+    const rate = toScaled(text(vat.VATRate) || "0", 2);
+    if (rate === null) {
+      report.error(
+        "BR-DEC",
+        `${path}/VATRate`,
+        "VAT rate must be a percentage with at most 2 decimals"
+      );
+    }
+    document.vatGroups.push({
+      path,
+      category: categoryOf(vat),
+      vatRate: rate || 0,
+      taxable: amount("BR-45", `${path}/SumBeforeVAT`, vat.SumBeforeVAT, {
+        optional: true,
+      }),
+      vat: amount("BR-46", `${path}/VATSum`, vat.VATSum, { optional: true }),
+    });
+  });
+
+  const entries = list(at(invoice, "InvoiceItem")).flatMap((item) =>
+    list(item.InvoiceItemGroup).flatMap((group) => list(group.ItemEntry))
+  );
+  let row = 0;
+  entries.forEach((entry, index) => {
+    const path = pathOf(`InvoiceItem/InvoiceItemGroup/ItemEntry[${index + 1}]`);
+    const detail = list(entry.ItemDetailInfo)[0] || {};
+    // Rows without an amount are text rows, e.g. headings
+    if (text(entry.ItemSum) === null && text(detail.ItemPrice) === null) {
+      return;
+    }
+    row += 1;
+
+    const vat = list(entry.VAT)[0] || documentVats[0];
+    if (!list(entry.VAT)[0] && documentVats.length !== 1) {
+      report.error(
+        "BR-CO-04",
+        `${path}/VAT`,
+        "Line has no VAT and the invoice has more than one rate"
+      );
+    }
+    const quantity = toScaled(text(detail.ItemAmount) || "1", 3, {
+      round: true,
+    });
+    const price = toScaled(text(detail.ItemPrice), 4, { round: true });
+    const net = toScaled(text(entry.ItemSum), 2, { round: true });
+    if (net === null) {
+      report.error(
+        "BR-24",
+        `${path}/ItemSum`,
+        "Line sum is missing or not a number"
+      );
+    }
+    if (quantity === null) {
+      report.error(
+        "BR-22",
+        `${path}/ItemDetailInfo/ItemAmount`,
+        "Quantity isn't a number"
+      );
+    }
+
+    const rate = toScaled(text(at(vat, "VATRate")) || "0", 2);
+    document.lines.push({
+      path,
+      description: required(
+        "BR-25",
+        `${path}/Description`,
+        text(entry.Description),
+        "Description is missing"
+      ),
+      quantity,
+      unit: text(detail.ItemUnit),
+      // A line with only its sum is one unit at that price
+      unitPrice:
+        price === null
+          ? net === null || !quantity
+            ? null
+            : Math.round((net * 100 * 1000) / quantity)
+          : price,
+      category: categoryOf(vat),
+      vatRate: rate || 0,
+      net,
+      vat: list(entry.VAT)[0]
+        ? amount("BR-46", `${path}/VAT/VATSum`, entry.VAT[0].VATSum, {
+            optional: true,
+          })
+        : null,
+    });
+  });
+  if (row === 0) {
+    report.error("BR-16", pathOf("InvoiceItem"), "Invoice has no lines");
+  }
+
+  const totalsPath = (name) => pathOf("InvoiceSumGroup", name);
+  document.totals = {
+    net: amount("BR-13", totalsPath("InvoiceSum"), sumGroup.InvoiceSum),
+    vat: amount("BR-CO-14", totalsPath("TotalVATSum"), sumGroup.TotalVATSum),
+    total: amount("BR-14", totalsPath("TotalSum"), sumGroup.TotalSum),
+    payable: amount("BR-15", totalsPath("TotalToPay"), sumGroup.TotalToPay, {
+      optional: true,
+    }),
+  };
+  document.paths = {
+    number: pathOf("InvoiceInformation", "InvoiceNumber"),
+    currency: totalsPath("Currency"),
+    buyer: pathOf("InvoiceParties", "BuyerParty"),
+    vat: totalsPath("TotalVATSum"),
+    total: totalsPath("TotalSum"),
+  };
+  // Without a full breakdown the VAT per rate is taken from the lines
+  if (
+    document.vatGroups.length === 0 ||
+    document.vatGroups.some(
+      (group) => group.taxable === null || group.vat === null
+    )
+  ) {
+    document.vatGroups = null;
+  }
+
+  if (document.totals.payable === null) {
+    document.totals.payable = document.totals.total;
+  }
+
+  // Totals can only be compared once every amount could be read
+  const amounts = document.lines
+    .map((line) => line.net)
+    .concat(Object.values(document.totals));
+  if (amounts.some((value) => value === null)) {
+    return document;
+  }
+
+  const lineNet = document.lines.reduce((sum, line) => sum + line.net, 0);
+  if (lineNet !== document.totals.net) {
+    report.error(
+      "BR-CO-10",
+      totalsPath("InvoiceSum"),
+      `Invoice sum is ${fromCents(document.totals.net)} but the lines add up to ${fromCents(lineNet)}`
+    );
+  }
+
+  // Some senders give credit invoices negative amounts, others positive
+  // ones; bills keep credit notes positive
+  if (document.type === "credit_note" && document.totals.total < 0) {
+    const negate = (value) => (value === null ? null : -value);
+    document.lines = document.lines.map((line) => ({
+      ...line,
+      quantity: negate(line.quantity),
+      net: negate(line.net),
+      vat: negate(line.vat),
+    }));
+    document.vatGroups = document.vatGroups
+      ? document.vatGroups.map((group) => ({
+          ...group,
+          taxable: negate(group.taxable),
+          vat: negate(group.vat),
+        }))
+      : null;
+    document.totals = Object.fromEntries(
+      Object.entries(document.totals).map(([key, value]) => [
+        key,
+        negate(value),
+      ])
+    );
+  }
+
+  return document;
+};
+
+module.exports = { parseEstonianEInvoice };
@@ -0,0 +1,177 @@
+const { parseXml } = require("./xml");
+const { parseUbl, CATEGORY_RULES } = require("./ubl");
+const { parseEstonianEInvoice } = require("./estonianEInvoice");
+const { createReport } = require("./report");
+const { fromCents } = require("../../../utils/money");
+
+// VAT of a net amount at a rate in hundredths of a percent, in cents
+const vatOf = (net, vatRate) => Math.round((net * vatRate) / 10000);
+
+const groupKey = ({ category, vatRate }) => `${category}|${vatRate}`;
+
+const describeGroup = ({ category, vatRate }) =>
+  `${fromCents(vatRate)}% (${category})`;
+
+// Whether every line and breakdown row has its amounts and VAT category,
+// so the VAT can be checked even when other fields have errors
+const isComplete = (document) =>
+  document.lines.every(
+    (line) => line.net !== null && line.category && line.vatRate !== null
+  ) &&
+  (document.vatGroups || []).every(
+    (group) => group.taxable !== null && group.vat !== null && group.category
+  ) &&
+  Object.values(document.totals).every((value) => value !== null);
+
+/**
+ * Checks the VAT breakdown against the lines and totals, and gives each
+ * line its share of the VAT. Lines that don't state their VAT get it
+ * computed from the rate, with rounding differences left on the largest
+ * line so the lines add up to the breakdown.
+ */
+const allocateVat = (document, report) => {
+  const linesByGroup = new Map();
+  for (const line of document.lines) {
+    const key = groupKey(line);
+    linesByGroup.set(key, [...(linesByGroup.get(key) || []), line]);
+  }
+
+  const groups =
+    document.vatGroups ||
+    [...linesByGroup.values()].map((lines) => {
+      const taxable = lines.reduce((sum, line) => sum + line.net, 0);
+      return {
+        path: null,
+        category: lines[0].category,
+        vatRate: lines[0].vatRate,
+        taxable,
+        vat: lines.every((line) => line.vat !== null)
+          ? lines.reduce((sum, line) => sum + line.vat, 0)
+          : vatOf(taxable, lines[0].vatRate),
+      };
+    });
+  const groupsByKey = new Map(groups.map((group) => [groupKey(group), group]));
+
+  for (const [key, lines] of linesByGroup) {
+    if (!groupsByKey.has(key)) {
+      report.error(
+        `BR-${CATEGORY_RULES[lines[0].category]}-01`,
+        lines[0].path,
+        `VAT breakdown has no row for ${describeGroup(lines[0])}`
+      );
+    }
+  }
+
+  for (const group of groups) {
+    const rule = CATEGORY_RULES[group.category];
+    const lines = linesByGroup.get(groupKey(group)) || [];
+    const lineNet = lines.reduce((sum, line) => sum + line.net, 0);
+    if (lineNet !== group.taxable) {
+      report.error(
+        `BR-${rule}-08`,
+        group.path,
+        `Taxable amount of ${describeGroup(group)} is ${fromCents(group.taxable)} but the lines add up to ${fromCents(lineNet)}`
+      );
+      continue;
+    }
+
+    // Standard rated VAT may be off by a cent where the seller rounded per
+    // line; other categories carry no VAT at all
+    const expected = vatOf(group.taxable, group.vatRate);
+    const tolerance = group.category === "S" ? 1 : 0;
+    if (Math.abs(group.vat - expected) > tolerance) {
+      report.error(
+        `BR-${rule}-09`,
+        group.path,
+        `VAT of ${describeGroup(group)} is ${fromCents(group.vat)}, expected ${fromCents(expected)}`
+      );
+      continue;
+    }
+
+    const open = lines.filter((line) => line.vat === null);
+    open.forEach((line) => {
+      line.vat = vatOf(line.net, line.vatRate);
+    });
+    const difference =
+      group.vat - lines.reduce((sum, line) => sum + line.vat, 0);
+    if (difference === 0) {
+      continue;
+    }
+    if (open.length === 0 || Math.abs(difference) > open.length) {
+      report.error(
+        `BR-${rule}-09`,
+        group.path || lines[0].path,
+        `VAT of the ${describeGroup(group)} lines adds up to ${fromCents(group.vat - difference)}, the breakdown says ${fromCents(group.vat)}`
+      );
+      continue;
+    }
+    const largest = open.reduce((max, line) =>
+      Math.abs(line.net) > Math.abs(max.net) ? line : max
+    );
+    largest.vat += difference;
+  }
+
+  const vatTotal = groups.reduce((sum, group) => sum + group.vat, 0);
+  if (vatTotal !== document.totals.vat) {
+    report.error(
+      "BR-CO-14",
+      document.paths.vat,
+      `VAT total is ${fromCents(document.totals.vat)} but the breakdown adds up to ${fromCents(vatTotal)}`
+    );
+  }
+  if (document.totals.net + document.totals.vat !== document.totals.total) {
+    report.error(
+      "BR-CO-15",
+      document.paths.total,
+      `Total with VAT is ${fromCents(document.totals.total)}, expected ${fromCents(document.totals.net + document.totals.vat)}`
+    );
+  }
+};
+
+/**
+ * Reads an e-invoice: a UBL 2.1 Invoice or CreditNote (Peppol BIS Billing
+ * 3.0) or an Estonian e-invoice. Returns `{ document, report }`, where
+ * `document` is null when the format isn't recognised. The document is
+ * fit to become a bill only when `report.valid`; it then has:
+ *
+ * - `format` (`ubl` or `e_invoice`), `type` (`bill` or `credit_note`),
+ *   `number`, `issueDate`, `dueDate`, `currency`, `referenceNumber`,
+ *   `payToIban`, `notes`
+ * - `seller` and `buyer` with `name`, `registrationNumber`, `vatNumber`
+ *   (and the seller's `address` and `countryCode`)
+ * - `lines` with `description`, `quantity` (thousandths), `unit`,
+ *   `unitPrice` (ten-thousandths), `category`, `vatRate` (hundredths of a
+ *   percent), `net` and `vat` (cents)
+ * - `totals` with `net`, `vat`, `total` and `payable` in cents
+ * - `paths` of the `number`, `currency`, `buyer`, `vat` and `total`
+ *   elements, for reporting problems found later
+ */
+const readDocument = (buffer) => {
+  const root = parseXml(buffer.toString("utf8").replace(/^\uFEFF/, ""));
+
+  let report;
+  let document = null;
+  if (root && (root.Invoice || root.CreditNote)) {
+    report = createReport("ubl");
+    document = parseUbl(root, report);
+  } else if (root && root.E_Invoice) {
+    report = createReport("e_invoice");
+    document = parseEstonianEInvoice(root, report);
+  } else {
+    report = createReport(null);
+    report.error(
+      "FORMAT",
+      "/",
+      root
+        ? "Not a UBL invoice or credit note, nor an Estonian e-invoice"
+        : "The file is not well-formed XML"
+    );
+  }
+
+  if (document && isComplete(document)) {
+    allocateVat(document, report);
+  }
+  return { document, report };
+};
+
+module.exports = { readDocument };
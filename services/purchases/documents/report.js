@@ -0,0 +1,28 @@
+// Validation report of an ingested document. Every problem found is
+// collected, not just the first, with the rule it breaks and where in the
+// document it is. Errors keep the document from being imported; warnings
+// are returned alongside the bill.
+const createReport = (format) => {
+  const errors = [];
+  const warnings = [];
+
+  return {
+    format,
+    errors,
+    warnings,
+    error(rule, path, message) {
+      errors.push({ rule, path, message });
+    },
+    warn(rule, path, message) {
+      warnings.push({ rule, path, message });
+    },
+    get valid() {
+      return errors.length === 0;
+    },
+    toJSON() {
+      return { valid: errors.length === 0, format, errors, warnings };
+    },
+  };
+};
+
+module.exports = { createReport };
@@ -0,0 +1,515 @@
+const { list, text, at, toScaled } = require("./xml");
+const { fromCents } = require("../../../utils/money");
+const { isValidDate } = require("../../../utils/dateOnly");
+
+const BIS_CUSTOMIZATION_ID =
+  "urn:cen.eu:en16931:2017#compliant#urn:fdc:peppol.eu:2017:poacc:billing:3.0";
+
+// Invoice type codes (UNCL1001) of documents that credit an earlier invoice
+const CREDIT_NOTE_TYPE_CODES = ["81", "83", "381", "396", "532"];
+
+// VAT category codes (UNCL5305) with the prefix of their EN 16931 rules.
+// Only standard rated supplies carry a rate above zero.
+const CATEGORY_RULES = {
+  S: "S",
+  Z: "Z",
+  E: "E",
+  AE: "AE",
+  K: "IC",
+  G: "G",
+  O: "O",
+};
+
+// Categories where the buyer, not the seller, accounts for the VAT
+const REVERSE_CHARGE = ["AE", "K"];
+
+const partyOf = (holder) => {
+  const party = at(holder, "Party") || {};
+  const schemes = list(party.PartyTaxScheme);
+  const vatScheme =
+    schemes.find((scheme) => text(at(scheme, "TaxScheme", "ID")) === "VAT") ||
+    schemes[0];
+  const address = party.PostalAddress || {};
+
+  return {
+    name:
+      text(at(party, "PartyLegalEntity", "RegistrationName")) ||
+      text(at(party, "PartyName", "Name")),
+    registrationNumber: text(at(party, "PartyLegalEntity", "CompanyID")),
+    vatNumber: text(at(vatScheme, "CompanyID")),
+    address:
+      [
+        address.StreetName,
+        address.AdditionalStreetName,
+        address.CityName,
+        address.PostalZone,
+      ]
+        .map(text)
+        .filter(Boolean)
+        .join(", ") || null,
+    countryCode: text(at(address, "Country", "IdentificationCode")),
+  };
+};
+
+/**
+ * Reads a UBL 2.1 Invoice or CreditNote, as sent under Peppol BIS Billing
+ * 3.0, into the document shape of ./index.js. Breaches of the EN 16931
+ * rules that can be checked on single fields are added to `report`; the
+ * totals are checked by the caller.
+ */
+const parseUbl = (root, report) => {
+  const rootName = root.Invoice ? "Invoice" : "CreditNote";
+  const doc = root[rootName];
+  const creditNoteRoot = rootName === "CreditNote";
+  const lineName = creditNoteRoot ? "CreditNoteLine" : "InvoiceLine";
+  const pathOf = (...names) => `/${rootName}/${names.join("/")}`;
+
+  const required = (rule, path, value, message) => {
+    if (!value) {
+      report.error(rule, path, message);
+    }
+    return value;
+  };
+  // Cents of a monetary amount; missing optional amounts are zero
+  const amount = (rule, path, value, { optional = false } = {}) => {
+    const raw = text(value);
+    if (raw === null) {
+      if (!optional) {
+        report.error(rule, path, "Amount is missing");
+      }
+      return optional ? 0 : null;
+    }
+    const cents = toScaled(raw, 2);
+    if (cents === null) {
+      report.error(
+        "BR-DEC",
+        path,
+        `"${raw}" isn't an amount with at most 2 decimals`
+      );
+    }
+    return cents;
+  };
+  const date = (path, value) => {
+    const raw = text(value);
+    if (raw !== null && !isValidDate(raw)) {
+      report.error(
+        "PEPPOL-EN16931-F001",
+        path,
+        `"${raw}" isn't a date in YYYY-MM-DD format`
+      );
+    }
+    return raw;
+  };
+  // Category and rate of a line, allowance or VAT breakdown row
+  const category = (path, holder, missingRule) => {
+    const code = text(at(holder, "ID"));
+    const percent = text(at(holder, "Percent"));
+    const rate = percent === null ? 0 : toScaled(percent, 2);
+
+    if (!code) {
+      report.error(missingRule, `${path}/ID`, "VAT category code is missing");
+      return { category: null, vatRate: 0 };
+    }
+    const prefix = CATEGORY_RULES[code];
+    if (!prefix) {
+      report.error(
+        "BR-CL-18",
+        `${path}/ID`,
+        `VAT category ${code} isn't supported`
+      );
+      return { category: null, vatRate: 0 };
+    }
+    if (rate === null) {
+      report.error(
+        "BR-DEC",
+        `${path}/Percent`,
+        `"${percent}" isn't a percentage with at most 2 decimals`
+      );
+    } else if (code === "S" && !(rate > 0)) {
+      report.error(
+        "BR-S-05",
+        `${path}/Percent`,
+        "Standard rated VAT needs a rate above zero"
+      );
+    } else if (code !== "S" && rate !== 0) {
+      report.error(
+        `BR-${prefix}-05`,
+        `${path}/Percent`,
+        `VAT category ${code} must have a rate of zero`
+      );
+    }
+    return { category: code, vatRate: rate || 0 };
+  };
+
+  const customizationId = text(doc.CustomizationID);
+  if (!customizationId) {
+    report.error(
+      "BR-01",
+      pathOf("CustomizationID"),
+      "Specification identifier is missing"
+    );
+  } else if (customizationId !== BIS_CUSTOMIZATION_ID) {
+    report.warn(
+      "PEPPOL-EN16931-R004",
+      pathOf("CustomizationID"),
+      `Not a Peppol BIS Billing 3.0 document (${customizationId}), read as plain UBL`
+    );
+  }
+
+  const typeCode = text(
+    creditNoteRoot ? doc.CreditNoteTypeCode : doc.InvoiceTypeCode
+  );
+  required(
+    "BR-04",
+    pathOf(creditNoteRoot ? "CreditNoteTypeCode" : "InvoiceTypeCode"),
+    typeCode,
+    "Document type code is missing"
+  );
+
+  const paymentMeans = list(doc.PaymentMeans)[0];
+  const document = {
+    format: "ubl",
+    type:
+      creditNoteRoot || CREDIT_NOTE_TYPE_CODES.includes(typeCode)
+        ? "credit_note"
+        : "bill",
+    number: required("BR-02", pathOf("ID"), text(doc.ID), "Number is missing"),
+    issueDate: required(
+      "BR-03",
+      pathOf("IssueDate"),
+      date(pathOf("IssueDate"), doc.IssueDate),
+      "Issue date is missing"
+    ),
+    dueDate: date(
+      pathOf("DueDate"),
+      doc.DueDate || at(paymentMeans, "PaymentDueDate")
+    ),
+    currency: required(
+      "BR-05",
+      pathOf("DocumentCurrencyCode"),
+      text(doc.DocumentCurrencyCode),
+      "Currency is missing"
+    ),
+    referenceNumber: text(at(paymentMeans, "PaymentID")),
+    payToIban: text(at(paymentMeans, "PayeeFinancialAccount", "ID")),
+    notes: list(doc.Note).map(text).filter(Boolean).join("\n") || null,
+    seller: partyOf(doc.AccountingSupplierParty),
+    buyer: partyOf(doc.AccountingCustomerParty),
+    lines: [],
+    vatGroups: [],
+    totals: {},
+  };
+
+  const sellerPath = pathOf("AccountingSupplierParty", "Party");
+  required(
+    "BR-06",
+    `${sellerPath}/PartyLegalEntity/RegistrationName`,
+    document.seller.name,
+    "Seller name is missing"
+  );
+  required(
+    "BR-09",
+    `${sellerPath}/PostalAddress/Country/IdentificationCode`,
+    document.seller.countryCode,
+    "Seller country code is missing"
+  );
+  required(
+    "BR-CO-26",
+    sellerPath,
+    document.seller.registrationNumber || document.seller.vatNumber,
+    "Seller needs a legal registration identifier or a VAT identifier"
+  );
+  required(
+    "BR-07",
+    pathOf(
+      "AccountingCustomerParty",
+      "Party",
+      "PartyLegalEntity",
+      "RegistrationName"
+    ),
+    document.buyer.name,
+    "Buyer name is missing"
+  );
+
+  const lines = list(doc[lineName]);
+  if (lines.length === 0) {
+    report.error("BR-16", pathOf(lineName), "Document has no lines");
+  }
+  lines.forEach((line, index) => {
+    const path = pathOf(`${lineName}[${index + 1}]`);
+    const quantityElement = creditNoteRoot
+      ? "CreditedQuantity"
+      : "InvoicedQuantity";
+    const quantityText = text(line[quantityElement]);
+    const quantity = toScaled(quantityText, 3, { round: true });
+    const price = toScaled(text(at(line, "Price", "PriceAmount")), 4, {
+      round: true,
+    });
+    const baseQuantity = toScaled(
+      text(at(line, "Price", "BaseQuantity")) || "1",
+      3,
+      { round: true }
+    );
+
+    required(
+      "BR-21",
+      `${path}/ID`,
+      text(line.ID),
+      "Line identifier is missing"
+    );
+    if (quantity === null) {
+      report.error(
+        "BR-22",
+        `${path}/${quantityElement}`,
+        "Quantity is missing or not a number"
+      );
+    }
+    required(
+      "BR-23",
+      `${path}/${quantityElement}/@unitCode`,
+      line[quantityElement] && line[quantityElement]["@unitCode"],
+      "Unit of measure is missing"
+    );
+    required(
+      "BR-25",
+      `${path}/Item/Name`,
+      text(at(line, "Item", "Name")),
+      "Item name is missing"
+    );
+    if (price === null) {
+      report.error(
+        "BR-26",
+        `${path}/Price/PriceAmount`,
+        "Item net price is missing or not a number"
+      );
+    } else if (price < 0) {
+      report.error(
+        "BR-27",
+        `${path}/Price/PriceAmount`,
+        "Item net price can't be negative"
+      );
+    }
+    if (!(baseQuantity > 0)) {
+      report.error(
+        "PEPPOL-EN16931-R121",
+        `${path}/Price/BaseQuantity`,
+        "Base quantity must be positive"
+      );
+    }
+
+    const vat = category(
+      `${path}/Item/ClassifiedTaxCategory`,
+      at(line, "Item", "ClassifiedTaxCategory"),
+      "BR-CO-04"
+    );
+    document.lines.push({
+      path,
+      description: text(at(line, "Item", "Name")),
+      quantity,
+      unit: line[quantityElement] ? line[quantityElement]["@unitCode"] : null,
+      unitPrice:
+        price === null || !(baseQuantity > 0)
+          ? null
+          : Math.round((price * 1000) / baseQuantity),
+      ...vat,
+      net: amount(
+        "BR-24",
+        `${path}/LineExtensionAmount`,
+        line.LineExtensionAmount
+      ),
+      vat: null,
+    });
+  });
+  const lineNet = document.lines.reduce((sum, line) => sum + line.net, 0);
+
+  // Document level allowances and charges become lines of their own, with
+  // the VAT category they are given
+  let allowances = 0;
+  let charges = 0;
+  list(doc.AllowanceCharge).forEach((entry, index) => {
+    const path = pathOf(`AllowanceCharge[${index + 1}]`);
+    const isCharge = text(entry.ChargeIndicator) === "true";
+    const cents = amount(
+      isCharge ? "BR-36" : "BR-31",
+      `${path}/Amount`,
+      entry.Amount
+    );
+    const vat = category(
+      `${path}/TaxCategory`,
+      entry.TaxCategory,
+      isCharge ? "BR-37" : "BR-32"
+    );
+    if (isCharge) {
+      charges += cents;
+    } else {
+      allowances += cents;
+    }
+
+    document.lines.push({
+      path,
+      description:
+        text(entry.AllowanceChargeReason) || (isCharge ? "Charge" : "Discount"),
+      quantity: 1000,
+      unit: null,
+      unitPrice: cents * 100 * (isCharge ? 1 : -1),
+      ...vat,
+      net: isCharge ? cents : -cents,
+      vat: null,
+    });
+  });
+
+  document.lines
+    .filter((line) => REVERSE_CHARGE.includes(line.category))
+    .forEach((line) =>
+      report.warn(
+        "REVERSE-CHARGE",
+        line.path,
+        "The buyer accounts for the VAT of this line; it isn't booked with the bill"
+      )
+    );
+
+  // A document can give its VAT total twice, in the document currency and
+  // in the seller's accounting currency; the breakdown is in the former
+  const taxTotals = list(doc.TaxTotal);
+  const taxTotalIndex = Math.max(
+    taxTotals.findIndex(
+      (total) =>
+        total.TaxAmount &&
+        total.TaxAmount["@currencyID"] === document.currency &&
+        list(total.TaxSubtotal).length > 0
+    ),
+    0
+  );
+  const taxTotal = taxTotals[taxTotalIndex];
+  const taxPath = pathOf(`TaxTotal[${taxTotalIndex + 1}]`);
+  if (!taxTotal || list(taxTotal.TaxSubtotal).length === 0) {
+    report.error("BR-CO-18", pathOf("TaxTotal"), "VAT breakdown is missing");
+  }
+  list(taxTotal && taxTotal.TaxSubtotal).forEach((subtotal, index) => {
+    const path = `${taxPath}/TaxSubtotal[${index + 1}]`;
+    document.vatGroups.push({
+      path,
+      taxable: amount("BR-45", `${path}/TaxableAmount`, subtotal.TaxableAmount),
+      vat: amount("BR-46", `${path}/TaxAmount`, subtotal.TaxAmount),
+      ...category(`${path}/TaxCategory`, subtotal.TaxCategory, "BR-47"),
+    });
+  });
+
+  const monetary = doc.LegalMonetaryTotal || {};
+  const totalsPath = (name) => pathOf("LegalMonetaryTotal", name);
+  const totals = {
+    lineExtension: amount(
+      "BR-12",
+      totalsPath("LineExtensionAmount"),
+      monetary.LineExtensionAmount
+    ),
+    allowances: amount(
+      "BR-CO-11",
+      totalsPath("AllowanceTotalAmount"),
+      monetary.AllowanceTotalAmount,
+      { optional: true }
+    ),
+    charges: amount(
+      "BR-CO-12",
+      totalsPath("ChargeTotalAmount"),
+      monetary.ChargeTotalAmount,
+      { optional: true }
+    ),
+    net: amount(
+      "BR-13",
+      totalsPath("TaxExclusiveAmount"),
+      monetary.TaxExclusiveAmount
+    ),
+    vat: taxTotal
+      ? amount("BR-CO-14", `${taxPath}/TaxAmount`, taxTotal.TaxAmount)
+      : 0,
+    total: amount(
+      "BR-14",
+      totalsPath("TaxInclusiveAmount"),
+      monetary.TaxInclusiveAmount
+    ),
+    prepaid: amount(
+      "BR-CO-16",
+      totalsPath("PrepaidAmount"),
+      monetary.PrepaidAmount,
+      { optional: true }
+    ),
+    rounding: amount(
+      "BR-CO-16",
+      totalsPath("PayableRoundingAmount"),
+      monetary.PayableRoundingAmount,
+      { optional: true }
+    ),
+    payable: amount(
+      "BR-15",
+      totalsPath("PayableAmount"),
+      monetary.PayableAmount
+    ),
+  };
+  document.totals = totals;
+  document.paths = {
+    number: pathOf("ID"),
+    currency: pathOf("DocumentCurrencyCode"),
+    buyer: pathOf("AccountingCustomerParty", "Party"),
+    vat: `${taxPath}/TaxAmount`,
+    total: totalsPath("TaxInclusiveAmount"),
+  };
+
+  // Totals can only be compared once every amount could be read
+  const amounts = document.lines
+    .map((line) => line.net)
+    .concat(Object.values(totals));
+  if (amounts.some((value) => value === null)) {
+    return document;
+  }
+
+  // Stated totals against the amounts they are made of
+  const mismatch = (rule, path, label, computed, stated) => {
+    if (computed !== stated) {
+      report.error(
+        rule,
+        path,
+        `${label} is ${fromCents(stated)} but should be ${fromCents(computed)}`
+      );
+    }
+  };
+  mismatch(
+    "BR-CO-10",
+    totalsPath("LineExtensionAmount"),
+    "Sum of line net amounts (LineExtensionAmount)",
+    lineNet,
+    totals.lineExtension
+  );
+  mismatch(
+    "BR-CO-11",
+    totalsPath("AllowanceTotalAmount"),
+    "Allowance total",
+    allowances,
+    totals.allowances
+  );
+  mismatch(
+    "BR-CO-12",
+    totalsPath("ChargeTotalAmount"),
+    "Charge total",
+    charges,
+    totals.charges
+  );
+  mismatch(
+    "BR-CO-13",
+    totalsPath("TaxExclusiveAmount"),
+    "Total without VAT",
+    totals.lineExtension - totals.allowances + totals.charges,
+    totals.net
+  );
+  mismatch(
+    "BR-CO-16",
+    totalsPath("PayableAmount"),
+    "Amount due for payment",
+    totals.total - totals.prepaid + totals.rounding,
+    totals.payable
+  );
+
+  return document;
+};
+
+module.exports = { parseUbl, CATEGORY_RULES };
@@ -0,0 +1,80 @@
+const { XMLParser, XMLValidator } = require("fast-xml-parser");
+
+// Elements of UBL and Estonian e-invoices that can repeat; always parsed as
+// arrays so one and many look the same
+const REPEATING = [
+  "Note",
+  "PartyName",
+  "PartyTaxScheme",
+  "PaymentMeans",
+  "PaymentTerms",
+  "AllowanceCharge",
+  "TaxTotal",
+  "TaxSubtotal",
+  "InvoiceLine",
+  "CreditNoteLine",
+  "AccountInfo",
+  "InvoiceSumGroup",
+  "InvoiceItemGroup",
+  "ItemEntry",
+  "ItemDetailInfo",
+  "VAT",
+];
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@",
+  removeNSPrefix: true,
+  // Keep values as text: amounts are converted to cents and registry codes
+  // may have leading zeros
+  parseTagValue: false,
+  parseAttributeValue: false,
+  isArray: (name, path) =>
+    REPEATING.includes(name) || path === "E_Invoice.Invoice",
+});
+
+// Parsed document, or null when the text isn't well-formed XML
+const parseXml = (xml) =>
+  XMLValidator.validate(xml) === true ? parser.parse(xml) : null;
+
+const list = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+const text = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const content = typeof value === "object" ? value["#text"] : value;
+  return content === undefined ? null : String(content).trim() || null;
+};
+
+// Value of a path of child elements, e.g. at(party, "Country",
+// "IdentificationCode"), or undefined when any of them is missing
+const at = (value, ...names) =>
+  names.reduce(
+    (current, name) =>
+      current === undefined || current === null
+        ? undefined
+        : list(current)[0] && list(current)[0][name],
+    value
+  );
+
+// Decimal text with at most `decimals` decimals as an integer scaled by
+// 10^decimals, or null when it isn't such a number. Longer fractions are
+// rounded when `round` is set.
+const toScaled = (value, decimals, { round = false } = {}) => {
+  const match = /^([+-])?(\d+)(?:\.(\d+))?$/.exec(String(value ?? "").trim());
+  if (!match || (!round && (match[3] || "").length > decimals)) {
+    return null;
+  }
+
+  const [, sign, units, fraction = ""] = match;
+  const digits = fraction.padEnd(decimals + 1, "0");
+  let scaled =
+    Number(units) * 10 ** decimals + Number(digits.slice(0, decimals) || 0);
+  if (Number(digits[decimals]) >= 5) {
+    scaled += 1;
+  }
+  return sign === "-" ? -scaled : scaled;
+};
+
+module.exports = { parseXml, list, text, at, toScaled };
@@ -0,0 +1,41 @@
+// Looks companies up in the Estonian e-Business Register (äriregister)
+// through its public autocomplete API
+const DEFAULT_API_URL = "https://ariregister.rik.ee/est/api/autocomplete";
+
+const createAriregisterProvider = ({
+  apiUrl = process.env.ARIREGISTER_API_URL || DEFAULT_API_URL,
+  timeoutMs = 5000,
+} = {}) => ({
+  name: "ariregister",
+  lookup: async (registrationNumber) => {
+    const url = `${apiUrl}?q=${encodeURIComponent(registrationNumber)}`;
+    const response = await fetch(url, {
+      headers: { Accept: "application/json" },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(`e-Business Register responded with ${response.status}`);
+    }
+
+    const body = await response.json();
+    const match = (body.data || []).find(
+      (entry) => String(entry.reg_code) === registrationNumber
+    );
+
+    if (!match) {
+      return null;
+    }
+
+    return {
+      registrationNumber: String(match.reg_code),
+      name: match.name,
+      address: [match.legal_address, match.zip_code].filter(Boolean).join(", "),
+      // "R" is a registered company; anything else is in liquidation,
+      // bankruptcy or deleted
+      status: match.status === "R" ? "active" : "inactive",
+    };
+  },
+});
+
+module.exports = createAriregisterProvider;
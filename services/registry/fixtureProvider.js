@@ -0,0 +1,13 @@
+const defaultFixtures = require("./fixtures/companies.json");
+
+// Serves lookups from local data. Used in tests and local development so
+// nothing calls the real register.
+const createFixtureProvider = ({ fixtures = defaultFixtures } = {}) => ({
+  name: "fixture",
+  lookup: async (registrationNumber) =>
+    fixtures.find(
+      (company) => company.registrationNumber === registrationNumber
+    ) || null,
+});
+
+module.exports = createFixtureProvider;
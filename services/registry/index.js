@@ -0,0 +1,49 @@
+const createAriregisterProvider = require("./ariregisterProvider");
+const createFixtureProvider = require("./fixtureProvider");
+
+/**
+ * Company registry providers look a company up by registration number.
+ * `lookup(registrationNumber)` resolves to
+ * `{ registrationNumber, name, address, status }` or null when not found.
+ */
+const providers = {
+  ariregister: createAriregisterProvider,
+  fixture: createFixtureProvider,
+};
+
+const createRegistryProvider = (name, options) => {
+  const factory = providers[name];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown registry provider "${name}". Expected one of: ${Object.keys(providers).join(", ")}`
+    );
+  }
+
+  return factory(options);
+};
+
+let defaultProvider = null;
+
+// The application wide provider, named by REGISTRY_PROVIDER (defaults to
+// "ariregister")
+const getRegistryProvider = () => {
+  if (!defaultProvider) {
+    defaultProvider = createRegistryProvider(
+      process.env.REGISTRY_PROVIDER || "ariregister"
+    );
+  }
+
+  return defaultProvider;
+};
+
+// Replaces the application wide provider, e.g. with fixtures in tests
+const setRegistryProvider = (provider) => {
+  defaultProvider = provider;
+};
+
+module.exports = {
+  createRegistryProvider,
+  getRegistryProvider,
+  setRegistryProvider,
+};
@@ -0,0 +1,264 @@
+const { QueryTypes } = require("sequelize");
+const sequelize = require("../../config/database");
+const VatRate = require("../../models/VatRate");
+const { BOXES, INF_THRESHOLD_CENTS } = require("../../config/kmd");
+const { aggregateBalances } = require("../accounting/reportService");
+const { findPostingAccount } = require("../accounting/postingAccounts");
+const { AccountingValidationError } = require("../accounting/errors");
+const { toCents, fromCents } = require("../../utils/money");
+const { addDays, addMonths } = require("../../utils/dateOnly");
+
+// Boxes whose amounts are also counted in the boxes they are part of
+const PART_OF = {
+  3.1: ["3"],
+  "3.1.1": ["3.1", "3"],
+  3.2: ["3"],
+};
+
+// First and last day of a calendar month
+const monthRange = (year, month) => {
+  const y = Number(year);
+  const m = Number(month);
+  if (!Number.isInteger(y) || y < 2004 || y > 2100) {
+    throw new AccountingValidationError("Validation error", [
+      { field: "year", message: "Year must be between 2004 and 2100" },
+    ]);
+  }
+  if (!Number.isInteger(m) || m < 1 || m > 12) {
+    throw new AccountingValidationError("Validation error", [
+      { field: "month", message: "Month must be between 1 and 12" },
+    ]);
+  }
+
+  const from = `${y}-${String(m).padStart(2, "0")}-01`;
+  return { from, to: addDays(addMonths(from, 1), -1) };
+};
+
+// Sales of the month per VAT code and rate, with credit notes subtracted
+const salesByRate = (companyId, { from, to }, transaction) =>
+  sequelize.query(
+    `SELECT l."vatCode", l."vatRate",
+      SUM(CASE WHEN i."type" = 'credit_note' THEN -l."netAmount" ELSE l."netAmount" END) AS "net",
+      SUM(CASE WHEN i."type" = 'credit_note' THEN -l."vatAmount" ELSE l."vatAmount" END) AS "vat"
+    FROM "InvoiceLines" l
+    JOIN "Invoices" i ON i."id" = l."invoiceId"
+    WHERE i."companyId" = :companyId
+      AND i."status" <> 'draft'
+      AND i."issueDate" BETWEEN :from AND :to
+    GROUP BY l."vatCode", l."vatRate"`,
+    {
+      replacements: { companyId, from, to },
+      type: QueryTypes.SELECT,
+      transaction,
+    }
+  );
+
+// The KMD box of a line's code and rate. A rate above zero decides the box
+// on its own; zero-rated and exempt lines need their code.
+const boxFor = (rates, vatCode, vatRate) => {
+  const percent = toCents(vatRate);
+  const candidates = rates.filter(
+    (rate) =>
+      toCents(rate.rate) === percent && (percent > 0 || rate.code === vatCode)
+  );
+  const match =
+    candidates.find((rate) => rate.code === vatCode) || candidates[0];
+  return match ? match.kmdBox : null;
+};
+
+/**
+ * INF part A: invoices of the month to Estonian business customers whose
+ * taxable sales in the month reach the threshold, one row per invoice and
+ * rate. Zero-rated and exempt lines aren't reported; credit notes are
+ * listed with negative amounts.
+ */
+const salesAnnex = async (companyId, { from, to }, transaction) => {
+  const conditions = `i."companyId" = :companyId
+      AND i."status" <> 'draft'
+      AND i."issueDate" BETWEEN :from AND :to
+      AND l."vatRate" > 0
+      AND c."countryCode" = 'EE'
+      AND i."customerRegistrationNumber" IS NOT NULL`;
+  const signed = (column) =>
+    `CASE WHEN i."type" = 'credit_note' THEN -${column} ELSE ${column} END`;
+
+  const rows = await sequelize.query(
+    `SELECT i."id", i."type", i."number", i."issueDate",
+      i."customerName", i."customerRegistrationNumber",
+      ${signed(`i."netTotal"`)} AS "invoiceNet",
+      l."vatRate",
+      SUM(${signed(`l."netAmount"`)}) AS "net"
+    FROM "InvoiceLines" l
+    JOIN "Invoices" i ON i."id" = l."invoiceId"
+    JOIN "Customers" c ON c."id" = i."customerId"
+    WHERE ${conditions}
+      AND i."customerRegistrationNumber" IN (
+        SELECT i."customerRegistrationNumber"
+        FROM "InvoiceLines" l
+        JOIN "Invoices" i ON i."id" = l."invoiceId"
+        JOIN "Customers" c ON c."id" = i."customerId"
+        WHERE ${conditions}
+        GROUP BY i."customerRegistrationNumber"
+        HAVING SUM(${signed(`l."netAmount"`)}) >= :threshold
+      )
+    GROUP BY i."id", i."type", i."number", i."issueDate", i."customerName",
+      i."customerRegistrationNumber", i."netTotal", l."vatRate"
+    ORDER BY i."customerRegistrationNumber", i."issueDate", i."number", l."vatRate"`,
+    {
+      replacements: {
+        companyId,
+        from,
+        to,
+        threshold: INF_THRESHOLD_CENTS / 100,
+      },
+      type: QueryTypes.SELECT,
+      transaction,
+    }
+  );
+
+  // Only customers with an Estonian registry code can be listed; others
+  // are private persons or foreign companies entered as Estonian
+  return rows
+    .filter((row) => /^\d{8}$/.test(row.customerRegistrationNumber))
+    .map((row) => ({
+      invoiceId: row.id,
+      buyerRegCode: row.customerRegistrationNumber,
+      buyerName: row.customerName,
+      invoiceNumber: row.number,
+      invoiceDate: row.issueDate,
+      invoiceSum: fromCents(toCents(row.invoiceNet)),
+      taxRate: fromCents(toCents(row.vatRate)),
+      // Invoices are reported in the month they are issued, so all of the
+      // invoice's sales at the rate fall into this period
+      invoiceSumForRate: fromCents(toCents(row.net)),
+      sumForRateInPeriod: fromCents(toCents(row.net)),
+    }));
+};
+
+/**
+ * INF part B: approved bills of the month with VAT from Estonian suppliers
+ * whose taxable purchases in the month reach the threshold, one row per
+ * bill. Credit notes are listed with negative amounts.
+ */
+const purchasesAnnex = async (companyId, { from, to }, transaction) => {
+  const conditions = `b."companyId" = :companyId
+      AND b."status" IN ('approved', 'paid')
+      AND b."issueDate" BETWEEN :from AND :to
+      AND b."vatTotal" <> 0
+      AND s."countryCode" = 'EE'
+      AND b."supplierRegistrationNumber" IS NOT NULL`;
+  const signed = (column) =>
+    `CASE WHEN b."type" = 'credit_note' THEN -${column} ELSE ${column} END`;
+
+  const rows = await sequelize.query(
+    `SELECT b."id", b."type", b."number", b."issueDate",
+      b."supplierName", b."supplierRegistrationNumber",
+      ${signed(`b."total"`)} AS "total",
+      ${signed(`b."vatTotal"`)} AS "vat"
+    FROM "Bills" b
+    JOIN "Suppliers" s ON s."id" = b."supplierId"
+    WHERE ${conditions}
+      AND b."supplierRegistrationNumber" IN (
+        SELECT b."supplierRegistrationNumber"
+        FROM "Bills" b
+        JOIN "Suppliers" s ON s."id" = b."supplierId"
+        WHERE ${conditions}
+        GROUP BY b."supplierRegistrationNumber"
+        HAVING SUM(${signed(`b."netTotal"`)}) >= :threshold
+      )
+    ORDER BY b."supplierRegistrationNumber", b."issueDate", b."number"`,
+    {
+      replacements: {
+        companyId,
+        from,
+        to,
+        threshold: INF_THRESHOLD_CENTS / 100,
+      },
+      type: QueryTypes.SELECT,
+      transaction,
+    }
+  );
+
+  return rows
+    .filter((row) => /^\d{8}$/.test(row.supplierRegistrationNumber))
+    .map((row) => ({
+      billId: row.id,
+      sellerRegCode: row.supplierRegistrationNumber,
+      sellerName: row.supplierName,
+      invoiceNumber: row.number,
+      invoiceDate: row.issueDate,
+      invoiceSumVat: fromCents(toCents(row.total)),
+      vatSum: fromCents(toCents(row.vat)),
+      vatInPeriod: fromCents(toCents(row.vat)),
+    }));
+};
+
+/**
+ * Data of the KMD return and its INF annex for one month. Sales come from
+ * issued invoices and credit notes; deductible input VAT is the month's
+ * movement on the input VAT account, which approved bills post to.
+ */
+const kmdReturn = async (companyId, { year, month }, { transaction } = {}) => {
+  const period = monthRange(year, month);
+  const rates = await VatRate.findAll({ transaction });
+
+  const amounts = new Map(BOXES.map(({ box }) => [box, 0]));
+  const add = (box, cents) => amounts.set(box, amounts.get(box) + cents);
+  const unassigned = [];
+  let outputVat = 0;
+
+  for (const row of await salesByRate(companyId, period, transaction)) {
+    const net = toCents(row.net);
+    const vat = toCents(row.vat);
+    const box = boxFor(rates, row.vatCode, row.vatRate);
+    outputVat += vat;
+
+    if (!box || !amounts.has(box)) {
+      unassigned.push({
+        vatCode: row.vatCode,
+        vatRate: fromCents(toCents(row.vatRate)),
+        net: fromCents(net),
+        vat: fromCents(vat),
+      });
+      continue;
+    }
+    add(box, net);
+    for (const total of PART_OF[box] || []) {
+      add(total, net);
+    }
+  }
+
+  const inputVatAccount = await findPostingAccount(companyId, "inputVat", {
+    transaction,
+  });
+  const [inputVatBalance] = await aggregateBalances(companyId, period, {
+    accountId: inputVatAccount.id,
+    periodOnly: true,
+    transaction,
+  });
+  const inputVat = inputVatBalance
+    ? inputVatBalance.debit - inputVatBalance.credit
+    : 0;
+
+  amounts.set("4", outputVat);
+  amounts.set("5", inputVat);
+  amounts.set("12", Math.max(outputVat - inputVat, 0));
+  amounts.set("13", Math.max(inputVat - outputVat, 0));
+
+  return {
+    year: Number(year),
+    month: Number(month),
+    period,
+    boxes: BOXES.map(({ box, element, label }) => ({
+      box,
+      element,
+      label,
+      amount: fromCents(amounts.get(box)),
+    })),
+    unassigned,
+    salesAnnex: await salesAnnex(companyId, period, transaction),
+    purchasesAnnex: await purchasesAnnex(companyId, period, transaction),
+  };
+};
+
+module.exports = { monthRange, kmdReturn };
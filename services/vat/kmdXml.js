@@ -0,0 +1,134 @@
+const fs = require("fs");
+const path = require("path");
+const { validateXML } = require("xmllint-wasm");
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const element = (name, value, indent) =>
+  value === null || value === undefined
+    ? []
+    : [`${indent}<${name}>${escapeXml(value)}</${name}>`];
+
+// The KMD and INF schema, see config/schemas/kmd_inf.xsd
+const BUNDLED_SCHEMA_PATH = path.join(
+  __dirname,
+  "../../config/schemas/kmd_inf.xsd"
+);
+
+const SALE_FIELDS = [
+  "buyerRegCode",
+  "buyerName",
+  "invoiceNumber",
+  "invoiceDate",
+  "invoiceSum",
+  "taxRate",
+  "invoiceSumForRate",
+  "sumForRateInPeriod",
+];
+
+const PURCHASE_FIELDS = [
+  "sellerRegCode",
+  "sellerName",
+  "invoiceNumber",
+  "invoiceDate",
+  "invoiceSumVat",
+  "vatSum",
+  "vatInPeriod",
+];
+
+// The upload gives rates as whole percentages, e.g. "24" for 24.00
+const saleLine = (row) => ({ ...row, taxRate: String(Number(row.taxRate)) });
+
+const annex = (name, lineName, fields, rows) =>
+  rows.length === 0
+    ? []
+    : [
+        `  <${name}>`,
+        ...rows.flatMap((row) => [
+          `    <${lineName}>`,
+          ...fields.flatMap((field) => element(field, row[field], "      ")),
+          `    </${lineName}>`,
+        ]),
+        `  </${name}>`,
+      ];
+
+/**
+ * Renders a return from kmdService.kmdReturn as the tax authority's KMD
+ * upload XML, described by config/schemas/kmd_inf.xsd.
+ * `submitterPersonCode` is the personal ID code of whoever files it, left
+ * out when not known.
+ */
+const renderKmdXml = (company, report, { submitterPersonCode } = {}) => {
+  const hasSales = report.boxes.some(
+    ({ box, amount }) => !["5", "12", "13"].includes(box) && amount !== "0.00"
+  );
+  const hasPurchases = report.boxes.some(
+    ({ box, amount }) => box === "5" && amount !== "0.00"
+  );
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    "<vatDeclaration>",
+    ...element("taxPayerRegCode", company.registrationNumber, "  "),
+    ...element("submitterPersonCode", submitterPersonCode, "  "),
+    ...element("year", report.year, "  "),
+    ...element("month", report.month, "  "),
+    ...element("declarationType", 1, "  "),
+    ...element("version", "KMD4", "  "),
+    "  <declarationBody>",
+    ...element("noSales", !hasSales, "    "),
+    ...element("noPurchases", !hasPurchases, "    "),
+    ...element("sumPerPartnerSales", false, "    "),
+    ...element("sumPerPartnerPurchases", false, "    "),
+    ...report.boxes.flatMap(({ element: name, amount }) =>
+      name ? element(name, amount, "    ") : []
+    ),
+    "  </declarationBody>",
+    ...annex(
+      "salesAnnex",
+      "saleLine",
+      SALE_FIELDS,
+      report.salesAnnex.map(saleLine)
+    ),
+    ...annex(
+      "purchasesAnnex",
+      "purchaseLine",
+      PURCHASE_FIELDS,
+      report.purchasesAnnex
+    ),
+    "</vatDeclaration>",
+    "",
+  ].join("\n");
+};
+
+/**
+ * Validates an export against the KMD and INF schema: the bundled one, or
+ * the XSD file at KMD_XSD_PATH when set, e.g. a newer version from e-MTA.
+ * Resolves to `{ valid, errors }` with the messages of the failed checks.
+ */
+const validateKmdXml = async (
+  xml,
+  { schemaPath = process.env.KMD_XSD_PATH || BUNDLED_SCHEMA_PATH } = {}
+) => {
+  const schema = await fs.promises.readFile(schemaPath, "utf8");
+  const result = await validateXML({
+    xml: [{ fileName: "kmd.xml", contents: xml }],
+    schema: [{ fileName: path.basename(schemaPath), contents: schema }],
+  });
+
+  return {
+    valid: result.valid,
+    errors: result.errors.map(({ message, loc }) => ({
+      line: loc ? loc.lineNumber : null,
+      message,
+    })),
+  };
+};
+
+module.exports = { renderKmdXml, validateKmdXml };
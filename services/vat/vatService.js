@@ -0,0 +1,127 @@
+const sequelize = require("../../config/database");
+const VatRate = require("../../models/VatRate");
+const { BOXES } = require("../../config/kmd");
+const { AccountingValidationError } = require("../accounting/errors");
+const { toCents } = require("../../utils/money");
+const { isValidDate, addDays } = require("../../utils/dateOnly");
+
+// Codes tried first when a line gives only a percentage that more than one
+// code has on the date
+const PREFERRED_CODES = ["standard", "reduced"];
+
+/**
+ * Finds the VAT rate for a document line among `rates`, the rates in effect
+ * on the document date (VatRate.findAllOn). A line names a `vatCode`, a
+ * `vatRate` percentage, or both. A percentage alone is matched to a code,
+ * except 0% which can mean an EU supply, an export or an exempt supply and
+ * therefore needs the code. Returns `{ rate }` or `{ error }`.
+ */
+const resolveLineRate = (rates, { vatCode, vatRate }) => {
+  const hasCode = vatCode !== undefined && vatCode !== null && vatCode !== "";
+  const hasRate = vatRate !== undefined && vatRate !== null && vatRate !== "";
+  const percent = hasRate ? toCents(vatRate) : null;
+
+  if (hasRate && (percent === null || percent < 0 || percent > 10000)) {
+    return {
+      field: "vatRate",
+      error: "VAT rate must be a percentage between 0 and 100",
+    };
+  }
+
+  if (hasCode) {
+    const rate = rates.find((candidate) => candidate.code === vatCode);
+    if (!rate) {
+      return {
+        field: "vatCode",
+        error: `VAT code ${vatCode} doesn't apply on the document date`,
+      };
+    }
+    if (hasRate && toCents(rate.rate) !== percent) {
+      return {
+        field: "vatRate",
+        error: `VAT rate for ${vatCode} is ${rate.rate}% on the document date`,
+      };
+    }
+    return { rate };
+  }
+
+  if (!hasRate) {
+    return { field: "vatCode", error: "VAT code or rate is required" };
+  }
+  if (percent === 0) {
+    return {
+      field: "vatCode",
+      error: "VAT code is required for lines without VAT",
+    };
+  }
+
+  const matches = rates.filter(
+    (candidate) => toCents(candidate.rate) === percent
+  );
+  if (matches.length === 0) {
+    return {
+      field: "vatRate",
+      error: `No ${vatRate}% VAT rate applies on the document date`,
+    };
+  }
+  const rate =
+    PREFERRED_CODES.map((code) =>
+      matches.find((candidate) => candidate.code === code)
+    ).find(Boolean) || matches[0];
+  return { rate };
+};
+
+// Boxes a rate's taxable amounts can be reported in; the rest are totals
+const RATE_BOXES = BOXES.map(({ box }) => box).filter(
+  (box) => !["4", "5", "12", "13"].includes(box)
+);
+
+/**
+ * Adds a rate that takes effect on `validFrom`. The current row of the same
+ * code, if any, ends the day before. Rates can only be added after the
+ * latest one of their code, so history is never rewritten.
+ */
+const addRate = ({ code, rate, validFrom, kmdBox, description }) =>
+  sequelize.transaction(async (transaction) => {
+    const errors = [];
+    if (!isValidDate(validFrom)) {
+      errors.push({
+        field: "validFrom",
+        message: "Must be a date in YYYY-MM-DD format",
+      });
+    }
+    if (!RATE_BOXES.includes(kmdBox)) {
+      errors.push({
+        field: "kmdBox",
+        message: `KMD box must be one of ${RATE_BOXES.join(", ")}`,
+      });
+    }
+    if (errors.length > 0) {
+      throw new AccountingValidationError("Validation error", errors);
+    }
+
+    const latest = await VatRate.findOne({
+      where: { code: code ?? null },
+      order: [["validFrom", "DESC"]],
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (latest && latest.validFrom >= validFrom) {
+      throw new AccountingValidationError("Validation error", [
+        {
+          field: "validFrom",
+          message: `Must be after ${latest.validFrom}, when the current ${code} rate took effect`,
+        },
+      ]);
+    }
+    if (latest && (!latest.validTo || latest.validTo >= validFrom)) {
+      await latest.update({ validTo: addDays(validFrom, -1) }, { transaction });
+    }
+
+    return VatRate.create(
+      { code, rate, validFrom, validTo: null, kmdBox, description },
+      { transaction }
+    );
+  });
+
+module.exports = { resolveLineRate, addRate };
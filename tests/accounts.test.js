@@ -0,0 +1,238 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { setup, teardown } = require("./helpers/harness");
+const estonianTemplate = require("../config/accountTemplates/estonian");
+
+let t;
+let accessToken;
+let company;
+// Account ids of the seeded chart by code
+let accounts;
+
+before(async () => {
+  t = await setup();
+  ({ accessToken } = await t.signIn());
+  company = await t.createCompany(accessToken);
+
+  const response = await call("get", "/accounts").expect(200);
+  accounts = Object.fromEntries(
+    response.body.accounts.map((account) => [account.code, account.id])
+  );
+});
+
+after(teardown);
+
+const call = (method, path, token = accessToken) =>
+  t
+    .api()
+    [method](`/api/company/${company.id}${path}`)
+    .set("Authorization", `Bearer ${token}`);
+
+describe("chart of accounts", () => {
+  it("seeds the Estonian chart with its hierarchy", async () => {
+    const response = await call("get", "/accounts").expect(200);
+    const byCode = new Map(
+      response.body.accounts.map((account) => [account.code, account])
+    );
+
+    assert.equal(byCode.size, estonianTemplate.length);
+    assert.equal(byCode.get("1000").parentId, null);
+    assert.equal(byCode.get("1020").parentId, byCode.get("1000").id);
+    assert.equal(byCode.get("1310").parentId, byCode.get("1300").id);
+  });
+
+  it("filters by type and active state", async () => {
+    const revenue = await call("get", "/accounts?type=revenue").expect(200);
+    assert.ok(revenue.body.accounts.length > 0);
+    assert.ok(
+      revenue.body.accounts.every((account) => account.type === "revenue")
+    );
+
+    await call("put", `/accounts/${accounts["4800"]}`)
+      .send({ isActive: false })
+      .expect(200);
+    const inactive = await call("get", "/accounts?active=false").expect(200);
+    assert.deepEqual(
+      inactive.body.accounts.map((account) => account.code),
+      ["4800"]
+    );
+  });
+
+  it("creates a sub-account and refuses a duplicate code", async () => {
+    const created = await call("post", "/accounts")
+      .send({
+        code: "6061",
+        name: "Kaardimaksete tasud",
+        type: "expense",
+        parentId: accounts["6060"],
+      })
+      .expect(201);
+    assert.equal(created.body.account.parentId, accounts["6060"]);
+
+    await call("post", "/accounts")
+      .send({ code: "6061", name: "Teine", type: "expense" })
+      .expect(400, /already exists/);
+  });
+
+  it("returns validation errors by field", async () => {
+    const response = await call("post", "/accounts")
+      .send({ code: "a b", name: "", type: "income" })
+      .expect(400);
+
+    assert.equal(response.body.message, "Validation error");
+    const fields = response.body.errors.map((error) => error.field);
+    assert.ok(fields.includes("code"));
+    assert.ok(fields.includes("name"));
+    assert.ok(fields.includes("type"));
+  });
+
+  it("refuses unknown parents and cycles", async () => {
+    await call("post", "/accounts")
+      .send({ code: "9990", name: "Orb", type: "asset", parentId: 999999 })
+      .expect(400, /Parent account not found/);
+
+    await call("put", `/accounts/${accounts["1000"]}`)
+      .send({ parentId: accounts["1020"] })
+      .expect(400, /can't be its own ancestor/);
+    await call("put", `/accounts/${accounts["1000"]}`)
+      .send({ parentId: accounts["1000"] })
+      .expect(400, /can't be its own ancestor/);
+  });
+
+  it("doesn't use another company's account as parent", async () => {
+    const other = await t.createCompany(accessToken);
+    const response = await t
+      .api()
+      .get(`/api/company/${other.id}/accounts?type=asset`)
+      .set("Authorization", `Bearer ${accessToken}`)
+      .expect(200);
+
+    await call("post", "/accounts")
+      .send({
+        code: "9991",
+        name: "Võõras",
+        type: "asset",
+        parentId: response.body.accounts[0].id,
+      })
+      .expect(400, /Parent account not found/);
+  });
+
+  it("deletes only accounts without sub-accounts or entries", async () => {
+    await call("delete", `/accounts/${accounts["1300"]}`).expect(
+      400,
+      /has sub-accounts/
+    );
+
+    await call("post", "/journal")
+      .send({
+        date: "2025-03-10",
+        description: "Müük",
+        lines: [
+          { accountId: accounts["1010"], debit: "10.00", credit: "0" },
+          { accountId: accounts["4020"], debit: "0", credit: "10.00" },
+        ],
+      })
+      .expect(201);
+    await call("delete", `/accounts/${accounts["1010"]}`).expect(
+      400,
+      /has journal entries/
+    );
+
+    await call("delete", `/accounts/${accounts["6800"]}`).expect(200);
+    await call("get", `/accounts/${accounts["6800"]}`).expect(404);
+  });
+
+  it("doesn't delete accounts used on draft documents", async () => {
+    const customer = await call("post", "/customers")
+      .send({ name: "Klient OÜ" })
+      .expect(201);
+    await call("post", "/invoices")
+      .send({
+        customerId: customer.body.customer.id,
+        issueDate: "2025-03-10",
+        lines: [
+          {
+            description: "Rent",
+            quantity: "1",
+            unitPrice: "100.00",
+            vatCode: "standard",
+            accountId: accounts["4010"],
+          },
+        ],
+      })
+      .expect(201);
+    await call("delete", `/accounts/${accounts["4010"]}`).expect(
+      400,
+      /used on invoices/
+    );
+
+    const supplier = await call("post", "/suppliers")
+      .send({ name: "Tarnija OÜ" })
+      .expect(201);
+    await call("post", "/bills")
+      .send({
+        supplierId: supplier.body.supplier.id,
+        number: "T-1",
+        issueDate: "2025-03-05",
+        lines: [
+          {
+            description: "Paber",
+            quantity: "1",
+            unitPrice: "10.00",
+            vatCode: "standard",
+            accountId: accounts["6010"],
+          },
+        ],
+      })
+      .expect(201);
+    await call("delete", `/accounts/${accounts["6010"]}`).expect(
+      400,
+      /used on bills/
+    );
+
+    const bank = await call("post", "/accounts")
+      .send({ code: "1030", name: "Teine pank", type: "asset" })
+      .expect(201);
+    await call("post", "/bank/statements")
+      .attach(
+        "file",
+        fs.readFileSync(
+          path.join(__dirname, "../services/bank/fixtures/seb.csv")
+        ),
+        "seb.csv"
+      )
+      .field("accountId", bank.body.account.id)
+      .expect(201);
+    await call("delete", `/accounts/${bank.body.account.id}`).expect(
+      400,
+      /used on bank statements/
+    );
+  });
+
+  it("refuses unknown types and malformed account ids", async () => {
+    const response = await call("get", "/accounts?type=income").expect(400);
+    assert.equal(response.body.errors[0].field, "type");
+    assert.match(response.body.errors[0].message, /asset, liability/);
+
+    for (const method of ["get", "put", "delete"]) {
+      const invalid = await call(method, "/accounts/1.5").expect(400);
+      assert.equal(invalid.body.errors[0].field, "accountId");
+    }
+  });
+
+  it("lets viewers read but not change the chart", async () => {
+    const viewer = await t.member(company, "viewer");
+
+    await call("get", "/accounts", viewer.accessToken).expect(200);
+    await call("post", "/accounts", viewer.accessToken)
+      .send({ code: "9992", name: "Keelatud", type: "asset" })
+      .expect(403);
+    await call(
+      "delete",
+      `/accounts/${accounts["6900"]}`,
+      viewer.accessToken
+    ).expect(403);
+  });
+});
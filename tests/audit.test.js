@@ -0,0 +1,181 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, teardown } = require("./helpers/harness");
+const AuditEvent = require("../models/AuditEvent");
+
+let t;
+let owner;
+let accountant;
+let company;
+let customer;
+
+before(async () => {
+  t = await setup();
+  owner = await t.signIn();
+  company = await t.createCompany(owner.accessToken);
+  accountant = await t.member(company, "accountant");
+
+  // The owner creates a customer, the accountant renames it and adds and
+  // deletes another
+  const created = await call("post", "/customers")
+    .send({ name: "Klient OÜ" })
+    .expect(201);
+  customer = created.body.customer;
+  await call("put", `/customers/${customer.id}`, accountant.accessToken)
+    .send({ name: "Klient AS" })
+    .expect(200);
+  const removed = await call("post", "/customers", accountant.accessToken)
+    .send({ name: "Ajutine OÜ" })
+    .expect(201);
+  await call(
+    "delete",
+    `/customers/${removed.body.customer.id}`,
+    accountant.accessToken
+  ).expect(200);
+});
+
+after(teardown);
+
+const call = (method, path, token = owner.accessToken) =>
+  t
+    .api()
+    [method](`/api/company/${company.id}${path}`)
+    .set("Authorization", `Bearer ${token}`);
+
+const audit = async (query) =>
+  (await call("get", "/audit").query(query).expect(200)).body;
+
+const day = (offset) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + offset);
+  return date.toISOString().slice(0, 10);
+};
+
+describe("GET /api/company/:id/audit", () => {
+  it("lists the company's changes newest first with their actor", async () => {
+    const { total, events } = await audit({ entityType: "Customer" });
+
+    assert.equal(total, 4);
+    assert.deepEqual(
+      events.map((event) => [event.action, event.actor.id]),
+      [
+        ["delete", accountant.user.id],
+        ["create", accountant.user.id],
+        ["update", accountant.user.id],
+        ["create", owner.user.id],
+      ]
+    );
+    assert.deepEqual(events[2].changes.name, {
+      from: "Klient OÜ",
+      to: "Klient AS",
+    });
+  });
+
+  it("filters by entity, action and actor", async () => {
+    const updates = await audit({ entityType: "Customer", action: "update" });
+    assert.equal(updates.total, 1);
+    assert.equal(updates.events[0].entityId, String(customer.id));
+
+    const ofCustomer = await audit({
+      entityType: "Customer",
+      entityId: customer.id,
+    });
+    assert.deepEqual(
+      ofCustomer.events.map((event) => event.action),
+      ["update", "create"]
+    );
+
+    const byAccountant = await audit({ actorId: accountant.user.id });
+    assert.equal(byAccountant.total, 3);
+    assert.ok(
+      byAccountant.events.every((event) => event.actorId === accountant.user.id)
+    );
+  });
+
+  it("filters by date, a plain date as `to` covering the whole day", async () => {
+    const all = await audit({});
+
+    assert.equal((await audit({ from: day(0), to: day(0) })).total, all.total);
+    assert.equal((await audit({ to: day(-1) })).total, 0);
+    assert.equal((await audit({ from: day(1) })).total, 0);
+    assert.equal(
+      (await audit({ from: all.events[0].createdAt })).events[0].id,
+      all.events[0].id
+    );
+  });
+
+  it("pages with limit and offset", async () => {
+    const all = await audit({ limit: 200 });
+    assert.ok(all.total > 50);
+    assert.equal(all.events.length, all.total);
+    assert.equal((await audit({})).events.length, 50);
+
+    const first = await audit({ limit: 2 });
+    const second = await audit({ limit: 2, offset: 2 });
+
+    assert.equal(first.total, all.total);
+    assert.equal(second.total, all.total);
+    assert.deepEqual(
+      [...first.events, ...second.events].map((event) => event.id),
+      all.events.slice(0, 4).map((event) => event.id)
+    );
+    assert.equal((await audit({ offset: all.total })).events.length, 0);
+  });
+
+  it("rejects invalid filters and paging", async () => {
+    for (const [query, field] of [
+      [{ action: "archive" }, "action"],
+      [{ actorId: "abc" }, "actorId"],
+      [{ actorId: "1.5" }, "actorId"],
+      [{ from: "yesterday" }, "from"],
+      [{ to: "2026-13-45" }, "to"],
+      [{ limit: "-1" }, "limit"],
+      [{ limit: "0" }, "limit"],
+      [{ limit: "201" }, "limit"],
+      [{ limit: "ten" }, "limit"],
+      [{ offset: "-1" }, "offset"],
+    ]) {
+      const response = await call("get", "/audit").query(query).expect(400);
+      assert.deepEqual(
+        response.body.errors.map((error) => error.field),
+        [field],
+        JSON.stringify(query)
+      );
+    }
+  });
+
+  it("is open to auditors and accountants but not to viewers", async () => {
+    const auditor = await t.member(company, "auditor");
+    await call("get", "/audit", auditor.accessToken).expect(200);
+    await call("get", "/audit", accountant.accessToken).expect(200);
+
+    const viewer = await t.member(company, "viewer");
+    await call("get", "/audit", viewer.accessToken).expect(403);
+  });
+});
+
+describe("AuditEvent", () => {
+  it("refuses to update or delete events", async () => {
+    const event = await AuditEvent.findOne({
+      where: { companyId: company.id },
+      order: [["id", "ASC"]],
+    });
+
+    await assert.rejects(event.update({ action: "delete" }), {
+      message: "Audit events can't be modified",
+    });
+    await assert.rejects(event.destroy(), {
+      message: "Audit events can't be modified",
+    });
+    await assert.rejects(
+      AuditEvent.update({ actorId: null }, { where: { id: event.id } }),
+      { message: "Audit events can't be modified" }
+    );
+    await assert.rejects(AuditEvent.destroy({ where: { id: event.id } }), {
+      message: "Audit events can't be modified",
+    });
+
+    await event.reload();
+    assert.equal(event.actorId, owner.user.id);
+  });
+});
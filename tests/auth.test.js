@@ -0,0 +1,538 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { setup, teardown, PASSWORD } = require("./helpers/harness");
+const { createApp } = require("../app");
+const request = require("supertest");
+const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+
+let t;
+
+before(async () => {
+  t = await setup();
+});
+
+after(teardown);
+
+const signup = (values) =>
+  t
+    .api()
+    .post("/api/signup")
+    .send({
+      email: "new@example.com",
+      password: PASSWORD,
+      name: "Mari",
+      surname: "Maasikas",
+      personalIdCode: t.nextPersonalIdCode(),
+      ...values,
+    });
+
+describe("POST /api/signup", () => {
+  it("creates an unverified user and emails a verification link", async () => {
+    const response = await signup({ email: "signup@example.com" }).expect(200);
+
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.user.email, "signup@example.com");
+    assert.equal(response.body.user.isVerified, false);
+    assert.equal(response.body.user.password, undefined);
+
+    const user = await User.findOne({
+      where: { email: "signup@example.com" },
+    });
+    assert.notEqual(user.password, PASSWORD);
+
+    const [message] = await t.deliverMail("signup@example.com");
+    assert.match(message.text, /http:\/\/frontend\.test\/verify-email\?token=/);
+  });
+
+  it("sends a new link when an unverified user signs up again", async () => {
+    await signup({ email: "again@example.com" }).expect(200);
+    const response = await signup({ email: "again@example.com" }).expect(200);
+
+    assert.equal(response.body.message, "Verification email sent successfully");
+    assert.equal((await t.deliverMail("again@example.com")).length, 2);
+  });
+
+  it("rejects an email that is already verified", async () => {
+    const user = await t.createUser();
+
+    const response = await signup({ email: user.email }).expect(400);
+
+    assert.equal(response.body.message, "Email is already verified");
+  });
+
+  it("rejects an invalid personal ID code with the reason", async () => {
+    const response = await signup({ personalIdCode: "39001010001" }).expect(
+      400
+    );
+
+    assert.equal(response.body.errors[0].field, "personalIdCode");
+    assert.equal(response.body.errors[0].code, "checksum");
+  });
+
+  it("rejects a weak password and an invalid email", async () => {
+    const response = await signup({
+      email: "not-an-email",
+      password: "short",
+    }).expect(400);
+
+    const fields = response.body.errors.map((error) => error.field);
+    assert.ok(fields.includes("email"));
+    assert.ok(fields.includes("password"));
+  });
+
+  it("rejects a personal ID code that is already registered", async () => {
+    const user = await t.createUser();
+
+    const response = await signup({
+      email: "other@example.com",
+      personalIdCode: user.personalIdCode,
+    }).expect(400);
+
+    assert.equal(response.body.errors[0].field, "personalIdCode");
+  });
+});
+
+describe("POST /api/verify-email", () => {
+  it("verifies the user with the emailed token, once", async () => {
+    await signup({ email: "verify@example.com" }).expect(200);
+    const token = await t.tokenFromMail("verify@example.com");
+
+    await t.api().post("/api/verify-email").send({ token }).expect(200);
+
+    const user = await User.findOne({
+      where: { email: "verify@example.com" },
+    });
+    assert.equal(user.isVerified, true);
+
+    const again = await t
+      .api()
+      .post("/api/verify-email")
+      .send({ token })
+      .expect(400);
+    assert.equal(again.body.message, "Email already verified");
+  });
+
+  it("verifies a long email with a resent token", async () => {
+    // Makes the token longer than a VARCHAR(255) column can hold
+    const email = `${"mari.maasikas".repeat(4)}@raamatupidamisburoo.example.com`;
+    await signup({ email }).expect(200);
+    await signup({ email }).expect(200);
+    const token = await t.tokenFromMail(email);
+    assert.ok(token.length > 255);
+
+    await t.api().post("/api/verify-email").send({ token }).expect(200);
+  });
+
+  it("requires a token", async () => {
+    const response = await t
+      .api()
+      .post("/api/verify-email")
+      .send({})
+      .expect(400);
+
+    assert.equal(response.body.message, "Verification token is required");
+  });
+
+  it("rejects a superseded token", async () => {
+    await signup({ email: "superseded@example.com" }).expect(200);
+    const first = await t.tokenFromMail("superseded@example.com");
+    await signup({ email: "superseded@example.com" }).expect(200);
+
+    const response = await t
+      .api()
+      .post("/api/verify-email")
+      .send({ token: first })
+      .expect(400);
+
+    assert.equal(response.body.message, "Invalid verification token");
+  });
+
+  it("rejects an expired token", async () => {
+    await signup({ email: "expired@example.com" }).expect(200);
+    const token = jwt.sign(
+      { email: "expired@example.com" },
+      process.env.JWT_SECRET,
+      { expiresIn: -10 }
+    );
+
+    const response = await t
+      .api()
+      .post("/api/verify-email")
+      .send({ token })
+      .expect(400);
+
+    assert.equal(response.body.message, "Verification link has expired");
+  });
+});
+
+describe("POST /api/login", () => {
+  it("returns an access token and sets the refresh token cookie", async () => {
+    const user = await t.createUser();
+
+    const response = await t
+      .api()
+      .post("/api/login")
+      .send({ email: user.email, password: PASSWORD })
+      .expect(200);
+
+    assert.ok(response.body.accessToken);
+    const cookie = response.headers["set-cookie"].find((value) =>
+      value.startsWith("refreshToken=")
+    );
+    assert.match(cookie, /HttpOnly/);
+    assert.match(cookie, /SameSite=Strict/);
+
+    await t
+      .api()
+      .get("/api/user/me")
+      .set("Authorization", `Bearer ${response.body.accessToken}`)
+      .expect(200);
+  });
+
+  it("stores the whole refresh token for a long email", async () => {
+    // Makes the refresh token longer than a VARCHAR(255) column can hold
+    const user = await t.createUser({
+      email: `${"kaupo.kaasik".repeat(4)}@raamatupidamisburoo.example.com`,
+    });
+
+    const { cookie } = await t.login(user.email);
+    const token = cookie.slice("refreshToken=".length);
+    assert.ok(token.length > 255);
+    assert.ok(await RefreshToken.findOne({ where: { token } }));
+
+    await t.api().post("/api/refresh-token").set("Cookie", cookie).expect(200);
+  });
+
+  it("rejects a wrong password and an unknown email alike", async () => {
+    const user = await t.createUser();
+
+    const wrong = await t
+      .api()
+      .post("/api/login")
+      .send({ email: user.email, password: "Wr0ng-passw0rd!" })
+      .expect(400);
+    const unknown = await t
+      .api()
+      .post("/api/login")
+      .send({ email: "nobody@example.com", password: PASSWORD })
+      .expect(400);
+
+    assert.equal(wrong.body.message, "Invalid email or password");
+    assert.equal(unknown.body.message, wrong.body.message);
+  });
+
+  it("requires a verified email", async () => {
+    const user = await t.createUser({ isVerified: false });
+
+    const response = await t
+      .api()
+      .post("/api/login")
+      .send({ email: user.email, password: PASSWORD })
+      .expect(400);
+
+    assert.equal(
+      response.body.message,
+      "Please verify your email before logging in"
+    );
+  });
+
+  it("rejects requests without a valid access token", async () => {
+    await t.api().get("/api/user/me").expect(401);
+    await t
+      .api()
+      .get("/api/user/me")
+      .set("Authorization", "Bearer not-a-token")
+      .expect(401);
+  });
+});
+
+describe("POST /api/refresh-token", () => {
+  it("rotates the refresh token", async () => {
+    const { cookie } = await t.signIn();
+
+    const response = await t
+      .api()
+      .post("/api/refresh-token")
+      .set("Cookie", cookie)
+      .expect(200);
+
+    assert.ok(response.body.accessToken);
+    const rotated = response.headers["set-cookie"]
+      .find((value) => value.startsWith("refreshToken="))
+      .split(";")[0];
+    assert.notEqual(rotated, cookie);
+
+    await t.api().post("/api/refresh-token").set("Cookie", rotated).expect(200);
+  });
+
+  it("revokes the whole session when a rotated token is reused", async () => {
+    const { user, cookie } = await t.signIn();
+    const response = await t
+      .api()
+      .post("/api/refresh-token")
+      .set("Cookie", cookie)
+      .expect(200);
+    const rotated = response.headers["set-cookie"][0].split(";")[0];
+    // Past the grace period for concurrent refreshes
+    await RefreshToken.update(
+      { rotatedAt: new Date(Date.now() - 60000) },
+      { where: { token: cookie.slice("refreshToken=".length) } }
+    );
+
+    const reuse = await t
+      .api()
+      .post("/api/refresh-token")
+      .set("Cookie", cookie)
+      .expect(400);
+    assert.equal(reuse.body.message, "Invalid refresh token");
+
+    // The token minted by the rotation is revoked with the rest
+    await t.api().post("/api/refresh-token").set("Cookie", rotated).expect(400);
+    assert.equal(
+      await RefreshToken.count({
+        where: { userId: user.id, isRevoked: false },
+      }),
+      0
+    );
+  });
+
+  it("lets two refreshes of the same token both succeed", async () => {
+    const { user, cookie } = await t.signIn();
+    const refresh = () =>
+      t.api().post("/api/refresh-token").set("Cookie", cookie).expect(200);
+
+    const responses = await Promise.all([refresh(), refresh()]);
+
+    const cookies = responses.map(
+      (response) => response.headers["set-cookie"][0].split(";")[0]
+    );
+    assert.notEqual(cookies[0], cookies[1]);
+    for (const rotated of cookies) {
+      await t
+        .api()
+        .post("/api/refresh-token")
+        .set("Cookie", rotated)
+        .expect(200);
+    }
+    const familyIds = await RefreshToken.findAll({
+      where: { userId: user.id },
+      attributes: ["familyId"],
+    });
+    assert.equal(new Set(familyIds.map((row) => row.familyId)).size, 1);
+  });
+
+  it("doesn't bring back a session signed out right after a refresh", async () => {
+    const { cookie } = await t.signIn();
+    const response = await t
+      .api()
+      .post("/api/refresh-token")
+      .set("Cookie", cookie)
+      .expect(200);
+    const rotated = response.headers["set-cookie"][0].split(";")[0];
+
+    await t.api().post("/api/logout").set("Cookie", rotated).expect(200);
+
+    await t.api().post("/api/refresh-token").set("Cookie", cookie).expect(400);
+  });
+
+  it("requires the cookie", async () => {
+    await t.api().post("/api/refresh-token").expect(401);
+    await t
+      .api()
+      .post("/api/refresh-token")
+      .set("Cookie", "refreshToken=unknown")
+      .expect(400);
+  });
+
+  it("stops working after logout", async () => {
+    const { cookie } = await t.signIn();
+
+    await t.api().post("/api/logout").set("Cookie", cookie).expect(200);
+
+    await t.api().post("/api/refresh-token").set("Cookie", cookie).expect(400);
+  });
+
+  it("reports only rotated tokens as reused, not signed out ones", async () => {
+    const { cookie } = await t.signIn();
+    const response = await t
+      .api()
+      .post("/api/refresh-token")
+      .set("Cookie", cookie)
+      .expect(200);
+    const rotated = response.headers["set-cookie"][0].split(";")[0];
+    await RefreshToken.update(
+      { rotatedAt: new Date(Date.now() - 60000) },
+      { where: { token: cookie.slice("refreshToken=".length) } }
+    );
+    await t.api().post("/api/logout").set("Cookie", rotated).expect(200);
+    const warn = mock.method(console, "warn", () => {});
+
+    try {
+      await t
+        .api()
+        .post("/api/refresh-token")
+        .set("Cookie", rotated)
+        .expect(400);
+      assert.equal(warn.mock.callCount(), 0);
+
+      await t
+        .api()
+        .post("/api/refresh-token")
+        .set("Cookie", cookie)
+        .expect(400);
+      assert.equal(warn.mock.callCount(), 1);
+      assert.equal(
+        JSON.parse(warn.mock.calls[0].arguments[0]).event,
+        "refresh_token_reuse"
+      );
+    } finally {
+      warn.mock.restore();
+    }
+  });
+});
+
+describe("GET /api/user/me", () => {
+  it("derives the birth date and gender from the personal ID code", async () => {
+    const { accessToken } = await t.signIn({ personalIdCode: "49403136526" });
+    const me = (query) =>
+      t
+        .api()
+        .get("/api/user/me")
+        .query(query)
+        .set("Authorization", `Bearer ${accessToken}`)
+        .expect(200);
+
+    const plain = await me({});
+    assert.equal(plain.body.user.personalIdDetails, undefined);
+
+    const detailed = await me({ include: "personalIdDetails" });
+    assert.deepEqual(detailed.body.user.personalIdDetails, {
+      birthDate: "1994-03-13",
+      gender: "female",
+    });
+  });
+});
+
+describe("password reset", () => {
+  it("resets the password with the emailed token, once", async () => {
+    const user = await t.createUser();
+
+    await t
+      .api()
+      .post("/api/forgot-password")
+      .send({ email: user.email })
+      .expect(200);
+    const token = await t.tokenFromMail(user.email);
+
+    await t
+      .api()
+      .post("/api/reset-password")
+      .send({ token, password: "N3w-passw0rd!" })
+      .expect(200);
+
+    await t.login(user.email, "N3w-passw0rd!");
+    await t
+      .api()
+      .post("/api/login")
+      .send({ email: user.email, password: PASSWORD })
+      .expect(400);
+
+    const reused = await t
+      .api()
+      .post("/api/reset-password")
+      .send({ token, password: "An0ther-passw0rd!" })
+      .expect(400);
+    assert.equal(reused.body.message, "Invalid or expired password reset link");
+
+    const confirmations = await t.deliverMail(user.email);
+    assert.equal(confirmations.length, 2);
+  });
+
+  it("records the reset in the audit trail as the user's own change", async () => {
+    const AuditEvent = require("../models/AuditEvent");
+    const user = await t.createUser();
+    await t
+      .api()
+      .post("/api/forgot-password")
+      .send({ email: user.email })
+      .expect(200);
+    const token = await t.tokenFromMail(user.email);
+
+    await t
+      .api()
+      .post("/api/reset-password")
+      .send({ token, password: "N3w-passw0rd!" })
+      .expect(200);
+
+    const events = await AuditEvent.findAll({
+      where: {
+        entityType: "User",
+        entityId: String(user.id),
+        action: "update",
+      },
+    });
+    const reset = events.find((event) => event.changes.password);
+    assert.equal(reset.actorId, user.id);
+    assert.deepEqual(reset.changes.password, {
+      from: "[redacted]",
+      to: "[redacted]",
+    });
+  });
+
+  it("doesn't send anything for an unknown email", async () => {
+    const response = await t
+      .api()
+      .post("/api/forgot-password")
+      .send({ email: "unknown@example.com" })
+      .expect(400);
+
+    assert.match(response.body.message, /If an account exists/);
+    assert.equal((await t.deliverMail("unknown@example.com")).length, 0);
+  });
+
+  it("rejects missing fields, a weak password and a forged token", async () => {
+    const user = await t.createUser();
+    await t
+      .api()
+      .post("/api/reset-password")
+      .send({ password: "N3w-passw0rd!" })
+      .expect(400);
+
+    await t
+      .api()
+      .post("/api/forgot-password")
+      .send({ email: user.email })
+      .expect(200);
+    const token = await t.tokenFromMail(user.email);
+    await t
+      .api()
+      .post("/api/reset-password")
+      .send({ token, password: "weak" })
+      .expect(400);
+
+    const forged = jwt.sign(
+      { userId: user.id, email: user.email },
+      "another-secret"
+    );
+    await t
+      .api()
+      .post("/api/reset-password")
+      .send({ token: forged, password: "N3w-passw0rd!" })
+      .expect(400);
+  });
+});
+
+describe("rate limits", () => {
+  it("limits signups per IP", async () => {
+    const api = request(createApp());
+    for (let i = 0; i < 5; i += 1) {
+      await api.post("/api/signup").send({});
+    }
+
+    const response = await api.post("/api/signup").send({}).expect(429);
+
+    assert.match(response.body.message, /Too many accounts/);
+  });
+});
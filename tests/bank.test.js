@@ -0,0 +1,308 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { setup, teardown } = require("./helpers/harness");
+const { parseStatement } = require("../services/bank/bankService");
+
+const FIXTURES = path.join(__dirname, "../services/bank/fixtures");
+
+let t;
+let owner;
+
+before(async () => {
+  t = await setup();
+  owner = await t.signIn();
+});
+
+after(teardown);
+
+// A statement fixture. The incoming payment in each carries reference
+// number 13, which is replaced by `reference` when given.
+const fixture = (fileName, reference) => {
+  const text = fs.readFileSync(path.join(FIXTURES, fileName), "utf8");
+  return Buffer.from(
+    reference ? text.replace(/([>"])13([<"])/, `$1${reference}$2`) : text
+  );
+};
+
+// A company of the owner with an issued invoice of 136.40, the amount the
+// fixtures' incoming payment pays
+const companyWithInvoice = async () => {
+  const company = await t.createCompany(owner.accessToken);
+  const call = (method, path, session = owner) =>
+    t
+      .api()
+      [method](`/api/company/${company.id}${path}`)
+      .set("Authorization", `Bearer ${session.accessToken}`);
+
+  const accounts = Object.fromEntries(
+    (await call("get", "/accounts").expect(200)).body.accounts.map(
+      (account) => [account.code, account.id]
+    )
+  );
+
+  const customer = await call("post", "/customers")
+    .send({ name: "Klient AS" })
+    .expect(201);
+  const draft = await call("post", "/invoices")
+    .send({
+      customerId: customer.body.customer.id,
+      issueDate: "2026-02-01",
+      lines: [
+        {
+          description: "Kaup",
+          quantity: "1",
+          unitPrice: "110.00",
+          vatCode: "standard",
+        },
+      ],
+    })
+    .expect(201);
+  const issued = await call("post", `/invoices/${draft.body.invoice.id}/issue`)
+    .send({})
+    .expect(200);
+  const invoice = issued.body.invoice;
+  assert.equal(Number(invoice.total), 136.4);
+
+  const upload = (fileName, { reference, accountId, session } = {}) => {
+    const request = call("post", "/bank/statements", session).attach(
+      "file",
+      fixture(fileName, reference),
+      fileName
+    );
+    return accountId ? request.field("accountId", accountId) : request;
+  };
+  const transactions = async () =>
+    (await call("get", "/bank/transactions").expect(200)).body.transactions;
+
+  return { company, call, accounts, invoice, upload, transactions };
+};
+
+// Journal lines of an entry as { accountId: [debit, credit] }
+const postedAmounts = async (call, entryId) => {
+  const response = await call("get", `/journal/${entryId}`).expect(200);
+  return Object.fromEntries(
+    response.body.entry.lines.map((line) => [
+      line.accountId,
+      [Number(line.debit), Number(line.credit)],
+    ])
+  );
+};
+
+describe("statement files", () => {
+  it("reads camt.053 with split entries and without pending ones", () => {
+    const statement = parseStatement(fixture("camt053.xml"));
+
+    assert.equal(statement.format, "camt053");
+    assert.equal(statement.iban, "EE382200221020145685");
+    assert.equal(statement.openingBalance, "1000.00");
+    assert.equal(statement.closingBalance, "1276.40");
+    assert.deepEqual(
+      statement.transactions.map((row) => [row.externalId, row.amount]),
+      [
+        ["2026020500001", "136.40"],
+        ["2026021200007-1", "100.00"],
+        ["2026021200007-2", "50.00"],
+        ["2026022800003", "-10.00"],
+      ]
+    );
+    assert.equal(statement.transactions[0].referenceNumber, "13");
+  });
+
+  for (const [fileName, format, amounts] of [
+    ["lhv.csv", "lhv_csv", ["136.40", "-2.50"]],
+    ["seb.csv", "seb_csv", ["136.40", "-500.00"]],
+    ["swedbank.csv", "swedbank_csv", ["136.40", "-1240.00", "-10.00"]],
+  ]) {
+    it(`reads the ${format} export`, () => {
+      const statement = parseStatement(fixture(fileName));
+
+      assert.equal(statement.format, format);
+      assert.deepEqual(
+        statement.transactions.map((row) => row.amount),
+        amounts
+      );
+      assert.equal(statement.transactions[0].bookingDate, "2026-02-05");
+      assert.equal(statement.transactions[0].counterpartyName, "Klient AS");
+      assert.equal(statement.transactions[0].referenceNumber, "13");
+    });
+  }
+});
+
+describe("importing statements", () => {
+  it("stores the transactions and pays the invoice with the reference", async () => {
+    const { call, accounts, invoice, upload, transactions } =
+      await companyWithInvoice();
+
+    const response = await upload("camt053.xml", {
+      reference: invoice.referenceNumber,
+    }).expect(201);
+    assert.equal(response.body.imported, 4);
+    assert.equal(response.body.skipped, 0);
+    assert.equal(response.body.matched, 1);
+    assert.equal(response.body.statement.accountId, accounts["1020"]);
+
+    const payment = (await transactions()).find(
+      (row) => row.externalId === "2026020500001"
+    );
+    assert.equal(payment.status, "matched");
+    assert.equal(payment.matchType, "auto");
+    assert.equal(payment.invoiceId, invoice.id);
+
+    const paid = await call("get", `/invoices/${invoice.id}`).expect(200);
+    assert.equal(paid.body.invoice.status, "paid");
+    assert.equal(paid.body.invoice.paymentEntryId, payment.journalEntryId);
+    assert.deepEqual(await postedAmounts(call, payment.journalEntryId), {
+      [accounts["1020"]]: [136.4, 0],
+      [accounts["1200"]]: [0, 136.4],
+    });
+  });
+
+  it("skips transactions already imported for the account", async () => {
+    const { accounts, upload, transactions } = await companyWithInvoice();
+    await upload("camt053.xml").expect(201);
+
+    const again = await upload("camt053.xml").expect(201);
+    assert.equal(again.body.imported, 0);
+    assert.equal(again.body.skipped, 4);
+
+    // The same bookings in the bank's CSV export have the same references
+    const csv = await upload("swedbank.csv").expect(201);
+    assert.equal(csv.body.imported, 1);
+    assert.equal(csv.body.skipped, 2);
+
+    // Another account keeps its own transactions
+    const cash = await upload("swedbank.csv", {
+      accountId: accounts["1010"],
+    }).expect(201);
+    assert.equal(cash.body.imported, 3);
+    assert.equal((await transactions()).length, 8);
+  });
+
+  it("tells equal bookings without a bank reference apart", async () => {
+    const { call, upload } = await companyWithInvoice();
+    await upload("lhv.csv").expect(201);
+
+    // The LHV fee has no archiving code; a second equal fee is a new booking
+    const text = fixture("lhv.csv").toString().trim();
+    const fee = text.split("\n").pop();
+    const response = await call("post", "/bank/statements")
+      .attach("file", Buffer.from(`${text}\n${fee}\n`), "lhv.csv")
+      .expect(201);
+    assert.equal(response.body.imported, 1);
+    assert.equal(response.body.skipped, 2);
+  });
+
+  it("refuses missing, unreadable and misdirected files", async () => {
+    const { call, accounts, upload } = await companyWithInvoice();
+
+    const missing = await call("post", "/bank/statements").expect(400);
+    assert.equal(missing.body.errors[0].field, "file");
+
+    await call("post", "/bank/statements")
+      .attach("file", Buffer.from("not a statement\n"), "notes.txt")
+      .expect(400, /Statement file could not be read/);
+
+    const revenue = await upload("seb.csv", {
+      accountId: accounts["4000"],
+    }).expect(400);
+    assert.equal(revenue.body.errors[0].field, "accountId");
+  });
+
+  it("lets viewers list statements but not import them", async () => {
+    const { company, call, upload } = await companyWithInvoice();
+    const viewer = await t.member(company, "viewer");
+
+    await upload("seb.csv", { session: viewer }).expect(403);
+    await upload("seb.csv").expect(201);
+    const response = await call("get", "/bank/statements", viewer).expect(200);
+    assert.equal(response.body.statements.length, 1);
+    assert.equal(response.body.statements[0].format, "seb_csv");
+  });
+});
+
+describe("matching", () => {
+  it("matches payments imported before the invoice was issued", async () => {
+    const { call, invoice, upload, transactions } = await companyWithInvoice();
+    const response = await upload("lhv.csv", {
+      reference: invoice.referenceNumber,
+    }).expect(201);
+    assert.equal(response.body.matched, 1);
+
+    // Undone, the payment is matched again on the next run
+    const payment = (await transactions()).find((row) => row.amount > 0);
+    await call("post", `/bank/transactions/${payment.id}/unmatch`).expect(200);
+    const unpaid = await call("get", `/invoices/${invoice.id}`).expect(200);
+    assert.equal(unpaid.body.invoice.status, "issued");
+
+    const rerun = await call("post", "/bank/transactions/auto-match").expect(
+      200
+    );
+    assert.equal(rerun.body.matched, 1);
+    const paid = await call("get", `/invoices/${invoice.id}`).expect(200);
+    assert.equal(paid.body.invoice.status, "paid");
+  });
+
+  it("matches a payment to an invoice by hand only for the exact total", async () => {
+    const { call, invoice, upload, transactions } = await companyWithInvoice();
+    await upload("camt053.xml").expect(201);
+    const rows = await transactions();
+    const byId = (externalId) =>
+      rows.find((row) => row.externalId === externalId);
+
+    const wrongAmount = await call(
+      "post",
+      `/bank/transactions/${byId("2026021200007-1").id}/match`
+    )
+      .send({ invoiceId: invoice.id })
+      .expect(400);
+    assert.match(wrongAmount.body.errors[0].message, /doesn't equal/);
+
+    await call("post", `/bank/transactions/${byId("2026022800003").id}/match`)
+      .send({ invoiceId: invoice.id })
+      .expect(400, /Only incoming payments/);
+
+    const payment = byId("2026020500001");
+    const matched = await call("post", `/bank/transactions/${payment.id}/match`)
+      .send({ invoiceId: invoice.id })
+      .expect(200);
+    assert.equal(matched.body.transaction.matchType, "manual");
+
+    await call("post", `/bank/transactions/${payment.id}/match`)
+      .send({ invoiceId: invoice.id })
+      .expect(400, /already matched/);
+  });
+
+  it("books other transactions to an account and reverses them on unmatch", async () => {
+    const { call, accounts, upload, transactions } = await companyWithInvoice();
+    await upload("camt053.xml").expect(201);
+    const fee = (await transactions()).find(
+      (row) => row.externalId === "2026022800003"
+    );
+
+    await call("post", `/bank/transactions/${fee.id}/match`)
+      .send({})
+      .expect(400, /Validation error/);
+    await call("post", `/bank/transactions/${fee.id}/match`)
+      .send({ accountId: accounts["1020"] })
+      .expect(400, /another account of the company/);
+
+    const matched = await call("post", `/bank/transactions/${fee.id}/match`)
+      .send({ accountId: accounts["6060"] })
+      .expect(200);
+    const entryId = matched.body.transaction.journalEntryId;
+    assert.deepEqual(await postedAmounts(call, entryId), {
+      [accounts["1020"]]: [0, 10],
+      [accounts["6060"]]: [10, 0],
+    });
+
+    await call("post", `/bank/transactions/${fee.id}/unmatch`).expect(200);
+    const entry = await call("get", `/journal/${entryId}`).expect(200);
+    assert.ok(entry.body.entry.reversedById);
+    await call("post", `/bank/transactions/${fee.id}/unmatch`).expect(
+      400,
+      /isn't matched/
+    );
+  });
+});
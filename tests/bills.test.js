@@ -0,0 +1,235 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { setup, teardown } = require("./helpers/harness");
+
+const FIXTURES = path.join(__dirname, "../services/purchases/fixtures");
+
+let t;
+let accessToken;
+let company;
+// Account ids of the seeded chart by code
+let accounts;
+
+before(async () => {
+  t = await setup();
+  ({ accessToken } = await t.signIn());
+  // The buyer the fixtures are addressed to
+  company = await t.createCompany(accessToken, {
+    registrationNumber: "10234957",
+  });
+
+  const response = await call("get", "/accounts").expect(200);
+  accounts = Object.fromEntries(
+    response.body.accounts.map((account) => [account.code, account.id])
+  );
+});
+
+after(teardown);
+
+const call = (method, path, token = accessToken) =>
+  t
+    .api()
+    [method](`/api/company/${company.id}${path}`)
+    .set("Authorization", `Bearer ${token}`);
+
+// A fixture file with each [pattern, replacement] of `edits` applied
+const fixture = (fileName, edits = []) =>
+  Buffer.from(
+    edits.reduce(
+      (text, [pattern, replacement]) => text.replace(pattern, replacement),
+      fs.readFileSync(path.join(FIXTURES, fileName), "utf8")
+    )
+  );
+
+const ingest = (file, fileName, token) =>
+  call("post", "/bills/ingest", token).attach("file", file, fileName);
+
+// Journal lines of an entry as { accountId: [debit, credit] }
+const postedAmounts = async (entryId) => {
+  const response = await call("get", `/journal/${entryId}`).expect(200);
+  return Object.fromEntries(
+    response.body.entry.lines.map((line) => [
+      line.accountId,
+      [Number(line.debit), Number(line.credit)],
+    ])
+  );
+};
+
+describe("importing e-invoices", () => {
+  it("reads a Peppol invoice into a draft bill with a new supplier", async () => {
+    const file = fixture("peppol-invoice.xml");
+    const response = await ingest(file, "peppol-invoice.xml").expect(201);
+    const { bill, report } = response.body;
+
+    assert.equal(report.valid, true);
+    assert.equal(bill.status, "draft");
+    assert.equal(bill.source, "ubl");
+    assert.equal(bill.number, "INV-2025-0412");
+    assert.equal(bill.supplierName, "Mööbliäri OÜ");
+    assert.equal(bill.dueDate, "2025-05-26");
+    assert.equal(Number(bill.netTotal), 375.5);
+    assert.equal(Number(bill.vatTotal), 78.21);
+    assert.equal(Number(bill.total), 453.71);
+    assert.deepEqual(
+      bill.lines.map((line) => [
+        line.description,
+        line.vatCode,
+        Number(line.netAmount),
+        Number(line.vatAmount),
+      ]),
+      [
+        ["Office chair", "standard", 300, 66],
+        ["Desk lamp", "standard", 45.5, 10.01],
+        ["Transport insurance", null, 20, 0],
+        ["Delivery", "standard", 10, 2.2],
+      ]
+    );
+    assert.ok(bill.lines.every((line) => line.accountId === accounts["5000"]));
+
+    const suppliers = await call("get", "/suppliers").expect(200);
+    const supplier = suppliers.body.suppliers.find(
+      (row) => row.id === bill.supplierId
+    );
+    assert.equal(supplier.registrationNumber, "14532901");
+    assert.equal(supplier.vatNumber, "EE102345678");
+
+    // The file is kept as it was sent
+    const [attachment] = bill.attachments;
+    const download = await call(
+      "get",
+      `/bills/${bill.id}/attachments/${attachment.id}`
+    )
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+    assert.equal(attachment.fileName, "peppol-invoice.xml");
+    assert.ok(download.body.equals(file));
+  });
+
+  it("reads an Estonian e-invoice and posts it when approved", async () => {
+    const response = await ingest(
+      fixture("e-invoice.xml"),
+      "e-invoice.xml"
+    ).expect(201);
+    const { bill } = response.body;
+    assert.equal(bill.source, "e_invoice");
+    assert.equal(Number(bill.total), 210.55);
+    assert.ok(bill.lines.every((line) => Number(line.vatRate) === 24));
+
+    const approved = await call("post", `/bills/${bill.id}/approve`)
+      .send({})
+      .expect(200);
+    assert.equal(approved.body.bill.status, "approved");
+    assert.deepEqual(await postedAmounts(approved.body.bill.journalEntryId), {
+      [accounts["5000"]]: [169.8, 0],
+      [accounts["1310"]]: [40.75, 0],
+      [accounts["2100"]]: [0, 210.55],
+    });
+
+    const paid = await call("post", `/bills/${bill.id}/pay`)
+      .send({ date: "2025-08-19" })
+      .expect(200);
+    assert.equal(paid.body.bill.status, "paid");
+    assert.deepEqual(await postedAmounts(paid.body.bill.paymentEntryId), {
+      [accounts["2100"]]: [210.55, 0],
+      [accounts["1020"]]: [0, 210.55],
+    });
+  });
+
+  it("refuses a bill that is already imported", async () => {
+    const file = fixture("peppol-invoice.xml", [
+      [/INV-2025-0412/, "INV-2025-0413"],
+    ]);
+    await ingest(file, "first.xml").expect(201);
+
+    const response = await ingest(file, "again.xml").expect(400);
+    assert.equal(response.body.message, "Document failed validation");
+    assert.deepEqual(
+      response.body.report.errors.map((error) => error.rule),
+      ["BILL-DUPLICATE"]
+    );
+  });
+
+  for (const [name, file, rules] of [
+    ["a file that isn't XML", Buffer.from("%PDF-1.4"), ["FORMAT"]],
+    [
+      "totals that don't add up",
+      fixture("peppol-invoice.xml", [
+        [/INV-2025-0412/, "INV-2025-0414"],
+        [/>453.71</g, ">453.72<"],
+      ]),
+      ["BR-CO-15"],
+    ],
+    [
+      "a bill addressed to another company",
+      fixture("e-invoice.xml", [
+        [/KT-2025-0815/g, "KT-2025-0816"],
+        [/10234957/g, "10000018"],
+      ]),
+      ["BILL-BUYER"],
+    ],
+    [
+      "another currency",
+      fixture("e-invoice.xml", [
+        [/KT-2025-0815/g, "KT-2025-0817"],
+        [/>EUR</g, ">USD<"],
+      ]),
+      ["BILL-CURRENCY"],
+    ],
+  ]) {
+    it(`refuses ${name}`, async () => {
+      const response = await ingest(file, "bill.xml").expect(400);
+
+      assert.equal(response.body.report.valid, false);
+      assert.deepEqual(
+        response.body.report.errors.map((error) => error.rule),
+        rules
+      );
+    });
+  }
+
+  it("needs a file and the right to enter bills", async () => {
+    const missing = await call("post", "/bills/ingest").expect(400);
+    assert.equal(missing.body.errors[0].field, "file");
+
+    const viewer = await t.member(company, "viewer");
+    await ingest(
+      fixture("e-invoice.xml"),
+      "e-invoice.xml",
+      viewer.accessToken
+    ).expect(403);
+    await call("get", "/bills", viewer.accessToken).expect(200);
+  });
+});
+
+describe("listing bills", () => {
+  it("filters by status and type", async () => {
+    const paid = await call("get", "/bills?status=paid").expect(200);
+    assert.equal(paid.body.total, 1);
+    assert.equal(paid.body.bills[0].number, "KT-2025-0815");
+
+    const drafts = await call("get", "/bills?status=draft&type=bill").expect(
+      200
+    );
+    assert.ok(drafts.body.bills.every((bill) => bill.status === "draft"));
+  });
+
+  it("refuses unknown statuses and types", async () => {
+    const response = await call(
+      "get",
+      "/bills?status=open&type=invoice"
+    ).expect(400);
+
+    assert.deepEqual(
+      response.body.errors.map((error) => error.field),
+      ["status", "type"]
+    );
+    assert.match(response.body.errors[0].message, /draft, approved/);
+  });
+});
@@ -0,0 +1,648 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, teardown } = require("./helpers/harness");
+const Company = require("../models/Company");
+const CompanyMembership = require("../models/CompanyMembership");
+const CompanyInvitation = require("../models/CompanyInvitation");
+
+let t;
+
+before(async () => {
+  t = await setup();
+});
+
+after(teardown);
+
+const auth = (accessToken) => ({ Authorization: `Bearer ${accessToken}` });
+
+describe("POST /api/company/create", () => {
+  it("creates the company with the caller as owner and a chart of accounts", async () => {
+    const { accessToken, user } = await t.signIn();
+
+    const company = await t.createCompany(accessToken, { name: "Uus OÜ" });
+
+    assert.equal(company.name, "Uus OÜ");
+    const membership = await CompanyMembership.findOne({
+      where: { companyId: company.id, userId: user.id },
+    });
+    assert.equal(membership.role, "owner");
+
+    const accounts = await t
+      .api()
+      .get(`/api/company/${company.id}/accounts`)
+      .set(auth(accessToken))
+      .expect(200);
+    assert.ok(accounts.body.accounts.length > 0);
+  });
+
+  it("rejects a registration number that is already taken", async () => {
+    const { accessToken } = await t.signIn();
+    const company = await t.createCompany(accessToken);
+
+    const response = await t
+      .api()
+      .post("/api/company/create")
+      .set(auth(accessToken))
+      .send({
+        name: "Teine OÜ",
+        registrationNumber: company.registrationNumber,
+      })
+      .expect(400);
+
+    assert.equal(
+      response.body.message,
+      "Company with this registration number already exists"
+    );
+  });
+
+  it("rejects invalid details", async () => {
+    const { accessToken } = await t.signIn();
+
+    const response = await t
+      .api()
+      .post("/api/company/create")
+      .set(auth(accessToken))
+      .send({ name: "", registrationNumber: "123" })
+      .expect(400);
+
+    assert.equal(response.body.message, "Validation error");
+  });
+
+  it("requires authentication", async () => {
+    await t
+      .api()
+      .post("/api/company/create")
+      .send({ name: "Anon OÜ", registrationNumber: t.nextRegistrationNumber() })
+      .expect(401);
+  });
+});
+
+describe("GET /api/company/lookup/:registrationNumber", () => {
+  it("returns the company from the business register", async () => {
+    const { accessToken } = await t.signIn();
+
+    const response = await t
+      .api()
+      .get("/api/company/lookup/10234957")
+      .set(auth(accessToken))
+      .expect(200);
+
+    assert.equal(response.body.company.name, "Näidis Raamatupidamine OÜ");
+  });
+
+  it("rejects an invalid registration number", async () => {
+    const { accessToken } = await t.signIn();
+
+    const response = await t
+      .api()
+      .get("/api/company/lookup/10234958")
+      .set(auth(accessToken))
+      .expect(400);
+
+    assert.equal(response.body.errors[0].field, "registrationNumber");
+  });
+
+  it("returns 404 for a company that isn't registered", async () => {
+    const { accessToken } = await t.signIn();
+
+    const response = await t
+      .api()
+      .get(`/api/company/lookup/${t.nextRegistrationNumber()}`)
+      .set(auth(accessToken))
+      .expect(404);
+
+    assert.equal(
+      response.body.message,
+      "Company not found in the business register"
+    );
+  });
+});
+
+describe("GET /api/company/list", () => {
+  it("lists only the caller's companies with their role", async () => {
+    const owner = await t.signIn();
+    const own = await t.createCompany(owner.accessToken, { name: "Oma OÜ" });
+    const other = await t.signIn();
+    const shared = await t.createCompany(other.accessToken, {
+      name: "Jagatud OÜ",
+    });
+    await t.createCompany(other.accessToken, { name: "Võõras OÜ" });
+    await CompanyMembership.create({
+      companyId: shared.id,
+      userId: owner.user.id,
+      role: "viewer",
+    });
+
+    const response = await t
+      .api()
+      .get("/api/company/list")
+      .set(auth(owner.accessToken))
+      .expect(200);
+
+    const roles = Object.fromEntries(
+      response.body.companies.map((company) => [company.id, company.role])
+    );
+    assert.deepEqual(roles, { [own.id]: "owner", [shared.id]: "viewer" });
+  });
+});
+
+describe("GET /api/company/:id", () => {
+  it("returns the company with the caller's role", async () => {
+    const { accessToken } = await t.signIn();
+    const company = await t.createCompany(accessToken);
+
+    const response = await t
+      .api()
+      .get(`/api/company/${company.id}`)
+      .set(auth(accessToken))
+      .expect(200);
+
+    assert.equal(response.body.company.id, company.id);
+    assert.equal(response.body.company.role, "owner");
+  });
+
+  it("hides companies the caller isn't a member of", async () => {
+    const owner = await t.signIn();
+    const company = await t.createCompany(owner.accessToken);
+    const outsider = await t.signIn();
+
+    const response = await t
+      .api()
+      .get(`/api/company/${company.id}`)
+      .set(auth(outsider.accessToken))
+      .expect(404);
+
+    assert.equal(response.body.message, "Company not found");
+    await t
+      .api()
+      .get("/api/company/999999")
+      .set(auth(owner.accessToken))
+      .expect(404);
+  });
+});
+
+describe("PUT /api/company/:id", () => {
+  it("updates the company", async () => {
+    const { accessToken } = await t.signIn();
+    const company = await t.createCompany(accessToken);
+
+    const response = await t
+      .api()
+      .put(`/api/company/${company.id}`)
+      .set(auth(accessToken))
+      .send({ name: "Muudetud OÜ" })
+      .expect(200);
+
+    assert.equal(response.body.company.name, "Muudetud OÜ");
+  });
+
+  it("lets accountants update but not viewers or auditors", async () => {
+    const owner = await t.signIn();
+    const company = await t.createCompany(owner.accessToken);
+
+    const accountant = await t.member(company, "accountant");
+    await t
+      .api()
+      .put(`/api/company/${company.id}`)
+      .set(auth(accountant.accessToken))
+      .send({ name: "Raamatupidaja OÜ" })
+      .expect(200);
+
+    for (const role of ["viewer", "auditor"]) {
+      const { accessToken } = await t.member(company, role);
+      const response = await t
+        .api()
+        .put(`/api/company/${company.id}`)
+        .set(auth(accessToken))
+        .send({ name: "Keelatud OÜ" })
+        .expect(403);
+      assert.equal(
+        response.body.message,
+        "You do not have permission to perform this action"
+      );
+    }
+  });
+
+  it("rejects invalid details and changes to an archived company", async () => {
+    const { accessToken } = await t.signIn();
+    const company = await t.createCompany(accessToken);
+
+    await t
+      .api()
+      .put(`/api/company/${company.id}`)
+      .set(auth(accessToken))
+      .send({ email: "not-an-email" })
+      .expect(400);
+
+    await t
+      .api()
+      .post(`/api/company/${company.id}/archive`)
+      .set(auth(accessToken))
+      .expect(200);
+    const response = await t
+      .api()
+      .put(`/api/company/${company.id}`)
+      .set(auth(accessToken))
+      .send({ name: "Arhiveeritud OÜ" })
+      .expect(400);
+
+    assert.equal(
+      response.body.message,
+      "Archived companies can't be modified, restore it first"
+    );
+  });
+});
+
+describe("archiving and deleting", () => {
+  it("archives, restores, then deletes an archived company", async () => {
+    const { accessToken } = await t.signIn();
+    const company = await t.createCompany(accessToken);
+    const url = `/api/company/${company.id}`;
+
+    const notArchived = await t
+      .api()
+      .delete(url)
+      .set(auth(accessToken))
+      .expect(400);
+    assert.equal(
+      notArchived.body.message,
+      "Archive the company before deleting it"
+    );
+
+    await t
+      .api()
+      .post(`${url}/restore`)
+      .set(auth(accessToken))
+      .expect(400, /Company is not archived/);
+    await t.api().post(`${url}/archive`).set(auth(accessToken)).expect(200);
+    await t
+      .api()
+      .post(`${url}/archive`)
+      .set(auth(accessToken))
+      .expect(400, /Company is already archived/);
+    await t.api().post(`${url}/restore`).set(auth(accessToken)).expect(200);
+    await t.api().post(`${url}/archive`).set(auth(accessToken)).expect(200);
+
+    await t.api().delete(url).set(auth(accessToken)).expect(200);
+
+    assert.equal(await Company.findByPk(company.id), null);
+    assert.equal(
+      await CompanyMembership.count({ where: { companyId: company.id } }),
+      0
+    );
+  });
+
+  it("only lets the owner delete", async () => {
+    const owner = await t.signIn();
+    const company = await t.createCompany(owner.accessToken);
+    const accountant = await t.member(company, "accountant");
+    const viewer = await t.member(company, "viewer");
+
+    await t
+      .api()
+      .post(`/api/company/${company.id}/archive`)
+      .set(auth(viewer.accessToken))
+      .expect(403);
+    await t
+      .api()
+      .post(`/api/company/${company.id}/archive`)
+      .set(auth(accountant.accessToken))
+      .expect(200);
+    await t
+      .api()
+      .delete(`/api/company/${company.id}`)
+      .set(auth(accountant.accessToken))
+      .expect(403);
+
+    assert.ok(await Company.findByPk(company.id));
+  });
+});
+
+describe("members and invitations", () => {
+  it("invites a user who accepts and becomes a member", async () => {
+    const owner = await t.signIn();
+    const company = await t.createCompany(owner.accessToken);
+    const invitee = await t.signIn();
+
+    await t
+      .api()
+      .post(`/api/company/${company.id}/invitations`)
+      .set(auth(owner.accessToken))
+      .send({ email: invitee.user.email, role: "accountant" })
+      .expect(201);
+    const token = await t.tokenFromMail(invitee.user.email);
+    assert.ok(token);
+
+    const pending = await t
+      .api()
+      .get(`/api/company/${company.id}/invitations`)
+      .set(auth(owner.accessToken))
+      .expect(200);
+    assert.equal(pending.body.invitations[0].email, invitee.user.email);
+    assert.equal(pending.body.invitations[0].tokenHash, undefined);
+
+    const accepted = await t
+      .api()
+      .post("/api/company/invitations/accept")
+      .set(auth(invitee.accessToken))
+      .send({ token })
+      .expect(200);
+    assert.equal(accepted.body.membership.role, "accountant");
+
+    const members = await t
+      .api()
+      .get(`/api/company/${company.id}/members`)
+      .set(auth(invitee.accessToken))
+      .expect(200);
+    const roles = Object.fromEntries(
+      members.body.members.map((entry) => [entry.user.email, entry.role])
+    );
+    assert.deepEqual(roles, {
+      [owner.user.email]: "owner",
+      [invitee.user.email]: "accountant",
+    });
+
+    const again = await t
+      .api()
+      .post("/api/company/invitations/accept")
+      .set(auth(invitee.accessToken))
+      .send({ token })
+      .expect(400);
+    assert.equal(again.body.message, "Invitation is no longer valid");
+  });
+
+  it("lets the invitee decline", async () => {
+    const owner = await t.signIn();
+    const company = await t.createCompany(owner.accessToken);
+    const invitee = await t.signIn();
+    await t
+      .api()
+      .post(`/api/company/${company.id}/invitations`)
+      .set(auth(owner.accessToken))
+      .send({ email: invitee.user.email, role: "viewer" })
+      .expect(201);
+    const token = await t.tokenFromMail(invitee.user.email);
+
+    await t
+      .api()
+      .post("/api/company/invitations/decline")
+      .set(auth(invitee.accessToken))
+      .send({ token })
+      .expect(200);
+
+    const invitation = await CompanyInvitation.findOne({
+      where: { companyId: company.id, email: invitee.user.email },
+    });
+    assert.equal(invitation.status, "declined");
+    await t
+      .api()
+      .post("/api/company/invitations/accept")
+      .set(auth(invitee.accessToken))
+      .send({ token })
+      .expect(400);
+  });
+
+  it("only accepts invitations for the invited email", async () => {
+    const owner = await t.signIn();
+    const company = await t.createCompany(owner.accessToken);
+    const invitee = await t.signIn();
+    const someoneElse = await t.signIn();
+    await t
+      .api()
+      .post(`/api/company/${company.id}/invitations`)
+      .set(auth(owner.accessToken))
+      .send({ email: invitee.user.email, role: "viewer" })
+      .expect(201);
+    const token = await t.tokenFromMail(invitee.user.email);
+
+    const response = await t
+      .api()
+      .post("/api/company/invitations/accept")
+      .set(auth(someoneElse.accessToken))
+      .send({ token })
+      .expect(404);
+
+    assert.equal(response.body.message, "Invitation not found");
+    await t
+      .api()
+      .post("/api/company/invitations/decline")
+      .set(auth(invitee.accessToken))
+      .send({ token: "unknown" })
+      .expect(404);
+  });
+
+  it("rejects expired and superseded invitations", async () => {
+    const owner = await t.signIn();
+    const company = await t.createCompany(owner.accessToken);
+    const invitee = await t.signIn();
+    const invite = () =>
+      t
+        .api()
+        .post(`/api/company/${company.id}/invitations`)
+        .set(auth(owner.accessToken))
+        .send({ email: invitee.user.email, role: "viewer" })
+        .expect(201);
+
+    await invite();
+    const superseded = await t.tokenFromMail(invitee.user.email);
+    const response = await invite();
+    const latest = await t.tokenFromMail(invitee.user.email);
+
+    await t
+      .api()
+      .post("/api/company/invitations/accept")
+      .set(auth(invitee.accessToken))
+      .send({ token: superseded })
+      .expect(400);
+
+    await CompanyInvitation.update(
+      { expiresAt: new Date(Date.now() - 1000) },
+      { where: { id: response.body.invitation.id } }
+    );
+    await t
+      .api()
+      .post("/api/company/invitations/accept")
+      .set(auth(invitee.accessToken))
+      .send({ token: latest })
+      .expect(400);
+  });
+
+  it("rejects inviting a member or an invalid role", async () => {
+    const owner = await t.signIn();
+    const company = await t.createCompany(owner.accessToken);
+    const viewer = await t.member(company, "viewer");
+
+    const existing = await t
+      .api()
+      .post(`/api/company/${company.id}/invitations`)
+      .set(auth(owner.accessToken))
+      .send({ email: viewer.user.email, role: "accountant" })
+      .expect(400);
+    assert.equal(
+      existing.body.message,
+      "User is already a member of this company"
+    );
+
+    await t
+      .api()
+      .post(`/api/company/${company.id}/invitations`)
+      .set(auth(owner.accessToken))
+      .send({ email: "new@example.com", role: "emperor" })
+      .expect(400);
+  });
+
+  it("doesn't let viewers invite or see invitations", async () => {
+    const owner = await t.signIn();
+    const company = await t.createCompany(owner.accessToken);
+    const viewer = await t.member(company, "viewer");
+
+    await t
+      .api()
+      .post(`/api/company/${company.id}/invitations`)
+      .set(auth(viewer.accessToken))
+      .send({ email: "new@example.com", role: "viewer" })
+      .expect(403);
+    await t
+      .api()
+      .get(`/api/company/${company.id}/invitations`)
+      .set(auth(viewer.accessToken))
+      .expect(403);
+  });
+
+  it("hides members from non-members", async () => {
+    const owner = await t.signIn();
+    const company = await t.createCompany(owner.accessToken);
+    const outsider = await t.signIn();
+
+    await t
+      .api()
+      .get(`/api/company/${company.id}/members`)
+      .set(auth(outsider.accessToken))
+      .expect(404);
+  });
+});
+
+describe("archived companies", () => {
+  // Every write under a company, with placeholder ids: the check runs before
+  // the route looks anything up
+  const WRITES = [
+    ["put", ""],
+    ["post", "/invitations"],
+    ["post", "/accounts"],
+    ["put", "/accounts/1"],
+    ["delete", "/accounts/1"],
+    ["post", "/journal"],
+    ["put", "/journal/1"],
+    ["delete", "/journal/1"],
+    ["post", "/journal/1/post"],
+    ["post", "/journal/1/reverse"],
+    ["post", "/fiscal-years"],
+    ["post", "/fiscal-years/1/close"],
+    ["post", "/fiscal-years/1/reopen"],
+    ["post", "/fiscal-years/1/periods/1/close"],
+    ["post", "/fiscal-years/1/periods/1/reopen"],
+    ["post", "/customers"],
+    ["put", "/customers/1"],
+    ["delete", "/customers/1"],
+    ["post", "/invoice-series"],
+    ["put", "/invoice-series/1"],
+    ["post", "/invoices"],
+    ["put", "/invoices/1"],
+    ["delete", "/invoices/1"],
+    ["post", "/invoices/1/issue"],
+    ["post", "/invoices/1/pay"],
+    ["post", "/invoices/1/credit"],
+    ["post", "/bank/statements"],
+    ["post", "/bank/transactions/auto-match"],
+    ["post", "/bank/transactions/1/match"],
+    ["post", "/bank/transactions/1/unmatch"],
+    ["post", "/suppliers"],
+    ["put", "/suppliers/1"],
+    ["delete", "/suppliers/1"],
+    ["post", "/bills"],
+    ["post", "/bills/ingest"],
+    ["put", "/bills/1"],
+    ["delete", "/bills/1"],
+    ["post", "/bills/1/approve"],
+    ["post", "/bills/1/reject"],
+    ["post", "/bills/1/pay"],
+    ["post", "/bills/1/attachments"],
+  ];
+
+  const READS = [
+    "",
+    "/members",
+    "/invitations",
+    "/accounts",
+    "/journal",
+    "/fiscal-years",
+    "/customers",
+    "/invoice-series",
+    "/invoices",
+    "/bank/statements",
+    "/suppliers",
+    "/bills",
+    "/reports/trial-balance",
+    "/audit",
+  ];
+
+  let owner;
+  let company;
+
+  before(async () => {
+    owner = await t.signIn();
+    company = await t.createCompany(owner.accessToken);
+    await t
+      .api()
+      .post(`/api/company/${company.id}/archive`)
+      .set(auth(owner.accessToken))
+      .expect(200);
+  });
+
+  it("refuses every write", async () => {
+    for (const [method, path] of WRITES) {
+      const response = await t
+        .api()
+        [method](`/api/company/${company.id}${path}`)
+        .set(auth(owner.accessToken))
+        .send({});
+
+      assert.equal(response.status, 400, `${method} ${path}`);
+      assert.equal(
+        response.body.message,
+        "Archived companies can't be modified, restore it first"
+      );
+    }
+  });
+
+  it("still allows reading", async () => {
+    for (const path of READS) {
+      await t
+        .api()
+        .get(`/api/company/${company.id}${path}`)
+        .set(auth(owner.accessToken))
+        .expect(200);
+    }
+  });
+
+  it("allows writes again after a restore", async () => {
+    const archived = await t.createCompany(owner.accessToken);
+    const url = `/api/company/${archived.id}`;
+    await t.api().post(`${url}/archive`).set(auth(owner.accessToken));
+    await t
+      .api()
+      .post(`${url}/customers`)
+      .set(auth(owner.accessToken))
+      .send({ name: "Klient OÜ" })
+      .expect(400);
+
+    await t.api().post(`${url}/restore`).set(auth(owner.accessToken));
+
+    await t
+      .api()
+      .post(`${url}/customers`)
+      .set(auth(owner.accessToken))
+      .send({ name: "Klient OÜ" })
+      .expect(201);
+  });
+});
@@ -0,0 +1,143 @@
+// Boots the app in-process against a throwaway database: SQLite in memory
+// unless DB_DIALECT / DATABASE_URL point elsewhere. node --test runs every
+// file in its own process, so each test file starts from an empty database.
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-jwt-secret";
+process.env.REFRESH_TOKEN_SECRET =
+  process.env.REFRESH_TOKEN_SECRET || "test-refresh-token-secret";
+process.env.FRONTEND_URL = "http://frontend.test";
+process.env.REGISTRY_PROVIDER = "fixture";
+
+const request = require("supertest");
+const sequelize = require("../../config/database");
+const { createApp } = require("../../app");
+const { migrate } = require("../../utils/migrator");
+const { createMailService, setMailService } = require("../../services/mail");
+const { createMemoryTransport } = require("../../services/mail/transports");
+const { createOutboxWorker } = require("../../services/mail/outboxWorker");
+const mod11CheckDigit = require("../../utils/mod11");
+const CompanyMembership = require("../../models/CompanyMembership");
+const User = require("../../models/User");
+const VatRate = require("../../models/VatRate");
+
+// Emails are queued in the outbox; deliverMail() hands them to this fake
+// transport instead of a real one
+const transport = createMemoryTransport();
+const mailService = createMailService({ transport, from: "rpk@example.com" });
+setMailService(mailService);
+const outbox = createOutboxWorker({ mailService });
+
+const PASSWORD = "Passw0rd!";
+
+let serial = 0;
+
+// Unique, valid Estonian codes for the test data
+const withCheckDigit = (prefix) => {
+  const digits = prefix.split("").map(Number);
+  return `${prefix}${mod11CheckDigit(digits)}`;
+};
+const nextPersonalIdCode = () =>
+  withCheckDigit(`3900101${String(++serial).padStart(3, "0")}`);
+const nextRegistrationNumber = () =>
+  withCheckDigit(`1700${String(++serial).padStart(3, "0")}`);
+
+/**
+ * Migrates the database and returns the app with helpers for the tests.
+ * Rate limits are off; tests that cover them build their own app.
+ */
+const setup = async () => {
+  await migrate();
+  // As on server start, so VAT rates resolve like in production
+  await VatRate.seedDefaults();
+  const app = createApp({ rateLimits: false });
+  const api = () => request(app);
+
+  // Sends the queued emails and returns the ones addressed to `to`
+  const deliverMail = async (to) => {
+    await outbox.processBatch();
+    return transport.messages.filter((message) => message.to === to);
+  };
+
+  // The token in the link of the latest email to `to`
+  const tokenFromMail = async (to) => {
+    const messages = await deliverMail(to);
+    const latest = messages[messages.length - 1];
+    const match = latest && latest.text.match(/token=([\w.-]+)/);
+    return match ? match[1] : null;
+  };
+
+  // A verified user, created directly in the database
+  const createUser = (values = {}) =>
+    User.create({
+      name: "Test",
+      surname: "User",
+      personalIdCode: nextPersonalIdCode(),
+      email: `user${++serial}@example.com`,
+      password: PASSWORD,
+      isVerified: true,
+      ...values,
+    });
+
+  // Logs in and returns the access token and the refresh token cookie
+  const login = async (email, password = PASSWORD) => {
+    const response = await api()
+      .post("/api/login")
+      .send({ email, password })
+      .expect(200);
+    const cookie = response.headers["set-cookie"]
+      .find((value) => value.startsWith("refreshToken="))
+      .split(";")[0];
+    return { accessToken: response.body.accessToken, cookie };
+  };
+
+  // A verified, logged in user
+  const signIn = async (values) => {
+    const user = await createUser(values);
+    return { user, ...(await login(user.email)) };
+  };
+
+  const createCompany = async (accessToken, values = {}) => {
+    const response = await api()
+      .post("/api/company/create")
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send({
+        name: "Test OÜ",
+        registrationNumber: nextRegistrationNumber(),
+        email: "info@example.com",
+        address: "Tallinn",
+        ...values,
+      })
+      .expect(201);
+    return response.body.company;
+  };
+
+  // A signed in user with the given role in the company
+  const member = async (company, role) => {
+    const session = await signIn();
+    await CompanyMembership.create({
+      companyId: company.id,
+      userId: session.user.id,
+      role,
+    });
+    return session;
+  };
+
+  return {
+    app,
+    api,
+    transport,
+    deliverMail,
+    tokenFromMail,
+    createUser,
+    login,
+    signIn,
+    createCompany,
+    member,
+    nextPersonalIdCode,
+    nextRegistrationNumber,
+  };
+};
+
+const teardown = () => sequelize.close();
+
+module.exports = { setup, teardown, PASSWORD };
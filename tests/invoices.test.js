@@ -0,0 +1,319 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, teardown } = require("./helpers/harness");
+const InvoiceSeries = require("../models/InvoiceSeries");
+
+let t;
+let accessToken;
+let company;
+let customer;
+// Account ids of the seeded chart by code
+let accounts;
+
+before(async () => {
+  t = await setup();
+  ({ accessToken } = await t.signIn());
+  company = await t.createCompany(accessToken);
+
+  const response = await call("get", "/accounts").expect(200);
+  accounts = Object.fromEntries(
+    response.body.accounts.map((account) => [account.code, account.id])
+  );
+
+  const created = await call("post", "/customers")
+    .send({ name: "Klient OÜ", paymentTermDays: 14 })
+    .expect(201);
+  customer = created.body.customer;
+});
+
+after(teardown);
+
+const call = (method, path, token = accessToken) =>
+  t
+    .api()
+    [method](`/api/company/${company.id}${path}`)
+    .set("Authorization", `Bearer ${token}`);
+
+const consulting = {
+  description: "Konsultatsioon",
+  quantity: "2",
+  unit: "h",
+  unitPrice: "100.00",
+  vatCode: "standard",
+};
+
+const createDraft = async (values = {}) => {
+  const response = await call("post", "/invoices")
+    .send({
+      customerId: customer.id,
+      issueDate: "2025-03-10",
+      lines: [consulting],
+      ...values,
+    })
+    .expect(201);
+  return response.body.invoice;
+};
+
+const issue = async (invoice) => {
+  const response = await call("post", `/invoices/${invoice.id}/issue`)
+    .send({})
+    .expect(200);
+  return response.body.invoice;
+};
+
+// Journal lines of an entry as { accountId: [debit, credit] }
+const postedAmounts = async (entryId) => {
+  const response = await call("get", `/journal/${entryId}`).expect(200);
+  return Object.fromEntries(
+    response.body.entry.lines.map((line) => [
+      line.accountId,
+      [Number(line.debit), Number(line.credit)],
+    ])
+  );
+};
+
+describe("draft invoices", () => {
+  it("computes the amounts and the due date from the payment term", async () => {
+    const invoice = await createDraft();
+
+    assert.equal(invoice.status, "draft");
+    assert.ok(!invoice.number);
+    assert.equal(invoice.dueDate, "2025-03-24");
+    assert.equal(Number(invoice.netTotal), 200);
+    assert.equal(Number(invoice.vatTotal), 44);
+    assert.equal(Number(invoice.total), 244);
+    assert.equal(Number(invoice.lines[0].vatRate), 22);
+    assert.equal(invoice.lines[0].accountId, accounts["4000"]);
+  });
+
+  it("prices the lines again when only the issue date changes", async () => {
+    const invoice = await createDraft({ issueDate: "2025-06-15" });
+    assert.equal(Number(invoice.total), 244);
+
+    // The standard rate went from 22% to 24% on 1 July 2025
+    const response = await call("put", `/invoices/${invoice.id}`)
+      .send({ issueDate: "2025-07-15", dueDate: "2025-07-29" })
+      .expect(200);
+    const updated = response.body.invoice;
+
+    assert.equal(Number(updated.lines[0].vatRate), 24);
+    assert.equal(updated.lines[0].description, "Konsultatsioon");
+    assert.equal(Number(updated.vatTotal), 48);
+    assert.equal(Number(updated.total), 248);
+    await issue(updated);
+  });
+
+  it("reports every invalid line field", async () => {
+    const response = await call("post", "/invoices")
+      .send({
+        customerId: customer.id,
+        issueDate: "2025-03-10",
+        lines: [
+          { description: "", quantity: "0", unitPrice: "1.001" },
+          { ...consulting, vatCode: undefined, vatRate: "0" },
+          { ...consulting, accountId: accounts["1020"] },
+        ],
+      })
+      .expect(400);
+
+    assert.deepEqual(
+      response.body.errors.map((error) => error.field),
+      [
+        "lines[0].description",
+        "lines[0].quantity",
+        "lines[0].unitPrice",
+        "lines[0].vatCode",
+        "lines[1].vatCode",
+        "lines[2].accountId",
+      ]
+    );
+  });
+
+  it("refuses a due date before the issue date and unknown customers", async () => {
+    await call("post", "/invoices")
+      .send({
+        customerId: customer.id,
+        issueDate: "2025-03-10",
+        dueDate: "2025-03-01",
+        lines: [consulting],
+      })
+      .expect(400, /Due date can't be before the issue date/);
+
+    await call("post", "/invoices")
+      .send({ customerId: 999999, lines: [consulting] })
+      .expect(400, /Customer not found/);
+  });
+});
+
+describe("issuing", () => {
+  it("numbers invoices without gaps from one default series", async () => {
+    const first = await issue(await createDraft());
+    const second = await issue(await createDraft());
+
+    assert.match(first.number, /^ARV-\d+$/);
+    assert.equal(
+      Number(second.number.slice(4)),
+      Number(first.number.slice(4)) + 1
+    );
+    assert.equal(first.customerName, "Klient OÜ");
+    assert.ok(first.referenceNumber);
+    assert.equal(
+      await InvoiceSeries.count({
+        where: {
+          companyId: company.id,
+          documentType: "invoice",
+          isDefault: true,
+        },
+      }),
+      1
+    );
+  });
+
+  it("allows only one default series per document type", async () => {
+    await assert.rejects(
+      InvoiceSeries.create({
+        companyId: company.id,
+        documentType: "invoice",
+        name: "Second default",
+        prefix: "X-",
+        isDefault: true,
+      }),
+      { name: "SequelizeUniqueConstraintError" }
+    );
+
+    // Through the API the previous default is demoted instead
+    const response = await call("post", "/invoice-series")
+      .send({
+        name: "Web shop",
+        documentType: "invoice",
+        prefix: "WEB-",
+        isDefault: true,
+      })
+      .expect(201);
+    const invoice = await issue(await createDraft());
+    assert.equal(invoice.seriesId, response.body.series.id);
+    assert.equal(invoice.number, "WEB-0001");
+  });
+
+  it("posts receivables against sales and output VAT", async () => {
+    const invoice = await issue(await createDraft());
+
+    assert.deepEqual(await postedAmounts(invoice.journalEntryId), {
+      [accounts["1200"]]: [244, 0],
+      [accounts["4000"]]: [0, 200],
+      [accounts["2310"]]: [0, 44],
+    });
+  });
+
+  it("keeps issued invoices unchanged", async () => {
+    const invoice = await issue(await createDraft());
+
+    await call("put", `/invoices/${invoice.id}`)
+      .send({ notes: "Muudetud" })
+      .expect(400, /Issued invoices can't be changed/);
+    await call("delete", `/invoices/${invoice.id}`).expect(
+      400,
+      /Issued invoices can't be changed/
+    );
+    await call("post", `/invoices/${invoice.id}/issue`)
+      .send({})
+      .expect(400, /already issued/);
+  });
+
+  it("renders the PDF", async () => {
+    const invoice = await issue(await createDraft());
+
+    const response = await call("get", `/invoices/${invoice.id}/pdf`)
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+
+    assert.equal(response.headers["content-type"], "application/pdf");
+    assert.equal(response.body.subarray(0, 5).toString(), "%PDF-");
+  });
+});
+
+describe("payments and credit notes", () => {
+  it("posts the payment to the bank account", async () => {
+    const invoice = await issue(await createDraft());
+
+    const response = await call("post", `/invoices/${invoice.id}/pay`)
+      .send({ date: "2025-03-20" })
+      .expect(200);
+
+    assert.equal(response.body.invoice.status, "paid");
+    assert.deepEqual(
+      await postedAmounts(response.body.invoice.paymentEntryId),
+      {
+        [accounts["1020"]]: [244, 0],
+        [accounts["1200"]]: [0, 244],
+      }
+    );
+    await call("post", `/invoices/${invoice.id}/pay`)
+      .send({})
+      .expect(400, /Only issued invoices can be marked paid/);
+  });
+
+  it("cancels an invoice with a credit note that posts the other way", async () => {
+    const invoice = await issue(await createDraft());
+
+    const response = await call("post", `/invoices/${invoice.id}/credit`)
+      .send({ date: "2025-03-25" })
+      .expect(201);
+    const creditNote = response.body.invoice;
+
+    assert.equal(creditNote.type, "credit_note");
+    assert.equal(creditNote.status, "issued");
+    assert.equal(creditNote.creditedInvoiceId, invoice.id);
+    assert.match(creditNote.number, /^KR-\d+$/);
+    assert.equal(Number(creditNote.total), 244);
+    assert.deepEqual(await postedAmounts(creditNote.journalEntryId), {
+      [accounts["1200"]]: [0, 244],
+      [accounts["4000"]]: [200, 0],
+      [accounts["2310"]]: [44, 0],
+    });
+
+    const original = await call("get", `/invoices/${invoice.id}`).expect(200);
+    assert.equal(original.body.invoice.status, "credited");
+    await call("post", `/invoices/${invoice.id}/credit`)
+      .send({})
+      .expect(400, /Only issued or paid invoices can be credited/);
+  });
+
+  it("doesn't credit drafts or credit notes", async () => {
+    const draft = await createDraft();
+    await call("post", `/invoices/${draft.id}/credit`)
+      .send({})
+      .expect(400, /Only issued or paid invoices can be credited/);
+
+    const invoice = await issue(await createDraft());
+    const credited = await call("post", `/invoices/${invoice.id}/credit`)
+      .send({})
+      .expect(201);
+    await call("post", `/invoices/${credited.body.invoice.id}/credit`)
+      .send({})
+      .expect(400, /Only issued or paid invoices can be credited/);
+  });
+});
+
+describe("permissions", () => {
+  it("lets viewers read invoices but not write them", async () => {
+    const viewer = await t.member(company, "viewer");
+    const invoice = await createDraft();
+
+    await call("get", "/invoices", viewer.accessToken).expect(200);
+    await call("get", `/invoices/${invoice.id}`, viewer.accessToken).expect(
+      200
+    );
+    await call("post", `/invoices/${invoice.id}/issue`, viewer.accessToken)
+      .send({})
+      .expect(403);
+    await call("post", "/customers", viewer.accessToken)
+      .send({ name: "Keelatud OÜ" })
+      .expect(403);
+  });
+});
@@ -0,0 +1,249 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, teardown } = require("./helpers/harness");
+const JournalEntry = require("../models/JournalEntry");
+const journalService = require("../services/accounting/journalService");
+
+let t;
+let accessToken;
+let company;
+let userId;
+// Account ids of the seeded chart by code
+let accounts;
+
+before(async () => {
+  t = await setup();
+  const signedIn = await t.signIn();
+  accessToken = signedIn.accessToken;
+  userId = signedIn.user.id;
+  company = await t.createCompany(accessToken);
+
+  const response = await call("get", "/accounts").expect(200);
+  accounts = Object.fromEntries(
+    response.body.accounts.map((account) => [account.code, account.id])
+  );
+});
+
+after(teardown);
+
+const call = (method, path) =>
+  t
+    .api()
+    [method](`/api/company/${company.id}${path}`)
+    .set("Authorization", `Bearer ${accessToken}`);
+
+// Cash sale of `amount`: debit the bank account, credit sales
+const sale = (amount, values = {}) => ({
+  date: "2025-03-10",
+  description: "Müük",
+  lines: [
+    { accountId: accounts["1020"], debit: amount, credit: "0" },
+    { accountId: accounts["4010"], debit: "0", credit: amount },
+  ],
+  ...values,
+});
+
+const createDraft = async (values) => {
+  const response = await call("post", "/journal")
+    .send(sale("100.00", values))
+    .expect(201);
+  return response.body.entry;
+};
+
+describe("journal entries", () => {
+  it("saves a draft and posts it with the next entry number", async () => {
+    const draft = await createDraft();
+    assert.equal(draft.status, "draft");
+    assert.equal(draft.totalDebit, "100.00");
+    assert.equal(draft.totalCredit, "100.00");
+
+    const posted = await call("post", `/journal/${draft.id}/post`).expect(200);
+    assert.equal(posted.body.entry.status, "posted");
+    assert.ok(posted.body.entry.entryNumber >= 1);
+
+    const next = await call("post", "/journal")
+      .send({ ...sale("5.00"), post: true })
+      .expect(201);
+    assert.equal(
+      next.body.entry.entryNumber,
+      posted.body.entry.entryNumber + 1
+    );
+  });
+
+  it("refuses to post an unbalanced entry", async () => {
+    const unbalanced = sale("100.00");
+    unbalanced.lines[1].credit = "99.99";
+    const before = await JournalEntry.count({
+      where: { companyId: company.id },
+    });
+
+    const response = await call("post", "/journal")
+      .send({ ...unbalanced, post: true })
+      .expect(400);
+    assert.match(response.body.message, /not balanced/);
+    assert.equal(
+      response.body.errors[0].message,
+      "Debits total 100.00 but credits total 99.99"
+    );
+
+    // Nothing is left behind
+    assert.equal(
+      await JournalEntry.count({ where: { companyId: company.id } }),
+      before
+    );
+
+    // A draft may be unbalanced, but can't be posted
+    const draft = await call("post", "/journal").send(unbalanced).expect(201);
+    await call("post", `/journal/${draft.body.entry.id}/post`).expect(
+      400,
+      /not balanced/
+    );
+  });
+
+  it("refuses lines with both or neither side, and zero totals", async () => {
+    const both = sale("10.00");
+    both.lines[0].credit = "10.00";
+    const invalid = await call("post", "/journal").send(both).expect(400);
+    assert.equal(invalid.body.errors[0].field, "lines[0]");
+
+    const cents = sale("10.001");
+    await call("post", "/journal").send(cents).expect(400);
+
+    await call("post", "/journal")
+      .send({ ...sale("10.00"), lines: [sale("10.00").lines[0]] })
+      .expect(400, /at least two lines/);
+
+    const foreign = sale("10.00");
+    foreign.lines[0].accountId = 999999;
+    const notFound = await call("post", "/journal").send(foreign).expect(400);
+    assert.equal(notFound.body.errors[0].field, "lines[0].accountId");
+  });
+
+  it("keeps posted entries unchanged", async () => {
+    const entry = await createDraft();
+    await call("post", `/journal/${entry.id}/post`).expect(200);
+
+    await call("put", `/journal/${entry.id}`)
+      .send({ description: "Changed" })
+      .expect(400, /Posted entries can't be changed/);
+    await call("delete", `/journal/${entry.id}`).expect(
+      400,
+      /Posted entries can't be deleted/
+    );
+    await call("post", `/journal/${entry.id}/post`).expect(
+      400,
+      /already posted/
+    );
+
+    const stored = await call("get", `/journal/${entry.id}`).expect(200);
+    assert.equal(stored.body.entry.description, "Müük");
+  });
+
+  it("checks the stored entry, not a stale copy, before changing a draft", async () => {
+    const draft = await createDraft();
+    const stale = await JournalEntry.findByPk(draft.id);
+    await journalService.postEntry(
+      await JournalEntry.findByPk(draft.id),
+      userId
+    );
+
+    await assert.rejects(
+      journalService.updateDraftEntry(stale, { description: "Changed" }),
+      /Posted entries can't be changed/
+    );
+    await assert.rejects(
+      journalService.deleteDraftEntry(stale),
+      /Posted entries can't be deleted/
+    );
+  });
+
+  it("edits and deletes drafts", async () => {
+    const draft = await createDraft();
+
+    const updated = await call("put", `/journal/${draft.id}`)
+      .send({ lines: sale("42.50").lines })
+      .expect(200);
+    assert.equal(updated.body.entry.totalDebit, "42.50");
+    assert.equal(updated.body.entry.description, "Müük");
+
+    await call("delete", `/journal/${draft.id}`).expect(200);
+    await call("get", `/journal/${draft.id}`).expect(404);
+  });
+
+  it("reverses a posted entry once", async () => {
+    const entry = await createDraft();
+    await call("post", `/journal/${entry.id}/post`).expect(200);
+
+    const reversal = await call("post", `/journal/${entry.id}/reverse`)
+      .send({})
+      .expect(201);
+    assert.equal(reversal.body.entry.reversalOfId, entry.id);
+    assert.equal(Number(reversal.body.entry.lines[0].credit), 100);
+
+    await call("post", `/journal/${entry.id}/reverse`)
+      .send({})
+      .expect(400, /already been reversed/);
+    await call("post", `/journal/${(await createDraft()).id}/reverse`)
+      .send({})
+      .expect(400, /Only posted entries can be reversed/);
+  });
+});
+
+describe("closed periods", () => {
+  let year;
+
+  before(async () => {
+    const response = await call("post", "/fiscal-years")
+      .send({ startDate: "2024-01-01", endDate: "2024-12-31" })
+      .expect(201);
+    year = response.body.fiscalYear;
+
+    const january = year.periods[0];
+    await call(
+      "post",
+      `/fiscal-years/${year.id}/periods/${january.id}/close`
+    ).expect(200);
+  });
+
+  it("refuses entries dated in a closed period", async () => {
+    const response = await call("post", "/journal")
+      .send(sale("10.00", { date: "2024-01-15" }))
+      .expect(400);
+    assert.equal(response.body.message, "Accounting period is closed");
+    assert.match(response.body.errors[0].message, /2024-01-01 to 2024-01-31/);
+  });
+
+  it("refuses moving a draft into a closed period", async () => {
+    const draft = await createDraft({ date: "2024-02-15" });
+
+    await call("put", `/journal/${draft.id}`)
+      .send({ date: "2024-01-31" })
+      .expect(400, /Accounting period is closed/);
+  });
+
+  it("refuses posting a draft dated in a closed period", async () => {
+    const draft = await createDraft({ date: "2024-02-20" });
+    // Periods with drafts can't be closed, so the only way to get one is
+    // from before that check existed
+    await JournalEntry.update(
+      { date: "2024-01-20" },
+      { where: { id: draft.id } }
+    );
+
+    await call("post", `/journal/${draft.id}/post`).expect(
+      400,
+      /Accounting period is closed/
+    );
+  });
+
+  it("accepts entries again after the period is re-opened", async () => {
+    const january = year.periods[0];
+    await call("post", `/fiscal-years/${year.id}/periods/${january.id}/reopen`)
+      .send({ reason: "Missing invoice" })
+      .expect(200);
+
+    await call("post", "/journal")
+      .send({ ...sale("10.00", { date: "2024-01-15" }), post: true })
+      .expect(201);
+  });
+});
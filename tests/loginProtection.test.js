@@ -0,0 +1,274 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const request = require("supertest");
+const { setup, teardown, PASSWORD } = require("./helpers/harness");
+const { createApp } = require("../app");
+const { loadTrustProxyHops } = require("../config/proxy");
+const LoginThrottle = require("../models/LoginThrottle");
+const {
+  FREE_ATTEMPTS,
+  LOCKOUT_THRESHOLD,
+  backoffDelay,
+} = require("../utils/loginThrottle");
+
+let t;
+
+before(async () => {
+  t = await setup();
+});
+
+after(teardown);
+
+// An app with the rate limits on behind one proxy, with fresh counters.
+// Requests pass the client IP in X-Forwarded-For like the proxy does.
+const limitedApi = () => {
+  const api = request(createApp({ trustProxy: 1 }));
+  return (method, url, ip = "203.0.113.1") =>
+    api[method](url).set("X-Forwarded-For", ip);
+};
+
+const wrongLogin = (email) =>
+  t
+    .api()
+    .post("/api/login")
+    .send({ email, password: "Wr0ng-passw0rd!" })
+    .expect(400);
+
+// Makes the last failed login of `email` old enough to try again
+const skipBackoff = (email) =>
+  LoginThrottle.update(
+    { lastFailedAt: new Date(Date.now() - 10 * 60 * 1000) },
+    { where: { email } }
+  );
+
+describe("per-IP rate limits", () => {
+  it("counts failed logins per client IP behind the proxy", async () => {
+    const call = limitedApi();
+    for (let i = 0; i < 10; i += 1) {
+      await call("post", "/api/login")
+        .send({ email: `nobody${i}@example.com`, password: PASSWORD })
+        .expect(400);
+    }
+
+    const blocked = await call("post", "/api/login")
+      .send({ email: "nobody@example.com", password: PASSWORD })
+      .expect(429);
+    assert.match(blocked.body.message, /Too many failed login attempts/);
+
+    // Another client is unaffected
+    await call("post", "/api/login", "203.0.113.2")
+      .send({ email: "nobody@example.com", password: PASSWORD })
+      .expect(400);
+  });
+
+  it("doesn't count successful logins", async () => {
+    const call = limitedApi();
+    const user = await t.createUser();
+
+    for (let i = 0; i < 11; i += 1) {
+      await call("post", "/api/login")
+        .send({ email: user.email, password: PASSWORD })
+        .expect(200);
+    }
+  });
+
+  for (const { url, max, message, body = {} } of [
+    {
+      url: "/api/forgot-password",
+      max: 5,
+      body: { email: "nobody@example.com" },
+      message: /Too many password reset requests/,
+    },
+    {
+      url: "/api/reset-password",
+      max: 10,
+      message: /Too many password reset attempts/,
+    },
+    {
+      url: "/api/unlock-account",
+      max: 10,
+      message: /Too many unlock attempts/,
+    },
+  ]) {
+    it(`limits ${url} to ${max} requests per client IP`, async () => {
+      const call = limitedApi();
+      for (let i = 0; i < max; i += 1) {
+        await call("post", url).send(body).expect(400);
+      }
+
+      const blocked = await call("post", url).send(body).expect(429);
+      assert.match(blocked.body.message, message);
+
+      await call("post", url, "203.0.113.2").send(body).expect(400);
+    });
+  }
+
+  it("uses the socket address when no proxy is trusted", async () => {
+    const api = request(createApp({ trustProxy: 0 }));
+    for (let i = 0; i < 5; i += 1) {
+      await api
+        .post("/api/forgot-password")
+        .set("X-Forwarded-For", `198.51.100.${i}`)
+        .send({ email: "nobody@example.com" });
+    }
+
+    await api
+      .post("/api/forgot-password")
+      .set("X-Forwarded-For", "198.51.100.99")
+      .send({ email: "nobody@example.com" })
+      .expect(429);
+  });
+
+  it("reads the proxy hop count from TRUST_PROXY_HOPS", () => {
+    assert.equal(loadTrustProxyHops({ NODE_ENV: "production" }), 1);
+    assert.equal(loadTrustProxyHops({ NODE_ENV: "development" }), 0);
+    assert.equal(loadTrustProxyHops({ TRUST_PROXY_HOPS: "2" }), 2);
+    assert.throws(
+      () => loadTrustProxyHops({ TRUST_PROXY_HOPS: "yes" }),
+      /TRUST_PROXY_HOPS/
+    );
+  });
+});
+
+describe("login backoff", () => {
+  it("makes the caller wait after repeated failures for an email", async () => {
+    const user = await t.createUser();
+    for (let i = 0; i < FREE_ATTEMPTS; i += 1) {
+      await wrongLogin(user.email);
+    }
+
+    // Even the right password has to wait
+    const throttled = await t
+      .api()
+      .post("/api/login")
+      .send({ email: user.email, password: PASSWORD })
+      .expect(429);
+    assert.equal(throttled.headers["retry-after"], "1");
+    assert.equal(throttled.body.retryAfter, 1);
+
+    await skipBackoff(user.email);
+    await t.login(user.email);
+  });
+
+  it("also slows down guessing against unknown emails", async () => {
+    for (let i = 0; i < FREE_ATTEMPTS; i += 1) {
+      await wrongLogin("ghost@example.com");
+    }
+
+    await t
+      .api()
+      .post("/api/login")
+      .send({ email: "GHOST@example.com ", password: PASSWORD })
+      .expect(429);
+  });
+
+  it("doubles the delay on every further failure, up to five minutes", () => {
+    assert.equal(backoffDelay(FREE_ATTEMPTS - 1), 0);
+    assert.equal(backoffDelay(FREE_ATTEMPTS), 1000);
+    assert.equal(backoffDelay(FREE_ATTEMPTS + 2), 4000);
+    assert.equal(backoffDelay(100), 5 * 60 * 1000);
+  });
+
+  it("applies to two-factor codes", async () => {
+    const user = await t.createUser({ twoFactorEnabled: true });
+    await user.startTwoFactorEnrollment();
+    await user.update({ twoFactorEnabled: true });
+    const challengeToken = jwt.sign(
+      { userId: user.id, purpose: "2fa_challenge" },
+      process.env.JWT_SECRET,
+      { expiresIn: "5m" }
+    );
+
+    for (let i = 0; i < FREE_ATTEMPTS; i += 1) {
+      await t
+        .api()
+        .post("/api/login/2fa")
+        .send({ challengeToken, code: "000000" })
+        .expect(400);
+    }
+
+    await t
+      .api()
+      .post("/api/login/2fa")
+      .send({ challengeToken, code: "000000" })
+      .expect(429);
+  });
+});
+
+describe("account lockout", () => {
+  // Brings the account to one failure short of the lockout, without the
+  // waits of the backoff
+  const nearLockout = async (user) => {
+    await user.update({
+      failedLoginAttempts: LOCKOUT_THRESHOLD - 2,
+      lastFailedLoginAt: new Date(),
+    });
+    await wrongLogin(user.email);
+    await skipBackoff(user.email);
+  };
+
+  it("locks the account and emails an unlock link", async () => {
+    const user = await t.createUser();
+    await nearLockout(user);
+
+    await wrongLogin(user.email);
+    await skipBackoff(user.email);
+
+    const locked = await t
+      .api()
+      .post("/api/login")
+      .send({ email: user.email, password: PASSWORD })
+      .expect(423);
+    assert.match(locked.body.message, /temporarily locked/);
+
+    const [message] = await t.deliverMail(user.email);
+    assert.match(message.text, /unlock-account\?token=/);
+  });
+
+  it("unlocks the account with the emailed token, once", async () => {
+    const user = await t.createUser();
+    await nearLockout(user);
+    await wrongLogin(user.email);
+    const token = await t.tokenFromMail(user.email);
+
+    await t
+      .api()
+      .post("/api/unlock-account")
+      .send({ token })
+      .expect(200, /Account unlocked successfully/);
+
+    // The unlock also clears the backoff
+    await t.login(user.email);
+
+    await t
+      .api()
+      .post("/api/unlock-account")
+      .send({ token })
+      .expect(400, /Invalid or expired unlock link/);
+  });
+
+  it("rejects unlock tokens meant for something else", async () => {
+    const user = await t.createUser();
+    const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET);
+    await user.update({ unlockToken: token });
+
+    await t.api().post("/api/unlock-account").send({ token }).expect(400);
+    await t.api().post("/api/unlock-account").send({}).expect(400);
+  });
+
+  it("clears the failure count on a successful login", async () => {
+    const user = await t.createUser();
+    await wrongLogin(user.email);
+    await wrongLogin(user.email);
+
+    await t.login(user.email);
+
+    await user.reload();
+    assert.equal(user.failedLoginAttempts, 0);
+    assert.equal(
+      await LoginThrottle.count({ where: { email: user.email } }),
+      0
+    );
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const {
+  renderTemplate,
+  resolveLocale,
+  DEFAULT_LOCALE,
+} = require("../services/mail/templates");
+const { createTransport } = require("../services/mail/transports");
+
+const verificationUrl = "http://frontend.test/verify-email?token=abc";
+
+describe("renderTemplate", () => {
+  it("renders Estonian", () => {
+    const message = renderTemplate("verifyEmail", "et", { verificationUrl });
+
+    assert.equal(message.subject, "Kinnitage oma e-posti aadress");
+    assert.equal(
+      message.text,
+      [
+        "E-posti aadressi kinnitamine",
+        "Oma e-posti aadressi kinnitamiseks klõpsake alloleval lingil:",
+        `Kinnita e-post: ${verificationUrl}`,
+        "Link aegub 1 tunni pärast.",
+      ].join("\n\n")
+    );
+    assert.match(
+      message.html,
+      /<a href="http:\/\/frontend\.test\/verify-email\?token=abc">Kinnita e-post<\/a>/
+    );
+  });
+
+  it("renders English", () => {
+    const message = renderTemplate("companyInvitation", "en", {
+      companyName: "Mets & Põld OÜ",
+      inviterName: "Mari Maasikas",
+      role: "accountant",
+      invitationUrl: "http://frontend.test/invitations/1",
+    });
+
+    assert.equal(message.subject, "You have been invited to Mets & Põld OÜ");
+    assert.match(
+      message.text,
+      /Mari Maasikas invited you to join Mets & Põld OÜ as accountant\./
+    );
+    assert.match(message.html, /<h1>Company Invitation<\/h1>/);
+    assert.match(message.html, /join Mets &amp; Põld OÜ as accountant/);
+  });
+
+  it("falls back to the default locale for unknown ones", () => {
+    assert.equal(DEFAULT_LOCALE, "et");
+    for (const locale of ["fi", "", undefined]) {
+      assert.equal(resolveLocale(locale), "et");
+      assert.deepEqual(
+        renderTemplate("verifyEmail", locale, { verificationUrl }),
+        renderTemplate("verifyEmail", "et", { verificationUrl })
+      );
+    }
+  });
+
+  it("refuses unknown templates", () => {
+    assert.throws(() => renderTemplate("newsletter", "en"), {
+      message: 'Unknown mail template "newsletter"',
+    });
+  });
+});
+
+describe("file transport", () => {
+  let directory;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), "rpk-mail-"));
+  });
+
+  after(() => fs.rm(directory, { recursive: true, force: true }));
+
+  it("writes each message to a JSON file", async () => {
+    const transport = createTransport("file", {
+      directory: path.join(directory, "mail"),
+    });
+    const message = {
+      to: "mari@example.com",
+      from: "rpk@example.com",
+      ...renderTemplate("verifyEmail", "en", { verificationUrl }),
+    };
+
+    const first = await transport.send(message);
+    const second = await transport.send(message);
+
+    assert.notEqual(first.id, second.id);
+    const files = await fs.readdir(path.join(directory, "mail"));
+    assert.equal(files.length, 2);
+    const file = files.find((name) => name.endsWith(`-${first.id}.json`));
+    assert.deepEqual(
+      JSON.parse(await fs.readFile(path.join(directory, "mail", file), "utf8")),
+      { id: first.id, ...message }
+    );
+  });
+
+  it("refuses unknown transports", () => {
+    assert.throws(() => createTransport("pigeon"), /Unknown mail transport/);
+  });
+});
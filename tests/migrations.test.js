@@ -0,0 +1,212 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Both connections below have to see the same database, so this file uses
+// a SQLite file instead of the in-memory default
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "rpk-migrations-"));
+process.env.DB_STORAGE = path.join(directory, "legacy.sqlite");
+
+const bcrypt = require("bcryptjs");
+const { Sequelize, DataTypes } = require("sequelize");
+const { setup, teardown, PASSWORD } = require("./helpers/harness");
+const sequelize = require("../config/database");
+const { migrator } = require("../utils/migrator");
+const { User, Company, CompanyMembership, RefreshToken } = require("../models");
+
+// The models as they were when the server created its tables with
+// sequelize.sync(), before there were migrations
+const createLegacyDatabase = async () => {
+  const legacy = new Sequelize({
+    dialect: "sqlite",
+    storage: process.env.DB_STORAGE,
+    logging: false,
+  });
+
+  const User = legacy.define("User", {
+    name: { type: DataTypes.STRING, allowNull: false },
+    surname: { type: DataTypes.STRING, allowNull: false },
+    personalIdCode: {
+      type: DataTypes.STRING,
+      unique: true,
+      allowNull: false,
+    },
+    email: { type: DataTypes.STRING, allowNull: false, unique: true },
+    password: { type: DataTypes.STRING, allowNull: false },
+    isVerified: { type: DataTypes.BOOLEAN, defaultValue: false },
+    verificationToken: { type: DataTypes.STRING, allowNull: true },
+  });
+  const Company = legacy.define("Company", {
+    name: { type: DataTypes.STRING, allowNull: false },
+    registrationNumber: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    email: { type: DataTypes.STRING, allowNull: false },
+    address: { type: DataTypes.STRING, allowNull: false },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: "Users", key: "id" },
+    },
+  });
+  const RefreshToken = legacy.define("RefreshToken", {
+    token: { type: DataTypes.STRING, allowNull: false, unique: true },
+    userId: { type: DataTypes.INTEGER, allowNull: false },
+    expiresAt: { type: DataTypes.DATE, allowNull: false },
+    isRevoked: { type: DataTypes.BOOLEAN, defaultValue: false },
+  });
+  await legacy.sync();
+
+  const user = await User.create({
+    name: "Vana",
+    surname: "Kasutaja",
+    personalIdCode: "39001010001",
+    email: "legacy@example.com",
+    password: await bcrypt.hash(PASSWORD, 8),
+    isVerified: true,
+  });
+  await Company.create({
+    name: "Vana OÜ",
+    registrationNumber: "10234957",
+    email: "info@example.com",
+    address: "Tallinn",
+    userId: user.id,
+  });
+  await RefreshToken.create({
+    token: "legacy-token",
+    userId: user.id,
+    expiresAt: new Date(Date.now() + 60000),
+  });
+
+  await legacy.close();
+};
+
+let t;
+
+before(async () => {
+  await createLegacyDatabase();
+  t = await setup();
+});
+
+after(async () => {
+  await teardown();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe("migrating a database created by sequelize.sync()", () => {
+  it("records the create migrations and runs the rest", async () => {
+    assert.deepEqual(await migrator.pending(), []);
+  });
+
+  it("adds the columns introduced after sync()", async () => {
+    const queryInterface = sequelize.getQueryInterface();
+    const users = await queryInterface.describeTable("Users");
+    const tokens = await queryInterface.describeTable("RefreshTokens");
+    const companies = await queryInterface.describeTable("Companies");
+
+    for (const column of [
+      "locale",
+      "isAdmin",
+      "failedLoginAttempts",
+      "lastFailedLoginAt",
+      "lockedUntil",
+      "unlockToken",
+      "twoFactorEnabled",
+      "twoFactorSecret",
+      "twoFactorLastStep",
+      "twoFactorRecoveryCodes",
+    ]) {
+      assert.ok(users[column], `Users.${column}`);
+    }
+    for (const column of [
+      "familyId",
+      "userAgent",
+      "ipAddress",
+      "deviceLabel",
+      "signedInAt",
+      "lastUsedAt",
+      "rotatedAt",
+    ]) {
+      assert.ok(tokens[column], `RefreshTokens.${column}`);
+    }
+    for (const column of ["fiscalYearStartMonth", "archivedAt", "archivedBy"]) {
+      assert.ok(companies[column], `Companies.${column}`);
+    }
+  });
+
+  it("keeps existing users able to log in and see their companies", async () => {
+    const { accessToken } = await t.login("legacy@example.com");
+
+    const response = await t
+      .api()
+      .get("/api/company/list")
+      .set("Authorization", `Bearer ${accessToken}`)
+      .expect(200);
+
+    assert.equal(response.body.companies.length, 1);
+    assert.equal(response.body.companies[0].name, "Vana OÜ");
+    assert.equal(response.body.companies[0].role, "owner");
+  });
+
+  it("turns existing refresh tokens into sessions", async () => {
+    const [[token]] = await sequelize.query(
+      `SELECT * FROM "RefreshTokens" WHERE "token" = 'legacy-token'`
+    );
+
+    assert.ok(token.familyId);
+    assert.ok(token.signedInAt);
+    assert.ok(token.lastUsedAt);
+  });
+});
+
+describe("deleting a user", () => {
+  it("removes their sessions and memberships", async () => {
+    const owner = await t.signIn();
+    const company = await t.createCompany(owner.accessToken);
+    const { user } = await t.member(company, "accountant");
+    assert.equal(await RefreshToken.count({ where: { userId: user.id } }), 1);
+
+    await user.destroy();
+
+    assert.equal(await RefreshToken.count({ where: { userId: user.id } }), 0);
+    assert.equal(
+      await CompanyMembership.count({ where: { userId: user.id } }),
+      0
+    );
+    assert.equal(
+      await CompanyMembership.count({ where: { companyId: company.id } }),
+      1
+    );
+  });
+
+  it("isn't possible while they are the creator of a company", async () => {
+    const { user, accessToken } = await t.signIn();
+    const company = await t.createCompany(accessToken);
+
+    await assert.rejects(user.destroy(), {
+      name: "SequelizeForeignKeyConstraintError",
+    });
+
+    assert.ok(await User.findByPk(user.id));
+    assert.ok(await Company.findByPk(company.id));
+    assert.equal(await RefreshToken.count({ where: { userId: user.id } }), 1);
+    assert.equal(
+      await CompanyMembership.count({ where: { userId: user.id } }),
+      1
+    );
+  });
+
+  it("isn't possible for a user whose company predates the migrations", async () => {
+    const user = await User.findOne({
+      where: { email: "legacy@example.com" },
+    });
+
+    await assert.rejects(user.destroy(), {
+      name: "SequelizeForeignKeyConstraintError",
+    });
+  });
+});
@@ -0,0 +1,278 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, teardown } = require("./helpers/harness");
+const OutboxMessage = require("../models/OutboxMessage");
+const { createOutboxWorker } = require("../services/mail/outboxWorker");
+
+let t;
+
+before(async () => {
+  t = await setup();
+});
+
+after(teardown);
+
+beforeEach(() => OutboxMessage.destroy({ where: {} }));
+
+const queue = (to) =>
+  OutboxMessage.create({
+    to,
+    subject: "Tere",
+    text: "Tere!",
+    html: "<p>Tere!</p>",
+  });
+
+// A mail service whose sends are answered by `respond`
+const fakeMailService = (respond = () => ({ id: "provider-id" })) => {
+  const sent = [];
+  return {
+    sent,
+    async send(message) {
+      sent.push(message.to);
+      return respond(message);
+    },
+  };
+};
+
+describe("outbox worker", () => {
+  it("sends due messages and records the provider id", async () => {
+    const mailService = fakeMailService();
+    const message = await queue("a@example.com");
+
+    assert.equal(await createOutboxWorker({ mailService }).processBatch(), 1);
+
+    await message.reload();
+    assert.equal(message.status, "sent");
+    assert.equal(message.attempts, 1);
+    assert.equal(message.providerMessageId, "provider-id");
+    assert.equal(message.lockedUntil, null);
+    assert.deepEqual(mailService.sent, ["a@example.com"]);
+  });
+
+  it("retries failed sends later and gives up after maxAttempts", async () => {
+    const mailService = fakeMailService(() => {
+      throw new Error("Provider is down");
+    });
+    const worker = createOutboxWorker({ mailService, maxAttempts: 2 });
+    const message = await queue("a@example.com");
+
+    await worker.processBatch();
+    await message.reload();
+    assert.equal(message.status, "pending");
+    assert.equal(message.lastError, "Provider is down");
+    assert.ok(message.nextAttemptAt > new Date());
+
+    // Not due yet
+    assert.equal(await worker.processBatch(), 0);
+
+    await message.update({ nextAttemptAt: new Date() });
+    await worker.processBatch();
+    await message.reload();
+    assert.equal(message.status, "dead");
+    assert.equal(message.attempts, 2);
+  });
+
+  it("gives up on a send that doesn't answer in time", async () => {
+    const mailService = fakeMailService(() => new Promise(() => {}));
+    const message = await queue("a@example.com");
+
+    await createOutboxWorker({ mailService, sendTimeoutMs: 20 }).processBatch();
+
+    await message.reload();
+    assert.equal(message.status, "pending");
+    assert.match(message.lastError, /timed out/);
+  });
+
+  it("claims messages so another worker skips them while they're sent", async () => {
+    let finishSend;
+    const slowMailService = fakeMailService(
+      () =>
+        new Promise((resolve) => {
+          finishSend = () => resolve({ id: "slow" });
+        })
+    );
+    const otherMailService = fakeMailService();
+    const message = await queue("a@example.com");
+
+    const sending = createOutboxWorker({
+      mailService: slowMailService,
+    }).processBatch();
+    while (!finishSend) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+
+    // The claim is committed; nothing is held open during the send
+    await message.reload();
+    assert.ok(message.lockedUntil > new Date());
+    assert.equal(
+      await createOutboxWorker({
+        mailService: otherMailService,
+      }).processBatch(),
+      0
+    );
+
+    finishSend();
+    await sending;
+    assert.deepEqual(otherMailService.sent, []);
+    await message.reload();
+    assert.equal(message.status, "sent");
+  });
+
+  it("sends a message again once its claim has run out", async () => {
+    const mailService = fakeMailService();
+    const message = await queue("a@example.com");
+    await message.update({ lockedUntil: new Date(Date.now() - 1000) });
+
+    await createOutboxWorker({ mailService }).processBatch();
+
+    await message.reload();
+    assert.equal(message.status, "sent");
+  });
+
+  it("records every message on its own", async () => {
+    const mailService = fakeMailService();
+    const failing = await queue("a@example.com");
+    const other = await queue("b@example.com");
+    const failRecording = (message) => {
+      if (message.to === "a@example.com") {
+        throw new Error("Database went away");
+      }
+    };
+    OutboxMessage.addHook("beforeUpdate", "failRecording", failRecording);
+
+    try {
+      assert.equal(await createOutboxWorker({ mailService }).processBatch(), 2);
+    } finally {
+      OutboxMessage.removeHook("beforeUpdate", "failRecording");
+    }
+
+    await other.reload();
+    assert.equal(other.status, "sent");
+    // Still claimed, so it isn't sent again right away
+    await failing.reload();
+    assert.equal(failing.status, "pending");
+    assert.ok(failing.lockedUntil > new Date());
+  });
+});
+
+describe("admin outbox routes", () => {
+  let admin;
+
+  before(async () => {
+    admin = await t.signIn({ isAdmin: true });
+  });
+
+  const call = (method, path, token = admin.accessToken) =>
+    t
+      .api()
+      [method](`/api/admin${path}`)
+      .set("Authorization", `Bearer ${token}`);
+
+  const deadMessage = async (to) => {
+    const message = await queue(to);
+    return message.update({
+      status: "dead",
+      attempts: 5,
+      lastError: "Provider is down",
+    });
+  };
+
+  it("lists dead messages by default, without their bodies", async () => {
+    const dead = await deadMessage("a@example.com");
+    await queue("b@example.com");
+
+    const response = await call("get", "/outbox").expect(200);
+
+    assert.equal(response.body.total, 1);
+    const [listed] = response.body.messages;
+    assert.equal(listed.id, dead.id);
+    assert.equal(listed.lastError, "Provider is down");
+    assert.equal(listed.text, undefined);
+    assert.equal(listed.html, undefined);
+
+    const pending = await call("get", "/outbox?status=pending").expect(200);
+    assert.deepEqual(
+      pending.body.messages.map((message) => message.to),
+      ["b@example.com"]
+    );
+  });
+
+  it("pages the list", async () => {
+    const messages = [
+      await deadMessage("a@example.com"),
+      await deadMessage("b@example.com"),
+    ];
+
+    const first = await call("get", "/outbox?limit=1").expect(200);
+    const second = await call("get", "/outbox?limit=1&offset=1").expect(200);
+
+    assert.equal(first.body.total, 2);
+    assert.equal(second.body.total, 2);
+    assert.deepEqual(
+      [...first.body.messages, ...second.body.messages]
+        .map((message) => message.id)
+        .sort(),
+      messages.map((message) => message.id).sort()
+    );
+  });
+
+  it("rejects an unknown status and invalid paging", async () => {
+    await call("get", "/outbox?status=failed").expect(400, /Invalid status/);
+
+    for (const [query, field] of [
+      ["limit=-1", "limit"],
+      ["limit=201", "limit"],
+      ["offset=-1", "offset"],
+    ]) {
+      const response = await call("get", `/outbox?${query}`).expect(400);
+      assert.deepEqual(
+        response.body.errors.map((error) => error.field),
+        [field]
+      );
+    }
+  });
+
+  it("queues a dead message again", async () => {
+    const dead = await deadMessage("a@example.com");
+
+    await call("post", `/outbox/${dead.id}/retry`).expect(200);
+
+    await dead.reload();
+    assert.equal(dead.status, "pending");
+    assert.equal(dead.attempts, 0);
+    assert.ok(dead.nextAttemptAt <= new Date());
+
+    const mailService = fakeMailService();
+    assert.equal(await createOutboxWorker({ mailService }).processBatch(), 1);
+    assert.deepEqual(mailService.sent, ["a@example.com"]);
+  });
+
+  it("retries only dead messages", async () => {
+    const pending = await queue("a@example.com");
+
+    await call("post", `/outbox/${pending.id}/retry`).expect(
+      404,
+      /Message not found/
+    );
+    await call("post", "/outbox/999999/retry").expect(404);
+    const response = await call("post", "/outbox/abc/retry").expect(400);
+    assert.deepEqual(response.body.errors, [
+      { field: "id", message: "Must be a message id" },
+    ]);
+  });
+
+  it("is only open to admins", async () => {
+    const dead = await deadMessage("a@example.com");
+    const { accessToken } = await t.signIn();
+
+    await call("get", "/outbox", accessToken).expect(
+      403,
+      /Admin access required/
+    );
+    await call("post", `/outbox/${dead.id}/retry`, accessToken).expect(403);
+    await t.api().get("/api/admin/outbox").expect(401);
+
+    await dead.reload();
+    assert.equal(dead.status, "dead");
+  });
+});
@@ -0,0 +1,253 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, teardown } = require("./helpers/harness");
+
+let t;
+let owner;
+
+before(async () => {
+  t = await setup();
+  owner = await t.signIn();
+});
+
+after(teardown);
+
+// A company of the owner with the 2024 fiscal year, a posted sale in
+// January and a posted expense in February
+const companyWithYear = async () => {
+  const company = await t.createCompany(owner.accessToken);
+  const call = (method, path, session = owner) =>
+    t
+      .api()
+      [method](`/api/company/${company.id}${path}`)
+      .set("Authorization", `Bearer ${session.accessToken}`);
+
+  const accounts = Object.fromEntries(
+    (await call("get", "/accounts").expect(200)).body.accounts.map(
+      (account) => [account.code, account.id]
+    )
+  );
+  const entry = (date, debitCode, creditCode, amount, post = true) =>
+    call("post", "/journal")
+      .send({
+        date,
+        description: "Kanne",
+        post,
+        lines: [
+          { accountId: accounts[debitCode], debit: amount, credit: "0" },
+          { accountId: accounts[creditCode], debit: "0", credit: amount },
+        ],
+      })
+      .expect(201);
+
+  const response = await call("post", "/fiscal-years")
+    .send({ startDate: "2024-01-01" })
+    .expect(201);
+  const year = response.body.fiscalYear;
+
+  await entry("2024-01-15", "1020", "4010", "200.00");
+  await entry("2024-02-10", "6010", "1020", "50.00");
+
+  const periodPath = (index, action) =>
+    `/fiscal-years/${year.id}/periods/${year.periods[index].id}/${action}`;
+
+  return { company, call, accounts, entry, year, periodPath };
+};
+
+describe("fiscal years", () => {
+  it("creates monthly periods and keeps years consecutive", async () => {
+    const { call, year } = await companyWithYear();
+
+    assert.equal(year.endDate, "2024-12-31");
+    assert.equal(year.periods.length, 12);
+    assert.deepEqual(
+      [year.periods[1].startDate, year.periods[1].endDate],
+      ["2024-02-01", "2024-02-29"]
+    );
+
+    const gap = await call("post", "/fiscal-years")
+      .send({ startDate: "2025-02-01" })
+      .expect(400);
+    assert.match(gap.body.errors[0].message, /must start on 2025-01-01/);
+
+    await call("post", "/fiscal-years")
+      .send({ startDate: "2025-01-01", endDate: "2026-12-31" })
+      .expect(400, /can't be longer than 18 months/);
+
+    const next = await call("post", "/fiscal-years").send({}).expect(201);
+    assert.equal(next.body.fiscalYear.startDate, "2025-01-01");
+  });
+});
+
+describe("closing periods", () => {
+  it("closes periods in order and only without drafts", async () => {
+    const { call, entry, periodPath } = await companyWithYear();
+
+    await call("post", periodPath(1, "close")).expect(
+      400,
+      /Close earlier periods first/
+    );
+
+    const draft = await entry("2024-01-20", "6010", "1020", "5.00", false);
+    await call("post", periodPath(0, "close")).expect(
+      400,
+      /1 draft entries, post or delete them first/
+    );
+    await call("delete", `/journal/${draft.body.entry.id}`).expect(200);
+
+    const closed = await call("post", periodPath(0, "close")).expect(200);
+    assert.equal(closed.body.period.status, "closed");
+    await call("post", periodPath(0, "close")).expect(400, /already closed/);
+  });
+
+  it("re-opens the latest closed period with a reason and keeps the history", async () => {
+    const { company, call, year, periodPath } = await companyWithYear();
+    await call("post", periodPath(0, "close")).expect(200);
+    await call("post", periodPath(1, "close")).expect(200);
+
+    await call("post", periodPath(0, "reopen"))
+      .send({ reason: "Parandus" })
+      .expect(400, /Re-open later periods first/);
+    await call("post", periodPath(1, "reopen"))
+      .send({ reason: "  " })
+      .expect(400, /A reason is required/);
+
+    const accountant = await t.member(company, "accountant");
+    await call("post", periodPath(1, "reopen"), accountant)
+      .send({ reason: "Parandus" })
+      .expect(403);
+
+    await call("post", periodPath(1, "reopen"))
+      .send({ reason: " Hilinenud arve " })
+      .expect(200);
+    await call("post", periodPath(1, "reopen"))
+      .send({ reason: "Parandus" })
+      .expect(400, /not closed/);
+
+    const response = await call("get", `/fiscal-years/${year.id}`).expect(200);
+    const history = response.body.fiscalYear.history.map((change) => [
+      change.accountingPeriodId,
+      change.action,
+      change.reason,
+    ]);
+    assert.deepEqual(
+      history.sort((a, b) => a[1].localeCompare(b[1]) || a[0] - b[0]),
+      [
+        [year.periods[0].id, "closed", null],
+        [year.periods[1].id, "closed", null],
+        [year.periods[1].id, "reopened", "Hilinenud arve"],
+      ]
+    );
+  });
+
+  it("lets accountants close but not viewers", async () => {
+    const { company, call, periodPath } = await companyWithYear();
+    const viewer = await t.member(company, "viewer");
+    const accountant = await t.member(company, "accountant");
+
+    await call("post", periodPath(0, "close"), viewer).expect(403);
+    await call("post", periodPath(0, "close"), accountant).expect(200);
+  });
+});
+
+describe("closing fiscal years", () => {
+  // Closes all twelve periods of the year
+  const closeAllPeriods = async ({ call, periodPath }) => {
+    for (let index = 0; index < 12; index += 1) {
+      await call("post", periodPath(index, "close")).expect(200);
+    }
+  };
+
+  it("needs every period closed first", async () => {
+    const { call, year } = await companyWithYear();
+
+    await call("post", `/fiscal-years/${year.id}/close`)
+      .send({})
+      .expect(400, /Close all periods of the year first/);
+  });
+
+  it("moves the result into retained earnings with a closing entry", async () => {
+    const context = await companyWithYear();
+    const { call, accounts, year } = context;
+    await closeAllPeriods(context);
+
+    await call("post", `/fiscal-years/${year.id}/close`)
+      .send({ retainedEarningsAccountId: accounts["1020"] })
+      .expect(400, /must be an equity account/);
+
+    const closed = await call("post", `/fiscal-years/${year.id}/close`)
+      .send({})
+      .expect(200);
+    assert.equal(closed.body.fiscalYear.status, "closed");
+
+    const entry = await call(
+      "get",
+      `/journal/${closed.body.fiscalYear.closingEntryId}`
+    ).expect(200);
+    assert.equal(entry.body.entry.date, "2024-12-31");
+    assert.equal(entry.body.entry.status, "posted");
+    const amounts = Object.fromEntries(
+      entry.body.entry.lines.map((line) => [
+        line.accountId,
+        [Number(line.debit), Number(line.credit)],
+      ])
+    );
+    assert.deepEqual(amounts, {
+      [accounts["4010"]]: [200, 0],
+      [accounts["6010"]]: [0, 50],
+      [accounts["3030"]]: [0, 150],
+    });
+
+    // The next year starts with the result in equity
+    const sheet = await call(
+      "get",
+      "/reports/balance-sheet?from=2025-01-01&to=2025-01-31"
+    ).expect(200);
+    assert.equal(
+      sheet.body.report.equity.unclosedResult.previousPeriods,
+      "0.00"
+    );
+    assert.equal(sheet.body.report.equity.total, "150.00");
+    assert.equal(sheet.body.report.balanced, true);
+  });
+
+  it("re-opens the year by reversing the closing entry", async () => {
+    const context = await companyWithYear();
+    const { call, year, periodPath } = context;
+    await closeAllPeriods(context);
+    const closed = await call("post", `/fiscal-years/${year.id}/close`)
+      .send({})
+      .expect(200);
+
+    await call("post", periodPath(11, "reopen"))
+      .send({ reason: "Parandus" })
+      .expect(400, /re-open the year first/);
+    await call("post", `/fiscal-years/${year.id}/reopen`)
+      .send({})
+      .expect(400, /A reason is required/);
+
+    const reopened = await call("post", `/fiscal-years/${year.id}/reopen`)
+      .send({ reason: "Audiitori parandus" })
+      .expect(200);
+    assert.equal(reopened.body.fiscalYear.status, "open");
+    assert.equal(reopened.body.fiscalYear.closingEntryId, null);
+
+    const closingEntry = await call(
+      "get",
+      `/journal/${closed.body.fiscalYear.closingEntryId}`
+    ).expect(200);
+    assert.ok(closingEntry.body.entry.reversedById);
+
+    // The periods stay closed until re-opened one by one
+    await call("post", "/journal")
+      .send({
+        date: "2024-12-15",
+        description: "Hiline kanne",
+        lines: closingEntry.body.entry.lines.slice(0, 2),
+      })
+      .expect(400, /Accounting period is closed/);
+    await call("post", periodPath(11, "reopen"))
+      .send({ reason: "Parandus" })
+      .expect(200);
+  });
+});
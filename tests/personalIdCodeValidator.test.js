@@ -0,0 +1,102 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const personalIdCodeValidator = require("../utils/personalIdCodeValidator");
+const mod11CheckDigit = require("../utils/mod11");
+
+// The code for the first ten digits, with its check digit
+const withCheckDigit = (prefix) =>
+  `${prefix}${mod11CheckDigit(prefix.split("").map(Number))}`;
+
+const NOW = new Date("2026-10-19T12:00:00Z");
+
+const validate = (code) => personalIdCodeValidator(code, { now: NOW });
+
+const errorCodes = (code) => validate(code).errors.map((error) => error.code);
+
+describe("personalIdCodeValidator", () => {
+  it("derives the birth date and gender", () => {
+    assert.deepEqual(validate("49403136526"), {
+      isValid: true,
+      errors: [],
+      birthDate: "1994-03-13",
+      gender: "female",
+    });
+  });
+
+  it("reads the century and gender from the first digit", () => {
+    for (const [prefix, birthDate, gender] of [
+      ["1500101123", "1850-01-01", "male"],
+      ["2500101123", "1850-01-01", "female"],
+      ["3500101123", "1950-01-01", "male"],
+      ["4500101123", "1950-01-01", "female"],
+      ["5100101123", "2010-01-01", "male"],
+      ["6100101123", "2010-01-01", "female"],
+    ]) {
+      const result = validate(withCheckDigit(prefix));
+      assert.deepEqual([result.birthDate, result.gender], [birthDate, gender]);
+    }
+
+    for (const digit of ["0", "9"]) {
+      assert.deepEqual(errorCodes(withCheckDigit(`${digit}900101123`)), [
+        "century",
+      ]);
+    }
+  });
+
+  it("rejects dates that don't exist", () => {
+    for (const date of ["870229", "900431", "901301", "900100", "900132"]) {
+      const result = validate(withCheckDigit(`3${date}123`));
+      assert.deepEqual(
+        result.errors,
+        [
+          {
+            code: "birthDate",
+            message: "Personal ID code contains an invalid birth date",
+          },
+        ],
+        date
+      );
+    }
+
+    assert.equal(
+      validate(withCheckDigit("4880229123")).birthDate,
+      "1988-02-29"
+    );
+  });
+
+  it("rejects birth dates in the future", () => {
+    assert.equal(validate(withCheckDigit("6261019123")).isValid, true);
+
+    for (const prefix of ["6261020123", "7000101123"]) {
+      assert.deepEqual(validate(withCheckDigit(prefix)).errors, [
+        {
+          code: "birthDate",
+          message: "Personal ID code contains a birth date in the future",
+        },
+      ]);
+    }
+  });
+
+  it("checks the digit from the first weights", () => {
+    assert.equal(validate("37605030299").isValid, true);
+    assert.deepEqual(errorCodes("37605030298"), ["checksum"]);
+  });
+
+  it("falls back to the second weights when the first give 10", () => {
+    // 3 4 5 6 7 8 9 1 2 give 4
+    assert.equal(validate("51207040004").isValid, true);
+    assert.deepEqual(errorCodes("51207040000"), ["checksum"]);
+
+    // The second weights give 10 too, so the digit is 0
+    assert.equal(validate("51207040970").isValid, true);
+    assert.deepEqual(errorCodes("51207040971"), ["checksum"]);
+  });
+
+  it("requires exactly 11 digits", () => {
+    for (const code of ["", "3760503029", "376050302999", "3760503029a"]) {
+      assert.deepEqual(errorCodes(code), ["format"], code);
+    }
+    assert.equal(validate(" 37605030299 ").isValid, true);
+    assert.deepEqual(errorCodes(null), ["format"]);
+  });
+});
@@ -0,0 +1,211 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, teardown } = require("./helpers/harness");
+const { resolvePeriods } = require("../services/accounting/reportPeriods");
+
+let t;
+let accessToken;
+let company;
+// Account ids of the seeded chart by code
+let accounts;
+
+before(async () => {
+  t = await setup();
+  ({ accessToken } = await t.signIn());
+  // Fiscal year from July to June
+  company = await t.createCompany(accessToken, { fiscalYearStartMonth: 7 });
+
+  const response = await call("get", "/accounts").expect(200);
+  accounts = Object.fromEntries(
+    response.body.accounts.map((account) => [account.code, account.id])
+  );
+
+  const entry = (date, description, debitCode, creditCode, amount, post) =>
+    call("post", "/journal")
+      .send({
+        date,
+        description,
+        post,
+        lines: [
+          { accountId: accounts[debitCode], debit: amount, credit: "0" },
+          { accountId: accounts[creditCode], debit: "0", credit: amount },
+        ],
+      })
+      .expect(201);
+
+  // Share capital in the previous fiscal year, then a sale and an expense
+  await entry("2024-05-10", "Sissemakse", "1020", "3010", "1000.00", true);
+  await entry("2024-08-15", "Müük", "1020", "4010", "200.00", true);
+  await entry("2024-09-01", "Rent", "6010", "1020", "50.00", true);
+  // Drafts aren't in any report
+  await entry("2024-09-02", "Mustand", "6010", "1020", "999.00", false);
+});
+
+after(teardown);
+
+const call = (method, path) =>
+  t
+    .api()
+    [method](`/api/company/${company.id}${path}`)
+    .set("Authorization", `Bearer ${accessToken}`);
+
+describe("report periods", () => {
+  it("start at the beginning of the fiscal year containing `to`", () => {
+    const periodOf = (to, fiscalYearStartMonth) =>
+      resolvePeriods({ to }, { fiscalYearStartMonth }).period;
+
+    assert.deepEqual(periodOf("2025-06-30", 7), {
+      from: "2024-07-01",
+      to: "2025-06-30",
+    });
+    assert.equal(periodOf("2025-07-01", 7).from, "2025-07-01");
+    assert.equal(periodOf("2025-03-31", 1).from, "2025-01-01");
+    assert.equal(
+      resolvePeriods({}, { now: "2025-10-19", fiscalYearStartMonth: 4 }).period
+        .from,
+      "2025-04-01"
+    );
+  });
+
+  it("reject malformed and inverted ranges", async () => {
+    const response = await call(
+      "get",
+      "/reports/trial-balance?from=2025-13-01&compare=last-year"
+    ).expect(400);
+    const fields = response.body.errors.map((error) => error.field);
+    assert.deepEqual(fields.sort(), ["compare", "from"]);
+
+    await call(
+      "get",
+      "/reports/trial-balance?from=2025-03-01&to=2025-02-01"
+    ).expect(400, /Start date must not be after end date/);
+  });
+});
+
+describe("trial balance", () => {
+  it("splits balances at the start of the fiscal year", async () => {
+    const response = await call(
+      "get",
+      "/reports/trial-balance?to=2025-03-31"
+    ).expect(200);
+    const { report } = response.body;
+    const bank = report.accounts.find((account) => account.code === "1020");
+
+    assert.deepEqual(report.period, { from: "2024-07-01", to: "2025-03-31" });
+    assert.equal(bank.openingBalance, "1000.00");
+    assert.equal(bank.debit, "200.00");
+    assert.equal(bank.credit, "50.00");
+    assert.equal(bank.closingBalance, "1150.00");
+    assert.equal(report.totals.openingBalance, "0.00");
+    assert.equal(report.totals.debit, report.totals.credit);
+    assert.equal(report.totals.closingBalance, "0.00");
+  });
+
+  it("adds the comparison period", async () => {
+    const response = await call(
+      "get",
+      "/reports/trial-balance?from=2024-08-01&to=2024-08-31&compare=previous-year"
+    ).expect(200);
+    const { report } = response.body;
+
+    assert.deepEqual(report.comparison, {
+      from: "2023-08-01",
+      to: "2023-08-31",
+    });
+    assert.equal(report.comparisonTotals.debit, "0.00");
+    assert.equal(report.totals.debit, "200.00");
+  });
+});
+
+describe("general ledger", () => {
+  it("lists posted lines with a running balance", async () => {
+    const response = await call(
+      "get",
+      `/reports/general-ledger/${accounts["1020"]}?to=2025-03-31`
+    ).expect(200);
+    const { report } = response.body;
+
+    assert.equal(report.account.code, "1020");
+    assert.equal(report.openingBalance, "1000.00");
+    assert.equal(report.closingBalance, "1150.00");
+    assert.equal(report.total, 2);
+    assert.deepEqual(
+      report.lines.map((line) => line.balance),
+      ["1200.00", "1150.00"]
+    );
+  });
+
+  it("keeps the running balance right on later pages", async () => {
+    const response = await call(
+      "get",
+      `/reports/general-ledger/${accounts["1020"]}?to=2025-03-31&limit=1&offset=1`
+    ).expect(200);
+
+    assert.equal(response.body.report.total, 2);
+    assert.equal(response.body.report.lines.length, 1);
+    assert.equal(response.body.report.lines[0].balance, "1150.00");
+  });
+
+  for (const [query, field] of [
+    ["limit=0", "limit"],
+    ["limit=abc", "limit"],
+    ["limit=1001", "limit"],
+    ["limit=1.5", "limit"],
+    ["offset=-1", "offset"],
+    ["offset=", "offset"],
+  ]) {
+    it(`refuses ${query}`, async () => {
+      const response = await call(
+        "get",
+        `/reports/general-ledger/${accounts["1020"]}?${query}`
+      ).expect(400);
+      assert.deepEqual(
+        response.body.errors.map((error) => error.field),
+        [field]
+      );
+    });
+  }
+
+  it("refuses malformed account ids and unknown accounts", async () => {
+    const malformed = await call("get", "/reports/general-ledger/abc").expect(
+      400
+    );
+    assert.equal(malformed.body.errors[0].field, "accountId");
+
+    await call("get", "/reports/general-ledger/999999").expect(
+      404,
+      /Account not found/
+    );
+  });
+});
+
+describe("balance sheet", () => {
+  it("balances and shows the result of the fiscal year separately", async () => {
+    const response = await call(
+      "get",
+      "/reports/balance-sheet?to=2025-03-31"
+    ).expect(200);
+    const { report } = response.body;
+
+    assert.equal(report.balanced, true);
+    assert.equal(report.assets.total, "1150.00");
+    assert.equal(report.liabilities.total, "0.00");
+    assert.equal(report.equity.total, "1150.00");
+    assert.equal(report.equity.unclosedResult.previousPeriods, "0.00");
+    assert.equal(report.equity.unclosedResult.currentPeriod, "150.00");
+    assert.equal(report.totalLiabilitiesAndEquity, "1150.00");
+  });
+
+  it("moves the result to previous periods in the next fiscal year", async () => {
+    const response = await call(
+      "get",
+      "/reports/balance-sheet?to=2025-08-31"
+    ).expect(200);
+    const { report } = response.body;
+
+    assert.equal(report.period.from, "2025-07-01");
+    assert.equal(report.equity.unclosedResult.previousPeriods, "150.00");
+    assert.equal(report.equity.unclosedResult.currentPeriod, "0.00");
+    assert.equal(report.balanced, true);
+  });
+});
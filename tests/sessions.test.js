@@ -0,0 +1,229 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { setup, teardown, PASSWORD } = require("./helpers/harness");
+const { createApp } = require("../app");
+
+const OFFICE = {
+  userAgent:
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36",
+  forwardedFor: "198.51.100.20",
+};
+const HOME = {
+  userAgent:
+    "Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5; rv:127.0) Gecko/20100101 Firefox/127.0",
+  forwardedFor: "203.0.113.7",
+};
+
+let t;
+// The app behind one proxy, as deployed
+let proxied;
+
+before(async () => {
+  t = await setup();
+  proxied = createApp({ rateLimits: false, trustProxy: 1 });
+});
+
+after(teardown);
+
+// Logs the user in from `device` through the proxy and returns the session.
+// The proxy appends the client's address to whatever the client sent.
+const signInFrom = async (user, device, app = proxied) => {
+  const response = await request(app)
+    .post("/api/login")
+    .set("User-Agent", device.userAgent)
+    .set("X-Forwarded-For", `10.0.0.1, ${device.forwardedFor}`)
+    .send({ email: user.email, password: PASSWORD })
+    .expect(200);
+  const cookie = response.headers["set-cookie"]
+    .find((value) => value.startsWith("refreshToken="))
+    .split(";")[0];
+  return { accessToken: response.body.accessToken, cookie };
+};
+
+const call = (method, path, session) =>
+  t
+    .api()
+    [method](path)
+    .set("Authorization", `Bearer ${session.accessToken}`)
+    .set("Cookie", session.cookie);
+
+const listSessions = async (session) =>
+  (await call("get", "/api/user/sessions", session).expect(200)).body.sessions;
+
+const refresh = (session) =>
+  t.api().post("/api/refresh-token").set("Cookie", session.cookie);
+
+describe("GET /api/user/sessions", () => {
+  it("lists the devices the user is signed in on", async () => {
+    const user = await t.createUser();
+    await signInFrom(user, OFFICE);
+    const home = await signInFrom(user, HOME);
+
+    const sessions = await listSessions(home);
+
+    assert.deepEqual(
+      sessions
+        .map((session) => [
+          session.deviceLabel,
+          session.ipAddress,
+          session.current,
+        ])
+        .sort(),
+      [
+        ["Chrome on Windows", OFFICE.forwardedFor, false],
+        ["Firefox on macOS", HOME.forwardedFor, true],
+      ]
+    );
+    assert.ok(sessions.every((session) => session.lastUsedAt));
+    assert.ok(sessions.every((session) => session.token === undefined));
+  });
+
+  it("takes the address from the socket when no proxy is trusted", async () => {
+    const user = await t.createUser();
+    const session = await signInFrom(
+      user,
+      HOME,
+      createApp({ rateLimits: false, trustProxy: 0 })
+    );
+
+    const [listed] = await listSessions(session);
+    assert.notEqual(listed.ipAddress, HOME.forwardedFor);
+    assert.match(listed.ipAddress, /127\.0\.0\.1|::1/);
+  });
+
+  it("leaves out revoked sessions and other users' sessions", async () => {
+    const user = await t.createUser();
+    const office = await signInFrom(user, OFFICE);
+    await t.api().post("/api/logout").set("Cookie", office.cookie).expect(200);
+    await t.signIn();
+
+    const home = await signInFrom(user, HOME);
+    const sessions = await listSessions(home);
+    assert.equal(sessions.length, 1);
+    assert.equal(sessions[0].current, true);
+  });
+});
+
+describe("DELETE /api/user/sessions/:id", () => {
+  it("signs out that device and keeps the others", async () => {
+    const user = await t.createUser();
+    const office = await signInFrom(user, OFFICE);
+    const home = await signInFrom(user, HOME);
+    const officeSession = (await listSessions(home)).find(
+      (session) => !session.current
+    );
+
+    await call("delete", `/api/user/sessions/${officeSession.id}`, home).expect(
+      200
+    );
+
+    await refresh(office).expect(400);
+    await refresh(home).expect(200);
+    assert.equal((await listSessions(home)).length, 1);
+  });
+
+  it("revokes the refreshed token of the device too", async () => {
+    const user = await t.createUser();
+    const office = await signInFrom(user, OFFICE);
+    const home = await signInFrom(user, HOME);
+    const response = await refresh(office).expect(200);
+    const rotated = response.headers["set-cookie"][0].split(";")[0];
+    const officeSession = (await listSessions(home)).find(
+      (session) => !session.current
+    );
+
+    await call("delete", `/api/user/sessions/${officeSession.id}`, home).expect(
+      200
+    );
+
+    await refresh({ cookie: rotated }).expect(400);
+  });
+
+  it("doesn't find another user's or an already revoked session", async () => {
+    const user = await t.createUser();
+    const home = await signInFrom(user, HOME);
+    const other = await t.signIn();
+    const [otherSession] = await listSessions(other);
+
+    await call("delete", `/api/user/sessions/${otherSession.id}`, home).expect(
+      404,
+      /Session not found/
+    );
+    await refresh(other).expect(200);
+
+    const [own] = await listSessions(home);
+    await call("delete", `/api/user/sessions/${own.id}`, home).expect(200);
+    await call("delete", `/api/user/sessions/${own.id}`, home).expect(404);
+  });
+
+  it("rejects a malformed session id", async () => {
+    const home = await signInFrom(await t.createUser(), HOME);
+
+    const response = await call(
+      "delete",
+      "/api/user/sessions/1.5",
+      home
+    ).expect(400);
+
+    assert.deepEqual(response.body.errors, [
+      { field: "id", message: "Must be a session id" },
+    ]);
+    assert.equal((await listSessions(home)).length, 1);
+  });
+});
+
+describe("DELETE /api/user/sessions", () => {
+  it("signs out every other device", async () => {
+    const user = await t.createUser();
+    const office = await signInFrom(user, OFFICE);
+    const laptop = await signInFrom(user, OFFICE);
+    const home = await signInFrom(user, HOME);
+    const other = await t.signIn();
+
+    const response = await call("delete", "/api/user/sessions", home).expect(
+      200
+    );
+
+    assert.equal(response.body.revokedCount, 2);
+    await refresh(office).expect(400);
+    await refresh(laptop).expect(400);
+    await refresh(home).expect(200);
+    await refresh(other).expect(200);
+  });
+
+  it("signs out every device without the cookie", async () => {
+    const user = await t.createUser();
+    const home = await signInFrom(user, HOME);
+
+    const response = await t
+      .api()
+      .delete("/api/user/sessions")
+      .set("Authorization", `Bearer ${home.accessToken}`)
+      .expect(200);
+
+    assert.equal(response.body.revokedCount, 1);
+    await refresh(home).expect(400);
+  });
+});
+
+describe("POST /api/logout-all", () => {
+  it("signs out every device of the user", async () => {
+    const user = await t.createUser();
+    const office = await signInFrom(user, OFFICE);
+    const home = await signInFrom(user, HOME);
+    const other = await t.signIn();
+
+    const response = await call("post", "/api/logout-all", home).expect(200);
+
+    assert.equal(response.body.revokedCount, 2);
+    assert.match(response.headers["set-cookie"][0], /^refreshToken=;/);
+    await refresh(office).expect(400);
+    await refresh(home).expect(400);
+    await refresh(other).expect(200);
+  });
+
+  it("requires an access token", async () => {
+    await t.api().post("/api/logout-all").expect(401);
+  });
+});
@@ -0,0 +1,328 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { setup, teardown } = require("./helpers/harness");
+
+let t;
+// Owner and records of the member's own company and of another company
+let mine;
+let theirs;
+
+// A company with one record of each kind the company routes work on
+const populate = async (session) => {
+  const company = await t.createCompany(session.accessToken);
+  const call = (method, path) =>
+    t
+      .api()
+      [method](`/api/company/${company.id}${path}`)
+      .set("Authorization", `Bearer ${session.accessToken}`);
+
+  const accounts = Object.fromEntries(
+    (await call("get", "/accounts").expect(200)).body.accounts.map(
+      (account) => [account.code, account.id]
+    )
+  );
+  const entry = await call("post", "/journal")
+    .send({
+      date: "2025-03-10",
+      description: "Mustand",
+      lines: [
+        { accountId: accounts["1020"], debit: "10.00", credit: "0" },
+        { accountId: accounts["3010"], debit: "0", credit: "10.00" },
+      ],
+    })
+    .expect(201);
+
+  const customer = await call("post", "/customers")
+    .send({ name: "Klient OÜ" })
+    .expect(201);
+  const invoice = await call("post", "/invoices")
+    .send({
+      customerId: customer.body.customer.id,
+      issueDate: "2025-03-10",
+      lines: [
+        {
+          description: "Töö",
+          quantity: "1",
+          unitPrice: "100.00",
+          vatCode: "standard",
+        },
+      ],
+    })
+    .expect(201);
+  const series = await call("post", "/invoice-series")
+    .send({ name: "Veeb", documentType: "invoice", prefix: "W-" })
+    .expect(201);
+
+  const supplier = await call("post", "/suppliers")
+    .send({ name: "Tarnija OÜ" })
+    .expect(201);
+  const bill = await call("post", "/bills")
+    .send({
+      supplierId: supplier.body.supplier.id,
+      number: "T-1",
+      issueDate: "2025-03-05",
+      lines: [
+        {
+          description: "Paber",
+          quantity: "1",
+          unitPrice: "10.00",
+          vatCode: "standard",
+        },
+      ],
+    })
+    .expect(201);
+  const attachment = await call(
+    "post",
+    `/bills/${bill.body.bill.id}/attachments`
+  )
+    .attach("file", Buffer.from("%PDF-1.4"), "arve.pdf")
+    .expect(201);
+
+  const year = await call("post", "/fiscal-years")
+    .send({ startDate: "2025-01-01" })
+    .expect(201);
+
+  await call("post", "/bank/statements")
+    .attach(
+      "file",
+      fs.readFileSync(
+        path.join(__dirname, "../services/bank/fixtures/seb.csv")
+      ),
+      "seb.csv"
+    )
+    .expect(201);
+  const transactions = await call("get", "/bank/transactions").expect(200);
+
+  return {
+    session,
+    company,
+    call,
+    accountId: accounts["6010"],
+    entryId: entry.body.entry.id,
+    customerId: customer.body.customer.id,
+    invoiceId: invoice.body.invoice.id,
+    seriesId: series.body.series.id,
+    supplierId: supplier.body.supplier.id,
+    billId: bill.body.bill.id,
+    attachmentId: attachment.body.attachment.id,
+    yearId: year.body.fiscalYear.id,
+    periodId: year.body.fiscalYear.periods[0].id,
+    transactionId: transactions.body.transactions[0].id,
+  };
+};
+
+before(async () => {
+  t = await setup();
+  mine = await populate(await t.signIn());
+  theirs = await populate(await t.signIn());
+});
+
+after(teardown);
+
+// Every route under /api/company/:id as [method, path, body], with the ids
+// in paths and bodies taken from `records`
+const companyRoutes = (records) => {
+  const {
+    accountId,
+    entryId,
+    customerId,
+    invoiceId,
+    seriesId,
+    supplierId,
+    billId,
+    attachmentId,
+    yearId,
+    periodId,
+    transactionId,
+  } = records;
+  const reason = { reason: "Parandus" };
+
+  return [
+    ["get", "", {}],
+    ["put", "", { name: "Ülevõetud OÜ" }],
+    ["post", "/archive", {}],
+    ["post", "/restore", {}],
+    ["delete", "", {}],
+    ["get", "/members", {}],
+    ["get", "/invitations", {}],
+    ["post", "/invitations", { email: "someone@example.com", role: "viewer" }],
+
+    ["get", "/accounts", {}],
+    ["post", "/accounts", { code: "9990", name: "Uus", type: "asset" }],
+    ["get", `/accounts/${accountId}`, {}],
+    ["put", `/accounts/${accountId}`, { name: "Muudetud" }],
+    ["delete", `/accounts/${accountId}`, {}],
+
+    ["get", "/journal", {}],
+    ["post", "/journal", { description: "Uus", lines: [] }],
+    ["get", `/journal/${entryId}`, {}],
+    ["put", `/journal/${entryId}`, { description: "Muudetud" }],
+    ["post", `/journal/${entryId}/post`, {}],
+    ["post", `/journal/${entryId}/reverse`, {}],
+    ["delete", `/journal/${entryId}`, {}],
+
+    ["get", "/reports/trial-balance", {}],
+    ["get", `/reports/general-ledger/${accountId}`, {}],
+    ["get", "/reports/income-statement", {}],
+    ["get", "/reports/balance-sheet", {}],
+
+    ["get", "/fiscal-years", {}],
+    ["post", "/fiscal-years", {}],
+    ["get", `/fiscal-years/${yearId}`, {}],
+    ["post", `/fiscal-years/${yearId}/periods/${periodId}/close`, {}],
+    ["post", `/fiscal-years/${yearId}/periods/${periodId}/reopen`, reason],
+    ["post", `/fiscal-years/${yearId}/close`, {}],
+    ["post", `/fiscal-years/${yearId}/reopen`, reason],
+
+    ["get", "/customers", {}],
+    ["post", "/customers", { name: "Uus OÜ" }],
+    ["get", `/customers/${customerId}`, {}],
+    ["put", `/customers/${customerId}`, { name: "Muudetud" }],
+    ["delete", `/customers/${customerId}`, {}],
+
+    ["get", "/invoice-series", {}],
+    ["post", "/invoice-series", { name: "Uus", prefix: "U-" }],
+    ["put", `/invoice-series/${seriesId}`, { name: "Muudetud" }],
+
+    ["get", "/invoices", {}],
+    ["post", "/invoices", { customerId, lines: [] }],
+    ["get", `/invoices/${invoiceId}`, {}],
+    ["get", `/invoices/${invoiceId}/pdf`, {}],
+    ["put", `/invoices/${invoiceId}`, { notes: "Muudetud" }],
+    ["post", `/invoices/${invoiceId}/issue`, {}],
+    ["post", `/invoices/${invoiceId}/pay`, {}],
+    ["post", `/invoices/${invoiceId}/credit`, {}],
+    ["delete", `/invoices/${invoiceId}`, {}],
+
+    ["get", "/vat/rates", {}],
+    ["get", "/vat/kmd?year=2025&month=3", {}],
+    ["get", "/vat/kmd/xml?year=2025&month=3", {}],
+
+    ["get", "/bank/statements", {}],
+    ["post", "/bank/statements", {}],
+    ["get", "/bank/transactions", {}],
+    ["post", "/bank/transactions/auto-match", {}],
+    [
+      "post",
+      `/bank/transactions/${transactionId}/match`,
+      { accountId: records.accountId },
+    ],
+    ["post", `/bank/transactions/${transactionId}/unmatch`, {}],
+
+    ["get", "/suppliers", {}],
+    ["post", "/suppliers", { name: "Uus OÜ" }],
+    ["get", `/suppliers/${supplierId}`, {}],
+    ["put", `/suppliers/${supplierId}`, { name: "Muudetud" }],
+    ["delete", `/suppliers/${supplierId}`, {}],
+
+    ["get", "/bills", {}],
+    ["post", "/bills", { supplierId, number: "U-1", lines: [] }],
+    ["post", "/bills/ingest", {}],
+    ["get", `/bills/${billId}`, {}],
+    ["put", `/bills/${billId}`, { notes: "Muudetud" }],
+    ["post", `/bills/${billId}/approve`, {}],
+    ["post", `/bills/${billId}/reject`, reason],
+    ["post", `/bills/${billId}/pay`, {}],
+    ["post", `/bills/${billId}/attachments`, {}],
+    ["get", `/bills/${billId}/attachments/${attachmentId}`, {}],
+    ["delete", `/bills/${billId}`, {}],
+
+    ["get", "/audit", {}],
+  ];
+};
+
+const request = (session, companyId, [method, path, body]) => {
+  const call = t
+    .api()
+    [method](`/api/company/${companyId}${path}`)
+    .set("Authorization", `Bearer ${session.accessToken}`);
+  return method === "get" ? call : call.send(body);
+};
+
+// Checks that the app itself refused the request, so a typo in a path
+// can't pass as a 404 of a route that doesn't exist
+const assertRefused = (response, [method, path], statuses) => {
+  const label = `${method.toUpperCase()} ${path} answered ${response.status}`;
+  assert.ok(statuses.includes(response.status), label);
+  assert.match(response.body.message || "", /not found|permission/i, label);
+};
+
+describe("another company's data", () => {
+  it("is out of reach through the other company's URLs", async () => {
+    for (const route of companyRoutes(theirs)) {
+      const response = await request(mine.session, theirs.company.id, route);
+      assertRefused(response, route, [403, 404]);
+    }
+  });
+
+  it("is out of reach through the member's own company", async () => {
+    // Routes of the own company with the other company's ids in the path
+    const routes = companyRoutes(theirs).filter(([, path]) =>
+      /\/\d+/.test(path)
+    );
+    assert.ok(routes.length > 30);
+
+    for (const route of routes) {
+      const response = await request(mine.session, mine.company.id, route);
+      assertRefused(response, route, [404]);
+    }
+  });
+
+  it("can't be mixed into the own company's records", async () => {
+    const { call } = mine;
+
+    await call(
+      "post",
+      `/fiscal-years/${mine.yearId}/periods/${theirs.periodId}/close`
+    ).expect(404, /Accounting period not found/);
+    await call(
+      "get",
+      `/bills/${mine.billId}/attachments/${theirs.attachmentId}`
+    ).expect(404, /Attachment not found/);
+
+    await call("post", "/invoices")
+      .send({
+        customerId: theirs.customerId,
+        lines: [{ description: "Töö", quantity: "1", unitPrice: "1.00" }],
+      })
+      .expect(400, /Customer not found/);
+    await call("post", "/bills")
+      .send({
+        supplierId: theirs.supplierId,
+        number: "V-1",
+        lines: [{ description: "Kulu", quantity: "1", unitPrice: "1.00" }],
+      })
+      .expect(400, /Supplier not found/);
+    await call("post", "/journal")
+      .send({
+        date: "2025-03-10",
+        description: "Võõras konto",
+        lines: [
+          { accountId: mine.accountId, debit: "1.00", credit: "0" },
+          { accountId: theirs.accountId, debit: "0", credit: "1.00" },
+        ],
+      })
+      .expect(400);
+    await call("post", `/bank/transactions/${mine.transactionId}/match`)
+      .send({ invoiceId: theirs.invoiceId })
+      .expect(400, /Invoice not found/);
+  });
+
+  it("stays unchanged", async () => {
+    const { call } = theirs;
+
+    const entry = await call("get", `/journal/${theirs.entryId}`).expect(200);
+    assert.equal(entry.body.entry.status, "draft");
+    const invoice = await call("get", `/invoices/${theirs.invoiceId}`).expect(
+      200
+    );
+    assert.equal(invoice.body.invoice.status, "draft");
+    const bill = await call("get", `/bills/${theirs.billId}`).expect(200);
+    assert.equal(bill.body.bill.status, "draft");
+    const company = await call("get", "").expect(200);
+    assert.equal(company.body.company.name, theirs.company.name);
+    assert.equal(company.body.company.archivedAt, null);
+  });
+});
@@ -0,0 +1,236 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, teardown, PASSWORD } = require("./helpers/harness");
+const {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  verifyTotp,
+  otpauthUri,
+} = require("../utils/totp");
+
+let t;
+
+before(async () => {
+  t = await setup();
+});
+
+after(teardown);
+
+const auth = (accessToken) => ({ Authorization: `Bearer ${accessToken}` });
+
+describe("TOTP", () => {
+  // RFC 6238 appendix B: 8 digit codes for the ASCII seeds below
+  const SEEDS = {
+    sha1: "12345678901234567890",
+    sha256: "12345678901234567890123456789012",
+    sha512: "1234567890123456789012345678901234567890123456789012345678901234",
+  };
+  const VECTORS = [
+    [59, { sha1: "94287082", sha256: "46119246", sha512: "90693936" }],
+    [1111111109, { sha1: "07081804", sha256: "68084774", sha512: "25091201" }],
+    [1111111111, { sha1: "14050471", sha256: "67062674", sha512: "99943326" }],
+    [1234567890, { sha1: "89005924", sha256: "91819424", sha512: "93441116" }],
+    [2000000000, { sha1: "69279037", sha256: "90698825", sha512: "38618901" }],
+    [20000000000, { sha1: "65353130", sha256: "77737706", sha512: "47863826" }],
+  ];
+
+  it("matches the RFC 6238 test vectors", () => {
+    for (const [seconds, codes] of VECTORS) {
+      for (const [algorithm, code] of Object.entries(codes)) {
+        const secret = base32Encode(Buffer.from(SEEDS[algorithm]));
+        assert.equal(
+          generateTotp(secret, { time: seconds * 1000, digits: 8, algorithm }),
+          code,
+          `${algorithm} at ${seconds}`
+        );
+      }
+    }
+  });
+
+  it("round-trips base32", () => {
+    const bytes = Buffer.from("any carnal pleasure");
+    assert.deepEqual(base32Decode(base32Encode(bytes)), bytes);
+    assert.equal(base32Encode(Buffer.from("foobar")), "MZXW6YTBOI");
+  });
+
+  it("accepts one step of clock drift and returns the matched step", () => {
+    const secret = base32Encode(Buffer.from(SEEDS.sha1));
+    const time = 1111111111 * 1000;
+    const code = generateTotp(secret, { time });
+    const step = Math.floor(time / 30000);
+
+    assert.equal(verifyTotp(code, secret, { time }), step);
+    assert.equal(verifyTotp(code, secret, { time: time + 30000 }), step);
+    assert.equal(verifyTotp(code, secret, { time: time + 90000 }), null);
+    assert.equal(verifyTotp("12345", secret, { time }), null);
+    assert.equal(verifyTotp(undefined, secret, { time }), null);
+  });
+
+  it("builds the otpauth URI for authenticator apps", () => {
+    assert.equal(
+      otpauthUri("JBSWY3DPEHPK3PXP", "mari@example.com", "RPK"),
+      "otpauth://totp/RPK%3Amari%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=RPK&algorithm=SHA1&digits=6&period=30"
+    );
+  });
+});
+
+describe("two-factor login", () => {
+  // Enables 2FA through the API and returns the secret and recovery codes
+  const enable = async ({ user, accessToken }) => {
+    const setupResponse = await t
+      .api()
+      .post("/api/user/2fa/setup")
+      .set(auth(accessToken))
+      .expect(200);
+    const { secret } = setupResponse.body;
+
+    const confirmed = await t
+      .api()
+      .post("/api/user/2fa/confirm")
+      .set(auth(accessToken))
+      .send({ code: generateTotp(secret) })
+      .expect(200);
+
+    return { user, secret, recoveryCodes: confirmed.body.recoveryCodes };
+  };
+
+  const passwordStep = async (email) => {
+    const response = await t
+      .api()
+      .post("/api/login")
+      .send({ email, password: PASSWORD })
+      .expect(200);
+    assert.equal(response.body.twoFactorRequired, true);
+    assert.equal(response.body.accessToken, undefined);
+    return response.body.challengeToken;
+  };
+
+  const codeStep = (challengeToken, code) =>
+    t.api().post("/api/login/2fa").send({ challengeToken, code });
+
+  it("exchanges the challenge and a code for the session", async () => {
+    const { user, secret, recoveryCodes } = await enable(await t.signIn());
+    assert.equal(recoveryCodes.length, 10);
+
+    const challengeToken = await passwordStep(user.email);
+    // The confirmation used the current step; the next one is still valid
+    const code = generateTotp(secret, { time: Date.now() + 30000 });
+    const response = await codeStep(challengeToken, code).expect(200);
+
+    assert.ok(response.body.accessToken);
+    assert.ok(
+      response.headers["set-cookie"].some((cookie) =>
+        cookie.startsWith("refreshToken=")
+      )
+    );
+    await t
+      .api()
+      .get("/api/user/me")
+      .set(auth(response.body.accessToken))
+      .expect(200);
+  });
+
+  it("refuses a code that has already been used", async () => {
+    const { user, secret } = await enable(await t.signIn());
+    const time = Date.now() + 30000;
+    const code = generateTotp(secret, { time });
+    await codeStep(await passwordStep(user.email), code).expect(200);
+
+    const replay = await codeStep(await passwordStep(user.email), code).expect(
+      400
+    );
+
+    assert.equal(replay.body.message, "Invalid authentication code");
+    await user.reload();
+    assert.equal(Number(user.twoFactorLastStep), Math.floor(time / 30000));
+  });
+
+  it("accepts each recovery code once", async () => {
+    const { user, recoveryCodes } = await enable(await t.signIn());
+    const [code] = recoveryCodes;
+
+    await codeStep(await passwordStep(user.email), code).expect(200);
+    await codeStep(await passwordStep(user.email), code).expect(400);
+
+    // Formatting doesn't matter
+    await codeStep(
+      await passwordStep(user.email),
+      recoveryCodes[1].replace("-", "").toUpperCase()
+    ).expect(200);
+    await user.reload();
+    assert.equal(user.twoFactorRecoveryCodes.length, 8);
+  });
+
+  it("doesn't accept the challenge token as an access token", async () => {
+    const { user } = await enable(await t.signIn());
+    const challengeToken = await passwordStep(user.email);
+
+    const response = await t
+      .api()
+      .get("/api/user/me")
+      .set(auth(challengeToken))
+      .expect(401);
+
+    assert.equal(response.body.message, "Invalid access token");
+  });
+
+  it("rejects a missing code, a wrong code and a non-challenge token", async () => {
+    const { user, accessToken } = await t.signIn();
+    await enable({ user, accessToken });
+    const challengeToken = await passwordStep(user.email);
+
+    await codeStep(challengeToken, undefined).expect(400);
+    await codeStep(challengeToken, "000000").expect(
+      400,
+      /Invalid authentication code/
+    );
+    await codeStep(accessToken, "000000").expect(
+      400,
+      /Invalid challenge token/
+    );
+  });
+
+  it("disables 2FA with the password and a code", async () => {
+    const { user, accessToken } = await t.signIn();
+    const { recoveryCodes } = await enable({ user, accessToken });
+
+    await t
+      .api()
+      .post("/api/user/2fa/disable")
+      .set(auth(accessToken))
+      .send({ password: "Wr0ng-passw0rd!", code: recoveryCodes[0] })
+      .expect(400);
+    await t
+      .api()
+      .post("/api/user/2fa/disable")
+      .set(auth(accessToken))
+      .send({ password: PASSWORD, code: recoveryCodes[0] })
+      .expect(200);
+
+    // Back to a plain password login
+    await t.login(user.email);
+  });
+
+  it("requires a valid code to confirm the setup", async () => {
+    const { accessToken } = await t.signIn();
+    await t
+      .api()
+      .post("/api/user/2fa/confirm")
+      .set(auth(accessToken))
+      .send({ code: "123456" })
+      .expect(400, /setup has not been started/);
+
+    await t
+      .api()
+      .post("/api/user/2fa/setup")
+      .set(auth(accessToken))
+      .expect(200);
+    await t
+      .api()
+      .post("/api/user/2fa/confirm")
+      .set(auth(accessToken))
+      .send({ code: "abcdef" })
+      .expect(400, /Invalid authentication code/);
+  });
+});
@@ -0,0 +1,319 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { setup, teardown } = require("./helpers/harness");
+const { validateKmdXml } = require("../services/vat/kmdXml");
+
+let t;
+let accessToken;
+let company;
+// Account ids of the seeded chart by code
+let accounts;
+
+before(async () => {
+  t = await setup();
+  ({ accessToken } = await t.signIn());
+  company = await t.createCompany(accessToken);
+
+  const response = await call("get", "/accounts").expect(200);
+  accounts = Object.fromEntries(
+    response.body.accounts.map((account) => [account.code, account.id])
+  );
+
+  const createCustomer = async (values) =>
+    (await call("post", "/customers").send(values).expect(201)).body.customer;
+  const partner = await createCustomer({
+    name: "Partner OÜ",
+    registrationNumber: "12345678",
+  });
+  const person = await createCustomer({ name: "Mari Maasikas" });
+
+  const issue = async (customer, lines) => {
+    const draft = await call("post", "/invoices")
+      .send({ customerId: customer.id, issueDate: "2025-08-05", lines })
+      .expect(201);
+    const issued = await call(
+      "post",
+      `/invoices/${draft.body.invoice.id}/issue`
+    )
+      .send({})
+      .expect(200);
+    return issued.body.invoice;
+  };
+  const line = (vatCode, unitPrice) => ({
+    description: "Kaup",
+    quantity: "1",
+    unitPrice,
+    vatCode,
+  });
+
+  await issue(partner, [
+    line("standard", "1000.00"),
+    line("reduced", "100.00"),
+  ]);
+  await issue(person, [
+    line("zero_eu_goods", "300.00"),
+    line("exempt", "50.00"),
+  ]);
+  // Credited in the same month, so it cancels out of the totals
+  const credited = await issue(partner, [line("standard", "100.00")]);
+  await call("post", `/invoices/${credited.id}/credit`)
+    .send({ date: "2025-08-20" })
+    .expect(201);
+
+  // A bill from an Estonian supplier, listed in INF part B
+  const supplier = await call("post", "/suppliers")
+    .send({ name: "Tarnija OÜ", registrationNumber: "14532901" })
+    .expect(201);
+  const bill = await call("post", "/bills")
+    .send({
+      supplierId: supplier.body.supplier.id,
+      number: "T-815",
+      issueDate: "2025-08-12",
+      lines: [line("standard", "1200.00")],
+    })
+    .expect(201);
+  await call("post", `/bills/${bill.body.bill.id}/approve`)
+    .send({})
+    .expect(200);
+
+  await call("post", "/journal")
+    .send({
+      date: "2025-08-10",
+      description: "Sisendkäibemaks",
+      post: true,
+      lines: [
+        { accountId: accounts["1310"], debit: "30.00", credit: "0" },
+        { accountId: accounts["1020"], debit: "0", credit: "30.00" },
+      ],
+    })
+    .expect(201);
+});
+
+after(teardown);
+
+const call = (method, path) =>
+  t
+    .api()
+    [method](`/api/company/${company.id}${path}`)
+    .set("Authorization", `Bearer ${accessToken}`);
+
+describe("VAT rates", () => {
+  it("lists the rates in effect on a date", async () => {
+    const rateOf = async (date) => {
+      const response = await call("get", `/vat/rates?date=${date}`).expect(200);
+      return response.body.rates.find((rate) => rate.code === "standard");
+    };
+
+    assert.equal(Number((await rateOf("2025-06-30")).rate), 22);
+    assert.equal((await rateOf("2025-07-01")).kmdBox, "1");
+
+    const invalid = await call("get", "/vat/rates?date=2025-02-30").expect(400);
+    assert.equal(invalid.body.errors[0].field, "date");
+  });
+});
+
+describe("KMD return", () => {
+  it("sums the month's sales per box and the input VAT", async () => {
+    const response = await call("get", "/vat/kmd?year=2025&month=8").expect(
+      200
+    );
+    const { report } = response.body;
+    const amounts = Object.fromEntries(
+      report.boxes.map(({ box, amount }) => [box, amount])
+    );
+
+    assert.deepEqual(report.period, { from: "2025-08-01", to: "2025-08-31" });
+    assert.deepEqual(amounts, {
+      1: "1000.00",
+      1.1: "0.00",
+      1.2: "0.00",
+      2: "100.00",
+      2.1: "0.00",
+      2.2: "0.00",
+      3: "300.00",
+      3.1: "300.00",
+      "3.1.1": "300.00",
+      3.2: "0.00",
+      4: "249.00",
+      5: "318.00",
+      8: "50.00",
+      12: "0.00",
+      13: "69.00",
+    });
+    assert.deepEqual(report.unassigned, []);
+  });
+
+  it("lists Estonian business partners over the threshold in the INF annex", async () => {
+    const response = await call("get", "/vat/kmd?year=2025&month=8").expect(
+      200
+    );
+    const annex = response.body.report.salesAnnex;
+
+    assert.ok(annex.every((row) => row.buyerRegCode === "12345678"));
+    assert.deepEqual(
+      annex.map((row) => [
+        row.taxRate,
+        row.invoiceSumForRate,
+        row.sumForRateInPeriod,
+      ]),
+      [
+        ["9.00", "100.00", "100.00"],
+        ["24.00", "1000.00", "1000.00"],
+        ["24.00", "100.00", "100.00"],
+        // The credit note
+        ["24.00", "-100.00", "-100.00"],
+      ]
+    );
+    assert.deepEqual(
+      response.body.report.purchasesAnnex.map((row) => [
+        row.sellerRegCode,
+        row.invoiceNumber,
+        row.invoiceSumVat,
+        row.vatSum,
+        row.vatInPeriod,
+      ]),
+      [["14532901", "T-815", "1488.00", "288.00", "288.00"]]
+    );
+
+    const july = await call("get", "/vat/kmd?year=2025&month=7").expect(200);
+    assert.deepEqual(july.body.report.salesAnnex, []);
+  });
+
+  for (const [query, field] of [
+    ["year=2003&month=8", "year"],
+    ["month=8", "year"],
+    ["year=2025&month=13", "month"],
+    ["year=2025&month=1.5", "month"],
+  ]) {
+    it(`refuses ${query}`, async () => {
+      const response = await call("get", `/vat/kmd?${query}`).expect(400);
+      assert.deepEqual(
+        response.body.errors.map((error) => error.field),
+        [field]
+      );
+    });
+  }
+});
+
+describe("KMD export", () => {
+  it("sends the return as an XML attachment", async () => {
+    const personCode = t.nextPersonalIdCode();
+    const response = await call(
+      "get",
+      `/vat/kmd/xml?year=2025&month=8&submitterPersonCode=${personCode}`
+    ).expect(200);
+
+    assert.match(response.headers["content-type"], /^application\/xml/);
+    assert.equal(
+      response.headers["content-disposition"],
+      `attachment; filename="KMD_${company.registrationNumber}_2025-08.xml"`
+    );
+    const xml = response.text;
+    assert.match(
+      xml,
+      new RegExp(`<taxPayerRegCode>${company.registrationNumber}<`)
+    );
+    assert.match(xml, new RegExp(`<submitterPersonCode>${personCode}<`));
+    assert.match(xml, /<transactions24>1000.00<\/transactions24>/);
+    assert.match(
+      xml,
+      /<euSupplyInclGoodsAndServicesZeroVat>300.00<\/euSupplyInclGoodsAndServicesZeroVat>/
+    );
+    assert.match(xml, /<euSupplyGoodsZeroVat>300.00<\/euSupplyGoodsZeroVat>/);
+    assert.match(xml, /<supplyExemptFromTax>50.00<\/supplyExemptFromTax>/);
+    assert.match(xml, /<taxRate>24<\/taxRate>/);
+    assert.equal(xml.match(/<saleLine>/g).length, 4);
+    assert.equal(xml.match(/<purchaseLine>/g).length, 1);
+    // e-MTA calculates the totals itself
+    assert.doesNotMatch(xml, /vatPayable|vatOverpaid|vatTotal/);
+  });
+
+  it("refuses an invalid personal ID code", async () => {
+    const response = await call(
+      "get",
+      "/vat/kmd/xml?year=2025&month=8&submitterPersonCode=39001010001"
+    ).expect(400);
+    assert.equal(response.body.errors[0].field, "submitterPersonCode");
+  });
+
+  describe("schema validation", () => {
+    let xml;
+
+    before(async () => {
+      const response = await call(
+        "get",
+        `/vat/kmd/xml?year=2025&month=8&submitterPersonCode=${t.nextPersonalIdCode()}`
+      ).expect(200);
+      xml = response.text;
+    });
+
+    it("passes the KMD and INF schema", async () => {
+      const result = await validateKmdXml(xml);
+      assert.deepEqual(result.errors, []);
+      assert.equal(result.valid, true);
+    });
+
+    for (const [name, pattern, replacement] of [
+      [
+        "a total e-MTA calculates",
+        /<\/inputVatTotal>/,
+        "$&<vatPayable>0</vatPayable>",
+      ],
+      ["a rate with decimals", /<taxRate>24</, "<taxRate>24.00<"],
+      ["an amount with three decimals", />1000.00</, ">1000.001<"],
+      ["a missing invoice date", /<invoiceDate>[^<]+<\/invoiceDate>/, ""],
+      [
+        "a comment that isn't a special case code",
+        /<\/sumForRateInPeriod>/,
+        "$&<comments>Credit note</comments>",
+      ],
+      ["an unknown version", /KMD4/, "KMD3"],
+    ]) {
+      it(`refuses ${name}`, async () => {
+        const result = await validateKmdXml(xml.replace(pattern, replacement));
+        assert.equal(result.valid, false);
+        assert.ok(result.errors.length > 0);
+      });
+    }
+
+    describe("with KMD_XSD_PATH set", () => {
+      let directory;
+
+      before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "kmd-"));
+      });
+
+      after(() => {
+        delete process.env.KMD_XSD_PATH;
+        fs.rmSync(directory, { recursive: true, force: true });
+      });
+
+      it("validates against that file instead", async () => {
+        // A schema whose root element isn't the one of the export
+        const schemaPath = path.join(directory, "other.xsd");
+        fs.writeFileSync(
+          schemaPath,
+          `<?xml version="1.0" encoding="UTF-8"?>
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:element name="declaration" type="xs:string"/>
+</xs:schema>
+`
+        );
+        process.env.KMD_XSD_PATH = schemaPath;
+
+        const response = await call(
+          "get",
+          "/vat/kmd/xml?year=2025&month=8"
+        ).expect(500);
+        assert.equal(
+          response.body.message,
+          "VAT return failed schema validation"
+        );
+        assert.ok(response.body.errors.length > 0);
+      });
+    });
+  });
+});
@@ -0,0 +1,51 @@
+// Minimal CSV reader for bank exports: quoted fields, doubled quotes inside
+// them, line breaks inside quotes, any single-character delimiter and a
+// leading byte order mark.
+
+const parseCsv = (text, delimiter = ",") => {
+  const input = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines, e.g. at the end of the file
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+};
+
+module.exports = { parseCsv };
@@ -0,0 +1,46 @@
+// Helpers for calendar dates as YYYY-MM-DD strings, the form DATEONLY
+// columns use. All arithmetic is done in UTC so time zones can't shift a
+// date by a day.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (value) => new Date(`${value}T00:00:00Z`);
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// Also refuses impossible dates like 2025-02-30 or 2025-13-01, which Date
+// either rolls over or can't parse at all
+const isValidDate = (value) =>
+  typeof value === "string" &&
+  DATE_PATTERN.test(value) &&
+  !Number.isNaN(toDate(value).getTime()) &&
+  formatDate(toDate(value)) === value;
+
+const today = () => formatDate(new Date());
+
+const addDays = (value, days) =>
+  formatDate(new Date(toDate(value).getTime() + days * DAY_MS));
+
+// Whole days from `from` to `to`
+const daysBetween = (from, to) =>
+  Math.round((toDate(to) - toDate(from)) / DAY_MS);
+
+// Moves a date by whole months, clamping the day to the length of the
+// target month (31 January + 1 month is 28 or 29 February)
+const addMonths = (value, months) => {
+  const [year, month, day] = value.split("-").map(Number);
+  const lastDay = new Date(
+    Date.UTC(year, month - 1 + months + 1, 0)
+  ).getUTCDate();
+  return formatDate(
+    new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay)))
+  );
+};
+
+module.exports = {
+  isValidDate,
+  today,
+  addDays,
+  addMonths,
+  daysBetween,
+};
@@ -0,0 +1,39 @@
+const browsers = [
+  ["Edge", /Edg(e|A|iOS)?\//],
+  ["Opera", /OPR\/|Opera/],
+  ["Firefox", /Firefox\/|FxiOS\//],
+  ["Chrome", /Chrome\/|CriOS\//],
+  ["Safari", /Safari\//],
+];
+
+const platforms = [
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["Linux", /Linux|X11/],
+];
+
+const match = (list, userAgent) => {
+  const found = list.find(([, pattern]) => pattern.test(userAgent));
+  return found ? found[0] : null;
+};
+
+// Builds a human readable label such as "Chrome on Windows" from a
+// User-Agent header so users can recognise their sessions
+const deviceLabel = (userAgent) => {
+  if (!userAgent) {
+    return "Unknown device";
+  }
+
+  const browser = match(browsers, userAgent);
+  const platform = match(platforms, userAgent);
+
+  if (browser && platform) {
+    return `${browser} on ${platform}`;
+  }
+
+  return browser || platform || "Unknown device";
+};
+
+module.exports = deviceLabel;
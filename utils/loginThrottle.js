@@ -0,0 +1,49 @@
+// Failed logins allowed before each further attempt has to wait
+const FREE_ATTEMPTS = 3;
+// Delay after the first throttled failure, doubled on every further failure
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+// Failed logins after which the account is locked
+const LOCKOUT_THRESHOLD = 10;
+const LOCKOUT_DURATION_MS = 30 * 60 * 1000;
+// Failure counters start over after this long without a failed attempt
+const ATTEMPT_WINDOW_MS = 60 * 60 * 1000;
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+// How long to wait after the given number of consecutive failures
+const backoffDelay = (failedAttempts) => {
+  if (failedAttempts < FREE_ATTEMPTS) {
+    return 0;
+  }
+
+  return Math.min(
+    BASE_DELAY_MS * 2 ** (failedAttempts - FREE_ATTEMPTS),
+    MAX_DELAY_MS
+  );
+};
+
+// Milliseconds left before the next attempt is allowed, 0 if allowed now
+const retryAfter = (failedAttempts, lastFailedAt, now = new Date()) => {
+  if (!lastFailedAt || failedAttempts === 0) {
+    return 0;
+  }
+
+  const waitUntil = new Date(lastFailedAt).getTime() + backoffDelay(failedAttempts);
+  return Math.max(0, waitUntil - now.getTime());
+};
+
+// Whether earlier failures are old enough to be forgotten
+const isAttemptWindowExpired = (lastFailedAt, now = new Date()) =>
+  !lastFailedAt ||
+  now.getTime() - new Date(lastFailedAt).getTime() > ATTEMPT_WINDOW_MS;
+
+module.exports = {
+  FREE_ATTEMPTS,
+  LOCKOUT_THRESHOLD,
+  LOCKOUT_DURATION_MS,
+  normalizeEmail,
+  backoffDelay,
+  retryAfter,
+  isAttemptWindowExpired,
+};
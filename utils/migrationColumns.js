@@ -0,0 +1,58 @@
+// Helpers for migrations that add columns to tables which may already have
+// them, e.g. databases first created by sequelize.sync(), which got every
+// column the models had at the time. Columns that exist are left as they are.
+
+/**
+ * Adds the `columns` ({ name: attributes }) that `table` doesn't have yet.
+ * Returns the names of the added columns.
+ */
+const addMissingColumns = async (
+  queryInterface,
+  table,
+  columns,
+  { transaction } = {}
+) => {
+  const existing = await queryInterface.describeTable(table, { transaction });
+  const added = [];
+
+  for (const [name, attributes] of Object.entries(columns)) {
+    if (existing[name]) {
+      continue;
+    }
+    await queryInterface.addColumn(table, name, attributes, { transaction });
+    added.push(name);
+  }
+
+  return added;
+};
+
+/**
+ * Removes the named columns of `table` that exist.
+ */
+const removeColumns = async (
+  queryInterface,
+  table,
+  names,
+  { transaction } = {}
+) => {
+  const existing = await queryInterface.describeTable(table, { transaction });
+
+  for (const name of names) {
+    if (!existing[name]) {
+      continue;
+    }
+    // Sequelize rebuilds SQLite tables to remove a column, which turns
+    // composite unique indexes into per-column ones; SQLite's own DROP
+    // COLUMN keeps the rest of the table as it is
+    if (queryInterface.sequelize.getDialect() === "sqlite") {
+      await queryInterface.sequelize.query(
+        `ALTER TABLE "${table}" DROP COLUMN "${name}"`,
+        { transaction }
+      );
+    } else {
+      await queryInterface.removeColumn(table, name, { transaction });
+    }
+  }
+};
+
+module.exports = { addMissingColumns, removeColumns };
@@ -0,0 +1,72 @@
+const path = require("path");
+const { Sequelize } = require("sequelize");
+const { Umzug, SequelizeStorage } = require("umzug");
+const sequelize = require("../config/database");
+
+const ROOT = path.join(__dirname, "..");
+
+// Migrations and seeders are modules exporting up(queryInterface, Sequelize)
+// and down(queryInterface, Sequelize), run in file name order. Executed ones
+// are recorded in the table of the same name as `modelName`.
+const createRunner = (folder, modelName) => {
+  const storage = new SequelizeStorage({ sequelize, modelName });
+  const runner = new Umzug({
+    migrations: {
+      glob: [`${folder}/*.js`, { cwd: ROOT }],
+      resolve: ({ name, path: file, context }) => {
+        const migration = require(file);
+        return {
+          name,
+          path: file,
+          up: () => migration.up(context, Sequelize),
+          down: () => migration.down(context, Sequelize),
+        };
+      },
+    },
+    context: sequelize.getQueryInterface(),
+    storage,
+    // Tests migrate a fresh database per file, quietly
+    logger: process.env.NODE_ENV === "test" ? undefined : console,
+  });
+
+  return { runner, storage };
+};
+
+const migrations = createRunner("migrations", "SequelizeMeta");
+const seeders = createRunner("seeders", "SequelizeData");
+
+const migrator = migrations.runner;
+const seeder = seeders.runner;
+
+// Databases created by sequelize.sync() before migrations existed already
+// have the tables of the first migrations. A pending migration that lists
+// them as its `baseline` is recorded as executed when they all exist.
+const recordSyncedTables = async () => {
+  const queryInterface = sequelize.getQueryInterface();
+
+  for (const migration of await migrator.pending()) {
+    const { baseline } = require(migration.path);
+    if (!baseline) {
+      continue;
+    }
+
+    const exists = await Promise.all(
+      baseline.map((table) => queryInterface.tableExists(table))
+    );
+    if (exists.every(Boolean)) {
+      await migrations.storage.logMigration({ name: migration.name });
+      console.log(`Recorded ${migration.name}, its tables already exist`);
+    }
+  }
+};
+
+/**
+ * Applies pending migrations, up to and including `to` when given. Returns
+ * the applied migrations.
+ */
+const migrate = async ({ to } = {}) => {
+  await recordSyncedTables();
+  return migrator.up(to ? { to } : {});
+};
+
+module.exports = { migrator, seeder, migrate };
@@ -0,0 +1,19 @@
+// Mod-11 check digit used by Estonian registry codes and personal ID codes.
+// Returns the expected check digit for the given leading digits.
+const mod11CheckDigit = (digits) => {
+  const weigh = (weights) =>
+    digits.reduce(
+      (sum, digit, i) => sum + digit * weights[i % weights.length],
+      0
+    ) % 11;
+
+  const first = weigh([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  if (first !== 10) {
+    return first;
+  }
+
+  const second = weigh([3, 4, 5, 6, 7, 8, 9, 1, 2]);
+  return second === 10 ? 0 : second;
+};
+
+module.exports = mod11CheckDigit;
@@ -0,0 +1,30 @@
+// Money is handled as integer cents to keep sums exact. Amounts come in as
+// numbers or strings (DECIMAL columns are returned as strings by pg).
+
+// Converts an amount with at most 2 decimals to cents, or returns null when
+// the value isn't a valid amount
+const toCents = (value) => {
+  if (value === null || value === undefined || value === "") {
+    return 0;
+  }
+
+  const text =
+    typeof value === "number" ? value.toFixed(2) : String(value).trim();
+  const match = /^(-)?(\d+)(?:\.(\d{1,2}))?$/.exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const [, sign, units, decimals = ""] = match;
+  const cents = Number(units) * 100 + Number(decimals.padEnd(2, "0"));
+  return sign ? -cents : cents;
+};
+
+// Formats cents as a decimal string such as "1234.50"
+const fromCents = (cents) => {
+  const sign = cents < 0 ? "-" : "";
+  const absolute = Math.abs(cents);
+  return `${sign}${Math.floor(absolute / 100)}.${String(absolute % 100).padStart(2, "0")}`;
+};
+
+module.exports = { toCents, fromCents };
@@ -0,0 +1,91 @@
+const mod11CheckDigit = require("./mod11");
+
+// First digit of an Estonian personal ID code (isikukood): birth century and
+// gender
+const CENTURY_GENDER = {
+  1: { century: 1800, gender: "male" },
+  2: { century: 1800, gender: "female" },
+  3: { century: 1900, gender: "male" },
+  4: { century: 1900, gender: "female" },
+  5: { century: 2000, gender: "male" },
+  6: { century: 2000, gender: "female" },
+  7: { century: 2100, gender: "male" },
+  8: { century: 2100, gender: "female" },
+};
+
+/**
+ * Validates an Estonian personal ID code: GYYMMDDSSSC, where G encodes the
+ * century and gender, YYMMDD the birth date, SSS a serial number and C the
+ * mod-11 check digit.
+ *
+ * Errors are `{ code, message }` objects. Valid codes also return the
+ * derived `birthDate` (YYYY-MM-DD) and `gender`.
+ */
+const personalIdCodeValidator = (personalIdCode, { now = new Date() } = {}) => {
+  const code = String(personalIdCode ?? "").trim();
+  const errors = [];
+
+  if (!/^\d{11}$/.test(code)) {
+    errors.push({
+      code: "format",
+      message: "Personal ID code must be exactly 11 digits",
+    });
+    return { isValid: false, errors };
+  }
+
+  const digits = code.split("").map(Number);
+  const centuryGender = CENTURY_GENDER[digits[0]];
+  if (!centuryGender) {
+    errors.push({
+      code: "century",
+      message: "Personal ID code must start with a digit from 1 to 8",
+    });
+  }
+
+  let birthDate = null;
+  if (centuryGender) {
+    const year = centuryGender.century + Number(code.slice(1, 3));
+    const month = Number(code.slice(3, 5));
+    const day = Number(code.slice(5, 7));
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    // Date.UTC rolls invalid dates over (e.g. 31 April becomes 1 May)
+    if (
+      date.getUTCFullYear() !== year ||
+      date.getUTCMonth() !== month - 1 ||
+      date.getUTCDate() !== day
+    ) {
+      errors.push({
+        code: "birthDate",
+        message: "Personal ID code contains an invalid birth date",
+      });
+    } else if (date > now) {
+      errors.push({
+        code: "birthDate",
+        message: "Personal ID code contains a birth date in the future",
+      });
+    } else {
+      birthDate = date.toISOString().slice(0, 10);
+    }
+  }
+
+  if (mod11CheckDigit(digits.slice(0, 10)) !== digits[10]) {
+    errors.push({
+      code: "checksum",
+      message: "Personal ID code check digit is invalid",
+    });
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, errors };
+  }
+
+  return {
+    isValid: true,
+    errors,
+    birthDate,
+    gender: centuryGender.gender,
+  };
+};
+
+module.exports = personalIdCodeValidator;
@@ -0,0 +1,33 @@
+// Estonian payment reference numbers (viitenumber): 1 to 19 base digits
+// followed by a 7-3-1 check digit. Banks reject payments whose reference
+// number doesn't check out.
+
+// Check digit for the base digits, weighted 7, 3, 1 from the right
+const checkDigit = (base) => {
+  const weights = [7, 3, 1];
+  const sum = [...base]
+    .reverse()
+    .reduce((total, digit, i) => total + Number(digit) * weights[i % 3], 0);
+
+  return (10 - (sum % 10)) % 10;
+};
+
+// Builds a reference number from base digits, e.g. an invoice id
+const createReferenceNumber = (base) => {
+  const digits = String(base);
+  if (!/^\d{1,19}$/.test(digits)) {
+    throw new Error("Reference number base must be 1 to 19 digits");
+  }
+
+  return `${digits}${checkDigit(digits)}`;
+};
+
+const isValidReferenceNumber = (value) => {
+  const digits = String(value ?? "").replace(/\s/g, "");
+  return (
+    /^\d{2,20}$/.test(digits) &&
+    checkDigit(digits.slice(0, -1)) === Number(digits.slice(-1))
+  );
+};
+
+module.exports = { createReferenceNumber, isValidReferenceNumber };
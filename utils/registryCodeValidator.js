@@ -0,0 +1,24 @@
+const mod11CheckDigit = require("./mod11");
+
+// Validates an Estonian e-Business Register code: 8 digits, the last one
+// being the mod-11 check digit
+const registryCodeValidator = (registryCode) => {
+  const code = String(registryCode ?? "").trim();
+  const errors = [];
+
+  if (!/^\d{8}$/.test(code)) {
+    errors.push("Registration number must be exactly 8 digits");
+  } else {
+    const digits = code.split("").map(Number);
+    if (mod11CheckDigit(digits.slice(0, 7)) !== digits[7]) {
+      errors.push("Registration number check digit is invalid");
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+};
+
+module.exports = registryCodeValidator;
@@ -0,0 +1,14 @@
+// Writes security relevant events as single-line JSON so they can be picked
+// out of the application logs and alerted on
+const logSecurityEvent = (event, details = {}) => {
+  console.warn(
+    JSON.stringify({
+      type: "security",
+      event,
+      timestamp: new Date().toISOString(),
+      ...details,
+    })
+  );
+};
+
+module.exports = { logSecurityEvent };
@@ -0,0 +1,145 @@
+const crypto = require("crypto");
+
+// RFC 4648 base32 alphabet used by authenticator apps
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const DEFAULTS = {
+  algorithm: "sha1",
+  digits: 6,
+  period: 30,
+};
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, "").replace(/\s/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Random base32 secret, 20 bytes (160 bits) as recommended by RFC 4226
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+// HOTP (RFC 4226). The key is a raw Buffer, not base32.
+const hotp = (key, counter, options = {}) => {
+  const { algorithm, digits } = { ...DEFAULTS, ...options };
+
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac(algorithm, key)
+    .update(counterBuffer)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, "0");
+};
+
+const timeStep = (time, period) => Math.floor(time / 1000 / period);
+
+// TOTP (RFC 6238) for a base32 secret at the given time in milliseconds
+const generateTotp = (secret, options = {}) => {
+  const { time = Date.now(), ...rest } = options;
+  const { period } = { ...DEFAULTS, ...rest };
+
+  return hotp(base32Decode(secret), timeStep(time, period), rest);
+};
+
+/**
+ * Checks a TOTP code, allowing `window` steps of clock drift either way.
+ * Returns the matched time step, or null when the code is invalid, so the
+ * caller can refuse a step that has already been used.
+ */
+const verifyTotp = (code, secret, options = {}) => {
+  const { time = Date.now(), window = 1, ...rest } = options;
+  const { period, digits } = { ...DEFAULTS, ...rest };
+
+  if (typeof code !== "string" || !new RegExp(`^\\d{${digits}}$`).test(code)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = timeStep(time, period);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = hotp(key, step, rest);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI understood by authenticator apps, meant to be shown as a QR code
+const otpauthUri = (secret, accountName, issuer, options = {}) => {
+  const { algorithm, digits, period } = { ...DEFAULTS, ...options };
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: algorithm.toUpperCase(),
+    digits: String(digits),
+    period: String(period),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  generateTotp,
+  verifyTotp,
+  otpauthUri,
+};
@@ -0,0 +1,29 @@
+/**
+ * Sends the 400 response for Sequelize validation errors and
+ * AccountingValidationErrors, with their `{ field, message }` list. Returns
+ * false for any other error so the caller can fall through to its own
+ * handling.
+ */
+const sendValidationError = (res, error) => {
+  if (
+    error.name !== "SequelizeValidationError" &&
+    error.name !== "AccountingValidationError"
+  ) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message:
+      error.name === "SequelizeValidationError"
+        ? "Validation error"
+        : error.message,
+    errors: error.errors.map((err) => ({
+      field: err.path || err.field,
+      message: err.message,
+    })),
+  });
+  return true;
+};
+
+module.exports = { sendValidationError };